@@ -4,6 +4,7 @@
 const admin = require('firebase-admin');
 const path = require('path');
 const logger = require('../utils/logger');
+const { getPruneReason, pruneTokens, pruneFailedTokens } = require('../utils/fcmTokenPruner');
 
 let firebaseInitialized = false;
 
@@ -102,6 +103,15 @@ const sendNotification = async (token, title, body, data = {}) => {
         return response;
     } catch (error) {
         logger.error('❌ Error sending notification:', error.message);
+
+        // Remove the token if FCM says it will never work again
+        const reason = getPruneReason(error);
+        if (reason) {
+            await pruneTokens([{ token, reason }], 'send').catch(pruneError => {
+                logger.error('❌ Error pruning FCM token:', pruneError.message);
+            });
+        }
+
         throw error;
     }
 };
@@ -140,18 +150,26 @@ const sendMulticastNotification = async (tokens, title, body, data = {}) => {
 
         logger.info(`✅ Multicast notification sent: ${response.successCount} successful, ${response.failureCount} failed`);
 
-        // Log failed tokens for debugging
+        // Log failed tokens for debugging and remove the ones that are dead
+        let prunedCount = 0;
         if (response.failureCount > 0) {
             response.responses.forEach((resp, idx) => {
                 if (!resp.success) {
                     logger.warn(`Failed to send to token ${idx}: ${resp.error.message}`);
                 }
             });
+
+            try {
+                prunedCount = await pruneFailedTokens(tokens, response.responses);
+            } catch (pruneError) {
+                logger.error('❌ Error pruning FCM tokens:', pruneError.message);
+            }
         }
 
         return {
             successCount: response.successCount,
             failureCount: response.failureCount,
+            prunedCount,
             responses: response.responses
         };
     } catch (error) {
@@ -183,7 +201,8 @@ const sendCustomNotification = async (options) => {
 /**
  * Validate FCM token
  * @param {string} token - FCM device token
- * @returns {Promise<boolean>} - True if valid
+ * @returns {Promise<boolean>} - True if valid, false if FCM rejects the token
+ * @throws {Error} - If validation failed for another reason (e.g. network error)
  */
 const validateToken = async (token) => {
     if (!firebaseInitialized) {
@@ -198,6 +217,9 @@ const validateToken = async (token) => {
         }, true); // dry run mode
         return true;
     } catch (error) {
+        if (!getPruneReason(error)) {
+            throw error;
+        }
         logger.warn(`Invalid FCM token: ${error.message}`);
         return false;
     }
@@ -0,0 +1,96 @@
+// Mail Transport Configuration
+// Pluggable email delivery. Built-in transports are local stand-ins for
+// development and tests; production transports are registered at startup.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const transports = {};
+
+/**
+ * Console transport - logs emails instead of sending them
+ */
+transports.console = {
+    send: async (message) => {
+        logger.info(`📧 [MAIL] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+        return { messageId: `console-${crypto.randomUUID()}` };
+    }
+};
+
+/**
+ * File transport - writes each email as a JSON file to MAIL_OUTPUT_DIR
+ */
+transports.file = {
+    send: async (message) => {
+        const outputDir = path.resolve(process.cwd(), process.env.MAIL_OUTPUT_DIR || 'mail-outbox');
+        const messageId = `file-${Date.now()}-${crypto.randomUUID()}`;
+
+        await fs.promises.mkdir(outputDir, { recursive: true });
+        await fs.promises.writeFile(
+            path.join(outputDir, `${messageId}.json`),
+            JSON.stringify({ ...message, messageId, createdAt: new Date().toISOString() }, null, 2)
+        );
+
+        return { messageId };
+    }
+};
+
+/**
+ * Register a mail transport
+ * @param {string} name - Transport name (selected with MAIL_TRANSPORT)
+ * @param {object} transport - Object with an async send(message) method
+ */
+const registerMailTransport = (name, transport) => {
+    if (!transport || typeof transport.send !== 'function') {
+        throw new Error('Mail transport must implement send(message)');
+    }
+    transports[name] = transport;
+};
+
+/**
+ * Get the configured transport
+ * @returns {object} - Mail transport
+ */
+const getMailTransport = () => {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const transport = transports[name];
+
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    return transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {object} message - { to, subject, text, html }
+ * @returns {Promise<object>} - { messageId }
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+    if (!to) {
+        throw new Error('No recipient provided');
+    }
+
+    const message = {
+        from: process.env.MAIL_FROM || 'Health App <no-reply@healthapp.local>',
+        to,
+        subject,
+        text,
+        html
+    };
+
+    try {
+        return await getMailTransport().send(message);
+    } catch (error) {
+        logger.error('❌ Error sending email:', error.message);
+        throw error;
+    }
+};
+
+module.exports = {
+    registerMailTransport,
+    sendMail
+};
@@ -0,0 +1,272 @@
+// Notification Channel Configuration
+// A notification can be delivered over several channels: push (FCM), email, SMS
+// and in-app (Socket.IO). Each channel has pluggable providers, selected with
+// PUSH_PROVIDER, EMAIL_PROVIDER, SMS_PROVIDER and IN_APP_PROVIDER. Every channel
+// has a "mock" provider that records messages in memory instead of sending them.
+//
+// A provider implements send({ user, notification, payload }) and resolves to
+// { status: 'sent' | 'skipped' | 'failed', messageId, error }. A provider that can
+// send one message to many users at once (FCM multicast) may also implement
+// sendMulticast({ users, payload }), resolving to one such result per user.
+
+const logger = require('../utils/logger');
+const firebaseAdmin = require('./firebaseAdmin');
+const { sendMail } = require('./mailer');
+const { sendSms } = require('./sms');
+const { isUserConnected } = require('../utils/notificationStream');
+
+const NOTIFICATION_CHANNELS = ['push', 'email', 'sms', 'in_app'];
+
+// Most tokens FCM accepts in one multicast request
+const FCM_MULTICAST_LIMIT = 500;
+
+const PROVIDER_ENV = {
+    push: 'PUSH_PROVIDER',
+    email: 'EMAIL_PROVIDER',
+    sms: 'SMS_PROVIDER',
+    in_app: 'IN_APP_PROVIDER'
+};
+
+const DEFAULT_PROVIDERS = {
+    push: 'fcm',
+    email: 'mailer',
+    sms: 'sms',
+    in_app: 'socket'
+};
+
+// Messages "sent" by mock providers
+const mockOutbox = [];
+
+/**
+ * Mock provider - records the message in memory
+ * @param {string} channel - Channel name
+ * @returns {object} - Provider
+ */
+const createMockProvider = (channel) => ({
+    send: async ({ user, notification, payload }) => {
+        const messageId = `mock-${channel}-${mockOutbox.length + 1}`;
+        mockOutbox.push({ channel, userId: user._id.toString(), notificationId: notification._id.toString(), payload, messageId });
+        return { status: 'sent', messageId };
+    }
+});
+
+/**
+ * Push one message to the devices of many users with as few FCM requests as possible
+ * A user counts as sent if any of their devices accepted the message.
+ * @param {Array} users - Users with fcmTokens
+ * @param {object} payload - { title, body, data }
+ * @returns {Promise<Array>} - One { status, messageId, error } per user
+ */
+const sendFcmMulticast = async (users, payload) => {
+    if (!firebaseAdmin.isFirebaseInitialized()) {
+        return users.map(() => ({ status: 'skipped', error: 'Push notifications are disabled' }));
+    }
+
+    const devices = [];
+    const outcomes = users.map((user, index) => {
+        (user.fcmTokens || []).forEach(t => devices.push({ index, token: t.token }));
+        return { accepted: 0, rejected: 0, messageId: undefined, error: undefined };
+    });
+
+    for (let i = 0; i < devices.length; i += FCM_MULTICAST_LIMIT) {
+        const batch = devices.slice(i, i + FCM_MULTICAST_LIMIT);
+
+        try {
+            const result = await firebaseAdmin.sendMulticastNotification(
+                batch.map(d => d.token), payload.title, payload.body, payload.data
+            );
+
+            result.responses.forEach((response, idx) => {
+                const outcome = outcomes[batch[idx].index];
+                if (response.success) {
+                    outcome.accepted++;
+                    outcome.messageId = outcome.messageId || response.messageId;
+                } else {
+                    outcome.rejected++;
+                }
+            });
+        } catch (error) {
+            batch.forEach(d => {
+                outcomes[d.index].rejected++;
+                outcomes[d.index].error = error.message;
+            });
+        }
+    }
+
+    return outcomes.map(({ accepted, rejected, messageId, error }) => {
+        if (accepted > 0) {
+            return { status: 'sent', messageId };
+        }
+        if (rejected === 0) {
+            return { status: 'skipped', error: 'No FCM tokens registered for this user' };
+        }
+        return { status: 'failed', error: error || `All ${rejected} devices rejected the notification` };
+    });
+};
+
+const providers = {
+    push: {
+        fcm: {
+            send: async ({ user, payload }) => {
+                if (!firebaseAdmin.isFirebaseInitialized()) {
+                    return { status: 'skipped', error: 'Push notifications are disabled' };
+                }
+
+                if (!user.fcmTokens || user.fcmTokens.length === 0) {
+                    return { status: 'skipped', error: 'No FCM tokens registered for this user' };
+                }
+
+                const tokens = user.fcmTokens.map(t => t.token);
+                const result = await firebaseAdmin.sendMulticastNotification(tokens, payload.title, payload.body, payload.data);
+
+                if (result.successCount === 0) {
+                    return { status: 'failed', error: `All ${result.failureCount} devices rejected the notification` };
+                }
+
+                const delivered = result.responses.find(r => r.success);
+                return { status: 'sent', messageId: delivered && delivered.messageId };
+            },
+            sendMulticast: ({ users, payload }) => sendFcmMulticast(users, payload)
+        },
+        mock: createMockProvider('push')
+    },
+
+    email: {
+        mailer: {
+            send: async ({ user, payload }) => {
+                const { messageId } = await sendMail({ to: user.email, subject: payload.title, text: payload.body });
+                return { status: 'sent', messageId };
+            }
+        },
+        mock: createMockProvider('email')
+    },
+
+    sms: {
+        sms: {
+            send: async ({ user, payload }) => {
+                const phoneNumber = user.patientInfo && user.patientInfo.phoneNumber;
+
+                if (!phoneNumber) {
+                    return { status: 'skipped', error: 'No phone number on file' };
+                }
+
+                const { messageId } = await sendSms({ to: phoneNumber, text: `${payload.title}\n${payload.body}` });
+                return { status: 'sent', messageId };
+            }
+        },
+        mock: createMockProvider('sms')
+    },
+
+    in_app: {
+        // The notification itself reaches connected devices as the notification_created
+        // stream event (see utils/notificationStream.js); this only reports whether it was seen
+        socket: {
+            send: async ({ user }) => {
+                if (!(await isUserConnected(user._id))) {
+                    return { status: 'skipped', error: 'User is not connected' };
+                }
+
+                return { status: 'sent' };
+            }
+        },
+        mock: createMockProvider('in_app')
+    }
+};
+
+/**
+ * Register a provider for a channel
+ * @param {string} channel - push, email, sms or in_app
+ * @param {string} name - Provider name (selected with the channel's *_PROVIDER variable)
+ * @param {object} provider - Object with an async send({ user, notification, payload }) method
+ */
+const registerChannelProvider = (channel, name, provider) => {
+    if (!providers[channel]) {
+        throw new Error(`Unknown notification channel: ${channel}`);
+    }
+    if (!provider || typeof provider.send !== 'function') {
+        throw new Error('Notification channel provider must implement send({ user, notification, payload })');
+    }
+    providers[channel][name] = provider;
+};
+
+/**
+ * Get the configured provider for a channel
+ * @param {string} channel - Channel name
+ * @returns {object} - Provider
+ */
+const getChannelProvider = (channel) => {
+    const name = process.env[PROVIDER_ENV[channel]] || DEFAULT_PROVIDERS[channel];
+    const provider = providers[channel] && providers[channel][name];
+
+    if (!provider) {
+        throw new Error(`Unknown ${channel} provider: ${name}`);
+    }
+
+    return provider;
+};
+
+/**
+ * Send a notification over one channel
+ * Provider errors are reported as a failed result rather than thrown.
+ * @param {string} channel - Channel name
+ * @param {object} message - { user, notification, payload }
+ * @returns {Promise<object>} - { status, messageId, error }
+ */
+const sendToChannel = async (channel, message) => {
+    try {
+        return await getChannelProvider(channel).send(message);
+    } catch (error) {
+        logger.error(`❌ Error sending ${channel} notification:`, error.message);
+        return { status: 'failed', error: error.message };
+    }
+};
+
+/**
+ * Send the same message to many users over one channel
+ * Uses the provider's sendMulticast when it has one, otherwise sends to each user
+ * in turn. Provider errors are reported as failed results rather than thrown.
+ * @param {string} channel - Channel name
+ * @param {Array} messages - Array of { user, notification, payload } (the per-user form)
+ * @param {object} payload - Message shared by every user (used for multicast)
+ * @returns {Promise<Array>} - One { status, messageId, error } per message
+ */
+const sendToChannelMulticast = async (channel, messages, payload) => {
+    try {
+        const provider = getChannelProvider(channel);
+
+        if (typeof provider.sendMulticast === 'function') {
+            return await provider.sendMulticast({ users: messages.map(m => m.user), payload });
+        }
+
+        const results = [];
+        for (const message of messages) {
+            results.push(await sendToChannel(channel, message));
+        }
+        return results;
+    } catch (error) {
+        logger.error(`❌ Error sending ${channel} notifications:`, error.message);
+        return messages.map(() => ({ status: 'failed', error: error.message }));
+    }
+};
+
+/**
+ * Messages recorded by mock providers (for tests)
+ * @returns {Array} - Array of { channel, userId, notificationId, payload, messageId }
+ */
+const getMockOutbox = () => mockOutbox;
+
+/**
+ * Empty the mock outbox
+ */
+const clearMockOutbox = () => {
+    mockOutbox.length = 0;
+};
+
+module.exports = {
+    NOTIFICATION_CHANNELS,
+    registerChannelProvider,
+    sendToChannel,
+    sendToChannelMulticast,
+    getMockOutbox,
+    clearMockOutbox
+};
@@ -0,0 +1,94 @@
+// SMS Transport Configuration
+// Pluggable text message delivery. Built-in transports are local stand-ins for
+// development and tests; production transports (e.g. a gateway API) are registered at startup.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const transports = {};
+
+/**
+ * Console transport - logs text messages instead of sending them
+ */
+transports.console = {
+    send: async (message) => {
+        logger.info(`📱 [SMS] To: ${message.to}\n${message.text}`);
+        return { messageId: `console-${crypto.randomUUID()}` };
+    }
+};
+
+/**
+ * File transport - writes each text message as a JSON file to SMS_OUTPUT_DIR
+ */
+transports.file = {
+    send: async (message) => {
+        const outputDir = path.resolve(process.cwd(), process.env.SMS_OUTPUT_DIR || 'sms-outbox');
+        const messageId = `file-${Date.now()}-${crypto.randomUUID()}`;
+
+        await fs.promises.mkdir(outputDir, { recursive: true });
+        await fs.promises.writeFile(
+            path.join(outputDir, `${messageId}.json`),
+            JSON.stringify({ ...message, messageId, createdAt: new Date().toISOString() }, null, 2)
+        );
+
+        return { messageId };
+    }
+};
+
+/**
+ * Register an SMS transport
+ * @param {string} name - Transport name (selected with SMS_TRANSPORT)
+ * @param {object} transport - Object with an async send(message) method
+ */
+const registerSmsTransport = (name, transport) => {
+    if (!transport || typeof transport.send !== 'function') {
+        throw new Error('SMS transport must implement send(message)');
+    }
+    transports[name] = transport;
+};
+
+/**
+ * Get the configured transport
+ * @returns {object} - SMS transport
+ */
+const getSmsTransport = () => {
+    const name = process.env.SMS_TRANSPORT || 'console';
+    const transport = transports[name];
+
+    if (!transport) {
+        throw new Error(`Unknown SMS transport: ${name}`);
+    }
+
+    return transport;
+};
+
+/**
+ * Send a text message through the configured transport
+ * @param {object} message - { to, text }
+ * @returns {Promise<object>} - { messageId }
+ */
+const sendSms = async ({ to, text }) => {
+    if (!to) {
+        throw new Error('No recipient provided');
+    }
+
+    const message = {
+        from: process.env.SMS_FROM || 'HealthApp',
+        to,
+        text
+    };
+
+    try {
+        return await getSmsTransport().send(message);
+    } catch (error) {
+        logger.error('❌ Error sending SMS:', error.message);
+        throw error;
+    }
+};
+
+module.exports = {
+    registerSmsTransport,
+    sendSms
+};
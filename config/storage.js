@@ -0,0 +1,76 @@
+// File Storage Configuration
+// Storage interface for uploaded files. The local disk driver is the default;
+// other drivers (e.g. object storage) are registered at startup.
+
+const fs = require('fs');
+const path = require('path');
+
+const drivers = {};
+
+/**
+ * Local disk driver - stores files under UPLOAD_DIR
+ */
+drivers.local = {
+    resolve: (key) => {
+        const root = path.resolve(process.cwd(), process.env.UPLOAD_DIR || 'uploads');
+        const filePath = path.resolve(root, key);
+
+        // Never allow keys to escape the upload directory
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error('Invalid storage key');
+        }
+
+        return filePath;
+    },
+
+    save: async (key, buffer) => {
+        const filePath = drivers.local.resolve(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+        return { key, size: buffer.length };
+    },
+
+    createReadStream: async (key) => {
+        const filePath = drivers.local.resolve(key);
+        await fs.promises.access(filePath);
+        return fs.createReadStream(filePath);
+    },
+
+    remove: async (key) => {
+        await fs.promises.rm(drivers.local.resolve(key), { force: true });
+    }
+};
+
+/**
+ * Register a storage driver
+ * @param {string} name - Driver name (selected with STORAGE_DRIVER)
+ * @param {object} driver - Object implementing save(key, buffer), createReadStream(key) and remove(key)
+ */
+const registerStorageDriver = (name, driver) => {
+    ['save', 'createReadStream', 'remove'].forEach(method => {
+        if (!driver || typeof driver[method] !== 'function') {
+            throw new Error(`Storage driver must implement ${method}()`);
+        }
+    });
+    drivers[name] = driver;
+};
+
+/**
+ * Get the configured storage driver
+ * @returns {object} - Storage driver
+ */
+const getStorage = () => {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const driver = drivers[name];
+
+    if (!driver) {
+        throw new Error(`Unknown storage driver: ${name}`);
+    }
+
+    return driver;
+};
+
+module.exports = {
+    registerStorageDriver,
+    getStorage
+};
@@ -0,0 +1,444 @@
+// Appointment controller - handles slot lookup, booking, rescheduling and cancellation
+
+const Appointment = require('../models/Appointment');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const { getSlotMinutes, generateDaySlots, isWithinAvailableHours } = require('../utils/appointmentSlots');
+const { resolveTimezone, zonedTimeToDate, addDays, formatZonedDateTime } = require('../utils/timezone');
+
+// Check that a requested time can be booked with a doctor
+// Returns { startTime, endTime } or { status, error }
+const validateBookingTime = async ({ doctor, patientId, startTime, excludeId }) => {
+    const start = new Date(startTime);
+
+    if (!startTime || isNaN(start.getTime())) {
+        return { status: 400, error: 'Please provide a valid startTime' };
+    }
+
+    if (start <= new Date()) {
+        return { status: 400, error: 'Appointments must be booked in the future' };
+    }
+
+    const end = new Date(start.getTime() + getSlotMinutes(doctor.doctorInfo) * 60 * 1000);
+
+    if (!isWithinAvailableHours(doctor.doctorInfo, start, end, doctor.timezone)) {
+        return { status: 400, error: 'Requested time is outside the doctor\'s available hours' };
+    }
+
+    const conflicts = await Appointment.findConflicts({
+        doctor: doctor._id,
+        patient: patientId,
+        startTime: start,
+        endTime: end,
+        excludeId
+    });
+
+    if (conflicts.length > 0) {
+        const doctorBusy = conflicts.some(a => a.doctor.toString() === doctor._id.toString());
+        return {
+            status: 409,
+            error: doctorBusy
+                ? 'The doctor already has an appointment at this time'
+                : 'You already have an appointment at this time'
+        };
+    }
+
+    return { startTime: start, endTime: end };
+};
+
+// Queue an immediate notification about an appointment change
+// buildBody receives the appointment time formatted in the recipient's timezone
+const notifyParticipant = async (userId, appointment, title, buildBody) => {
+    const user = await User.findById(userId).select('notificationPreferences timezone');
+
+    if (!user || (user.notificationPreferences && user.notificationPreferences.appointmentReminders === false)) {
+        return;
+    }
+
+    const body = buildBody(formatZonedDateTime(appointment.startTime, resolveTimezone(user.timezone)));
+
+    await Notification.create({
+        user: userId,
+        type: 'appointment',
+        relatedEntity: {
+            entityType: 'Appointment',
+            entityId: appointment._id
+        },
+        title,
+        body,
+        data: {
+            type: 'appointment',
+            appointmentId: appointment._id.toString(),
+            startTime: appointment.startTime.toISOString()
+        },
+        deliveryStatus: 'pending',
+        scheduledFor: new Date()
+    });
+};
+
+// Drop queued reminders for an appointment whose time is no longer valid
+const clearQueuedReminders = (appointment) => {
+    return Notification.deleteMany({
+        'relatedEntity.entityId': appointment._id,
+        deliveryStatus: 'pending',
+        dedupeKey: { $exists: true }
+    });
+};
+
+// Handle a race where another booking took the slot between check and insert
+const isDuplicateSlotError = (error) => error && error.code === 11000;
+
+// @desc    Get bookable slots for a doctor on a given day
+// @route   GET /api/appointments/slots?doctorId=&date=YYYY-MM-DD
+// @access  Private
+const getAvailableSlots = asyncHandler(async (req, res) => {
+    const { doctorId, date } = req.query;
+
+    if (!doctorId || !date) {
+        return res.status(400).json({
+            success: false,
+            error: 'Please provide doctorId and date'
+        });
+    }
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+    if (!match) {
+        return res.status(400).json({
+            success: false,
+            error: 'Date must be in YYYY-MM-DD format'
+        });
+    }
+    const requestedDate = { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+
+    const doctor = await User.findOne({ _id: doctorId, role: 'doctor', isActive: true });
+    if (!doctor) {
+        return res.status(404).json({
+            success: false,
+            error: 'Doctor not found'
+        });
+    }
+
+    // The date is a calendar day in the doctor's timezone
+    const timezone = resolveTimezone(doctor.timezone);
+    const slots = generateDaySlots(doctor.doctorInfo, requestedDate, timezone);
+
+    const day = zonedTimeToDate(requestedDate, timezone);
+    const dayEnd = zonedTimeToDate(addDays(requestedDate, 1), timezone);
+
+    const booked = await Appointment.find({
+        doctor: doctor._id,
+        status: 'scheduled',
+        startTime: { $lt: dayEnd },
+        endTime: { $gt: day }
+    });
+
+    const now = new Date();
+    const data = slots.map(slot => ({
+        ...slot,
+        available: slot.startTime > now && !booked.some(
+            a => a.startTime < slot.endTime && a.endTime > slot.startTime
+        )
+    }));
+
+    res.status(200).json({
+        success: true,
+        count: data.filter(s => s.available).length,
+        timezone,
+        data
+    });
+});
+
+// @desc    Book an appointment
+// @route   POST /api/appointments
+// @access  Private (Patient only)
+const bookAppointment = asyncHandler(async (req, res) => {
+    const { doctorId, startTime, reason } = req.body;
+
+    if (req.user.role !== 'patient') {
+        return res.status(403).json({
+            success: false,
+            error: 'Only patients can book appointments'
+        });
+    }
+
+    const doctor = await User.findOne({ _id: doctorId, role: 'doctor', isActive: true });
+    if (!doctor) {
+        return res.status(404).json({
+            success: false,
+            error: 'Doctor not found'
+        });
+    }
+
+    const slot = await validateBookingTime({ doctor, patientId: req.user.id, startTime });
+    if (slot.error) {
+        return res.status(slot.status).json({
+            success: false,
+            error: slot.error
+        });
+    }
+
+    let appointment;
+    try {
+        appointment = await Appointment.create({
+            patient: req.user.id,
+            doctor: doctor._id,
+            startTime: slot.startTime,
+            endTime: slot.endTime,
+            reason
+        });
+    } catch (error) {
+        if (isDuplicateSlotError(error)) {
+            return res.status(409).json({
+                success: false,
+                error: 'The doctor already has an appointment at this time'
+            });
+        }
+        throw error;
+    }
+
+    await notifyParticipant(doctor._id, appointment, '📅 New Appointment',
+        when => `${req.user.name} booked an appointment on ${when}`);
+
+    await appointment.populate('patient', 'name email');
+    await appointment.populate('doctor', 'name email doctorInfo.specialization');
+
+    res.status(201).json({
+        success: true,
+        data: appointment
+    });
+});
+
+// @desc    Get appointments for logged in user (role-based)
+// @route   GET /api/appointments
+// @access  Private
+const getAppointments = asyncHandler(async (req, res) => {
+    const filter = {};
+
+    if (req.user.role === 'patient') {
+        filter.patient = req.user.id;
+    } else if (req.user.role === 'doctor') {
+        filter.doctor = req.user.id;
+    } else if (req.query.doctorId) {
+        // Admins can optionally filter by doctor
+        filter.doctor = req.query.doctorId;
+    }
+
+    if (req.query.status) {
+        filter.status = req.query.status;
+    }
+
+    // Optional: filter by upcoming appointments
+    if (req.query.upcoming === 'true') {
+        filter.startTime = { $gte: new Date() };
+    }
+
+    const appointments = await Appointment.find(filter)
+        .populate('patient', 'name email patientInfo.phoneNumber')
+        .populate('doctor', 'name email doctorInfo.specialization')
+        .sort({ startTime: 1 });
+
+    res.status(200).json({
+        success: true,
+        count: appointments.length,
+        data: appointments
+    });
+});
+
+// @desc    Get single appointment
+// @route   GET /api/appointments/:id
+// @access  Private
+const getAppointment = asyncHandler(async (req, res) => {
+    const appointment = await Appointment.findById(req.params.id)
+        .populate('patient', 'name email patientInfo.phoneNumber')
+        .populate('doctor', 'name email doctorInfo');
+
+    if (!appointment) {
+        return res.status(404).json({
+            success: false,
+            error: 'Appointment not found'
+        });
+    }
+
+    if (req.user.role !== 'admin' && !appointment.isParticipant(req.user.id)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Not authorized to access this appointment'
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        data: appointment
+    });
+});
+
+// @desc    Reschedule an appointment
+// @route   PATCH /api/appointments/:id/reschedule
+// @access  Private (Appointment participants)
+const rescheduleAppointment = asyncHandler(async (req, res) => {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+        return res.status(404).json({
+            success: false,
+            error: 'Appointment not found'
+        });
+    }
+
+    if (!appointment.isParticipant(req.user.id)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Not authorized to update this appointment'
+        });
+    }
+
+    if (appointment.status !== 'scheduled') {
+        return res.status(400).json({
+            success: false,
+            error: `Cannot reschedule an appointment that is ${appointment.status}`
+        });
+    }
+
+    const doctor = await User.findById(appointment.doctor);
+    const slot = await validateBookingTime({
+        doctor,
+        patientId: appointment.patient,
+        startTime: req.body.startTime,
+        excludeId: appointment._id
+    });
+
+    if (slot.error) {
+        return res.status(slot.status).json({
+            success: false,
+            error: slot.error
+        });
+    }
+
+    appointment.rescheduleHistory.push({
+        startTime: appointment.startTime,
+        endTime: appointment.endTime,
+        changedBy: req.user.id
+    });
+    appointment.startTime = slot.startTime;
+    appointment.endTime = slot.endTime;
+
+    try {
+        await appointment.save();
+    } catch (error) {
+        if (isDuplicateSlotError(error)) {
+            return res.status(409).json({
+                success: false,
+                error: 'The doctor already has an appointment at this time'
+            });
+        }
+        throw error;
+    }
+
+    await clearQueuedReminders(appointment);
+
+    const otherParty = appointment.patient.toString() === req.user.id ? appointment.doctor : appointment.patient;
+    await notifyParticipant(otherParty, appointment, '📅 Appointment Rescheduled',
+        when => `Your appointment has been moved to ${when}`);
+
+    res.status(200).json({
+        success: true,
+        data: appointment
+    });
+});
+
+// @desc    Cancel an appointment
+// @route   PATCH /api/appointments/:id/cancel
+// @access  Private (Appointment participants and admins)
+const cancelAppointment = asyncHandler(async (req, res) => {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+        return res.status(404).json({
+            success: false,
+            error: 'Appointment not found'
+        });
+    }
+
+    if (req.user.role !== 'admin' && !appointment.isParticipant(req.user.id)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Not authorized to update this appointment'
+        });
+    }
+
+    if (appointment.status !== 'scheduled') {
+        return res.status(400).json({
+            success: false,
+            error: `Cannot cancel an appointment that is ${appointment.status}`
+        });
+    }
+
+    appointment.status = 'cancelled';
+    appointment.cancelledBy = req.user.id;
+    appointment.cancelledAt = new Date();
+    appointment.cancellationReason = req.body.reason;
+    await appointment.save();
+
+    await clearQueuedReminders(appointment);
+
+    for (const participantId of [appointment.patient, appointment.doctor]) {
+        if (participantId.toString() !== req.user.id) {
+            await notifyParticipant(participantId, appointment, '❌ Appointment Cancelled',
+                when => `Your appointment on ${when} has been cancelled`);
+        }
+    }
+
+    res.status(200).json({
+        success: true,
+        data: appointment
+    });
+});
+
+// @desc    Mark an appointment as completed or no-show
+// @route   PATCH /api/appointments/:id/status
+// @access  Private (Doctor/Admin only)
+const updateAppointmentStatus = asyncHandler(async (req, res) => {
+    const { status } = req.body;
+
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+        return res.status(404).json({
+            success: false,
+            error: 'Appointment not found'
+        });
+    }
+
+    if (req.user.role !== 'admin' && appointment.doctor.toString() !== req.user.id) {
+        return res.status(403).json({
+            success: false,
+            error: 'Only the appointment\'s doctor can update its status'
+        });
+    }
+
+    if (appointment.status !== 'scheduled') {
+        return res.status(400).json({
+            success: false,
+            error: `Appointment is already ${appointment.status}`
+        });
+    }
+
+    appointment.status = status;
+    await appointment.save();
+
+    res.status(200).json({
+        success: true,
+        data: appointment
+    });
+});
+
+module.exports = {
+    getAvailableSlots,
+    bookAppointment,
+    getAppointments,
+    getAppointment,
+    rescheduleAppointment,
+    cancelAppointment,
+    updateAppointmentStatus
+};
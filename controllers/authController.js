@@ -1,21 +1,35 @@
-// Authentication controller - handles user registration and login
+// Authentication controller - handles user registration, login, sessions,
+// email verification and password reset
 
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+const { createSession, rotateRefreshToken, disconnectSessionSockets } = require('../utils/authTokens');
+const { sendMail } = require('../config/mailer');
+const { verificationEmail, passwordResetEmail } = require('../utils/emailTemplates');
 
-// Generate JWT Token
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE || '7d'
-    });
+const EMAIL_VERIFICATION_EXPIRE_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+const PASSWORD_RESET_EXPIRE_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+// Create a verification token and email it to the user
+// Mail failures are logged rather than failing the request
+const sendVerificationEmail = async (user) => {
+    const token = user.createEmailVerificationToken(EMAIL_VERIFICATION_EXPIRE_HOURS);
+    await user.save();
+
+    try {
+        await sendMail(verificationEmail(user, token, EMAIL_VERIFICATION_EXPIRE_HOURS));
+    } catch (error) {
+        logger.error(`Failed to send verification email to ${user.email}:`, error.message);
+    }
 };
 
 // @desc    Register new user
 // @route   POST /api/auth/register
 // @access  Public
 const register = asyncHandler(async (req, res) => {
-    const { name, email, password, role, patientInfo, doctorInfo, adminInfo } = req.body;
+    const { name, email, password, role, timezone, patientInfo, doctorInfo } = req.body;
 
     // Check if user already exists
     const userExists = await User.findOne({ email });
@@ -31,7 +45,8 @@ const register = asyncHandler(async (req, res) => {
         name,
         email,
         password,
-        role: role || 'patient'
+        role: role || 'patient',
+        timezone
     };
 
     // Add role-specific information
@@ -39,21 +54,24 @@ const register = asyncHandler(async (req, res) => {
         userData.patientInfo = patientInfo;
     } else if (role === 'doctor' && doctorInfo) {
         userData.doctorInfo = doctorInfo;
-    } else if (role === 'admin' && adminInfo) {
-        userData.adminInfo = adminInfo;
     }
 
     // Create user
     const user = await User.create(userData);
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send email verification link
+    await sendVerificationEmail(user);
+
+    // Create session and issue tokens
+    const { token, refreshToken, refreshTokenExpiresAt } = await createSession(user, req);
 
     res.status(201).json({
         success: true,
         data: {
             user: user.getPublicProfile(),
-            token
+            token,
+            refreshToken,
+            refreshTokenExpiresAt
         }
     });
 });
@@ -64,14 +82,6 @@ const register = asyncHandler(async (req, res) => {
 const login = asyncHandler(async (req, res) => {
     const { email, password } = req.body;
 
-    // Validate email & password
-    if (!email || !password) {
-        return res.status(400).json({
-            success: false,
-            error: 'Please provide email and password'
-        });
-    }
-
     // Check for user (include password for comparison)
     const user = await User.findOne({ email }).select('+password');
 
@@ -104,14 +114,16 @@ const login = asyncHandler(async (req, res) => {
     user.lastLogin = Date.now();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Create session and issue tokens
+    const { token, refreshToken, refreshTokenExpiresAt } = await createSession(user, req);
 
     res.status(200).json({
         success: true,
         data: {
             user: user.getPublicProfile(),
-            token
+            token,
+            refreshToken,
+            refreshTokenExpiresAt
         }
     });
 });
@@ -135,7 +147,8 @@ const updateProfile = asyncHandler(async (req, res) => {
     const fieldsToUpdate = {
         name: req.body.name,
         email: req.body.email,
-        profileImage: req.body.profileImage
+        profileImage: req.body.profileImage,
+        timezone: req.body.timezone
     };
 
     // Update role-specific fields
@@ -147,6 +160,21 @@ const updateProfile = asyncHandler(async (req, res) => {
         fieldsToUpdate.adminInfo = req.body.adminInfo;
     }
 
+    // A new email address has to be verified again
+    const emailChanged = req.body.email && req.body.email.toLowerCase() !== req.user.email;
+
+    if (emailChanged) {
+        const emailTaken = await User.exists({ email: req.body.email.toLowerCase(), _id: { $ne: req.user._id } });
+        if (emailTaken) {
+            return res.status(400).json({
+                success: false,
+                error: 'User already exists with this email'
+            });
+        }
+
+        fieldsToUpdate.isVerified = false;
+    }
+
     const user = await User.findByIdAndUpdate(
         req.user.id,
         fieldsToUpdate,
@@ -156,9 +184,13 @@ const updateProfile = asyncHandler(async (req, res) => {
         }
     );
 
+    if (emailChanged) {
+        await sendVerificationEmail(user);
+    }
+
     res.status(200).json({
         success: true,
-        data: user
+        data: user.getPublicProfile()
     });
 });
 
@@ -179,13 +211,234 @@ const updatePassword = asyncHandler(async (req, res) => {
     user.password = req.body.newPassword;
     await user.save();
 
-    const token = generateToken(user._id);
+    // Sign out every device, then start a fresh session for this one
+    const sessions = await Session.find({ user: user._id, revokedAt: { $exists: false } }).select('_id');
+    await Session.revokeAllForUser(user._id, 'password_changed');
+    disconnectSessionSockets(req.app.get('io'), sessions.map(s => s._id));
+
+    const { token, refreshToken, refreshTokenExpiresAt } = await createSession(user, req);
 
     res.status(200).json({
         success: true,
         data: {
-            token
+            token,
+            refreshToken,
+            refreshTokenExpiresAt
+        }
+    });
+});
+
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshSession = asyncHandler(async (req, res) => {
+    const result = await rotateRefreshToken(req.body.refreshToken);
+
+    if (!result) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid or expired refresh token'
+        });
+    }
+
+    const user = await User.findById(result.session.user);
+
+    if (!user || !user.isActive) {
+        await result.session.revoke('account_deactivated');
+        return res.status(401).json({
+            success: false,
+            error: 'User account is deactivated'
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            token: result.token,
+            refreshToken: result.refreshToken,
+            refreshTokenExpiresAt: result.refreshTokenExpiresAt
+        }
+    });
+});
+
+// @desc    Logout current session
+// @route   POST /api/auth/logout
+// @access  Private
+const logout = asyncHandler(async (req, res) => {
+    await Session.updateOne(
+        { _id: req.sessionId, revokedAt: { $exists: false } },
+        { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+
+    disconnectSessionSockets(req.app.get('io'), [req.sessionId]);
+
+    res.status(200).json({
+        success: true,
+        message: 'Logged out successfully'
+    });
+});
+
+// @desc    Get active sessions for logged in user
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+    const sessions = await Session.find({
+        user: req.user.id,
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    const data = sessions.map(session => ({
+        ...session.toObject(),
+        isCurrent: session._id.toString() === req.sessionId
+    }));
+
+    res.status(200).json({
+        success: true,
+        count: data.length,
+        data
+    });
+});
+
+// @desc    Revoke a session (sign out a device)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = asyncHandler(async (req, res) => {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!session) {
+        return res.status(404).json({
+            success: false,
+            error: 'Session not found'
+        });
+    }
+
+    await session.revoke('revoked');
+    disconnectSessionSockets(req.app.get('io'), [session._id]);
+
+    res.status(200).json({
+        success: true,
+        message: 'Session revoked successfully'
+    });
+});
+
+// @desc    Revoke all sessions except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+    const sessions = await Session.find({
+        user: req.user.id,
+        _id: { $ne: req.sessionId },
+        revokedAt: { $exists: false }
+    }).select('_id');
+
+    await Session.revokeAllForUser(req.user.id, 'revoked', req.sessionId);
+    disconnectSessionSockets(req.app.get('io'), sessions.map(s => s._id));
+
+    res.status(200).json({
+        success: true,
+        message: `Revoked ${sessions.length} sessions`
+    });
+});
+
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = asyncHandler(async (req, res) => {
+    const user = await User.consumeEmailVerificationToken(req.body.token);
+
+    if (!user) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid or expired verification token'
+        });
+    }
+
+    user.isVerified = true;
+    await user.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Email verified successfully'
+    });
+});
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id);
+
+    if (user.isVerified) {
+        return res.status(400).json({
+            success: false,
+            error: 'Email is already verified'
+        });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+        success: true,
+        message: 'Verification email sent'
+    });
+});
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    // Only send to active accounts, but always answer the same way
+    // so the endpoint cannot be used to discover registered emails
+    if (user && user.isActive) {
+        const token = user.createPasswordResetToken(PASSWORD_RESET_EXPIRE_MINUTES);
+        await user.save();
+
+        try {
+            await sendMail(passwordResetEmail(user, token, PASSWORD_RESET_EXPIRE_MINUTES));
+        } catch (error) {
+            logger.error(`Failed to send password reset email to ${user.email}:`, error.message);
         }
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent'
+    });
+});
+
+// @desc    Reset password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+
+    const user = await User.consumePasswordResetToken(token);
+
+    if (!user || !user.isActive) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid or expired reset token'
+        });
+    }
+
+    user.password = password;
+    // Receiving the reset email proves ownership of the address
+    user.isVerified = true;
+    await user.save();
+
+    // Sign out every device that used the old password
+    const sessions = await Session.find({ user: user._id, revokedAt: { $exists: false } }).select('_id');
+    await Session.revokeAllForUser(user._id, 'password_reset');
+    disconnectSessionSockets(req.app.get('io'), sessions.map(s => s._id));
+
+    res.status(200).json({
+        success: true,
+        message: 'Password reset successfully. Please log in with your new password.'
     });
 });
 
@@ -194,5 +447,14 @@ module.exports = {
     login,
     getMe,
     updateProfile,
-    updatePassword
+    updatePassword,
+    refreshSession,
+    logout,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword
 };
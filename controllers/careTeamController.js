@@ -0,0 +1,217 @@
+// Care Team controller - handles doctor-patient care relationships
+
+const CareRelationship = require('../models/CareRelationship');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+
+const populateRelationship = async (relationship) => {
+    await relationship.populate('doctor', 'name email doctorInfo.specialization doctorInfo.department');
+    await relationship.populate('patient', 'name email');
+    return relationship;
+};
+
+// @desc    Invite a doctor or patient to a care relationship
+// @route   POST /api/care-team/invite
+// @access  Private (Doctors invite patients, patients invite doctors, admins link both directly)
+const inviteToCareTeam = asyncHandler(async (req, res) => {
+    const { userId, doctorId, patientId, note } = req.body;
+
+    let doctor;
+    let patient;
+
+    if (req.user.role === 'admin') {
+        doctor = doctorId;
+        patient = patientId;
+    } else if (req.user.role === 'doctor') {
+        doctor = req.user.id;
+        patient = userId;
+    } else {
+        doctor = userId;
+        patient = req.user.id;
+    }
+
+    if (!doctor || !patient) {
+        return res.status(400).json({
+            success: false,
+            error: req.user.role === 'admin' ? 'Please provide doctorId and patientId' : 'Please provide userId'
+        });
+    }
+
+    const [doctorUser, patientUser] = await Promise.all([
+        User.findOne({ _id: doctor, role: 'doctor', isActive: true }),
+        User.findOne({ _id: patient, role: 'patient', isActive: true })
+    ]);
+
+    if (!doctorUser || !patientUser) {
+        return res.status(404).json({
+            success: false,
+            error: !doctorUser ? 'Doctor not found' : 'Patient not found'
+        });
+    }
+
+    // Admins create active relationships directly
+    const status = req.user.role === 'admin' ? 'active' : 'pending';
+
+    let relationship = await CareRelationship.findOne({ doctor, patient });
+
+    if (relationship && ['pending', 'active'].includes(relationship.status)) {
+        return res.status(400).json({
+            success: false,
+            error: `A care relationship is already ${relationship.status}`
+        });
+    }
+
+    if (relationship) {
+        // Re-invite after a previous decline or revocation
+        relationship.status = status;
+        relationship.invitedBy = req.user.id;
+        relationship.note = note;
+        relationship.respondedAt = status === 'active' ? new Date() : undefined;
+        relationship.revokedBy = undefined;
+        relationship.revokedAt = undefined;
+        await relationship.save();
+    } else {
+        relationship = await CareRelationship.create({
+            doctor,
+            patient,
+            status,
+            invitedBy: req.user.id,
+            note,
+            respondedAt: status === 'active' ? new Date() : undefined
+        });
+    }
+
+    await populateRelationship(relationship);
+
+    res.status(201).json({
+        success: true,
+        data: relationship
+    });
+});
+
+// @desc    Get care relationships for logged in user
+// @route   GET /api/care-team
+// @access  Private
+const getCareTeam = asyncHandler(async (req, res) => {
+    const filter = {};
+
+    if (req.user.role === 'patient') {
+        filter.patient = req.user.id;
+    } else if (req.user.role === 'doctor') {
+        filter.doctor = req.user.id;
+    } else {
+        // Admins can optionally filter by doctor or patient
+        if (req.query.doctorId) filter.doctor = req.query.doctorId;
+        if (req.query.patientId) filter.patient = req.query.patientId;
+    }
+
+    if (req.query.status) {
+        filter.status = req.query.status;
+    }
+
+    const relationships = await CareRelationship.find(filter)
+        .populate('doctor', 'name email doctorInfo.specialization doctorInfo.department')
+        .populate('patient', 'name email')
+        .sort({ updatedAt: -1 });
+
+    res.status(200).json({
+        success: true,
+        count: relationships.length,
+        data: relationships
+    });
+});
+
+// Shared handler for accepting or declining an invitation
+const respondToInvitation = (status) => asyncHandler(async (req, res) => {
+    const relationship = await CareRelationship.findById(req.params.id);
+
+    if (!relationship) {
+        return res.status(404).json({
+            success: false,
+            error: 'Care relationship not found'
+        });
+    }
+
+    if (!relationship.isInvitee(req.user.id)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Only the invited user can respond to this invitation'
+        });
+    }
+
+    if (relationship.status !== 'pending') {
+        return res.status(400).json({
+            success: false,
+            error: `Invitation is already ${relationship.status}`
+        });
+    }
+
+    relationship.status = status;
+    relationship.respondedAt = new Date();
+    await relationship.save();
+
+    await populateRelationship(relationship);
+
+    res.status(200).json({
+        success: true,
+        data: relationship
+    });
+});
+
+// @desc    Accept a care relationship invitation
+// @route   PATCH /api/care-team/:id/accept
+// @access  Private (Invited user only)
+const acceptInvitation = respondToInvitation('active');
+
+// @desc    Decline a care relationship invitation
+// @route   PATCH /api/care-team/:id/decline
+// @access  Private (Invited user only)
+const declineInvitation = respondToInvitation('declined');
+
+// @desc    Revoke a care relationship
+// @route   PATCH /api/care-team/:id/revoke
+// @access  Private (Either party or admin)
+const revokeRelationship = asyncHandler(async (req, res) => {
+    const relationship = await CareRelationship.findById(req.params.id);
+
+    if (!relationship) {
+        return res.status(404).json({
+            success: false,
+            error: 'Care relationship not found'
+        });
+    }
+
+    if (req.user.role !== 'admin' && !relationship.isParty(req.user.id)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Not authorized to revoke this care relationship'
+        });
+    }
+
+    if (!['pending', 'active'].includes(relationship.status)) {
+        return res.status(400).json({
+            success: false,
+            error: `Care relationship is already ${relationship.status}`
+        });
+    }
+
+    relationship.status = 'revoked';
+    relationship.revokedBy = req.user.id;
+    relationship.revokedAt = new Date();
+    await relationship.save();
+
+    await populateRelationship(relationship);
+
+    res.status(200).json({
+        success: true,
+        data: relationship
+    });
+});
+
+module.exports = {
+    inviteToCareTeam,
+    getCareTeam,
+    acceptInvitation,
+    declineInvitation,
+    revokeRelationship
+};
@@ -1,9 +1,16 @@
 // Chat controller - handles conversation and message management
 
+const path = require('path');
+const mongoose = require('mongoose');
 const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
+const Attachment = require('../models/Attachment');
 const User = require('../models/User');
+const CareRelationship = require('../models/CareRelationship');
 const asyncHandler = require('../utils/asyncHandler');
+const { getStorage } = require('../config/storage');
+const { editMessage, deleteMessage, broadcastMessageChange } = require('../utils/messageActions');
+const { cancelPendingChatPush } = require('../utils/chatPushNotifier');
 
 // @desc    Get all conversations for logged-in user
 // @route   GET /api/chat/conversations
@@ -82,13 +89,6 @@ const getConversation = asyncHandler(async (req, res) => {
 const createConversation = asyncHandler(async (req, res) => {
     const { participantId } = req.body;
 
-    if (!participantId) {
-        return res.status(400).json({
-            success: false,
-            error: 'Please provide participantId'
-        });
-    }
-
     // Check if participant exists
     const participant = await User.findById(participantId);
     if (!participant) {
@@ -116,6 +116,20 @@ const createConversation = asyncHandler(async (req, res) => {
         });
     }
 
+    // Doctors and patients need an active care relationship to chat
+    const roles = [currentUser.role, participant.role];
+    if (roles.includes('doctor') && roles.includes('patient')) {
+        const doctorId = currentUser.role === 'doctor' ? currentUser._id : participant._id;
+        const patientId = currentUser.role === 'patient' ? currentUser._id : participant._id;
+
+        if (!(await CareRelationship.isActiveBetween(doctorId, patientId))) {
+            return res.status(403).json({
+                success: false,
+                error: 'You can only chat with doctors and patients on your care team'
+            });
+        }
+    }
+
     // Find or create conversation
     const conversation = await Conversation.findOrCreate(req.user.id, participantId);
 
@@ -227,6 +241,9 @@ const markAsRead = asyncHandler(async (req, res) => {
     // Reset unread count for this user
     await conversation.resetUnread(req.user.id);
 
+    // No need to push what has already been read
+    await cancelPendingChatPush(req.user.id, id);
+
     res.status(200).json({
         success: true,
         message: `Marked ${unreadMessages.length} messages as read`
@@ -275,11 +292,172 @@ const searchConversations = asyncHandler(async (req, res) => {
     });
 });
 
+// @desc    Upload an attachment to a conversation
+// @route   POST /api/chat/conversations/:id/attachments
+// @access  Private (Conversation participants)
+const createAttachment = asyncHandler(async (req, res) => {
+    const conversation = await Conversation.findById(req.params.id);
+
+    if (!conversation) {
+        return res.status(404).json({
+            success: false,
+            error: 'Conversation not found'
+        });
+    }
+
+    const isParticipant = conversation.participants.some(
+        p => p.toString() === req.user.id
+    );
+
+    if (!isParticipant) {
+        return res.status(403).json({
+            success: false,
+            error: 'Not authorized to access this conversation'
+        });
+    }
+
+    // Store under a generated name; the original filename is only kept as metadata
+    const attachmentId = new mongoose.Types.ObjectId();
+    const extension = path.extname(req.file.originalname).toLowerCase().replace(/[^a-z0-9.]/g, '');
+    const storageKey = `attachments/${conversation._id}/${attachmentId}${extension}`;
+
+    await getStorage().save(storageKey, req.file.buffer);
+
+    const attachment = await Attachment.create({
+        _id: attachmentId,
+        conversation: conversation._id,
+        uploader: req.user.id,
+        storageKey,
+        filename: path.basename(req.file.originalname),
+        mimeType: req.file.mimetype,
+        size: req.file.size
+    });
+
+    res.status(201).json({
+        success: true,
+        data: attachment
+    });
+});
+
+// @desc    Download an attachment
+// @route   GET /api/chat/conversations/:id/attachments/:attachmentId
+// @access  Private (Conversation participants)
+const getAttachment = asyncHandler(async (req, res) => {
+    const conversation = await Conversation.findById(req.params.id);
+
+    if (!conversation) {
+        return res.status(404).json({
+            success: false,
+            error: 'Conversation not found'
+        });
+    }
+
+    const isParticipant = conversation.participants.some(
+        p => p.toString() === req.user.id
+    );
+
+    if (!isParticipant) {
+        return res.status(403).json({
+            success: false,
+            error: 'Not authorized to access this conversation'
+        });
+    }
+
+    const attachment = await Attachment.findOne({
+        _id: req.params.attachmentId,
+        conversation: conversation._id
+    }).select('+storageKey');
+
+    if (!attachment) {
+        return res.status(404).json({
+            success: false,
+            error: 'Attachment not found'
+        });
+    }
+
+    let stream;
+    try {
+        stream = await getStorage().createReadStream(attachment.storageKey);
+    } catch (error) {
+        return res.status(404).json({
+            success: false,
+            error: 'Attachment file is no longer available'
+        });
+    }
+
+    const disposition = attachment.messageType === 'image' ? 'inline' : 'attachment';
+
+    res.set({
+        'Content-Type': attachment.mimeType,
+        'Content-Length': attachment.size,
+        'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+        'Cache-Control': 'private, no-store',
+        'X-Content-Type-Options': 'nosniff'
+    });
+
+    stream.pipe(res);
+});
+
+// @desc    Edit a message
+// @route   PATCH /api/chat/conversations/:id/messages/:messageId
+// @access  Private (Sender only, within the edit window)
+const updateMessage = asyncHandler(async (req, res) => {
+    const result = await editMessage({
+        conversationId: req.params.id,
+        messageId: req.params.messageId,
+        userId: req.user.id,
+        content: req.body.content
+    });
+
+    if (result.error) {
+        return res.status(result.status).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    broadcastMessageChange(req.app.get('io'), 'message_updated', result.message);
+
+    res.status(200).json({
+        success: true,
+        data: result.message
+    });
+});
+
+// @desc    Delete a message
+// @route   DELETE /api/chat/conversations/:id/messages/:messageId
+// @access  Private (Sender only, within the edit window)
+const removeMessage = asyncHandler(async (req, res) => {
+    const result = await deleteMessage({
+        conversationId: req.params.id,
+        messageId: req.params.messageId,
+        userId: req.user.id
+    });
+
+    if (result.error) {
+        return res.status(result.status).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    broadcastMessageChange(req.app.get('io'), 'message_deleted', result.message);
+
+    res.status(200).json({
+        success: true,
+        data: {}
+    });
+});
+
 module.exports = {
     getConversations,
     getConversation,
     createConversation,
     getMessages,
     markAsRead,
-    searchConversations
+    searchConversations,
+    createAttachment,
+    getAttachment,
+    updateMessage,
+    removeMessage
 };
@@ -0,0 +1,254 @@
+// Dose controller - handles medication dose adherence tracking
+
+const Medication = require('../models/Medication');
+const User = require('../models/User');
+const DoseEvent = require('../models/DoseEvent');
+const asyncHandler = require('../utils/asyncHandler');
+const { canAccessPatient } = require('../utils/careTeam');
+const { parseDateRange, calculateAdherence, toAdherencePercentage } = require('../utils/adherenceCalculator');
+const { resolveTimezone, formatZonedTime } = require('../utils/timezone');
+const { findScheduledDose } = require('../utils/medicationSchedule');
+
+const DEFAULT_SNOOZE_MINUTES = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dose times are wall-clock times in the patient's timezone
+const getPatientTimezone = async (patientId) => {
+    const patient = await User.findById(patientId).select('timezone');
+    return resolveTimezone(patient && patient.timezone);
+};
+
+// @desc    Record a dose as taken, skipped or snoozed
+// @route   POST /api/medications/:id/doses
+// @access  Private (Patient only - for their own medications)
+const recordDose = asyncHandler(async (req, res) => {
+    const { scheduledFor, status, reason, snoozeMinutes, takenAt, notes } = req.body;
+
+    const medication = await Medication.findById(req.params.id);
+
+    if (!medication) {
+        return res.status(404).json({
+            success: false,
+            error: 'Medication not found'
+        });
+    }
+
+    // Make sure user owns the medication
+    if (medication.patient.toString() !== req.user.id) {
+        return res.status(403).json({
+            success: false,
+            error: 'Not authorized to record doses for this medication'
+        });
+    }
+
+    const doseTime = new Date(scheduledFor);
+
+    // Scheduled medications must match a dose in their schedule
+    const timezone = await getPatientTimezone(medication.patient);
+    const scheduledTime = formatZonedTime(doseTime, timezone);
+    const scheduledDose = findScheduledDose(medication, doseTime, timezone);
+
+    if (medication.frequency !== 'as_needed' && !scheduledDose) {
+        return res.status(400).json({
+            success: false,
+            error: `No dose of this medication is scheduled at ${scheduledTime} on that day`
+        });
+    }
+
+    if (status === 'skipped' && !reason) {
+        return res.status(400).json({
+            success: false,
+            error: 'Please provide a reason for skipping the dose'
+        });
+    }
+
+    const update = {
+        scheduledTime,
+        dosage: scheduledDose ? scheduledDose.dosage : medication.dosage,
+        status,
+        notes
+    };
+
+    if (status === 'taken') {
+        update.takenAt = takenAt ? new Date(takenAt) : new Date();
+    } else if (status === 'skipped') {
+        update.skipReason = reason;
+    } else {
+        const minutes = parseInt(snoozeMinutes) || DEFAULT_SNOOZE_MINUTES;
+        update.snoozedUntil = new Date(Date.now() + minutes * 60 * 1000);
+    }
+
+    const doseEvent = await DoseEvent.record(medication, doseTime, update);
+
+    res.status(201).json({
+        success: true,
+        data: doseEvent
+    });
+});
+
+// @desc    Get dose events for a medication
+// @route   GET /api/medications/:id/doses
+// @access  Private
+const getDoses = asyncHandler(async (req, res) => {
+    const medication = await Medication.findById(req.params.id);
+
+    if (!medication) {
+        return res.status(404).json({
+            success: false,
+            error: 'Medication not found'
+        });
+    }
+
+    if (!(await canAccessPatient(req.user, medication.patient))) {
+        return res.status(403).json({
+            success: false,
+            error: 'Not authorized to access this medication'
+        });
+    }
+
+    const timezone = await getPatientTimezone(medication.patient);
+    const { from, to, error } = parseDateRange(req.query, timezone);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error
+        });
+    }
+
+    const filter = { medication: medication._id };
+    if (req.query.status) {
+        filter.status = req.query.status;
+    }
+
+    const doses = await DoseEvent.findInRange(filter, from, to);
+
+    res.status(200).json({
+        success: true,
+        count: doses.length,
+        data: doses
+    });
+});
+
+// @desc    Get adherence for a single medication
+// @route   GET /api/medications/:id/doses/adherence
+// @access  Private
+const getMedicationAdherence = asyncHandler(async (req, res) => {
+    const medication = await Medication.findById(req.params.id);
+
+    if (!medication) {
+        return res.status(404).json({
+            success: false,
+            error: 'Medication not found'
+        });
+    }
+
+    if (!(await canAccessPatient(req.user, medication.patient))) {
+        return res.status(403).json({
+            success: false,
+            error: 'Not authorized to access this medication'
+        });
+    }
+
+    const timezone = await getPatientTimezone(medication.patient);
+    const { from, to, error } = parseDateRange(req.query, timezone);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error
+        });
+    }
+
+    const events = await DoseEvent.findInRange({ medication: medication._id }, from, to);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            from,
+            to,
+            timezone,
+            ...calculateAdherence(medication, events, from, to, timezone)
+        }
+    });
+});
+
+// @desc    Get adherence across all medications of a patient
+// @route   GET /api/medications/adherence
+// @access  Private (Patients see their own, care-team doctors/admins pass ?patientId=)
+const getPatientAdherence = asyncHandler(async (req, res) => {
+    let patientId = req.user.id;
+
+    if (req.user.role === 'doctor' || req.user.role === 'admin') {
+        if (!req.query.patientId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Please provide patientId'
+            });
+        }
+        patientId = req.query.patientId;
+    }
+
+    if (!(await canAccessPatient(req.user, patientId))) {
+        return res.status(403).json({
+            success: false,
+            error: 'You are not on this patient\'s care team'
+        });
+    }
+
+    const timezone = await getPatientTimezone(patientId);
+    const { from, to, error } = parseDateRange(req.query, timezone);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error
+        });
+    }
+
+    // Include medications that overlap the range, even if no longer active
+    // Date-only start and end dates are local days, so allow a day either side
+    const medications = await Medication.find({
+        patient: patientId,
+        startDate: { $lte: new Date(to.getTime() + DAY_MS) },
+        $and: [
+            { $or: [{ endDate: { $exists: false } }, { endDate: null }, { endDate: { $gte: new Date(from.getTime() - DAY_MS) } }] },
+            { $or: [{ discontinuedAt: { $exists: false } }, { discontinuedAt: null }, { discontinuedAt: { $gte: from } }] }
+        ]
+    });
+
+    const events = await DoseEvent.findInRange({ patient: patientId }, from, to);
+
+    const perMedication = medications.map(medication => calculateAdherence(
+        medication,
+        events.filter(e => e.medication.toString() === medication._id.toString()),
+        from,
+        to,
+        timezone
+    ));
+
+    const totals = perMedication.reduce((acc, m) => {
+        acc.expected += m.expected;
+        acc.taken += m.taken;
+        acc.skipped += m.skipped;
+        acc.missed += m.missed;
+        return acc;
+    }, { expected: 0, taken: 0, skipped: 0, missed: 0 });
+
+    res.status(200).json({
+        success: true,
+        data: {
+            patientId,
+            from,
+            to,
+            timezone,
+            ...totals,
+            adherencePercentage: toAdherencePercentage(totals.taken, totals.expected),
+            medications: perMedication
+        }
+    });
+});
+
+module.exports = {
+    recordDose,
+    getDoses,
+    getMedicationAdherence,
+    getPatientAdherence
+};
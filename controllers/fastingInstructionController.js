@@ -1,7 +1,12 @@
 // Fasting Instruction controller - handles pre-operative fasting instruction management
 
 const FastingInstruction = require('../models/FastingInstruction');
+const FastingTemplate = require('../models/FastingTemplate');
+const CareRelationship = require('../models/CareRelationship');
+const User = require('../models/User');
 const asyncHandler = require('../utils/asyncHandler');
+const { canAccessPatient } = require('../utils/careTeam');
+const { getDefaultCutoffs, validateCutoffs, getFastingStatus } = require('../utils/fastingRules');
 
 // @desc    Add new fasting instruction
 // @route   POST /api/fasting-instructions
@@ -9,8 +14,10 @@ const asyncHandler = require('../utils/asyncHandler');
 const addFastingInstruction = asyncHandler(async (req, res) => {
     const {
         patient,
+        templateId,
         operationDate,
         operationType,
+        fastingCutoffs,
         extraFastingRules,
         hygieneInstructions,
         administrativeInstructions,
@@ -19,26 +26,75 @@ const addFastingInstruction = asyncHandler(async (req, res) => {
         doctorNotes
     } = req.body;
 
-    // Check if user is doctor or admin
-    if (req.user.role !== 'doctor' && req.user.role !== 'admin' && req.user.role !== 'patient') {
+    // The instruction must be for an active patient account
+    const patientExists = await User.exists({ _id: patient, role: 'patient', isActive: true });
+
+    if (!patientExists) {
+        return res.status(400).json({
+            success: false,
+            error: 'Please provide a valid patient'
+        });
+    }
+
+    // Doctors can only create instructions for patients on their care team
+    if (!(await canAccessPatient(req.user, patient))) {
         return res.status(403).json({
             success: false,
-            error: 'Only doctors and administrators can create fasting instructions'
+            error: 'You are not on this patient\'s care team'
         });
     }
 
+    if (fastingCutoffs !== undefined) {
+        const cutoffError = validateCutoffs(fastingCutoffs);
+        if (cutoffError) {
+            return res.status(400).json({
+                success: false,
+                error: cutoffError
+            });
+        }
+    }
+
+    // Fields not given in the request are copied from the template
+    let template = null;
+    if (templateId) {
+        template = await FastingTemplate.findOne({ _id: templateId, isActive: true });
+
+        if (!template || !template.isVisibleTo(req.user)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Fasting template not found'
+            });
+        }
+    }
+
+    const fromTemplate = (value, field) => {
+        if (value !== undefined) {
+            return value;
+        }
+        return template ? template[field].toObject() : [];
+    };
+
+    // Fall back to the template's cut-offs, then the doctor's defaults
+    let cutoffs = fromTemplate(fastingCutoffs, 'fastingCutoffs');
+    if (cutoffs.length === 0) {
+        cutoffs = getDefaultCutoffs(req.user.doctorInfo);
+    }
+
     // Create fasting instruction
     const fastingInstruction = await FastingInstruction.create({
         patient,
         doctor: req.user.id,
         operationDate,
         operationType,
-        extraFastingRules: extraFastingRules || [],
-        hygieneInstructions: hygieneInstructions || [],
-        administrativeInstructions: administrativeInstructions || [],
-        medicalExceptions: medicalExceptions || [],
+        fastingCutoffs: cutoffs,
+        extraFastingRules: fromTemplate(extraFastingRules, 'extraFastingRules'),
+        hygieneInstructions: fromTemplate(hygieneInstructions, 'hygieneInstructions'),
+        administrativeInstructions: fromTemplate(administrativeInstructions, 'administrativeInstructions'),
+        medicalExceptions: fromTemplate(medicalExceptions, 'medicalExceptions'),
         personalNotes: personalNotes || [],
-        doctorNotes
+        doctorNotes,
+        template: template ? template._id : undefined,
+        templateVersion: template ? template.version : undefined
     });
 
     // Populate patient and doctor information
@@ -62,7 +118,16 @@ const getFastingInstructions = asyncHandler(async (req, res) => {
         filter.patient = req.user.id;
     } else if (req.query.patientId) {
         // Doctors/Admins can optionally filter by patientId
+        if (!(await canAccessPatient(req.user, req.query.patientId))) {
+            return res.status(403).json({
+                success: false,
+                error: 'You are not on this patient\'s care team'
+            });
+        }
         filter.patient = req.query.patientId;
+    } else if (req.user.role === 'doctor') {
+        // Doctors only see instructions for patients on their care team
+        filter.patient = { $in: await CareRelationship.getPatientIds(req.user.id) };
     }
 
     // Optional: filter by active status
@@ -83,7 +148,10 @@ const getFastingInstructions = asyncHandler(async (req, res) => {
     res.status(200).json({
         success: true,
         count: fastingInstructions.length,
-        data: fastingInstructions
+        data: fastingInstructions.map(fastingInstruction => ({
+            ...fastingInstruction.toObject(),
+            completion: fastingInstruction.getCompletionStatus()
+        }))
     });
 });
 
@@ -103,8 +171,8 @@ const getFastingInstruction = asyncHandler(async (req, res) => {
     }
 
     // Check authorization
-    // Patients can only view their own instructions
-    if (req.user.role === 'patient' && fastingInstruction.patient._id.toString() !== req.user.id) {
+    // Patients can only view their own instructions, doctors need a care relationship
+    if (!(await canAccessPatient(req.user, fastingInstruction.patient))) {
         return res.status(403).json({
             success: false,
             error: 'Not authorized to access this fasting instruction'
@@ -121,14 +189,6 @@ const getFastingInstruction = asyncHandler(async (req, res) => {
 // @route   PUT /api/fasting-instructions/:id
 // @access  Private (Doctor/Admin only)
 const updateFastingInstruction = asyncHandler(async (req, res) => {
-    // Check if user is doctor or admin
-    if (req.user.role !== 'doctor' && req.user.role !== 'admin') {
-        return res.status(403).json({
-            success: false,
-            error: 'Only doctors and administrators can update fasting instructions'
-        });
-    }
-
     let fastingInstruction = await FastingInstruction.findById(req.params.id);
 
     if (!fastingInstruction) {
@@ -138,7 +198,14 @@ const updateFastingInstruction = asyncHandler(async (req, res) => {
         });
     }
 
-    // Update the instruction
+    if (!(await canAccessPatient(req.user, fastingInstruction.patient))) {
+        return res.status(403).json({
+            success: false,
+            error: 'You are not on this patient\'s care team'
+        });
+    }
+
+    // Update the instruction (req.body only holds the fields allowed by the route schema)
     fastingInstruction = await FastingInstruction.findByIdAndUpdate(
         req.params.id,
         req.body,
@@ -159,14 +226,6 @@ const updateFastingInstruction = asyncHandler(async (req, res) => {
 // @route   DELETE /api/fasting-instructions/:id
 // @access  Private (Doctor/Admin only)
 const deleteFastingInstruction = asyncHandler(async (req, res) => {
-    // Check if user is doctor or admin
-    if (req.user.role !== 'doctor' && req.user.role !== 'admin') {
-        return res.status(403).json({
-            success: false,
-            error: 'Only doctors and administrators can delete fasting instructions'
-        });
-    }
-
     const fastingInstruction = await FastingInstruction.findById(req.params.id);
 
     if (!fastingInstruction) {
@@ -176,6 +235,13 @@ const deleteFastingInstruction = asyncHandler(async (req, res) => {
         });
     }
 
+    if (!(await canAccessPatient(req.user, fastingInstruction.patient))) {
+        return res.status(403).json({
+            success: false,
+            error: 'You are not on this patient\'s care team'
+        });
+    }
+
     await fastingInstruction.deleteOne();
 
     res.status(200).json({
@@ -186,13 +252,13 @@ const deleteFastingInstruction = asyncHandler(async (req, res) => {
 
 // @desc    Get fasting instructions for a specific patient
 // @route   GET /api/fasting-instructions/patient/:patientId
-// @access  Private (Doctor/Admin only)
+// @access  Private (Care-team doctors, admins and the patient)
 const getPatientFastingInstructions = asyncHandler(async (req, res) => {
-    // Check if user is doctor or admin
-    if (req.user.role !== 'doctor' && req.user.role !== 'admin') {
+    // Check that the user has a care relationship with the patient
+    if (!(await canAccessPatient(req.user, req.params.patientId))) {
         return res.status(403).json({
             success: false,
-            error: 'Only doctors and administrators can view patient fasting instructions'
+            error: 'Not authorized to view this patient\'s fasting instructions'
         });
     }
 
@@ -214,14 +280,6 @@ const getPatientFastingInstructions = asyncHandler(async (req, res) => {
 // @route   PATCH /api/fasting-instructions/:id/toggle
 // @access  Private (Doctor/Admin only)
 const toggleFastingInstructionStatus = asyncHandler(async (req, res) => {
-    // Check if user is doctor or admin
-    if (req.user.role !== 'doctor' && req.user.role !== 'admin') {
-        return res.status(403).json({
-            success: false,
-            error: 'Only doctors and administrators can toggle fasting instruction status'
-        });
-    }
-
     let fastingInstruction = await FastingInstruction.findById(req.params.id);
 
     if (!fastingInstruction) {
@@ -231,6 +289,13 @@ const toggleFastingInstructionStatus = asyncHandler(async (req, res) => {
         });
     }
 
+    if (!(await canAccessPatient(req.user, fastingInstruction.patient))) {
+        return res.status(403).json({
+            success: false,
+            error: 'You are not on this patient\'s care team'
+        });
+    }
+
     fastingInstruction.isActive = !fastingInstruction.isActive;
     await fastingInstruction.save();
 
@@ -246,14 +311,6 @@ const toggleFastingInstructionStatus = asyncHandler(async (req, res) => {
 const updatePatientPersonalNotes = asyncHandler(async (req, res) => {
     const { personalNotes } = req.body;
 
-    // Validate that personalNotes is provided and is an array
-    if (!personalNotes || !Array.isArray(personalNotes)) {
-        return res.status(400).json({
-            success: false,
-            error: 'Personal notes must be provided as an array'
-        });
-    }
-
     let fastingInstruction = await FastingInstruction.findById(req.params.id);
 
     if (!fastingInstruction) {
@@ -263,8 +320,8 @@ const updatePatientPersonalNotes = asyncHandler(async (req, res) => {
         });
     }
 
-    // Check if patient is updating their own instruction
-    if (req.user.role === 'patient' && fastingInstruction.patient.toString() !== req.user.id) {
+    // Personal notes belong to the patient: only they can change them
+    if (fastingInstruction.patient.toString() !== req.user.id) {
         return res.status(403).json({
             success: false,
             error: 'You can only update your own fasting instructions'
@@ -285,6 +342,142 @@ const updatePatientPersonalNotes = asyncHandler(async (req, res) => {
     });
 });
 
+// @desc    Acknowledge that the patient has read a fasting instruction
+// @route   PATCH /api/fasting-instructions/:id/acknowledge
+// @access  Private (Patient only - for their own instructions)
+const acknowledgeFastingInstruction = asyncHandler(async (req, res) => {
+    const fastingInstruction = await FastingInstruction.findById(req.params.id);
+
+    if (!fastingInstruction) {
+        return res.status(404).json({
+            success: false,
+            error: 'Fasting instruction not found'
+        });
+    }
+
+    if (fastingInstruction.patient.toString() !== req.user.id) {
+        return res.status(403).json({
+            success: false,
+            error: 'You can only acknowledge your own fasting instructions'
+        });
+    }
+
+    // Keep the time of the first acknowledgement
+    if (!fastingInstruction.acknowledgedAt) {
+        fastingInstruction.acknowledgedAt = new Date();
+        await fastingInstruction.save();
+    }
+
+    res.status(200).json({
+        success: true,
+        data: fastingInstruction.getCompletionStatus()
+    });
+});
+
+// @desc    Tick off (or untick) a hygiene or administrative item
+// @route   PATCH /api/fasting-instructions/:id/checklist
+// @access  Private (Patient only - for their own instructions)
+const updateChecklistItem = asyncHandler(async (req, res) => {
+    const { section, item, completed } = req.body;
+
+    const fastingInstruction = await FastingInstruction.findById(req.params.id);
+
+    if (!fastingInstruction) {
+        return res.status(404).json({
+            success: false,
+            error: 'Fasting instruction not found'
+        });
+    }
+
+    if (fastingInstruction.patient.toString() !== req.user.id) {
+        return res.status(403).json({
+            success: false,
+            error: 'You can only update your own fasting instructions'
+        });
+    }
+
+    if (!fastingInstruction.getChecklistItems(section).includes(item)) {
+        return res.status(400).json({
+            success: false,
+            error: `Item is not part of the ${section} instructions`
+        });
+    }
+
+    fastingInstruction.setChecklistItem(section, item, completed);
+    await fastingInstruction.save();
+
+    res.status(200).json({
+        success: true,
+        data: fastingInstruction.getCompletionStatus()
+    });
+});
+
+// @desc    Get what the patient can still eat or drink right now
+// @route   GET /api/fasting-instructions/:id/status
+// @access  Private (Patient and care team)
+const getFastingInstructionStatus = asyncHandler(async (req, res) => {
+    const fastingInstruction = await FastingInstruction.findById(req.params.id);
+
+    if (!fastingInstruction) {
+        return res.status(404).json({
+            success: false,
+            error: 'Fasting instruction not found'
+        });
+    }
+
+    if (!(await canAccessPatient(req.user, fastingInstruction.patient))) {
+        return res.status(403).json({
+            success: false,
+            error: 'Not authorized to access this fasting instruction'
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        data: getFastingStatus(fastingInstruction)
+    });
+});
+
+// @desc    Get the logged in doctor's default fasting cut-offs
+// @route   GET /api/fasting-instructions/cutoff-defaults
+// @access  Private (Doctor only)
+const getCutoffDefaults = asyncHandler(async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: getDefaultCutoffs(req.user.doctorInfo)
+    });
+});
+
+// @desc    Replace the logged in doctor's default fasting cut-offs
+// @route   PUT /api/fasting-instructions/cutoff-defaults
+// @access  Private (Doctor only)
+const updateCutoffDefaults = asyncHandler(async (req, res) => {
+    const { fastingCutoffs } = req.body;
+
+    const cutoffError = validateCutoffs(fastingCutoffs);
+    if (cutoffError) {
+        return res.status(400).json({
+            success: false,
+            error: cutoffError
+        });
+    }
+
+    // An empty list resets to the built-in defaults
+    const user = await User.findByIdAndUpdate(
+        req.user.id,
+        { 'doctorInfo.fastingCutoffDefaults': fastingCutoffs },
+        {
+            new: true,
+            runValidators: true
+        }
+    );
+
+    res.status(200).json({
+        success: true,
+        data: getDefaultCutoffs(user.doctorInfo)
+    });
+});
+
 module.exports = {
     addFastingInstruction,
     getFastingInstructions,
@@ -293,5 +486,10 @@ module.exports = {
     deleteFastingInstruction,
     getPatientFastingInstructions,
     toggleFastingInstructionStatus,
-    updatePatientPersonalNotes
+    updatePatientPersonalNotes,
+    acknowledgeFastingInstruction,
+    updateChecklistItem,
+    getFastingInstructionStatus,
+    getCutoffDefaults,
+    updateCutoffDefaults
 };
@@ -0,0 +1,196 @@
+// Fasting Template controller - handles reusable fasting instruction templates
+
+const FastingTemplate = require('../models/FastingTemplate');
+const asyncHandler = require('../utils/asyncHandler');
+const { validateCutoffs } = require('../utils/fastingRules');
+
+// Fields a doctor can set on a template
+const TEMPLATE_FIELDS = [
+    'name',
+    'description',
+    'scope',
+    'fastingCutoffs',
+    'extraFastingRules',
+    'hygieneInstructions',
+    'administrativeInstructions',
+    'medicalExceptions'
+];
+
+const pickTemplateFields = (body) => {
+    const fields = {};
+    TEMPLATE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) {
+            fields[field] = body[field];
+        }
+    });
+    return fields;
+};
+
+// Check the fields that the schema cannot validate on its own
+// Returns an error message, or null if the fields are valid
+const validateTemplateFields = (fields, owner) => {
+    if (fields.fastingCutoffs !== undefined) {
+        const cutoffError = validateCutoffs(fields.fastingCutoffs);
+        if (cutoffError) {
+            return cutoffError;
+        }
+    }
+
+    if (fields.scope === 'department' && !(owner.doctorInfo && owner.doctorInfo.department)) {
+        return 'Set a department on your profile before sharing templates department-wide';
+    }
+
+    return null;
+};
+
+// @desc    Get fasting templates visible to the logged in doctor
+// @route   GET /api/fasting-instructions/templates
+// @access  Private (Doctor/Admin only)
+const getTemplates = asyncHandler(async (req, res) => {
+    const filter = FastingTemplate.visibleFilter(req.user);
+
+    // Archived templates are hidden unless asked for
+    if (req.query.includeArchived !== 'true') {
+        filter.isActive = true;
+    }
+
+    if (req.query.scope) {
+        filter.scope = req.query.scope;
+    }
+
+    const templates = await FastingTemplate.find(filter)
+        .populate('owner', 'name email doctorInfo.department')
+        .sort({ name: 1 });
+
+    res.status(200).json({
+        success: true,
+        count: templates.length,
+        data: templates
+    });
+});
+
+// @desc    Get single fasting template
+// @route   GET /api/fasting-instructions/templates/:id
+// @access  Private (Owner, department doctors and admins)
+const getTemplate = asyncHandler(async (req, res) => {
+    const template = await FastingTemplate.findById(req.params.id)
+        .populate('owner', 'name email doctorInfo.department');
+
+    // Hide templates the user cannot see rather than revealing they exist
+    if (!template || !template.isVisibleTo(req.user)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Fasting template not found'
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        data: template
+    });
+});
+
+// @desc    Create fasting template
+// @route   POST /api/fasting-instructions/templates
+// @access  Private (Doctor only)
+const createTemplate = asyncHandler(async (req, res) => {
+    const fields = pickTemplateFields(req.body);
+
+    const validationError = validateTemplateFields(fields, req.user);
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: validationError
+        });
+    }
+
+    const template = await FastingTemplate.create({
+        ...fields,
+        owner: req.user.id,
+        department: req.user.doctorInfo && req.user.doctorInfo.department
+    });
+
+    res.status(201).json({
+        success: true,
+        data: template
+    });
+});
+
+// @desc    Update fasting template (creates a new version)
+// @route   PUT /api/fasting-instructions/templates/:id
+// @access  Private (Owner/Admin only)
+const updateTemplate = asyncHandler(async (req, res) => {
+    const template = await FastingTemplate.findById(req.params.id).populate('owner', 'doctorInfo.department');
+
+    if (!template || !template.isVisibleTo(req.user)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Fasting template not found'
+        });
+    }
+
+    if (!template.isEditableBy(req.user)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Only the template owner can update this template'
+        });
+    }
+
+    const fields = pickTemplateFields(req.body);
+
+    const validationError = validateTemplateFields(fields, template.owner);
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: validationError
+        });
+    }
+
+    template.set(fields);
+    template.department = template.owner.doctorInfo && template.owner.doctorInfo.department;
+    template.version += 1;
+    await template.save();
+
+    res.status(200).json({
+        success: true,
+        data: template
+    });
+});
+
+// @desc    Archive fasting template
+// @route   DELETE /api/fasting-instructions/templates/:id
+// @access  Private (Owner/Admin only)
+const deleteTemplate = asyncHandler(async (req, res) => {
+    const template = await FastingTemplate.findById(req.params.id);
+
+    if (!template || !template.isVisibleTo(req.user)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Fasting template not found'
+        });
+    }
+
+    if (!template.isEditableBy(req.user)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Only the template owner can delete this template'
+        });
+    }
+
+    // Archived rather than removed: instructions keep a reference to the template
+    template.isActive = false;
+    await template.save();
+
+    res.status(200).json({
+        success: true,
+        data: {}
+    });
+});
+
+module.exports = {
+    getTemplates,
+    getTemplate,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate
+};
@@ -1,22 +1,168 @@
 // Medication controller - handles medication management
 
 const Medication = require('../models/Medication');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const CareRelationship = require('../models/CareRelationship');
 const asyncHandler = require('../utils/asyncHandler');
+const { canAccessPatient } = require('../utils/careTeam');
+const { checkMedication, getDatasetVersion } = require('../utils/interactionChecker');
+const { validateSchedule } = require('../utils/medicationSchedule');
 
-// @desc    Add new medication
+// Fields a patient may still change on a medication prescribed by a doctor
+const PATIENT_EDITABLE_PRESCRIPTION_FIELDS = ['reminders', 'notes'];
+
+// Check whether a user can change a medication
+// Patients manage their own medications, care-team doctors manage their patients'
+const canManageMedication = async (user, medication) => {
+    if (user.role === 'patient') {
+        return medication.patient.toString() === user.id;
+    }
+    return user.role === 'doctor' && canAccessPatient(user, medication.patient);
+};
+
+// Check a medication against the patient's other active medications and allergies
+// Overridden warnings are still returned, flagged with overridden: true
+const getInteractionWarnings = async (medication) => {
+    const [otherMedications, patient] = await Promise.all([
+        Medication.find({ patient: medication.patient, isActive: true, _id: { $ne: medication._id } }),
+        User.findById(medication.patient).select('patientInfo.allergies')
+    ]);
+
+    const allergies = (patient && patient.patientInfo && patient.patientInfo.allergies) || [];
+
+    return checkMedication(medication, otherMedications, allergies).map(warning => {
+        let overridden = medication.hasOverride(warning.key);
+
+        // A drug-drug override may have been recorded on the other medication
+        if (!overridden && warning.type === 'drug') {
+            const other = otherMedications.find(m => m._id.equals(warning.interactingMedication._id));
+            const mirrorKey = warning.key.replace(`drug:${other._id}:`, `drug:${medication._id}:`);
+            overridden = other.hasOverride(mirrorKey);
+        }
+
+        return { ...warning, overridden };
+    });
+};
+
+// Alert the patient's care-team doctors about high-severity warnings nobody has overridden
+// The acting doctor already sees the warnings in the response
+const notifyInteractionWarnings = async (medication, warnings, actorId) => {
+    const highWarnings = warnings.filter(w => w.severity === 'high' && !w.overridden);
+
+    if (!medication.isActive || highWarnings.length === 0) {
+        return;
+    }
+
+    const doctorIds = (await CareRelationship.getDoctorIds(medication.patient))
+        .filter(doctorId => doctorId.toString() !== actorId);
+
+    if (doctorIds.length === 0) {
+        return;
+    }
+
+    const patient = await User.findById(medication.patient).select('name');
+
+    for (const doctorId of doctorIds) {
+        for (const warning of highWarnings) {
+            const conflict = warning.type === 'drug'
+                ? `${medication.name} with ${warning.interactingMedication.name}`
+                : `${medication.name} with allergy "${warning.allergy}"`;
+
+            // One alert per doctor and warning, however often the medication is saved
+            await Notification.updateOne(
+                { dedupeKey: `interaction:${doctorId}:${medication._id}:${warning.key}` },
+                {
+                    $setOnInsert: {
+                        user: doctorId,
+                        type: 'medication',
+                        relatedEntity: {
+                            entityType: 'Medication',
+                            entityId: medication._id
+                        },
+                        title: '⚠️ High-Severity Interaction',
+                        body: `${patient ? patient.name : 'Patient'}: ${conflict}. ${warning.description}`.slice(0, 500),
+                        data: {
+                            type: 'medication_interaction',
+                            medicationId: medication._id.toString(),
+                            patientId: medication.patient.toString(),
+                            warningKey: warning.key,
+                            severity: warning.severity
+                        },
+                        priority: 'high',
+                        deliveryStatus: 'pending',
+                        scheduledFor: new Date()
+                    }
+                },
+                { upsert: true }
+            );
+        }
+    }
+};
+
+// @desc    Add new medication (patients add their own, doctors prescribe)
 // @route   POST /api/medications
-// @access  Private (Patient only)
+// @access  Private (Patients and care-team doctors)
 const addMedication = asyncHandler(async (req, res) => {
-    const { name, type, dosage, frequency, times, instructions, startDate, endDate, reminders, notes } = req.body;
+    const {
+        patientId, name, type, dosage, frequency, times, recurrence, taperingSteps,
+        instructions, startDate, endDate, reminders, notes
+    } = req.body;
+
+    const scheduleError = validateSchedule(req.body);
+    if (scheduleError) {
+        return res.status(400).json({
+            success: false,
+            error: scheduleError
+        });
+    }
+
+    let patient = req.user.id;
+    let prescription = {};
+
+    if (req.user.role === 'doctor') {
+        if (!patientId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Please provide patientId'
+            });
+        }
+
+        const patientExists = await User.exists({ _id: patientId, role: 'patient', isActive: true });
+        if (!patientExists) {
+            return res.status(404).json({
+                success: false,
+                error: 'Patient not found'
+            });
+        }
+
+        if (!(await canAccessPatient(req.user, patientId))) {
+            return res.status(403).json({
+                success: false,
+                error: 'You are not on this patient\'s care team'
+            });
+        }
+
+        patient = patientId;
+        prescription = { prescribedBy: req.user.id, prescribedAt: new Date() };
+    } else if (req.user.role !== 'patient') {
+        return res.status(403).json({
+            success: false,
+            error: 'Only patients and their doctors can add medications'
+        });
+    }
 
     // Create medication with patient reference
     const medication = await Medication.create({
-        patient: req.user.id,
+        patient,
+        ...prescription,
         name,
         type,
         dosage,
         frequency,
         times,
+        recurrence,
+        taperingSteps,
         instructions,
         startDate,
         endDate,
@@ -24,19 +170,33 @@ const addMedication = asyncHandler(async (req, res) => {
         notes
     });
 
+    const warnings = await getInteractionWarnings(medication);
+    await notifyInteractionWarnings(medication, warnings, req.user.id);
+
     res.status(201).json({
         success: true,
-        data: medication
+        data: medication,
+        warnings
     });
 });
 
 // @desc    Get all medications for logged in user
 // @route   GET /api/medications
-// @access  Private
+// @access  Private (Care-team doctors and admins pass ?patientId=)
 const getMedications = asyncHandler(async (req, res) => {
     // Filter options
     const filter = { patient: req.user.id };
 
+    if (req.user.role !== 'patient' && req.query.patientId) {
+        if (!(await canAccessPatient(req.user, req.query.patientId))) {
+            return res.status(403).json({
+                success: false,
+                error: 'You are not on this patient\'s care team'
+            });
+        }
+        filter.patient = req.query.patientId;
+    }
+
     // Optional: filter by active status
     if (req.query.active !== undefined) {
         filter.isActive = req.query.active === 'true';
@@ -64,14 +224,16 @@ const getMedication = asyncHandler(async (req, res) => {
         });
     }
 
-    // Make sure user owns the medication
-    if (medication.patient.toString() !== req.user.id) {
+    // Patients see their own medications, doctors need a care relationship
+    if (!(await canAccessPatient(req.user, medication.patient))) {
         return res.status(403).json({
             success: false,
             error: 'Not authorized to access this medication'
         });
     }
 
+    await medication.populate('prescribedBy', 'name email doctorInfo.specialization');
+
     res.status(200).json({
         success: true,
         data: medication
@@ -80,9 +242,9 @@ const getMedication = asyncHandler(async (req, res) => {
 
 // @desc    Update medication
 // @route   PUT /api/medications/:id
-// @access  Private
+// @access  Private (Owner, or care-team doctors)
 const updateMedication = asyncHandler(async (req, res) => {
-    let medication = await Medication.findById(req.params.id);
+    const medication = await Medication.findById(req.params.id);
 
     if (!medication) {
         return res.status(404).json({
@@ -91,32 +253,62 @@ const updateMedication = asyncHandler(async (req, res) => {
         });
     }
 
-    // Make sure user owns the medication
-    if (medication.patient.toString() !== req.user.id) {
+    if (!(await canManageMedication(req.user, medication))) {
         return res.status(403).json({
             success: false,
             error: 'Not authorized to update this medication'
         });
     }
 
-    medication = await Medication.findByIdAndUpdate(
-        req.params.id,
-        req.body,
-        {
-            new: true,
-            runValidators: true
+    // req.body only holds the fields allowed by the route schema
+    const { dosage, taperingSteps, isActive, dosageChangeReason, ...fields } = req.body;
+
+    // Patients can only adjust reminders and notes on a prescription
+    if (req.user.role === 'patient' && medication.isPrescribed()) {
+        const restricted = Object.keys(req.body)
+            .filter(field => !PATIENT_EDITABLE_PRESCRIPTION_FIELDS.includes(field));
+
+        if (restricted.length > 0) {
+            return res.status(403).json({
+                success: false,
+                error: `Only your doctor can change ${restricted.join(', ')} on a prescribed medication`
+            });
         }
-    );
+    }
+
+    medication.set(fields);
+    medication.changeDosage({ dosage, taperingSteps }, req.user.id, dosageChangeReason);
+
+    // Reactivating clears an earlier discontinuation
+    if (isActive === true && !medication.isActive) {
+        medication.reactivate();
+    } else if (isActive === false) {
+        medication.isActive = false;
+    }
+
+    const scheduleError = validateSchedule(medication);
+    if (scheduleError) {
+        return res.status(400).json({
+            success: false,
+            error: scheduleError
+        });
+    }
+
+    await medication.save();
+
+    const warnings = await getInteractionWarnings(medication);
+    await notifyInteractionWarnings(medication, warnings, req.user.id);
 
     res.status(200).json({
         success: true,
-        data: medication
+        data: medication,
+        warnings
     });
 });
 
 // @desc    Delete medication
 // @route   DELETE /api/medications/:id
-// @access  Private
+// @access  Private (Owner, or care-team doctors)
 const deleteMedication = asyncHandler(async (req, res) => {
     const medication = await Medication.findById(req.params.id);
 
@@ -127,14 +319,20 @@ const deleteMedication = asyncHandler(async (req, res) => {
         });
     }
 
-    // Make sure user owns the medication
-    if (medication.patient.toString() !== req.user.id) {
+    if (!(await canManageMedication(req.user, medication))) {
         return res.status(403).json({
             success: false,
             error: 'Not authorized to delete this medication'
         });
     }
 
+    if (req.user.role === 'patient' && medication.isPrescribed()) {
+        return res.status(403).json({
+            success: false,
+            error: 'Prescribed medications cannot be deleted. Discontinue it with a reason instead'
+        });
+    }
+
     await medication.deleteOne();
 
     res.status(200).json({
@@ -145,7 +343,7 @@ const deleteMedication = asyncHandler(async (req, res) => {
 
 // @desc    Toggle medication active status
 // @route   PATCH /api/medications/:id/toggle
-// @access  Private
+// @access  Private (Owner, or care-team doctors)
 const toggleMedicationStatus = asyncHandler(async (req, res) => {
     let medication = await Medication.findById(req.params.id);
 
@@ -156,15 +354,63 @@ const toggleMedicationStatus = asyncHandler(async (req, res) => {
         });
     }
 
-    // Make sure user owns the medication
-    if (medication.patient.toString() !== req.user.id) {
+    if (!(await canManageMedication(req.user, medication))) {
+        return res.status(403).json({
+            success: false,
+            error: 'Not authorized to update this medication'
+        });
+    }
+
+    if (req.user.role === 'patient' && medication.isPrescribed()) {
+        return res.status(403).json({
+            success: false,
+            error: 'Only your doctor can pause or reactivate a prescribed medication. Discontinue it with a reason instead'
+        });
+    }
+
+    // Reactivating clears an earlier discontinuation
+    if (medication.isActive) {
+        medication.isActive = false;
+    } else {
+        medication.reactivate();
+    }
+
+    await medication.save();
+
+    res.status(200).json({
+        success: true,
+        data: medication
+    });
+});
+
+// @desc    Discontinue a medication with a reason
+// @route   PATCH /api/medications/:id/discontinue
+// @access  Private (Owner, or care-team doctors)
+const discontinueMedication = asyncHandler(async (req, res) => {
+    const medication = await Medication.findById(req.params.id);
+
+    if (!medication) {
+        return res.status(404).json({
+            success: false,
+            error: 'Medication not found'
+        });
+    }
+
+    if (!(await canManageMedication(req.user, medication))) {
         return res.status(403).json({
             success: false,
             error: 'Not authorized to update this medication'
         });
     }
 
-    medication.isActive = !medication.isActive;
+    if (medication.discontinuedAt) {
+        return res.status(400).json({
+            success: false,
+            error: 'Medication is already discontinued'
+        });
+    }
+
+    medication.discontinue(req.user.id, req.body.reason);
     await medication.save();
 
     res.status(200).json({
@@ -173,6 +419,87 @@ const toggleMedicationStatus = asyncHandler(async (req, res) => {
     });
 });
 
+// @desc    Check a medication for drug and allergy interactions
+// @route   GET /api/medications/:id/interactions
+// @access  Private (Patient, care-team doctors and admins)
+const getMedicationInteractions = asyncHandler(async (req, res) => {
+    const medication = await Medication.findById(req.params.id);
+
+    if (!medication) {
+        return res.status(404).json({
+            success: false,
+            error: 'Medication not found'
+        });
+    }
+
+    if (!(await canAccessPatient(req.user, medication.patient))) {
+        return res.status(403).json({
+            success: false,
+            error: 'Not authorized to access this medication'
+        });
+    }
+
+    const warnings = await getInteractionWarnings(medication);
+
+    res.status(200).json({
+        success: true,
+        datasetVersion: getDatasetVersion(),
+        count: warnings.length,
+        data: warnings
+    });
+});
+
+// @desc    Override an interaction warning with a justification
+// @route   POST /api/medications/:id/interaction-overrides
+// @access  Private (Care-team doctors only)
+const overrideInteraction = asyncHandler(async (req, res) => {
+    const medication = await Medication.findById(req.params.id);
+
+    if (!medication) {
+        return res.status(404).json({
+            success: false,
+            error: 'Medication not found'
+        });
+    }
+
+    if (!(await canManageMedication(req.user, medication))) {
+        return res.status(403).json({
+            success: false,
+            error: 'You are not on this patient\'s care team'
+        });
+    }
+
+    const { warningKey, justification } = req.body;
+
+    const warning = (await getInteractionWarnings(medication)).find(w => w.key === warningKey);
+    if (!warning) {
+        return res.status(400).json({
+            success: false,
+            error: 'No current interaction warning matches this warningKey'
+        });
+    }
+
+    if (warning.overridden) {
+        return res.status(400).json({
+            success: false,
+            error: 'This interaction warning has already been overridden'
+        });
+    }
+
+    medication.interactionOverrides.push({
+        warningKey,
+        justification,
+        overriddenBy: req.user.id
+    });
+    await medication.save();
+
+    res.status(201).json({
+        success: true,
+        data: medication,
+        warnings: await getInteractionWarnings(medication)
+    });
+});
+
 // @desc    Get medications by type
 // @route   GET /api/medications/type/:type
 // @access  Private
@@ -197,5 +524,8 @@ module.exports = {
     updateMedication,
     deleteMedication,
     toggleMedicationStatus,
+    discontinueMedication,
+    getMedicationInteractions,
+    overrideInteraction,
     getMedicationsByType
 };
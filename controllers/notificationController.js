@@ -3,9 +3,45 @@
 
 const User = require('../models/User');
 const Notification = require('../models/Notification');
+const Medication = require('../models/Medication');
+const DoseEvent = require('../models/DoseEvent');
+const TokenPruneEvent = require('../models/TokenPruneEvent');
+const BroadcastCampaign = require('../models/BroadcastCampaign');
 const asyncHandler = require('../utils/asyncHandler');
-const { sendNotification, sendMulticastNotification, isFirebaseInitialized } = require('../config/firebaseAdmin');
-const { getAllUpcomingReminders } = require('../utils/notificationScheduler');
+const { sendNotification } = require('../config/firebaseAdmin');
+const { getAllUpcomingReminders, parseReminderWindow } = require('../utils/notificationScheduler');
+const { findScheduledDose } = require('../utils/medicationSchedule');
+const { deliverNotification } = require('../utils/notificationDelivery');
+const { emitToUser } = require('../utils/notificationStream');
+const { sendDueCampaigns } = require('../utils/broadcastSender');
+
+const DEFAULT_SNOOZE_MINUTES = 10;
+
+// Record the dose a medication reminder is about as taken
+// Returns null for other reminders, or if the medication no longer exists
+const recordReminderDose = async (notification, timezone) => {
+    const doseTime = notification.data.get('doseTime');
+
+    if (notification.type !== 'medication' || !doseTime) {
+        return null;
+    }
+
+    const medication = await Medication.findById(notification.relatedEntity.entityId);
+
+    if (!medication || medication.patient.toString() !== notification.user.toString()) {
+        return null;
+    }
+
+    const scheduledFor = new Date(doseTime);
+    const dose = findScheduledDose(medication, scheduledFor, timezone);
+
+    return DoseEvent.record(medication, scheduledFor, {
+        scheduledTime: dose ? dose.scheduledTime : notification.data.get('scheduledTime'),
+        dosage: dose ? dose.dosage : notification.data.get('dosage'),
+        status: 'taken',
+        takenAt: new Date()
+    });
+};
 
 // @desc    Register FCM token for push notifications
 // @route   POST /api/notifications/register-token
@@ -13,13 +49,6 @@ const { getAllUpcomingReminders } = require('../utils/notificationScheduler');
 const registerFCMToken = asyncHandler(async (req, res) => {
     const { token, deviceId, platform } = req.body;
 
-    if (!token) {
-        return res.status(400).json({
-            success: false,
-            error: 'Please provide FCM token'
-        });
-    }
-
     const user = await User.findById(req.user.id);
 
     if (!user) {
@@ -62,13 +91,6 @@ const registerFCMToken = asyncHandler(async (req, res) => {
 const removeFCMToken = asyncHandler(async (req, res) => {
     const { token } = req.body;
 
-    if (!token) {
-        return res.status(400).json({
-            success: false,
-            error: 'Please provide FCM token'
-        });
-    }
-
     const user = await User.findById(req.user.id);
 
     if (!user) {
@@ -138,6 +160,15 @@ const updateNotificationPreferences = asyncHandler(async (req, res) => {
         }
     });
 
+    // Channels are set per notification type; other types keep their choice
+    // (an empty list opts out of the type, null goes back to the default channels)
+    if (req.body.channels) {
+        Object.keys(req.body.channels).forEach(type => {
+            const channels = req.body.channels[type];
+            user.notificationPreferences.channels[type] = channels === null ? undefined : channels;
+        });
+    }
+
     await user.save();
 
     res.status(200).json({
@@ -147,10 +178,19 @@ const updateNotificationPreferences = asyncHandler(async (req, res) => {
     });
 });
 
-// @desc    Get upcoming reminders
-// @route   GET /api/notifications/upcoming
+// @desc    Get upcoming reminders between from and to (defaults to the next 24 hours)
+// @route   GET /api/notifications/upcoming?from=&to=&page=&limit=
 // @access  Private
 const getUpcomingReminders = asyncHandler(async (req, res) => {
+    const { from, to, error } = parseReminderWindow(req.query);
+
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error
+        });
+    }
+
     const user = await User.findById(req.user.id);
 
     if (!user) {
@@ -160,13 +200,22 @@ const getUpcomingReminders = asyncHandler(async (req, res) => {
         });
     }
 
-    // Calculate all upcoming reminders
-    const reminders = await getAllUpcomingReminders(req.user.id, user.notificationPreferences);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    // Calculate every reminder in the window, then return the requested page
+    const reminders = await getAllUpcomingReminders(req.user.id, user.notificationPreferences, user.timezone, { from, to });
+    const pageReminders = reminders.slice((page - 1) * limit, page * limit);
 
     res.status(200).json({
         success: true,
-        count: reminders.length,
-        data: reminders
+        count: pageReminders.length,
+        total: reminders.length,
+        page,
+        pages: Math.ceil(reminders.length / limit),
+        from,
+        to,
+        data: pageReminders
     });
 });
 
@@ -176,7 +225,7 @@ const getUpcomingReminders = asyncHandler(async (req, res) => {
 const getNotificationHistory = asyncHandler(async (req, res) => {
     const { limit = 50, page = 1, unreadOnly = false } = req.query;
 
-    const query = { user: req.user.id };
+    const query = Notification.visibleFilter(req.user.id);
 
     if (unreadOnly === 'true') {
         query.isRead = false;
@@ -236,83 +285,190 @@ const markNotificationAsRead = asyncHandler(async (req, res) => {
 // @route   PATCH /api/notifications/read-all
 // @access  Private
 const markAllAsRead = asyncHandler(async (req, res) => {
+    const readAt = new Date();
     const result = await Notification.updateMany(
-        { user: req.user.id, isRead: false },
-        { isRead: true, readAt: new Date() }
+        { ...Notification.visibleFilter(req.user.id), isRead: false },
+        { isRead: true, readAt }
     );
 
+    // Keep the unread count in sync on the user's other devices
+    emitToUser(req.user.id, 'notifications_read_all', {
+        readAt,
+        modifiedCount: result.modifiedCount,
+        unreadCount: await Notification.getUnreadCount(req.user.id)
+    });
+
     res.status(200).json({
         success: true,
         message: `Marked ${result.modifiedCount} notifications as read`
     });
 });
 
-// @desc    Send test notification
-// @route   POST /api/notifications/test
+// @desc    Acknowledge a reminder (medication reminders record the dose as taken)
+// @route   POST /api/notifications/:id/acknowledge
 // @access  Private
-const sendTestNotification = asyncHandler(async (req, res) => {
-    if (!isFirebaseInitialized()) {
-        return res.status(503).json({
+const acknowledgeNotification = asyncHandler(async (req, res) => {
+    const notification = await Notification.findById(req.params.id);
+
+    if (!notification) {
+        return res.status(404).json({
             success: false,
-            error: 'Firebase Admin SDK is not initialized. Push notifications are disabled.'
+            error: 'Notification not found'
         });
     }
 
-    const user = await User.findById(req.user.id);
+    // Check if user owns this notification
+    if (notification.user.toString() !== req.user.id) {
+        return res.status(403).json({
+            success: false,
+            error: 'Not authorized to access this notification'
+        });
+    }
 
-    if (!user) {
+    if (!notification.isReminder()) {
+        return res.status(400).json({
+            success: false,
+            error: 'Only reminders can be acknowledged'
+        });
+    }
+
+    if (notification.acknowledgedAt) {
+        return res.status(400).json({
+            success: false,
+            error: 'Reminder has already been acknowledged'
+        });
+    }
+
+    await notification.acknowledge();
+
+    // A snoozed copy of this reminder is no longer needed
+    await Notification.deleteMany({ snoozedFrom: notification._id, deliveryStatus: 'pending' });
+
+    const dose = await recordReminderDose(notification, req.user.timezone);
+
+    res.status(200).json({
+        success: true,
+        message: 'Reminder acknowledged',
+        data: notification,
+        dose
+    });
+});
+
+// @desc    Snooze a reminder for N minutes (re-sends it then; snoozing again moves that time)
+// @route   POST /api/notifications/:id/snooze
+// @access  Private
+const snoozeNotification = asyncHandler(async (req, res) => {
+    const minutes = req.body.minutes || DEFAULT_SNOOZE_MINUTES;
+
+    const notification = await Notification.findById(req.params.id);
+
+    if (!notification) {
         return res.status(404).json({
             success: false,
-            error: 'User not found'
+            error: 'Notification not found'
+        });
+    }
+
+    // Check if user owns this notification
+    if (notification.user.toString() !== req.user.id) {
+        return res.status(403).json({
+            success: false,
+            error: 'Not authorized to access this notification'
         });
     }
 
-    if (!user.fcmTokens || user.fcmTokens.length === 0) {
+    if (!notification.isReminder()) {
         return res.status(400).json({
             success: false,
-            error: 'No FCM tokens registered for this user'
+            error: 'Only reminders can be snoozed'
         });
     }
 
+    if (notification.acknowledgedAt) {
+        return res.status(400).json({
+            success: false,
+            error: 'Reminder has already been acknowledged'
+        });
+    }
+
+    if (notification.deliveryStatus === 'pending') {
+        return res.status(400).json({
+            success: false,
+            error: 'Reminder has not been sent yet'
+        });
+    }
+
+    const snoozedUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+    // A reminder has a single snoozed copy: snoozing again moves it instead of adding another
+    const snoozed = await Notification.findOneAndUpdate(
+        { dedupeKey: `snooze:${notification._id}` },
+        {
+            $set: { deliveryStatus: 'pending', scheduledFor: snoozedUntil, isRead: false },
+            $unset: { sentAt: 1, deliveredAt: 1, readAt: 1 },
+            $setOnInsert: {
+                user: notification.user,
+                type: notification.type,
+                relatedEntity: notification.relatedEntity,
+                title: notification.title,
+                body: notification.body,
+                data: Object.fromEntries(notification.data || []),
+                priority: notification.priority,
+                snoozedFrom: notification._id
+            }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    notification.snoozedUntil = snoozedUntil;
+    if (!notification.isRead) {
+        notification.isRead = true;
+        notification.readAt = new Date();
+    }
+    await notification.save();
+
+    res.status(201).json({
+        success: true,
+        message: `Reminder snoozed for ${minutes} minutes`,
+        data: snoozed
+    });
+});
+
+// @desc    Send test notification over the user's channels (or the channels given)
+// @route   POST /api/notifications/test
+// @access  Private
+const sendTestNotification = asyncHandler(async (req, res) => {
     const title = req.body.title || '🔔 Test Notification';
     const body = req.body.body || 'This is a test notification from Health App';
 
-    try {
-        // Send to all user's devices
-        const tokens = user.fcmTokens.map(t => t.token);
-        const result = await sendMulticastNotification(tokens, title, body, {
+    const notification = await Notification.create({
+        user: req.user.id,
+        type: 'general',
+        title,
+        body,
+        data: {
             type: 'test',
             timestamp: new Date().toISOString()
-        });
+        },
+        deliveryStatus: 'sent',
+        sentAt: new Date()
+    });
 
-        // Create notification record
-        const notification = await Notification.create({
-            user: req.user.id,
-            type: 'general',
-            title,
-            body,
-            data: { type: 'test' },
-            deliveryStatus: 'sent',
-            sentAt: new Date()
-        });
+    await deliverNotification(notification, req.body.channels);
 
-        res.status(200).json({
-            success: true,
-            message: 'Test notification sent successfully',
-            result: {
-                successCount: result.successCount,
-                failureCount: result.failureCount,
-                totalTokens: tokens.length
-            },
-            notification
-        });
-    } catch (error) {
-        res.status(500).json({
+    if (notification.deliveryStatus !== 'delivered') {
+        return res.status(502).json({
             success: false,
-            error: 'Failed to send test notification',
-            details: error.message
+            error: `Test notification could not be delivered on any channel (${notification.failureReason})`,
+            data: notification
         });
     }
+
+    res.status(200).json({
+        success: true,
+        message: 'Test notification sent successfully',
+        data: notification
+    });
 });
 
 // @desc    Delete notification
@@ -344,6 +500,192 @@ const deleteNotification = asyncHandler(async (req, res) => {
     });
 });
 
+// @desc    Report of pruned FCM tokens
+// @route   GET /api/notifications/token-report
+// @access  Private (Admin only)
+const getTokenPruneReport = asyncHandler(async (req, res) => {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid date range. Use ISO 8601 dates for from and to'
+        });
+    }
+
+    const match = { createdAt: { $gte: from, $lte: to } };
+
+    const [byReason, bySource, byPlatform, registered] = await Promise.all([
+        TokenPruneEvent.aggregate([{ $match: match }, { $group: { _id: '$reason', count: { $sum: 1 } } }]),
+        TokenPruneEvent.aggregate([{ $match: match }, { $group: { _id: '$source', count: { $sum: 1 } } }]),
+        TokenPruneEvent.aggregate([{ $match: match }, { $group: { _id: '$platform', count: { $sum: 1 } } }]),
+        User.aggregate([{ $group: { _id: null, count: { $sum: { $size: { $ifNull: ['$fcmTokens', []] } } } } }])
+    ]);
+
+    const toCounts = (groups) => groups.reduce((acc, g) => {
+        acc[g._id || 'unknown'] = g.count;
+        return acc;
+    }, {});
+
+    res.status(200).json({
+        success: true,
+        data: {
+            from,
+            to,
+            totalPruned: byReason.reduce((sum, g) => sum + g.count, 0),
+            byReason: toCounts(byReason),
+            bySource: toCounts(bySource),
+            byPlatform: toCounts(byPlatform),
+            registeredTokens: registered.length > 0 ? registered[0].count : 0
+        }
+    });
+});
+
+// @desc    Create a broadcast to a segment of users (queued to send now or at scheduledFor)
+// @route   POST /api/notifications/broadcast
+// @access  Private (Admin only)
+const createBroadcast = asyncHandler(async (req, res) => {
+    const { title, body, priority, roles, departments, specializations, operationWindow, scheduledFor } = req.body;
+
+    const hasAudience = [roles, departments, specializations].some(list => list && list.length > 0) || operationWindow;
+
+    if (!hasAudience) {
+        return res.status(400).json({
+            success: false,
+            error: 'Choose an audience: roles, departments, specializations or operationWindow'
+        });
+    }
+
+    if (operationWindow && new Date(operationWindow.from) >= new Date(operationWindow.to)) {
+        return res.status(400).json({
+            success: false,
+            error: 'operationWindow.from must be before operationWindow.to'
+        });
+    }
+
+    const now = new Date();
+    const sendAt = scheduledFor ? new Date(scheduledFor) : now;
+
+    const campaign = await BroadcastCampaign.create({
+        title,
+        body,
+        priority,
+        target: { roles, departments, specializations, operationWindow },
+        createdBy: req.user.id,
+        scheduledFor: sendAt
+    });
+
+    // Campaigns are always sent in the background; one that is due now is
+    // picked up straight away instead of waiting for the next check
+    if (sendAt <= now) {
+        sendDueCampaigns();
+    }
+
+    res.status(201).json({
+        success: true,
+        data: campaign
+    });
+});
+
+// @desc    Get broadcast campaigns
+// @route   GET /api/notifications/broadcast
+// @access  Private (Admin only)
+const getBroadcasts = asyncHandler(async (req, res) => {
+    const { status, limit = 20, page = 1 } = req.query;
+
+    const query = {};
+
+    if (status) {
+        query.status = status;
+    }
+
+    const campaigns = await BroadcastCampaign.find(query)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .populate('createdBy', 'name email');
+
+    const total = await BroadcastCampaign.countDocuments(query);
+
+    res.status(200).json({
+        success: true,
+        count: campaigns.length,
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        data: campaigns
+    });
+});
+
+// @desc    Get a broadcast campaign with its delivery stats
+// @route   GET /api/notifications/broadcast/:id
+// @access  Private (Admin only)
+const getBroadcast = asyncHandler(async (req, res) => {
+    const campaign = await BroadcastCampaign.findById(req.params.id)
+        .populate('createdBy', 'name email');
+
+    if (!campaign) {
+        return res.status(404).json({
+            success: false,
+            error: 'Broadcast not found'
+        });
+    }
+
+    const data = campaign.toObject();
+
+    // Read counts change after sending, so they are counted live
+    data.stats.readCount = await Notification.countDocuments({
+        'relatedEntity.entityId': campaign._id,
+        isRead: true
+    });
+
+    res.status(200).json({
+        success: true,
+        data
+    });
+});
+
+// @desc    Cancel a scheduled broadcast
+// @route   DELETE /api/notifications/broadcast/:id
+// @access  Private (Admin only)
+const cancelBroadcast = asyncHandler(async (req, res) => {
+    const campaign = await BroadcastCampaign.findById(req.params.id);
+
+    if (!campaign) {
+        return res.status(404).json({
+            success: false,
+            error: 'Broadcast not found'
+        });
+    }
+
+    if (!campaign.isCancellable()) {
+        return res.status(400).json({
+            success: false,
+            error: `Cannot cancel a broadcast that is ${campaign.status}`
+        });
+    }
+
+    // Only cancel if the scheduler has not claimed it in the meantime
+    const cancelled = await BroadcastCampaign.findOneAndUpdate(
+        { _id: campaign._id, status: 'scheduled' },
+        { status: 'cancelled' },
+        { new: true }
+    );
+
+    if (!cancelled) {
+        return res.status(400).json({
+            success: false,
+            error: 'Broadcast is already being sent'
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        data: cancelled
+    });
+});
+
 module.exports = {
     registerFCMToken,
     removeFCMToken,
@@ -353,6 +695,13 @@ module.exports = {
     getNotificationHistory,
     markNotificationAsRead,
     markAllAsRead,
+    acknowledgeNotification,
+    snoozeNotification,
     sendTestNotification,
-    deleteNotification
+    deleteNotification,
+    getTokenPruneReport,
+    createBroadcast,
+    getBroadcasts,
+    getBroadcast,
+    cancelBroadcast
 };
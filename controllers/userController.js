@@ -2,11 +2,13 @@
 // Handles user listing, searching, and public profile retrieval
 
 const User = require('../models/User');
+const CareRelationship = require('../models/CareRelationship');
 const asyncHandler = require('../utils/asyncHandler');
+const { canAccessPatient } = require('../utils/careTeam');
 
 // @desc    Get all users with filters and search
 // @route   GET /api/users
-// @access  Private
+// @access  Private (patient phone numbers restricted to the care team)
 const getUsers = asyncHandler(async (req, res) => {
     const { role, search, limit = 50, page = 1 } = req.query;
 
@@ -34,6 +36,19 @@ const getUsers = asyncHandler(async (req, res) => {
         .skip(skip)
         .sort({ name: 1 });
 
+    // Phone numbers are only listed for patients on the caller's care team
+    if (req.user.role !== 'admin') {
+        const careTeam = req.user.role === 'doctor'
+            ? new Set((await CareRelationship.getPatientIds(req.user.id)).map(id => id.toString()))
+            : new Set();
+
+        users.forEach(user => {
+            if (user.role === 'patient' && !careTeam.has(user._id.toString())) {
+                user.patientInfo = undefined;
+            }
+        });
+    }
+
     const total = await User.countDocuments(query);
 
     res.status(200).json({
@@ -48,7 +63,7 @@ const getUsers = asyncHandler(async (req, res) => {
 
 // @desc    Get single user by ID
 // @route   GET /api/users/:id
-// @access  Private
+// @access  Private (patientInfo restricted to the care team)
 const getUserById = asyncHandler(async (req, res) => {
     const user = await User.findById(req.params.id)
         .select('name email role profileImage doctorInfo patientInfo isActive');
@@ -60,6 +75,11 @@ const getUserById = asyncHandler(async (req, res) => {
         });
     }
 
+    // Medical details are only visible to the patient, admins and care-team doctors
+    if (user.role === 'patient' && !(await canAccessPatient(req.user, user._id))) {
+        user.patientInfo = undefined;
+    }
+
     res.status(200).json({
         success: true,
         data: user
@@ -7,8 +7,13 @@ const errorHandler = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
 const connectDB = require('./config/database');
 const { initializeFirebase } = require('./config/firebaseAdmin');
+const { setSocketServer } = require('./utils/notificationStream');
 const socketAuth = require('./middleware/socketAuth');
 const { setupSocketHandlers } = require('./utils/socketHandlers');
+const { startNotificationDispatcher } = require('./utils/notificationDispatcher');
+const { startTokenCleanup } = require('./utils/fcmTokenPruner');
+const { startEscalationMonitor } = require('./utils/escalationMonitor');
+const { startBroadcastScheduler } = require('./utils/broadcastSender');
 
 const app = express();
 const server = http.createServer(app);
@@ -57,9 +62,11 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/medications', require('./routes/medicationRoutes'));
 app.use('/api/fasting-instructions', require('./routes/fastingInstructionRoutes'));
+app.use('/api/appointments', require('./routes/appointmentRoutes'));
 app.use('/api/chat', require('./routes/chatRoutes'));
 app.use('/api/notifications', require('./routes/notificationRoutes'));
 app.use('/api/users', require('./routes/userRoutes'));
+app.use('/api/care-team', require('./routes/careTeamRoutes'));
 // app.use('/api/example', require('./routes/exampleRoutes')); // Uncomment to use example routes
 
 // Error handler middleware (must be last)
@@ -74,9 +81,24 @@ setupSocketHandlers(io);
 // Make io accessible to routes
 app.set('io', io);
 
+// In-app notifications and live notification updates go over the socket server
+setSocketServer(io);
+
 // Start server
 server.listen(PORT, () => {
     logger.success(`Health App Backend running on port ${PORT}`);
     logger.info(`REST API available at http://localhost:${PORT}`);
     logger.info(`WebSocket server ready for real-time chat`);
+
+    // Start background reminder scheduling and delivery
+    startNotificationDispatcher();
+
+    // Periodically re-validate old FCM tokens
+    startTokenCleanup();
+
+    // Escalate ignored fasting reminders and missed doses
+    startEscalationMonitor();
+
+    // Send scheduled admin broadcasts when they are due
+    startBroadcastScheduler();
 });
@@ -2,6 +2,7 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const asyncHandler = require('../utils/asyncHandler');
 
 // Protect routes - verify JWT token
@@ -25,6 +26,18 @@ const protect = asyncHandler(async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // Make sure the session behind the token has not been revoked
+        const session = decoded.sid && await Session.findValidById(decoded.sid);
+
+        if (!session || session.user.toString() !== decoded.id) {
+            return res.status(401).json({
+                success: false,
+                error: 'Session has expired or been revoked'
+            });
+        }
+
+        req.sessionId = decoded.sid;
+
         // Get user from token (excluding password)
         req.user = await User.findById(decoded.id).select('-password');
 
@@ -1,6 +1,20 @@
 // Error handling middleware
 
+const { sendValidationError } = require('./validate');
+
 const errorHandler = (err, req, res, next) => {
+    // Schema validation and invalid IDs use the same format as request validation
+    if (err.name === 'ValidationError' && err.errors) {
+        return sendValidationError(res, Object.values(err.errors).map(e => ({
+            field: e.path,
+            message: e.message
+        })));
+    }
+
+    if (err.name === 'CastError') {
+        return sendValidationError(res, [{ field: err.path, message: `${err.path} must be a valid ${err.kind}` }]);
+    }
+
     console.error(err.stack);
 
     res.status(err.statusCode || 500).json({
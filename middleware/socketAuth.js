@@ -2,6 +2,7 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 const socketAuth = async (socket, next) => {
     try {
@@ -15,6 +16,13 @@ const socketAuth = async (socket, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // Make sure the session behind the token has not been revoked
+        const session = decoded.sid && await Session.findValidById(decoded.sid);
+
+        if (!session || session.user.toString() !== decoded.id) {
+            return next(new Error('Authentication error: Session has expired or been revoked'));
+        }
+
         // Get user from token
         const user = await User.findById(decoded.id).select('-password');
 
@@ -31,7 +39,8 @@ const socketAuth = async (socket, next) => {
             id: user._id.toString(),
             name: user.name,
             email: user.email,
-            role: user.role
+            role: user.role,
+            sessionId: decoded.sid
         };
 
         next();
@@ -0,0 +1,70 @@
+// File upload middleware for chat attachments
+
+const multer = require('multer');
+
+const MAX_SIZE_MB = parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 10;
+
+const ALLOWED_TYPES = (process.env.ATTACHMENT_ALLOWED_TYPES || 'image/jpeg,image/png,image/webp,image/heic,application/pdf')
+    .split(',')
+    .map(type => type.trim());
+
+// Leading bytes of the allowed formats, so a renamed file cannot pass as an image
+const SIGNATURES = {
+    'image/jpeg': (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff,
+    'image/png': (buf) => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+    'image/webp': (buf) => buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP',
+    'image/heic': (buf) => buf.toString('ascii', 4, 8) === 'ftyp',
+    'application/pdf': (buf) => buf.toString('ascii', 0, 5) === '%PDF-'
+};
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_SIZE_MB * 1024 * 1024,
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        if (!ALLOWED_TYPES.includes(file.mimetype)) {
+            const error = new Error(`File type '${file.mimetype}' is not allowed`);
+            error.statusCode = 415;
+            return cb(error);
+        }
+        cb(null, true);
+    }
+});
+
+// Accept a single file in the "file" field and check its content
+const uploadAttachment = (req, res, next) => {
+    upload.single('file')(req, res, (err) => {
+        if (err) {
+            const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : (err.statusCode || 400);
+            return res.status(status).json({
+                success: false,
+                error: err.code === 'LIMIT_FILE_SIZE'
+                    ? `File cannot exceed ${MAX_SIZE_MB} MB`
+                    : err.message
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'Please provide a file'
+            });
+        }
+
+        const matchesSignature = SIGNATURES[req.file.mimetype];
+        if (matchesSignature && !matchesSignature(req.file.buffer)) {
+            return res.status(415).json({
+                success: false,
+                error: 'File content does not match its declared type'
+            });
+        }
+
+        next();
+    });
+};
+
+module.exports = {
+    uploadAttachment
+};
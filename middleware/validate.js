@@ -0,0 +1,180 @@
+// Request validation middleware
+// Each route declares the fields it accepts, for example:
+//   validate({ body: { name: { type: 'string', required: true } }, protected: ['patient'] })
+// Unknown body fields are stripped, protected fields are rejected, and every
+// failure is reported in the same format:
+//   { success: false, error: 'Validation failed: ...', details: [{ field, message }] }
+
+const mongoose = require('mongoose');
+const validator = require('validator');
+const { isValidTimezone } = require('../utils/timezone');
+
+// Fields that are never accepted from a client
+const ALWAYS_PROTECTED = ['_id', 'id', '__v', 'createdAt', 'updatedAt'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Type checks: each returns an error message, or null if the value matches
+const TYPE_CHECKS = {
+    string: (value) => typeof value === 'string' ? null : 'must be a string',
+    number: (value) => typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number',
+    integer: (value) => Number.isInteger(value) ? null : 'must be a whole number',
+    boolean: (value) => typeof value === 'boolean' ? null : 'must be true or false',
+    date: (value) => (typeof value === 'string' || typeof value === 'number') && !isNaN(new Date(value).getTime())
+        ? null
+        : 'must be a valid date',
+    objectId: (value) => typeof value === 'string' && mongoose.isValidObjectId(value) ? null : 'must be a valid ID',
+    email: (value) => typeof value === 'string' && validator.isEmail(value) ? null : 'must be a valid email',
+    time: (value) => typeof value === 'string' && TIME_PATTERN.test(value) ? null : 'must be a time in HH:mm format',
+    timezone: (value) => isValidTimezone(value) ? null : 'must be a valid IANA timezone',
+    array: (value) => Array.isArray(value) ? null : 'must be an array',
+    object: (value) => isPlainObject(value) ? null : 'must be an object'
+};
+
+/**
+ * Check a value against a field rule
+ * @param {*} value - Value from the request
+ * @param {object} rule - { type, required, nullable, enum, min, max, minLength, maxLength, maxItems, items, fields }
+ * @param {string} path - Field path used in error messages
+ * @param {Array} errors - Collected { field, message } errors
+ * @returns {*} - Sanitized value (unknown nested fields removed)
+ */
+const checkValue = (value, rule, path, errors) => {
+    if (value === undefined || value === null || value === '') {
+        if (rule.required) {
+            errors.push({ field: path, message: `${path} is required` });
+            return undefined;
+        }
+
+        // null clears nullable fields and '' clears optional strings
+        if (value === null) {
+            return rule.nullable ? null : undefined;
+        }
+        return value === '' && rule.type === 'string' ? '' : undefined;
+    }
+
+    const typeError = TYPE_CHECKS[rule.type](value);
+    if (typeError) {
+        errors.push({ field: path, message: `${path} ${typeError}` });
+        return undefined;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        errors.push({ field: path, message: `${path} must be one of ${rule.enum.join(', ')}` });
+    }
+
+    if (rule.min !== undefined && value < rule.min) {
+        errors.push({ field: path, message: `${path} must be at least ${rule.min}` });
+    }
+
+    if (rule.max !== undefined && value > rule.max) {
+        errors.push({ field: path, message: `${path} cannot exceed ${rule.max}` });
+    }
+
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+        errors.push({ field: path, message: `${path} must be at least ${rule.minLength} characters` });
+    }
+
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        errors.push({ field: path, message: `${path} cannot exceed ${rule.maxLength} characters` });
+    }
+
+    if (rule.type === 'array') {
+        if (rule.minItems !== undefined && value.length < rule.minItems) {
+            errors.push({ field: path, message: `${path} must have at least ${rule.minItems} item(s)` });
+        }
+
+        if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+            errors.push({ field: path, message: `${path} cannot have more than ${rule.maxItems} items` });
+        }
+
+        return rule.items
+            ? value.map((item, idx) => checkValue(item, { ...rule.items, required: true }, `${path}[${idx}]`, errors))
+            : value;
+    }
+
+    if (rule.type === 'object' && rule.fields) {
+        return checkFields(value, rule.fields, `${path}.`, errors);
+    }
+
+    return value;
+};
+
+/**
+ * Check an object against a map of field rules, dropping fields without a rule
+ * @param {object} source - Object from the request
+ * @param {object} fields - Map of field name to rule
+ * @param {string} prefix - Path prefix for nested objects
+ * @param {Array} errors - Collected { field, message } errors
+ * @returns {object} - Sanitized object
+ */
+const checkFields = (source, fields, prefix, errors) => {
+    const result = {};
+
+    Object.keys(fields).forEach(field => {
+        const value = checkValue(source[field], fields[field], `${prefix}${field}`, errors);
+        if (value !== undefined) {
+            result[field] = value;
+        }
+    });
+
+    return result;
+};
+
+/**
+ * Send validation errors in the shared format
+ * @param {object} res - Express response
+ * @param {Array} details - Array of { field, message }
+ * @param {number} status - HTTP status (defaults to 400)
+ */
+const sendValidationError = (res, details, status = 400) => {
+    return res.status(status).json({
+        success: false,
+        error: `Validation failed: ${details.map(d => d.message).join(', ')}`,
+        details
+    });
+};
+
+/**
+ * Build a middleware that validates a request against a schema
+ * @param {object} schema - { body, params, protected, unknown: 'strip' | 'reject' }
+ * @returns {Function} - Express middleware
+ */
+const validate = (schema) => {
+    const protectedFields = [...ALWAYS_PROTECTED, ...(schema.protected || [])];
+
+    return (req, res, next) => {
+        const errors = [];
+
+        if (schema.params) {
+            checkFields(req.params, schema.params, '', errors);
+        }
+
+        if (schema.body) {
+            const body = isPlainObject(req.body) ? req.body : {};
+
+            Object.keys(body).forEach(field => {
+                if (protectedFields.includes(field)) {
+                    errors.push({ field, message: `${field} cannot be set` });
+                } else if (!schema.body[field] && schema.unknown === 'reject') {
+                    errors.push({ field, message: `${field} is not allowed` });
+                }
+            });
+
+            req.body = checkFields(body, schema.body, '', errors);
+        }
+
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        next();
+    };
+};
+
+module.exports = {
+    validate,
+    sendValidationError
+};
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+const AppointmentSchema = new mongoose.Schema({
+    // Patient who booked the appointment
+    patient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Patient reference is required']
+    },
+
+    // Doctor the appointment is with
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Doctor reference is required']
+    },
+
+    // Appointment time
+    startTime: {
+        type: Date,
+        required: [true, 'Start time is required']
+    },
+
+    endTime: {
+        type: Date,
+        required: [true, 'End time is required']
+    },
+
+    // Status
+    status: {
+        type: String,
+        enum: ['scheduled', 'cancelled', 'completed', 'no_show'],
+        default: 'scheduled'
+    },
+
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+
+    // Cancellation details
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    cancelledAt: {
+        type: Date
+    },
+
+    cancellationReason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+    },
+
+    // Previous times if the appointment was rescheduled
+    rescheduleHistory: [{
+        startTime: Date,
+        endTime: Date,
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+// Indexes for faster queries
+AppointmentSchema.index({ doctor: 1, status: 1, startTime: 1 });
+AppointmentSchema.index({ patient: 1, status: 1, startTime: 1 });
+
+// Prevent two scheduled appointments from claiming the same doctor slot
+AppointmentSchema.index(
+    { doctor: 1, startTime: 1 },
+    { unique: true, partialFilterExpression: { status: 'scheduled' }, name: 'unique_scheduled_doctor_slot' }
+);
+
+// Virtual for checking if appointment is upcoming
+AppointmentSchema.virtual('isUpcoming').get(function () {
+    return this.status === 'scheduled' && this.startTime > new Date();
+});
+
+// Method to check if a user takes part in the appointment
+AppointmentSchema.methods.isParticipant = function (userId) {
+    const id = userId.toString();
+    const patientId = this.patient._id ? this.patient._id.toString() : this.patient.toString();
+    const doctorId = this.doctor._id ? this.doctor._id.toString() : this.doctor.toString();
+    return patientId === id || doctorId === id;
+};
+
+// Static method to find scheduled appointments overlapping a time range
+// for either the doctor or the patient
+AppointmentSchema.statics.findConflicts = function ({ doctor, patient, startTime, endTime, excludeId }) {
+    const query = {
+        status: 'scheduled',
+        startTime: { $lt: endTime },
+        endTime: { $gt: startTime },
+        $or: [{ doctor }, { patient }]
+    };
+
+    if (excludeId) {
+        query._id = { $ne: excludeId };
+    }
+
+    return this.find(query);
+};
+
+module.exports = mongoose.model('Appointment', AppointmentSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const AttachmentSchema = new mongoose.Schema({
+    // Conversation the file was uploaded to
+    conversation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation',
+        required: [true, 'Conversation reference is required']
+    },
+
+    // User who uploaded the file
+    uploader: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Uploader is required']
+    },
+
+    // Message the file was sent with (set once it is attached)
+    message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+    },
+
+    // Location of the file in the storage driver
+    storageKey: {
+        type: String,
+        required: true,
+        select: false
+    },
+
+    filename: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [255, 'Filename cannot exceed 255 characters']
+    },
+
+    mimeType: {
+        type: String,
+        required: true
+    },
+
+    size: {
+        type: Number,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+AttachmentSchema.index({ conversation: 1, createdAt: -1 });
+
+// Static method to link an unused upload to a message
+// Returns null if the attachment does not exist, belongs to another conversation
+// or uploader, or has already been sent
+AttachmentSchema.statics.claimForMessage = function ({ attachmentId, conversationId, uploaderId, messageId }) {
+    return this.findOneAndUpdate(
+        {
+            _id: attachmentId,
+            conversation: conversationId,
+            uploader: uploaderId,
+            message: { $exists: false }
+        },
+        { message: messageId },
+        { new: true }
+    );
+};
+
+// Virtual for the authorized download URL
+AttachmentSchema.virtual('url').get(function () {
+    return `/api/chat/conversations/${this.conversation}/attachments/${this._id}`;
+});
+
+// Virtual for the matching message type
+AttachmentSchema.virtual('messageType').get(function () {
+    return this.mimeType.startsWith('image/') ? 'image' : 'file';
+});
+
+// The storage key is internal, including on a freshly created attachment
+AttachmentSchema.set('toJSON', {
+    virtuals: true,
+    transform: (doc, ret) => {
+        delete ret.storageKey;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Attachment', AttachmentSchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const BroadcastCampaignSchema = new mongoose.Schema({
+    // Message content (copied onto every notification)
+    title: {
+        type: String,
+        required: [true, 'Broadcast title is required'],
+        trim: true,
+        maxlength: [100, 'Title cannot exceed 100 characters']
+    },
+
+    body: {
+        type: String,
+        required: [true, 'Broadcast body is required'],
+        trim: true,
+        maxlength: [500, 'Body cannot exceed 500 characters']
+    },
+
+    priority: {
+        type: String,
+        enum: ['low', 'normal', 'high'],
+        default: 'normal'
+    },
+
+    // Audience: active users matching every criterion that is set
+    target: {
+        roles: [{
+            type: String,
+            enum: ['patient', 'doctor', 'admin']
+        }],
+        departments: [String],
+        specializations: [{
+            type: String,
+            enum: ['anesthesiologist', 'surgeon', 'general_practitioner', 'other']
+        }],
+        // Patients with an active fasting instruction for an operation in this window
+        operationWindow: {
+            from: Date,
+            to: Date
+        }
+    },
+
+    // Admin who created the campaign
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // When the campaign is sent (the audience is resolved at that time)
+    scheduledFor: {
+        type: Date,
+        required: true
+    },
+
+    status: {
+        type: String,
+        enum: ['scheduled', 'sending', 'sent', 'cancelled', 'failed'],
+        default: 'scheduled'
+    },
+
+    startedAt: {
+        type: Date
+    },
+
+    // Last time the sender saved progress (a stale campaign is claimed again)
+    heartbeatAt: {
+        type: Date
+    },
+
+    completedAt: {
+        type: Date
+    },
+
+    failureReason: {
+        type: String
+    },
+
+    // Delivery stats, filled in while the campaign is sent
+    stats: {
+        targetedUsers: { type: Number, default: 0 },
+        notificationsCreated: { type: Number, default: 0 },
+        // Users the notification was delivered to on at least one of their channels
+        usersReached: { type: Number, default: 0 },
+        // Users none of whose channels accepted the notification
+        deliveryFailures: { type: Number, default: 0 },
+        // Users in quiet hours, whose notification is sent when they end
+        deferredForQuietHours: { type: Number, default: 0 }
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+BroadcastCampaignSchema.index({ status: 1, scheduledFor: 1 });
+BroadcastCampaignSchema.index({ createdAt: -1 });
+
+// Method to check if the campaign can still be cancelled
+BroadcastCampaignSchema.methods.isCancellable = function () {
+    return this.status === 'scheduled';
+};
+
+module.exports = mongoose.model('BroadcastCampaign', BroadcastCampaignSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const CareRelationshipSchema = new mongoose.Schema({
+    // Doctor on the patient's care team
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Doctor reference is required']
+    },
+
+    // Patient being cared for
+    patient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Patient reference is required']
+    },
+
+    // Relationship status
+    status: {
+        type: String,
+        enum: ['pending', 'active', 'declined', 'revoked'],
+        default: 'pending'
+    },
+
+    // Who sent the invitation (doctor, patient or admin)
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    respondedAt: {
+        type: Date
+    },
+
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    revokedAt: {
+        type: Date
+    },
+
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Note cannot exceed 500 characters']
+    }
+}, {
+    timestamps: true
+});
+
+// One relationship per doctor/patient pair
+CareRelationshipSchema.index({ doctor: 1, patient: 1 }, { unique: true });
+CareRelationshipSchema.index({ patient: 1, status: 1 });
+CareRelationshipSchema.index({ doctor: 1, status: 1 });
+
+// Method to check if a user is the one who has to respond to the invitation
+CareRelationshipSchema.methods.isInvitee = function (userId) {
+    const id = userId.toString();
+    const isParty = this.doctor.toString() === id || this.patient.toString() === id;
+    return isParty && this.invitedBy.toString() !== id;
+};
+
+// Method to check if a user is one of the two parties
+CareRelationshipSchema.methods.isParty = function (userId) {
+    const id = userId.toString();
+    return this.doctor.toString() === id || this.patient.toString() === id;
+};
+
+// Static method to check for an active relationship
+CareRelationshipSchema.statics.isActiveBetween = async function (doctorId, patientId) {
+    const relationship = await this.exists({
+        doctor: doctorId,
+        patient: patientId,
+        status: 'active'
+    });
+    return !!relationship;
+};
+
+// Static method to get the IDs of a doctor's active patients
+CareRelationshipSchema.statics.getPatientIds = async function (doctorId) {
+    const relationships = await this.find({ doctor: doctorId, status: 'active' }).select('patient');
+    return relationships.map(r => r.patient);
+};
+
+// Static method to get the IDs of a patient's active doctors
+CareRelationshipSchema.statics.getDoctorIds = async function (patientId) {
+    const relationships = await this.find({ patient: patientId, status: 'active' }).select('doctor');
+    return relationships.map(r => r.doctor);
+};
+
+module.exports = mongoose.model('CareRelationship', CareRelationshipSchema);
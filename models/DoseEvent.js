@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+const DoseEventSchema = new mongoose.Schema({
+    // Medication the dose belongs to
+    medication: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Medication',
+        required: [true, 'Medication reference is required']
+    },
+
+    // Patient reference (denormalized for per-patient adherence queries)
+    patient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Patient reference is required']
+    },
+
+    // Scheduled date and time of the dose
+    scheduledFor: {
+        type: Date,
+        required: [true, 'Scheduled dose time is required']
+    },
+
+    // Scheduled time as stored in Medication.times (HH:mm)
+    scheduledTime: {
+        type: String,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Scheduled time must be in HH:mm format']
+    },
+
+    // Dosage due at this dose (varies between tapering steps)
+    dosage: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Dosage cannot exceed 50 characters']
+    },
+
+    // What happened to the dose
+    status: {
+        type: String,
+        enum: ['taken', 'skipped', 'snoozed'],
+        required: [true, 'Dose status is required']
+    },
+
+    takenAt: {
+        type: Date
+    },
+
+    skipReason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Skip reason cannot exceed 500 characters']
+    },
+
+    snoozedUntil: {
+        type: Date
+    },
+
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    }
+}, {
+    timestamps: true
+});
+
+// One event per scheduled dose
+DoseEventSchema.index({ medication: 1, scheduledFor: 1 }, { unique: true });
+DoseEventSchema.index({ patient: 1, scheduledFor: -1 });
+
+// Static method to get dose events in a date range
+DoseEventSchema.statics.findInRange = function (filter, from, to) {
+    return this.find({
+        ...filter,
+        scheduledFor: { $gte: from, $lte: to }
+    }).sort({ scheduledFor: 1 });
+};
+
+// Fields that only apply to one status (cleared when the dose changes state)
+const STATUS_FIELDS = ['takenAt', 'skipReason', 'snoozedUntil'];
+
+// Static method to record what happened to a dose
+// A dose can change state (e.g. snoozed then taken), so there is one event per dose
+DoseEventSchema.statics.record = function (medication, scheduledFor, fields) {
+    const $set = {
+        medication: medication._id,
+        patient: medication.patient,
+        scheduledFor
+    };
+    const $unset = {};
+
+    Object.entries(fields).forEach(([field, value]) => {
+        if (value !== undefined) {
+            $set[field] = value;
+        }
+    });
+
+    // Undefined values are dropped by Mongoose, so stale fields are unset explicitly
+    STATUS_FIELDS.forEach(field => {
+        if ($set[field] === undefined) {
+            $unset[field] = 1;
+        }
+    });
+
+    return this.findOneAndUpdate(
+        { medication: medication._id, scheduledFor },
+        { $set, $unset },
+        {
+            new: true,
+            upsert: true,
+            runValidators: true,
+            setDefaultsOnInsert: true
+        }
+    );
+};
+
+module.exports = mongoose.model('DoseEvent', DoseEventSchema);
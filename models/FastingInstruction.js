@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { FASTING_CATEGORIES } = require('../utils/fastingRules');
 
 const FastingInstructionSchema = new mongoose.Schema({
     // Patient reference
@@ -27,6 +28,34 @@ const FastingInstructionSchema = new mongoose.Schema({
         maxlength: [200, 'Operation type cannot exceed 200 characters']
     },
 
+    // Fasting cut-offs per food/liquid category (e.g. solids 6h, clear liquids 2h before)
+    // Defaults to the doctor's template when the instruction is created
+    fastingCutoffs: {
+        type: [{
+            _id: false,
+            category: {
+                type: String,
+                enum: FASTING_CATEGORIES,
+                required: [true, 'Fasting cut-off category is required']
+            },
+            label: {
+                type: String,
+                trim: true,
+                maxlength: [100, 'Fasting cut-off label cannot exceed 100 characters']
+            },
+            hoursBefore: {
+                type: Number,
+                required: [true, 'Fasting cut-off hours are required'],
+                min: [0, 'Fasting cut-off hours cannot be negative'],
+                max: [24, 'Fasting cut-off hours cannot exceed 24']
+            }
+        }],
+        validate: {
+            validator: (cutoffs) => new Set(cutoffs.map(c => c.category)).size === cutoffs.length,
+            message: 'Each fasting category can only have one cut-off'
+        }
+    },
+
     // Extra fasting rules
     extraFastingRules: [{
         type: String,
@@ -62,6 +91,39 @@ const FastingInstructionSchema = new mongoose.Schema({
         maxlength: [500, 'Personal note cannot exceed 500 characters']
     }],
 
+    // When the patient confirmed they have read the instruction
+    acknowledgedAt: {
+        type: Date
+    },
+
+    // Hygiene and administrative items the patient has ticked off
+    checklist: [{
+        _id: false,
+        section: {
+            type: String,
+            enum: ['hygiene', 'administrative'],
+            required: true
+        },
+        item: {
+            type: String,
+            required: true
+        },
+        completedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+
+    // Template the instruction was created from, and which version of it
+    template: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FastingTemplate'
+    },
+
+    templateVersion: {
+        type: Number
+    },
+
     // Status
     isActive: {
         type: Boolean,
@@ -115,4 +177,55 @@ FastingInstructionSchema.methods.isComplete = function () {
     );
 };
 
+// Checklist sections and the instruction lists they track
+const CHECKLIST_SECTIONS = {
+    hygiene: 'hygieneInstructions',
+    administrative: 'administrativeInstructions'
+};
+
+// Method to get the instruction list behind a checklist section
+FastingInstructionSchema.methods.getChecklistItems = function (section) {
+    const field = CHECKLIST_SECTIONS[section];
+    return field ? this[field] : null;
+};
+
+// Method to tick an item off (or undo it)
+FastingInstructionSchema.methods.setChecklistItem = function (section, item, completed) {
+    this.checklist = this.checklist.filter(c => !(c.section === section && c.item === item));
+
+    if (completed) {
+        this.checklist.push({ section, item, completedAt: new Date() });
+    }
+};
+
+// Method to get the patient's progress through the instruction
+// Items the doctor has since removed from the instruction are not counted
+FastingInstructionSchema.methods.getCompletionStatus = function () {
+    const sections = {};
+    let completedCount = 0;
+    let totalCount = 0;
+
+    Object.keys(CHECKLIST_SECTIONS).forEach(section => {
+        sections[section] = this.getChecklistItems(section).map(item => {
+            const entry = this.checklist.find(c => c.section === section && c.item === item);
+            return { item, completed: !!entry, completedAt: entry ? entry.completedAt : null };
+        });
+
+        totalCount += sections[section].length;
+        completedCount += sections[section].filter(i => i.completed).length;
+    });
+
+    const acknowledged = !!this.acknowledgedAt;
+
+    return {
+        hasInstructions: this.isComplete(),
+        acknowledged,
+        acknowledgedAt: this.acknowledgedAt || null,
+        completedCount,
+        totalCount,
+        isFullyComplete: acknowledged && completedCount === totalCount,
+        checklist: sections
+    };
+};
+
 module.exports = mongoose.model('FastingInstruction', FastingInstructionSchema);
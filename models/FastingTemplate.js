@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const { FASTING_CATEGORIES } = require('../utils/fastingRules');
+
+const FastingTemplateSchema = new mongoose.Schema({
+    // Template name shown to doctors (e.g. "Adult elective surgery")
+    name: {
+        type: String,
+        required: [true, 'Template name is required'],
+        trim: true,
+        maxlength: [100, 'Template name cannot exceed 100 characters']
+    },
+
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+
+    // Doctor who owns the template
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Template owner is required']
+    },
+
+    // Personal templates are only visible to the owner,
+    // department templates to every doctor in the owner's department
+    scope: {
+        type: String,
+        enum: ['personal', 'department'],
+        default: 'personal'
+    },
+
+    // Department the template is shared with (copied from the owner)
+    department: {
+        type: String,
+        trim: true
+    },
+
+    // Fields copied into new instructions
+    fastingCutoffs: {
+        type: [{
+            _id: false,
+            category: {
+                type: String,
+                enum: FASTING_CATEGORIES,
+                required: [true, 'Fasting cut-off category is required']
+            },
+            label: {
+                type: String,
+                trim: true,
+                maxlength: [100, 'Fasting cut-off label cannot exceed 100 characters']
+            },
+            hoursBefore: {
+                type: Number,
+                required: [true, 'Fasting cut-off hours are required'],
+                min: [0, 'Fasting cut-off hours cannot be negative'],
+                max: [24, 'Fasting cut-off hours cannot exceed 24']
+            }
+        }],
+        validate: {
+            validator: (cutoffs) => new Set(cutoffs.map(c => c.category)).size === cutoffs.length,
+            message: 'Each fasting category can only have one cut-off'
+        }
+    },
+
+    extraFastingRules: [{
+        type: String,
+        trim: true,
+        maxlength: [500, 'Fasting rule cannot exceed 500 characters']
+    }],
+
+    hygieneInstructions: [{
+        type: String,
+        trim: true,
+        maxlength: [500, 'Hygiene instruction cannot exceed 500 characters']
+    }],
+
+    administrativeInstructions: [{
+        type: String,
+        trim: true,
+        maxlength: [500, 'Administrative instruction cannot exceed 500 characters']
+    }],
+
+    medicalExceptions: [{
+        type: String,
+        trim: true,
+        maxlength: [500, 'Medical exception cannot exceed 500 characters']
+    }],
+
+    // Incremented on every update so instructions can record which version they used
+    version: {
+        type: Number,
+        default: 1
+    },
+
+    // Archived templates can no longer be used for new instructions
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+FastingTemplateSchema.index({ owner: 1, isActive: 1 });
+FastingTemplateSchema.index({ scope: 1, department: 1, isActive: 1 });
+
+// Method to check if a user owns the template (owner may be populated)
+FastingTemplateSchema.methods.isOwner = function (userId) {
+    const ownerId = this.owner._id || this.owner;
+    return ownerId.toString() === userId.toString();
+};
+
+// Method to check if a user may use (read) the template
+FastingTemplateSchema.methods.isVisibleTo = function (user) {
+    if (user.role === 'admin' || this.isOwner(user.id)) {
+        return true;
+    }
+
+    const department = user.doctorInfo && user.doctorInfo.department;
+    return user.role === 'doctor' && this.scope === 'department' && !!department && this.department === department;
+};
+
+// Method to check if a user may edit or archive the template
+FastingTemplateSchema.methods.isEditableBy = function (user) {
+    return user.role === 'admin' || this.isOwner(user.id);
+};
+
+// Static method to build a query for the templates a doctor can see
+FastingTemplateSchema.statics.visibleFilter = function (user) {
+    if (user.role === 'admin') {
+        return {};
+    }
+
+    const department = user.doctorInfo && user.doctorInfo.department;
+    const filter = { $or: [{ owner: user._id }] };
+
+    if (department) {
+        filter.$or.push({ scope: 'department', department });
+    }
+
+    return filter;
+};
+
+module.exports = mongoose.model('FastingTemplate', FastingTemplateSchema);
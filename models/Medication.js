@@ -1,5 +1,22 @@
 const mongoose = require('mongoose');
 
+// One phase of a tapering schedule
+const TaperingStepSchema = new mongoose.Schema({
+    durationDays: {
+        type: Number,
+        required: [true, 'Tapering step duration is required'],
+        min: [1, 'Tapering step must last at least 1 day']
+    },
+    dosage: {
+        type: String,
+        required: [true, 'Tapering step dosage is required'],
+        trim: true,
+        maxlength: [50, 'Dosage cannot exceed 50 characters']
+    },
+    // Overrides the medication's times during this phase
+    times: [String]
+}, { _id: false });
+
 const MedicationSchema = new mongoose.Schema({
     // Patient reference
     patient: {
@@ -48,6 +65,38 @@ const MedicationSchema = new mongoose.Schema({
         }
     },
 
+    // Which days doses are due (the times above apply on each of those days)
+    recurrence: {
+        // daily, weekly (specific weekdays), interval (every N days) or cycle (N days on, M days off)
+        pattern: {
+            type: String,
+            enum: ['daily', 'weekly', 'interval', 'cycle'],
+            default: 'daily'
+        },
+        // 0 = Sunday ... 6 = Saturday
+        daysOfWeek: [{
+            type: Number,
+            min: [0, 'Day of week must be between 0 and 6'],
+            max: [6, 'Day of week must be between 0 and 6']
+        }],
+        intervalDays: {
+            type: Number,
+            min: [1, 'Interval must be at least 1 day']
+        },
+        daysOn: {
+            type: Number,
+            min: [1, 'Cycle must have at least 1 day on']
+        },
+        daysOff: {
+            type: Number,
+            min: [1, 'Cycle must have at least 1 day off']
+        }
+    },
+
+    // Tapering schedule: consecutive phases from the start date, each with its own dosage
+    // No doses are due once the last phase has finished
+    taperingSteps: [TaperingStepSchema],
+
     // Additional information
     instructions: {
         type: String,
@@ -80,7 +129,77 @@ const MedicationSchema = new mongoose.Schema({
         type: String,
         trim: true,
         maxlength: [1000, 'Notes cannot exceed 1000 characters']
-    }
+    },
+
+    // Doctor who prescribed the medication (not set when the patient added it)
+    prescribedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    prescribedAt: {
+        type: Date
+    },
+
+    // Prescribed medications are discontinued rather than deleted
+    discontinuedAt: {
+        type: Date
+    },
+
+    discontinuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    discontinuationReason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Discontinuation reason cannot exceed 500 characters']
+    },
+
+    // Audit trail of dosage and tapering schedule changes
+    dosageHistory: [{
+        previousDosage: String,
+        dosage: String,
+        previousTaperingSteps: [TaperingStepSchema],
+        taperingSteps: [TaperingStepSchema],
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Reason cannot exceed 500 characters']
+        }
+    }],
+
+    // Interaction warnings a doctor has reviewed and accepted
+    interactionOverrides: [{
+        // Key of the warning returned by the interaction check
+        warningKey: {
+            type: String,
+            required: true
+        },
+        justification: {
+            type: String,
+            required: [true, 'Please provide a justification'],
+            trim: true,
+            maxlength: [500, 'Justification cannot exceed 500 characters']
+        },
+        overriddenBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        overriddenAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
 }, {
     timestamps: true
 });
@@ -88,6 +207,7 @@ const MedicationSchema = new mongoose.Schema({
 // Index for faster queries
 MedicationSchema.index({ patient: 1, isActive: 1 });
 MedicationSchema.index({ patient: 1, createdAt: -1 });
+MedicationSchema.index({ prescribedBy: 1, createdAt: -1 });
 
 // Virtual for checking if medication is expired
 MedicationSchema.virtual('isExpired').get(function () {
@@ -108,4 +228,69 @@ MedicationSchema.methods.getFormattedTimes = function () {
     });
 };
 
+// Method to check if the medication was prescribed by a doctor
+MedicationSchema.methods.isPrescribed = function () {
+    return !!this.prescribedBy;
+};
+
+// Comparable form of a tapering schedule
+const describeTaperingSteps = (steps = []) => JSON.stringify(steps.map(step => ({
+    durationDays: step.durationDays,
+    dosage: step.dosage,
+    times: step.times && step.times.length > 0 ? [...step.times] : []
+})));
+
+// Method to change the dosage and/or tapering schedule and record it in the audit trail
+MedicationSchema.methods.changeDosage = function ({ dosage, taperingSteps }, userId, reason) {
+    const dosageChanged = dosage !== undefined && dosage !== this.dosage;
+    const taperingChanged = taperingSteps !== undefined &&
+        describeTaperingSteps(taperingSteps) !== describeTaperingSteps(this.taperingSteps);
+
+    if (!dosageChanged && !taperingChanged) {
+        return false;
+    }
+
+    const entry = {
+        previousDosage: this.dosage,
+        previousTaperingSteps: this.taperingSteps.map(step => step.toObject()),
+        changedBy: userId,
+        reason
+    };
+
+    if (dosageChanged) {
+        this.dosage = dosage;
+    }
+    if (taperingChanged) {
+        this.taperingSteps = taperingSteps;
+    }
+
+    this.dosageHistory.push({
+        ...entry,
+        dosage: this.dosage,
+        taperingSteps: this.taperingSteps.map(step => step.toObject())
+    });
+    return true;
+};
+
+// Method to stop a medication, keeping it in the patient's history
+MedicationSchema.methods.discontinue = function (userId, reason) {
+    this.isActive = false;
+    this.discontinuedAt = new Date();
+    this.discontinuedBy = userId;
+    this.discontinuationReason = reason;
+};
+
+// Method to make a medication active again, clearing an earlier discontinuation
+MedicationSchema.methods.reactivate = function () {
+    this.isActive = true;
+    this.discontinuedAt = undefined;
+    this.discontinuedBy = undefined;
+    this.discontinuationReason = undefined;
+};
+
+// Method to check if a doctor has overridden an interaction warning
+MedicationSchema.methods.hasOverride = function (warningKey) {
+    return this.interactionOverrides.some(override => override.warningKey === warningKey);
+};
+
 module.exports = mongoose.model('Medication', MedicationSchema);
@@ -30,8 +30,12 @@ const MessageSchema = new mongoose.Schema({
         default: 'text'
     },
 
-    // File attachment (for future use)
+    // File attachment (for image and file messages)
     attachment: {
+        attachmentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Attachment'
+        },
         url: String,
         filename: String,
         fileType: String,
@@ -72,6 +76,18 @@ const MessageSchema = new mongoose.Schema({
         type: Date
     },
 
+    // Previous versions of the content, kept for audit
+    editHistory: {
+        type: [{
+            content: String,
+            editedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        select: false
+    },
+
     isDeleted: {
         type: Boolean,
         default: false
@@ -99,6 +115,13 @@ MessageSchema.methods.isDeliveredTo = function (userId) {
     return this.deliveredTo.some(delivery => delivery.user.toString() === userId.toString());
 };
 
+// Method to check if a user may still edit or delete the message
+MessageSchema.methods.isModifiableBy = function (userId, windowMinutes) {
+    const senderId = this.sender._id ? this.sender._id.toString() : this.sender.toString();
+    const windowEnd = this.createdAt.getTime() + windowMinutes * 60 * 1000;
+    return senderId === userId.toString() && Date.now() <= windowEnd;
+};
+
 // Method to mark message as read by a user
 MessageSchema.methods.markAsRead = async function (userId) {
     if (!this.isReadBy(userId)) {
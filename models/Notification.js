@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { isStreaming, emitToUser } = require('../utils/notificationStream');
 
 const NotificationSchema = new mongoose.Schema({
     // User who receives the notification
@@ -11,7 +13,7 @@ const NotificationSchema = new mongoose.Schema({
     // Type of notification
     type: {
         type: String,
-        enum: ['medication', 'fasting', 'appointment', 'general'],
+        enum: ['medication', 'fasting', 'appointment', 'chat', 'general'],
         required: [true, 'Notification type is required']
     },
 
@@ -19,7 +21,7 @@ const NotificationSchema = new mongoose.Schema({
     relatedEntity: {
         entityType: {
             type: String,
-            enum: ['Medication', 'FastingInstruction', 'Appointment', 'None'],
+            enum: ['Medication', 'FastingInstruction', 'Appointment', 'Conversation', 'BroadcastCampaign', 'None'],
             default: 'None'
         },
         entityId: {
@@ -73,6 +75,22 @@ const NotificationSchema = new mongoose.Schema({
         type: String
     },
 
+    // Result of each delivery channel (push, email, sms, in_app)
+    deliveries: [{
+        _id: false,
+        channel: {
+            type: String,
+            enum: ['push', 'email', 'sms', 'in_app']
+        },
+        status: {
+            type: String,
+            enum: ['sent', 'skipped', 'failed']
+        },
+        messageId: String,
+        error: String,
+        attemptedAt: Date
+    }],
+
     // Read status
     isRead: {
         type: Boolean,
@@ -88,6 +106,38 @@ const NotificationSchema = new mongoose.Schema({
         type: Date
     },
 
+    // Deduplication key for scheduler-generated reminders
+    // (prevents the same reminder from being queued twice)
+    dedupeKey: {
+        type: String
+    },
+
+    // Reminder actions: the patient confirmed the reminder, or snoozed it
+    acknowledgedAt: {
+        type: Date
+    },
+
+    snoozedUntil: {
+        type: Date
+    },
+
+    // Set when an ignored reminder has been escalated (see escalationMonitor)
+    escalatedAt: {
+        type: Date
+    },
+
+    // Reminder this notification re-sends after a snooze
+    snoozedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Notification'
+    },
+
+    // Number of events grouped into this notification (e.g. a burst of chat messages)
+    groupedCount: {
+        type: Number,
+        default: 1
+    },
+
     // Priority
     priority: {
         type: String,
@@ -103,6 +153,95 @@ NotificationSchema.index({ user: 1, createdAt: -1 });
 NotificationSchema.index({ user: 1, isRead: 1 });
 NotificationSchema.index({ deliveryStatus: 1, scheduledFor: 1 });
 NotificationSchema.index({ 'relatedEntity.entityId': 1 });
+NotificationSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+NotificationSchema.index({ snoozedFrom: 1 });
+NotificationSchema.index({ type: 1, sentAt: -1 });
+
+// Remember what a save changed (used by the post-save hook)
+NotificationSchema.pre('save', function (next) {
+    this.$locals.wasNew = this.isNew;
+    this.$locals.readChanged = !this.isNew && this.isModified('isRead');
+    next();
+});
+
+// Stream a new notification, with the updated unread count, to the user's devices
+const streamCreated = async (notification, unreadCount) => {
+    if (!isStreaming()) {
+        return;
+    }
+
+    try {
+        if (unreadCount === undefined) {
+            unreadCount = await notification.constructor.getUnreadCount(notification.user);
+        }
+        emitToUser(notification.user.toString(), 'notification_created', { notification, unreadCount });
+    } catch (error) {
+        logger.error('Failed to stream new notification:', error.message);
+    }
+};
+
+// Stream a read state change, with the updated unread count, to the user's devices
+const streamReadChange = async (notification) => {
+    if (!isStreaming()) {
+        return;
+    }
+
+    try {
+        const unreadCount = await notification.constructor.getUnreadCount(notification.user);
+        emitToUser(notification.user.toString(), 'notification_read', {
+            notificationId: notification._id,
+            isRead: notification.isRead,
+            readAt: notification.readAt,
+            unreadCount
+        });
+    } catch (error) {
+        logger.error('Failed to stream notification read state:', error.message);
+    }
+};
+
+// Stream notifications created with save() or create(), and read state changes
+// Queued (pending) notifications are streamed once the dispatcher sends them
+NotificationSchema.post('save', async function (doc) {
+    if (doc.$locals.wasNew) {
+        if (doc.deliveryStatus !== 'pending') {
+            await streamCreated(doc);
+        }
+    } else if (doc.$locals.readChanged) {
+        await streamReadChange(doc);
+    }
+});
+
+// Stream queued notifications when the dispatcher claims them: the query only
+// matched a pending notification, and the updated document comes back as sent
+NotificationSchema.post('findOneAndUpdate', async function (doc) {
+    if (doc && doc.deliveryStatus === 'sent' && this.getFilter().deliveryStatus === 'pending') {
+        await streamCreated(doc);
+    }
+});
+
+// Stream notifications created in bulk, counting unread notifications once per user
+NotificationSchema.post('insertMany', async function (docs) {
+    const sent = docs.filter(doc => doc.deliveryStatus !== 'pending');
+
+    if (sent.length === 0 || !isStreaming()) {
+        return;
+    }
+
+    let unreadCounts;
+    try {
+        unreadCounts = await this.getUnreadCounts(sent.map(doc => doc.user));
+    } catch (error) {
+        logger.error('Failed to stream new notifications:', error.message);
+        return;
+    }
+
+    for (const doc of sent) {
+        await streamCreated(doc, unreadCounts.get(doc.user.toString()) || 0);
+    }
+});
+
+// Actions a client can offer on a notification (sent as "actions" in the push data)
+const REMINDER_ACTIONS = ['acknowledge', 'snooze'];
 
 // Method to mark as read
 NotificationSchema.methods.markAsRead = async function () {
@@ -133,17 +272,63 @@ NotificationSchema.methods.markAsFailed = async function (reason) {
     return this;
 };
 
+// Method to check if this is a medication, fasting or appointment reminder
+// (other notifications of those types, such as interaction alerts, carry a different data type)
+NotificationSchema.methods.isReminder = function () {
+    const dataType = this.data && this.data.get('type');
+    return ['medication', 'fasting', 'appointment'].includes(this.type) && dataType === this.type;
+};
+
+// Method to get the action IDs a client can offer on this notification
+NotificationSchema.methods.getActions = function () {
+    return this.isReminder() && !this.acknowledgedAt ? REMINDER_ACTIONS : [];
+};
+
+// Method to acknowledge a reminder (also marks it as read)
+NotificationSchema.methods.acknowledge = async function () {
+    this.acknowledgedAt = new Date();
+    if (!this.isRead) {
+        this.isRead = true;
+        this.readAt = new Date();
+    }
+    await this.save();
+    return this;
+};
+
+// Static method to build a query for the notifications a user can see
+// (queued reminders stay hidden until the dispatcher sends them)
+NotificationSchema.statics.visibleFilter = function (userId) {
+    return {
+        user: userId,
+        deliveryStatus: { $ne: 'pending' }
+    };
+};
+
 // Static method to get unread count for user
 NotificationSchema.statics.getUnreadCount = async function (userId) {
     return this.countDocuments({
-        user: userId,
+        ...this.visibleFilter(userId),
         isRead: false
     });
 };
 
+// Static method to get unread counts for several users at once
+// Returns a Map of user ID string to count (users without unread notifications are left out)
+NotificationSchema.statics.getUnreadCounts = async function (userIds) {
+    const ids = [...new Set(userIds.map(id => id.toString()))]
+        .map(id => new mongoose.Types.ObjectId(id));
+
+    const counts = await this.aggregate([
+        { $match: { ...this.visibleFilter({ $in: ids }), isRead: false } },
+        { $group: { _id: '$user', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
 // Static method to get recent notifications
 NotificationSchema.statics.getRecent = async function (userId, limit = 20) {
-    return this.find({ user: userId })
+    return this.find(this.visibleFilter(userId))
         .sort({ createdAt: -1 })
         .limit(limit)
         .populate('relatedEntity.entityId');
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const SessionSchema = new mongoose.Schema({
+    // Owner of the session
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User reference is required']
+    },
+
+    // SHA-256 hash of the current refresh token (the raw token is never stored)
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+
+    // Hash of the token this one replaced, used to detect refresh token reuse
+    previousRefreshTokenHash: {
+        type: String,
+        select: false
+    },
+
+    // Device information
+    deviceId: String,
+    deviceName: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Device name cannot exceed 100 characters']
+    },
+    platform: {
+        type: String,
+        enum: ['ios', 'android', 'web']
+    },
+    userAgent: String,
+    ipAddress: String,
+
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    // Revocation
+    revokedAt: {
+        type: Date
+    },
+
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'revoked', 'password_changed', 'password_reset', 'account_deactivated', 'token_reuse']
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for faster lookups
+SessionSchema.index({ refreshTokenHash: 1 });
+SessionSchema.index({ previousRefreshTokenHash: 1 });
+SessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Expired sessions are removed automatically
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check if the session can still be used
+SessionSchema.methods.isValid = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to revoke the session
+SessionSchema.methods.revoke = async function (reason = 'revoked') {
+    if (!this.revokedAt) {
+        this.revokedAt = new Date();
+        this.revokedReason = reason;
+        await this.save();
+    }
+    return this;
+};
+
+// Static method to find a session that is neither revoked nor expired
+SessionSchema.statics.findValidById = function (sessionId) {
+    return this.findOne({
+        _id: sessionId,
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+// Static method to revoke every session of a user
+SessionSchema.statics.revokeAllForUser = function (userId, reason = 'revoked', exceptSessionId) {
+    const query = { user: userId, revokedAt: { $exists: false } };
+
+    if (exceptSessionId) {
+        query._id = { $ne: exceptSessionId };
+    }
+
+    return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
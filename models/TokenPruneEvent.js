@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const TokenPruneEventSchema = new mongoose.Schema({
+    // User the token was removed from
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // Last characters of the token, for support lookups (the full token is not kept)
+    tokenSuffix: {
+        type: String
+    },
+
+    platform: {
+        type: String,
+        enum: ['ios', 'android', 'web']
+    },
+
+    // Why the token was removed
+    reason: {
+        type: String,
+        enum: ['unregistered', 'invalid'],
+        required: true
+    },
+
+    // Where the failure was detected
+    source: {
+        type: String,
+        enum: ['send', 'cleanup'],
+        required: true
+    },
+
+    // How long the token had been registered
+    tokenAgeDays: {
+        type: Number
+    }
+}, {
+    timestamps: true
+});
+
+TokenPruneEventSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('TokenPruneEvent', TokenPruneEventSchema);
@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const validator = require('validator');
+const { hashToken, generateRandomToken } = require('../utils/authTokens');
+const { isValidTimezone } = require('../utils/timezone');
+const { FASTING_CATEGORIES } = require('../utils/fastingRules');
+
+// Notification delivery channels a user can choose from
+const CHANNELS = ['push', 'email', 'sms', 'in_app'];
 
 const UserSchema = new mongoose.Schema({
     // Basic Information
@@ -40,10 +46,20 @@ const UserSchema = new mongoose.Schema({
         medicalHistory: [String],
         allergies: [String],
         currentMedications: [String],
+        // Notified (by SMS, or email without a phone number) when critical reminders are ignored
         emergencyContact: {
             name: String,
             relationship: String,
-            phoneNumber: String
+            phoneNumber: String,
+            email: {
+                type: String,
+                lowercase: true,
+                trim: true,
+                validate: {
+                    validator: (value) => !value || validator.isEmail(value),
+                    message: 'Please provide a valid emergency contact email'
+                }
+            }
         }
     },
 
@@ -59,7 +75,27 @@ const UserSchema = new mongoose.Schema({
         availableHours: {
             start: String,
             end: String
-        }
+        },
+        // Length of a bookable appointment slot
+        slotDurationMinutes: {
+            type: Number,
+            min: 5,
+            max: 240
+        },
+        // Default fasting cut-offs applied to this doctor's new instructions
+        fastingCutoffDefaults: [{
+            _id: false,
+            category: {
+                type: String,
+                enum: FASTING_CATEGORIES
+            },
+            label: String,
+            hoursBefore: {
+                type: Number,
+                min: 0,
+                max: 24
+            }
+        }]
     },
 
     // Admin-specific fields
@@ -81,11 +117,39 @@ const UserSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+
+    // Single-use tokens (stored hashed)
+    emailVerificationToken: {
+        type: String,
+        select: false
+    },
+    emailVerificationExpires: {
+        type: Date,
+        select: false
+    },
+    passwordResetToken: {
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
+    },
     profileImage: {
         type: String,
         default: ''
     },
 
+    // IANA timezone used for reminders and quiet hours (e.g. "Europe/Paris")
+    // Falls back to DEFAULT_TIMEZONE when not set
+    timezone: {
+        type: String,
+        validate: {
+            validator: (value) => !value || isValidTimezone(value),
+            message: 'Please provide a valid IANA timezone'
+        }
+    },
+
     // FCM tokens for push notifications (array to support multiple devices)
     fcmTokens: [{
         token: {
@@ -100,7 +164,9 @@ const UserSchema = new mongoose.Schema({
         addedAt: {
             type: Date,
             default: Date.now
-        }
+        },
+        // Last successful dry-run validation
+        lastValidatedAt: Date
     }],
 
     // Notification preferences
@@ -138,6 +204,14 @@ const UserSchema = new mongoose.Schema({
         quietHoursEnd: {
             type: String,
             default: '08:00'
+        },
+        // Delivery channels per notification type (unset uses push and in_app)
+        channels: {
+            medication: { type: [{ type: String, enum: CHANNELS }], default: undefined },
+            fasting: { type: [{ type: String, enum: CHANNELS }], default: undefined },
+            appointment: { type: [{ type: String, enum: CHANNELS }], default: undefined },
+            chat: { type: [{ type: String, enum: CHANNELS }], default: undefined },
+            general: { type: [{ type: String, enum: CHANNELS }], default: undefined }
         }
     },
 
@@ -161,6 +235,26 @@ UserSchema.pre('save', async function (next) {
     next();
 });
 
+// Track deactivation so sessions can be revoked after saving
+UserSchema.pre('save', function (next) {
+    this.$locals.wasDeactivated = !this.isNew && this.isModified('isActive') && !this.isActive;
+    next();
+});
+
+// Revoke all sessions of a deactivated user
+UserSchema.post('save', async function (doc) {
+    if (!doc.$locals.wasDeactivated) {
+        return;
+    }
+
+    try {
+        const Session = mongoose.model('Session');
+        await Session.revokeAllForUser(doc._id, 'account_deactivated');
+    } catch (error) {
+        console.error('Error revoking sessions of deactivated user:', error);
+    }
+});
+
 // Method to compare passwords
 UserSchema.methods.comparePassword = async function (candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
@@ -170,7 +264,53 @@ UserSchema.methods.comparePassword = async function (candidatePassword) {
 UserSchema.methods.getPublicProfile = function () {
     const user = this.toObject();
     delete user.password;
+    delete user.emailVerificationToken;
+    delete user.emailVerificationExpires;
+    delete user.passwordResetToken;
+    delete user.passwordResetExpires;
     return user;
 };
 
+// Method to create an email verification token (returns the raw token)
+UserSchema.methods.createEmailVerificationToken = function (expiresInHours) {
+    const token = generateRandomToken(32);
+    this.emailVerificationToken = hashToken(token);
+    this.emailVerificationExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+    return token;
+};
+
+// Method to create a password reset token (returns the raw token)
+UserSchema.methods.createPasswordResetToken = function (expiresInMinutes) {
+    const token = generateRandomToken(32);
+    this.passwordResetToken = hashToken(token);
+    this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+    return token;
+};
+
+// Static method to consume an unexpired verification token
+// The token is cleared atomically so it can only be used once
+UserSchema.statics.consumeEmailVerificationToken = function (token) {
+    return this.findOneAndUpdate(
+        {
+            emailVerificationToken: hashToken(token),
+            emailVerificationExpires: { $gt: new Date() }
+        },
+        { $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 } },
+        { new: true }
+    );
+};
+
+// Static method to consume an unexpired password reset token
+// The token is cleared atomically so it can only be used once
+UserSchema.statics.consumePasswordResetToken = function (token) {
+    return this.findOneAndUpdate(
+        {
+            passwordResetToken: hashToken(token),
+            passwordResetExpires: { $gt: new Date() }
+        },
+        { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+        { new: true }
+    );
+};
+
 module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,37 @@
+// Appointment routes
+
+const express = require('express');
+const router = express.Router();
+const {
+    getAvailableSlots,
+    bookAppointment,
+    getAppointments,
+    getAppointment,
+    rescheduleAppointment,
+    cancelAppointment,
+    updateAppointmentStatus
+} = require('../controllers/appointmentController');
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/appointmentSchemas');
+
+// All routes are protected (require authentication)
+router.use(protect);
+
+// Main routes
+router.route('/')
+    .get(getAppointments)
+    .post(validate(schemas.bookAppointment), bookAppointment);
+
+// Specific routes (must come before /:id to avoid conflicts)
+router.get('/slots', getAvailableSlots);
+
+router.route('/:id')
+    .get(getAppointment);
+
+// Additional routes
+router.patch('/:id/reschedule', validate(schemas.rescheduleAppointment), rescheduleAppointment);
+router.patch('/:id/cancel', validate(schemas.cancelAppointment), cancelAppointment);
+router.patch('/:id/status', validate(schemas.updateAppointmentStatus), updateAppointmentStatus);
+
+module.exports = router;
@@ -7,17 +7,40 @@ const {
     login,
     getMe,
     updateProfile,
-    updatePassword
+    updatePassword,
+    refreshSession,
+    logout,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword
 } = require('../controllers/authController');
 const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/authSchemas');
 
 // Public routes
-router.post('/register', register);
-router.post('/login', login);
+router.post('/register', validate(schemas.register), register);
+router.post('/login', validate(schemas.login), login);
+router.post('/refresh', validate(schemas.refreshSession), refreshSession);
+router.post('/verify-email', validate(schemas.verifyEmail), verifyEmail);
+router.post('/forgot-password', validate(schemas.forgotPassword), forgotPassword);
+router.post('/reset-password', validate(schemas.resetPassword), resetPassword);
 
 // Protected routes
 router.get('/me', protect, getMe);
-router.put('/profile', protect, updateProfile);
-router.put('/updatepassword', protect, updatePassword);
+router.put('/profile', protect, validate(schemas.updateProfile), updateProfile);
+router.put('/updatepassword', protect, validate(schemas.updatePassword), updatePassword);
+router.post('/logout', protect, logout);
+router.post('/resend-verification', protect, resendVerification);
+
+// Session management
+router.route('/sessions')
+    .get(protect, getSessions)
+    .delete(protect, revokeOtherSessions);
+router.delete('/sessions/:id', protect, revokeSession);
 
 module.exports = router;
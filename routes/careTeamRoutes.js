@@ -0,0 +1,26 @@
+// Care Team routes
+
+const express = require('express');
+const router = express.Router();
+const {
+    inviteToCareTeam,
+    getCareTeam,
+    acceptInvitation,
+    declineInvitation,
+    revokeRelationship
+} = require('../controllers/careTeamController');
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/careTeamSchemas');
+
+// All routes are protected (require authentication)
+router.use(protect);
+
+router.get('/', getCareTeam);
+router.post('/invite', validate(schemas.inviteToCareTeam), inviteToCareTeam);
+
+router.patch('/:id/accept', acceptInvitation);
+router.patch('/:id/decline', declineInvitation);
+router.patch('/:id/revoke', revokeRelationship);
+
+module.exports = router;
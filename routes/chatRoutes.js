@@ -8,9 +8,16 @@ const {
     createConversation,
     getMessages,
     markAsRead,
-    searchConversations
+    searchConversations,
+    createAttachment,
+    getAttachment,
+    updateMessage,
+    removeMessage
 } = require('../controllers/chatController');
 const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/chatSchemas');
+const { uploadAttachment } = require('../middleware/upload');
 
 // All routes are protected (require authentication)
 router.use(protect);
@@ -18,7 +25,7 @@ router.use(protect);
 // Conversation routes
 router.route('/conversations')
     .get(getConversations)
-    .post(createConversation);
+    .post(validate(schemas.createConversation), createConversation);
 
 router.route('/conversations/:id')
     .get(getConversation);
@@ -26,8 +33,16 @@ router.route('/conversations/:id')
 router.route('/conversations/:id/messages')
     .get(getMessages);
 
+router.route('/conversations/:id/messages/:messageId')
+    .patch(validate(schemas.updateMessage), updateMessage)
+    .delete(removeMessage);
+
 router.patch('/conversations/:id/read', markAsRead);
 
+// Attachment routes
+router.post('/conversations/:id/attachments', uploadAttachment, createAttachment);
+router.get('/conversations/:id/attachments/:attachmentId', getAttachment);
+
 // Search route
 router.get('/search', searchConversations);
 
@@ -10,9 +10,23 @@ const {
     deleteFastingInstruction,
     getPatientFastingInstructions,
     toggleFastingInstructionStatus,
-    updatePatientPersonalNotes
+    updatePatientPersonalNotes,
+    acknowledgeFastingInstruction,
+    updateChecklistItem,
+    getFastingInstructionStatus,
+    getCutoffDefaults,
+    updateCutoffDefaults
 } = require('../controllers/fastingInstructionController');
-const { protect } = require('../middleware/auth');
+const {
+    getTemplates,
+    getTemplate,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate
+} = require('../controllers/fastingTemplateController');
+const { protect, isPatient, isDoctor, isDoctorOrAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/fastingInstructionSchemas');
 
 // All routes are protected (require authentication)
 router.use(protect);
@@ -20,18 +34,31 @@ router.use(protect);
 // Main routes
 router.route('/')
     .get(getFastingInstructions)
-    .post(addFastingInstruction);
+    .post(isDoctorOrAdmin, validate(schemas.addFastingInstruction), addFastingInstruction);
 
 // Specific routes (must come before /:id to avoid conflicts)
 router.get('/patient/:patientId', getPatientFastingInstructions);
+router.route('/templates')
+    .get(isDoctorOrAdmin, getTemplates)
+    .post(isDoctor, validate(schemas.createTemplate), createTemplate);
+router.route('/templates/:id')
+    .get(isDoctorOrAdmin, getTemplate)
+    .put(isDoctorOrAdmin, validate(schemas.updateTemplate), updateTemplate)
+    .delete(isDoctorOrAdmin, deleteTemplate);
+router.route('/cutoff-defaults')
+    .get(isDoctor, getCutoffDefaults)
+    .put(isDoctor, validate(schemas.updateCutoffDefaults), updateCutoffDefaults);
 
 router.route('/:id')
     .get(getFastingInstruction)
-    .put(updateFastingInstruction)
-    .delete(deleteFastingInstruction);
+    .put(isDoctorOrAdmin, validate(schemas.updateFastingInstruction), updateFastingInstruction)
+    .delete(isDoctorOrAdmin, deleteFastingInstruction);
 
 // Additional routes
-router.patch('/:id/toggle', toggleFastingInstructionStatus);
-router.patch('/:id/personal-notes', updatePatientPersonalNotes);
+router.patch('/:id/toggle', isDoctorOrAdmin, toggleFastingInstructionStatus);
+router.patch('/:id/personal-notes', isPatient, validate(schemas.updatePersonalNotes), updatePatientPersonalNotes);
+router.patch('/:id/acknowledge', isPatient, acknowledgeFastingInstruction);
+router.patch('/:id/checklist', isPatient, validate(schemas.updateChecklistItem), updateChecklistItem);
+router.get('/:id/status', getFastingInstructionStatus);
 
 module.exports = router;
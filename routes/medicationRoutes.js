@@ -9,9 +9,20 @@ const {
     updateMedication,
     deleteMedication,
     toggleMedicationStatus,
+    discontinueMedication,
+    getMedicationInteractions,
+    overrideInteraction,
     getMedicationsByType
 } = require('../controllers/medicationController');
-const { protect } = require('../middleware/auth');
+const {
+    recordDose,
+    getDoses,
+    getMedicationAdherence,
+    getPatientAdherence
+} = require('../controllers/doseController');
+const { protect, isDoctor } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/medicationSchemas');
 
 // All routes are protected (require authentication)
 router.use(protect);
@@ -19,15 +30,30 @@ router.use(protect);
 // Main routes
 router.route('/')
     .get(getMedications)
-    .post(addMedication);
+    .post(validate(schemas.addMedication), addMedication);
+
+// Patient-wide adherence (must come before /:id to avoid conflicts)
+router.get('/adherence', getPatientAdherence);
 
 router.route('/:id')
     .get(getMedication)
-    .put(updateMedication)
+    .put(validate(schemas.updateMedication), updateMedication)
     .delete(deleteMedication);
 
 // Additional routes
 router.patch('/:id/toggle', toggleMedicationStatus);
+router.patch('/:id/discontinue', validate(schemas.discontinueMedication), discontinueMedication);
 router.get('/type/:type', getMedicationsByType);
 
+// Interaction checks
+router.get('/:id/interactions', getMedicationInteractions);
+router.post('/:id/interaction-overrides', isDoctor, validate(schemas.overrideInteraction), overrideInteraction);
+
+// Dose adherence routes
+router.route('/:id/doses')
+    .get(getDoses)
+    .post(validate(schemas.recordDose), recordDose);
+
+router.get('/:id/doses/adherence', getMedicationAdherence);
+
 module.exports = router;
@@ -11,23 +11,32 @@ const {
     getNotificationHistory,
     markNotificationAsRead,
     markAllAsRead,
+    acknowledgeNotification,
+    snoozeNotification,
     sendTestNotification,
-    deleteNotification
+    deleteNotification,
+    getTokenPruneReport,
+    createBroadcast,
+    getBroadcasts,
+    getBroadcast,
+    cancelBroadcast
 } = require('../controllers/notificationController');
-const { protect } = require('../middleware/auth');
+const { protect, isAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/notificationSchemas');
 
 // All routes are protected (require authentication)
 router.use(protect);
 
 // FCM Token management
 router.route('/register-token')
-    .post(registerFCMToken)
-    .delete(removeFCMToken);
+    .post(validate(schemas.registerFCMToken), registerFCMToken)
+    .delete(validate(schemas.removeFCMToken), removeFCMToken);
 
 // Notification preferences
 router.route('/preferences')
     .get(getNotificationPreferences)
-    .put(updateNotificationPreferences);
+    .put(validate(schemas.updateNotificationPreferences), updateNotificationPreferences);
 
 // Upcoming reminders
 router.get('/upcoming', getUpcomingReminders);
@@ -39,8 +48,23 @@ router.get('/history', getNotificationHistory);
 router.patch('/read-all', markAllAsRead);
 router.patch('/:id/read', markNotificationAsRead);
 
+// Reminder actions (action IDs are sent in the push data as "actions")
+router.post('/:id/acknowledge', acknowledgeNotification);
+router.post('/:id/snooze', validate(schemas.snoozeNotification), snoozeNotification);
+
+// Admin report of pruned FCM tokens
+router.get('/token-report', isAdmin, getTokenPruneReport);
+
+// Admin broadcasts to a segment of users
+router.route('/broadcast')
+    .get(isAdmin, getBroadcasts)
+    .post(isAdmin, validate(schemas.createBroadcast), createBroadcast);
+router.route('/broadcast/:id')
+    .get(isAdmin, getBroadcast)
+    .delete(isAdmin, cancelBroadcast);
+
 // Test notification
-router.post('/test', sendTestNotification);
+router.post('/test', validate(schemas.sendTestNotification), sendTestNotification);
 
 // Delete notification
 router.delete('/:id', deleteNotification);
@@ -0,0 +1,109 @@
+// Adherence: expected doses stop when a medication is discontinued
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Medication = require('../models/Medication');
+const DoseEvent = require('../models/DoseEvent');
+const errorHandler = require('../middleware/errorHandler');
+const medicationRoutes = require('../routes/medicationRoutes');
+const { getMedicationEnd, calculateAdherence } = require('../utils/adherenceCalculator');
+const { stubAuth, authHeader } = require('./helpers/mockDb');
+
+const app = express();
+app.use(express.json());
+app.use('/api/medications', medicationRoutes);
+app.use(errorHandler);
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const FROM = new Date('2026-10-12T00:00:00Z');
+
+const patient = new User({ name: 'Pat', email: 'pat@example.com', password: 'password123', role: 'patient', timezone: 'UTC' });
+
+const makeMedication = (fields = {}) => new Medication({
+    patient: patient._id,
+    name: 'Lisinopril',
+    type: 'pill',
+    dosage: '10mg',
+    times: ['08:00'],
+    startDate: new Date('2026-10-01T00:00:00Z'),
+    ...fields
+});
+
+const takenEvent = (medication, scheduledFor) => new DoseEvent({
+    medication: medication._id,
+    patient: patient._id,
+    scheduledFor,
+    status: 'taken',
+    takenAt: scheduledFor
+});
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+});
+
+describe('getMedicationEnd', () => {
+    it('uses the earlier of the end date and the discontinuation', () => {
+        const endDate = new Date('2026-10-30T00:00:00Z');
+        const discontinuedAt = new Date('2026-10-15T10:00:00Z');
+
+        expect(getMedicationEnd(makeMedication(), 'UTC')).toBeNull();
+        // A date-only end date includes its whole day
+        expect(getMedicationEnd(makeMedication({ endDate }), 'UTC')).toEqual(new Date('2026-10-30T23:59:59.999Z'));
+        expect(getMedicationEnd(makeMedication({ endDate, discontinuedAt, isActive: false }), 'UTC')).toEqual(discontinuedAt);
+    });
+
+    it('ends a paused medication at its last update', () => {
+        const updatedAt = new Date('2026-10-16T09:00:00Z');
+
+        expect(getMedicationEnd(makeMedication({ isActive: false, updatedAt }), 'UTC')).toEqual(updatedAt);
+    });
+});
+
+describe('calculateAdherence', () => {
+    it('does not count doses after the medication was discontinued', () => {
+        const medication = makeMedication({ isActive: false, discontinuedAt: new Date('2026-10-15T10:00:00Z') });
+        const events = [12, 13, 14, 15].map(day => takenEvent(medication, new Date(`2026-10-${day}T08:00:00Z`)));
+
+        const adherence = calculateAdherence(medication, events, FROM, NOW, 'UTC');
+
+        expect(adherence).toMatchObject({ expected: 4, taken: 4, missed: 0, adherencePercentage: 100 });
+    });
+
+    it('expects nothing from a medication discontinued before the range', () => {
+        const medication = makeMedication({ isActive: false, discontinuedAt: new Date('2026-10-05T10:00:00Z') });
+
+        expect(calculateAdherence(medication, [], FROM, NOW, 'UTC')).toMatchObject({ expected: 0, adherencePercentage: null });
+    });
+});
+
+describe('GET /api/medications/adherence', () => {
+    it('totals only the doses due while each medication was taken', async () => {
+        const ongoing = makeMedication({ name: 'Metformin' });
+        const stopped = makeMedication({ isActive: false, discontinuedAt: new Date('2026-10-15T10:00:00Z') });
+        const events = [12, 13, 14, 15].map(day => takenEvent(stopped, new Date(`2026-10-${day}T08:00:00Z`)));
+
+        stubAuth([patient]);
+        jest.spyOn(Medication, 'find').mockResolvedValue([ongoing, stopped]);
+        jest.spyOn(DoseEvent, 'findInRange').mockResolvedValue(events);
+
+        const res = await request(app)
+            .get(`/api/medications/adherence?from=${FROM.toISOString()}`)
+            .set('Authorization', authHeader(patient));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.medications.map(m => [m.medicationName, m.expected, m.missed])).toEqual([
+            ['Metformin', 8, 8],
+            ['Lisinopril', 4, 0]
+        ]);
+        expect(res.body.data).toMatchObject({ expected: 12, taken: 4, missed: 8 });
+        expect(Medication.find.mock.calls[0][0].$and[1]).toEqual({
+            $or: [{ discontinuedAt: { $exists: false } }, { discontinuedAt: null }, { discontinuedAt: { $gte: FROM } }]
+        });
+    });
+});
@@ -0,0 +1,188 @@
+// Appointment booking and rescheduling: time checks and conflicts
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const Notification = require('../models/Notification');
+const errorHandler = require('../middleware/errorHandler');
+const appointmentRoutes = require('../routes/appointmentRoutes');
+const { query, stubDocumentWrites, stubAuth, authHeader, stubFindById } = require('./helpers/mockDb');
+
+const app = express();
+app.use(express.json());
+app.use('/api/appointments', appointmentRoutes);
+app.use(errorHandler);
+
+const makeUser = (role, fields = {}) => new User({
+    name: `Test ${role}`,
+    email: `${role}@example.com`,
+    password: 'password123',
+    role,
+    timezone: 'UTC',
+    ...fields
+});
+
+const patient = makeUser('patient');
+const otherPatient = makeUser('patient', { email: 'other@example.com' });
+const doctor = makeUser('doctor', {
+    doctorInfo: { specialization: 'surgeon', availableHours: { start: '09:00', end: '17:00' }, slotDurationMinutes: 30 }
+});
+
+const at = (iso) => new Date(iso);
+
+let conflicts;
+let existing;
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: at('2026-10-19T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+
+    conflicts = [];
+    existing = new Appointment({
+        patient: patient._id,
+        doctor: doctor._id,
+        startTime: at('2026-10-20T10:00:00Z'),
+        endTime: at('2026-10-20T10:30:00Z')
+    });
+
+    stubDocumentWrites();
+    stubAuth([patient, otherPatient, doctor]);
+    stubFindById(Appointment, [existing]);
+
+    jest.spyOn(User, 'findOne').mockReturnValue(query(doctor));
+    jest.spyOn(Appointment, 'find').mockImplementation(() => query(conflicts));
+    jest.spyOn(Appointment, 'create').mockImplementation(async (fields) => new Appointment(fields));
+    jest.spyOn(Notification, 'create').mockImplementation(async (fields) => new Notification(fields));
+    jest.spyOn(Notification, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+});
+
+const book = (user, startTime) => request(app)
+    .post('/api/appointments')
+    .set('Authorization', authHeader(user))
+    .send({ doctorId: doctor._id.toString(), startTime });
+
+describe('Appointment.findConflicts', () => {
+    it('matches overlapping scheduled appointments of the doctor or the patient', async () => {
+        await Appointment.findConflicts({
+            doctor: doctor._id,
+            patient: patient._id,
+            startTime: at('2026-10-20T10:00:00Z'),
+            endTime: at('2026-10-20T10:30:00Z'),
+            excludeId: existing._id
+        });
+
+        expect(Appointment.find).toHaveBeenCalledWith({
+            status: 'scheduled',
+            startTime: { $lt: at('2026-10-20T10:30:00Z') },
+            endTime: { $gt: at('2026-10-20T10:00:00Z') },
+            $or: [{ doctor: doctor._id }, { patient: patient._id }],
+            _id: { $ne: existing._id }
+        });
+    });
+});
+
+describe('POST /api/appointments', () => {
+    it('books a free slot and notifies the doctor', async () => {
+        const res = await book(otherPatient, '2026-10-20T11:00:00Z');
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.endTime).toBe('2026-10-20T11:30:00.000Z');
+        expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+            user: doctor._id,
+            type: 'appointment',
+            deliveryStatus: 'pending'
+        }));
+    });
+
+    it('rejects a slot the doctor already has booked', async () => {
+        conflicts = [existing];
+
+        const res = await book(otherPatient, '2026-10-20T10:00:00Z');
+
+        expect(res.status).toBe(409);
+        expect(res.body.error).toBe('The doctor already has an appointment at this time');
+        expect(Appointment.create).not.toHaveBeenCalled();
+    });
+
+    it('rejects a time the patient already has an appointment at', async () => {
+        conflicts = [new Appointment({
+            patient: otherPatient._id,
+            doctor: makeUser('doctor', { email: 'second@example.com' })._id,
+            startTime: at('2026-10-20T11:15:00Z'),
+            endTime: at('2026-10-20T11:45:00Z')
+        })];
+
+        const res = await book(otherPatient, '2026-10-20T11:00:00Z');
+
+        expect(res.status).toBe(409);
+        expect(res.body.error).toBe('You already have an appointment at this time');
+    });
+
+    it('rejects a time outside the doctor\'s available hours', async () => {
+        const res = await book(otherPatient, '2026-10-20T16:45:00Z');
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Requested time is outside the doctor\'s available hours');
+    });
+
+    it('rejects a time in the past', async () => {
+        const res = await book(otherPatient, '2026-10-19T10:00:00Z');
+
+        expect(res.status).toBe(400);
+    });
+
+    it('reports a slot taken between the check and the insert as a conflict', async () => {
+        Appointment.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+        const res = await book(otherPatient, '2026-10-20T11:00:00Z');
+
+        expect(res.status).toBe(409);
+    });
+
+    it('only lets patients book', async () => {
+        const res = await book(doctor, '2026-10-20T11:00:00Z');
+
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('PATCH /api/appointments/:id/reschedule', () => {
+    const reschedule = (user, startTime) => request(app)
+        .patch(`/api/appointments/${existing._id}/reschedule`)
+        .set('Authorization', authHeader(user))
+        .send({ startTime });
+
+    it('does not count the appointment being moved as a conflict', async () => {
+        const res = await reschedule(patient, '2026-10-20T10:15:00Z');
+
+        expect(res.status).toBe(200);
+        expect(Appointment.find).toHaveBeenCalledWith(expect.objectContaining({ _id: { $ne: existing._id } }));
+        expect(res.body.data.rescheduleHistory).toHaveLength(1);
+        expect(res.body.data.startTime).toBe('2026-10-20T10:15:00.000Z');
+    });
+
+    it('rejects a new time that overlaps another appointment', async () => {
+        conflicts = [new Appointment({
+            patient: otherPatient._id,
+            doctor: doctor._id,
+            startTime: at('2026-10-20T14:00:00Z'),
+            endTime: at('2026-10-20T14:30:00Z')
+        })];
+
+        const res = await reschedule(patient, '2026-10-20T14:00:00Z');
+
+        expect(res.status).toBe(409);
+        expect(existing.startTime).toEqual(at('2026-10-20T10:00:00Z'));
+    });
+
+    it('only lets participants reschedule', async () => {
+        const res = await reschedule(otherPatient, '2026-10-20T14:00:00Z');
+
+        expect(res.status).toBe(403);
+    });
+});
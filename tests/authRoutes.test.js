@@ -0,0 +1,86 @@
+// Profile updates through /api/auth/profile
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const errorHandler = require('../middleware/errorHandler');
+const authRoutes = require('../routes/authRoutes');
+const { registerMailTransport } = require('../config/mailer');
+const { query, stubDocumentWrites, stubAuth, authHeader } = require('./helpers/mockDb');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use(errorHandler);
+
+// Capture outgoing mail
+const outbox = [];
+registerMailTransport('test', {
+    send: async (message) => {
+        outbox.push(message);
+        return { messageId: `test-${outbox.length}` };
+    }
+});
+
+let user;
+
+beforeEach(() => {
+    process.env.MAIL_TRANSPORT = 'test';
+    outbox.length = 0;
+
+    user = new User({
+        name: 'Pat',
+        email: 'pat@example.com',
+        password: 'password123',
+        role: 'patient',
+        isVerified: true
+    });
+
+    stubDocumentWrites();
+    stubAuth([user]);
+
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+    jest.spyOn(User, 'findByIdAndUpdate').mockImplementation((id, fields) => {
+        user.set(fields);
+        return query(user);
+    });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.MAIL_TRANSPORT;
+});
+
+const updateProfile = (body) => request(app)
+    .put('/api/auth/profile')
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+describe('PUT /api/auth/profile', () => {
+    it('resets verification and sends a verification email when the email changes', async () => {
+        const res = await updateProfile({ email: 'new@example.com' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.isVerified).toBe(false);
+        expect(res.body.data).not.toHaveProperty('emailVerificationToken');
+        expect(outbox).toHaveLength(1);
+        expect(outbox[0].to).toBe('new@example.com');
+    });
+
+    it('keeps verification when the email is unchanged', async () => {
+        const res = await updateProfile({ name: 'Patricia', email: 'PAT@example.com' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.isVerified).toBe(true);
+        expect(outbox).toHaveLength(0);
+    });
+
+    it('rejects an email that belongs to another account', async () => {
+        User.exists.mockResolvedValue({ _id: 'other' });
+
+        const res = await updateProfile({ email: 'taken@example.com' });
+
+        expect(res.status).toBe(400);
+        expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,64 @@
+// Request schemas for auth routes
+
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/authSchemas');
+
+/**
+ * Run a schema against a request body
+ * @returns {object} - { status, body } where body is the sanitized request body (or the error response)
+ */
+const run = (schema, body) => {
+    const req = { body, query: {}, params: {} };
+    let result = null;
+
+    const res = {
+        status(code) {
+            result = { status: code };
+            return this;
+        },
+        json(payload) {
+            result.body = payload;
+        }
+    };
+
+    validate(schema)(req, res, () => {
+        result = { status: 200, body: req.body };
+    });
+
+    return result;
+};
+
+const device = { deviceId: 'device-1', deviceName: 'Pixel 8', platform: 'android' };
+
+describe('session device fields', () => {
+    it.each([
+        ['login', { email: 'a@example.com', password: 'secret1' }],
+        ['register', { name: 'A', email: 'a@example.com', password: 'secret1' }],
+        ['updatePassword', { currentPassword: 'secret1', newPassword: 'secret2' }]
+    ])('keeps deviceId, deviceName and platform on %s', (name, body) => {
+        const result = run(schemas[name], { ...body, ...device });
+
+        expect(result.status).toBe(200);
+        expect(result.body).toMatchObject(device);
+    });
+
+    it('rejects an unknown platform', () => {
+        const result = run(schemas.login, { email: 'a@example.com', password: 'secret1', platform: 'desktop' });
+
+        expect(result.status).toBe(400);
+    });
+});
+
+describe('register', () => {
+    it('does not allow signing up as an admin', () => {
+        const result = run(schemas.register, { name: 'A', email: 'a@example.com', password: 'secret1', role: 'admin' });
+
+        expect(result.status).toBe(400);
+    });
+
+    it.each(['patient', 'doctor'])('allows signing up as a %s', (role) => {
+        const result = run(schemas.register, { name: 'A', email: 'a@example.com', password: 'secret1', role });
+
+        expect(result.status).toBe(200);
+    });
+});
@@ -0,0 +1,131 @@
+// Refresh token rotation, reuse detection and session revocation
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const errorHandler = require('../middleware/errorHandler');
+const authRoutes = require('../routes/authRoutes');
+const { hashToken, createSession, rotateRefreshToken } = require('../utils/authTokens');
+const { query, stubDocumentWrites } = require('./helpers/mockDb');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use(errorHandler);
+
+let user;
+let sessions;
+
+const findSession = (predicate) => sessions.find(predicate) || null;
+
+beforeEach(() => {
+    user = new User({ name: 'Pat', email: 'pat@example.com', password: 'password123', role: 'patient' });
+    sessions = [];
+
+    stubDocumentWrites();
+
+    // Sessions live in memory
+    jest.spyOn(Session, 'create').mockImplementation(async (fields) => {
+        const session = new Session(fields);
+        sessions.push(session);
+        return session;
+    });
+    jest.spyOn(Session, 'findOne').mockImplementation((filter) => query(findSession(session =>
+        filter.$or.some(condition => Object.entries(condition).every(([field, value]) => session[field] === value))
+    )));
+    jest.spyOn(Session, 'findValidById').mockImplementation((id) => query(findSession(session =>
+        session._id.toString() === id.toString() && session.isValid()
+    )));
+    jest.spyOn(Session, 'updateOne').mockImplementation(async (filter, update) => {
+        const session = findSession(s => s._id.toString() === filter._id.toString() && !s.revokedAt);
+        if (session) {
+            session.set(update);
+        }
+        return { matchedCount: session ? 1 : 0 };
+    });
+    jest.spyOn(User, 'findById').mockImplementation(() => query(user));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const login = () => createSession(user, { body: { deviceName: 'Phone' }, headers: {} });
+
+describe('rotateRefreshToken', () => {
+    it('issues a new refresh token and keeps the old one as previous', async () => {
+        const { session, refreshToken } = await login();
+
+        const rotated = await rotateRefreshToken(refreshToken);
+
+        expect(rotated.refreshToken).not.toBe(refreshToken);
+        expect(session.refreshTokenHash).toBe(hashToken(rotated.refreshToken));
+        expect(session.previousRefreshTokenHash).toBe(hashToken(refreshToken));
+    });
+
+    it('revokes the session when a rotated token is presented again', async () => {
+        const { session, refreshToken } = await login();
+        const rotated = await rotateRefreshToken(refreshToken);
+
+        expect(await rotateRefreshToken(refreshToken)).toBeNull();
+        expect(session.revokedReason).toBe('token_reuse');
+
+        // The current token of the copied session stops working too
+        expect(await rotateRefreshToken(rotated.refreshToken)).toBeNull();
+    });
+
+    it('rejects an unknown token', async () => {
+        await login();
+
+        expect(await rotateRefreshToken('not-a-token')).toBeNull();
+    });
+
+    it('rejects the token of an expired session', async () => {
+        const { session, refreshToken } = await login();
+        session.expiresAt = new Date(Date.now() - 1000);
+
+        expect(await rotateRefreshToken(refreshToken)).toBeNull();
+    });
+});
+
+describe('POST /api/auth/refresh', () => {
+    const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+    it('returns new tokens', async () => {
+        const { refreshToken } = await login();
+
+        const res = await refresh(refreshToken);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.token).toBeDefined();
+        expect(res.body.data.refreshToken).not.toBe(refreshToken);
+    });
+
+    it('signs out the session when a refresh token is reused', async () => {
+        const { token, refreshToken } = await login();
+        await refresh(refreshToken);
+
+        const res = await refresh(refreshToken);
+
+        expect(res.status).toBe(401);
+
+        const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+        expect(me.status).toBe(401);
+    });
+});
+
+describe('POST /api/auth/logout', () => {
+    it('revokes the session behind the access token', async () => {
+        const { token } = await login();
+        const auth = `Bearer ${token}`;
+
+        expect((await request(app).get('/api/auth/me').set('Authorization', auth)).status).toBe(200);
+
+        const res = await request(app).post('/api/auth/logout').set('Authorization', auth);
+
+        expect(res.status).toBe(200);
+        expect(sessions[0].revokedReason).toBe('logout');
+        expect((await request(app).get('/api/auth/me').set('Authorization', auth)).status).toBe(401);
+    });
+});
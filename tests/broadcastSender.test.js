@@ -0,0 +1,267 @@
+// Admin broadcasts: queued for the background sender, delivered on each user's channels
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const BroadcastCampaign = require('../models/BroadcastCampaign');
+const logger = require('../utils/logger');
+const errorHandler = require('../middleware/errorHandler');
+const notificationRoutes = require('../routes/notificationRoutes');
+const { registerChannelProvider, getMockOutbox, clearMockOutbox } = require('../config/notificationChannels');
+const Medication = require('../models/Medication');
+const FastingInstruction = require('../models/FastingInstruction');
+const Appointment = require('../models/Appointment');
+const { claimCampaign, sendCampaign } = require('../utils/broadcastSender');
+const { scheduleRemindersForUser, dispatchDueNotifications } = require('../utils/notificationDispatcher');
+const { stubDocumentWrites, stubAuth, authHeader } = require('./helpers/mockDb');
+
+const app = express();
+app.use(express.json());
+app.use('/api/notifications', notificationRoutes);
+app.use(errorHandler);
+
+const makeUser = (name, fields = {}) => new User({
+    name,
+    email: `${name.toLowerCase()}@example.com`,
+    password: 'password123',
+    role: 'patient',
+    timezone: 'UTC',
+    ...fields
+});
+
+const admin = makeUser('Ada', { role: 'admin' });
+const awake = makeUser('Pat');
+const sleeping = makeUser('Sam', {
+    notificationPreferences: { quietHoursEnabled: true, quietHoursStart: '22:00', quietHoursEnd: '07:00' }
+});
+const alreadyNotified = makeUser('Kim');
+
+const makeCampaign = () => new BroadcastCampaign({
+    title: 'Clinic closed',
+    body: 'The clinic is closed on Friday',
+    target: { roles: ['patient'] },
+    createdBy: admin._id,
+    scheduledFor: new Date(),
+    status: 'sending',
+    startedAt: new Date()
+});
+
+let progress;
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T03:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    process.env.PUSH_PROVIDER = 'mock';
+    process.env.IN_APP_PROVIDER = 'mock';
+    clearMockOutbox();
+    progress = [];
+
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    stubDocumentWrites();
+    stubAuth([admin, awake, sleeping, alreadyNotified]);
+
+    // The audience is walked with a cursor; delivery loads each batch's users as a list
+    jest.spyOn(User, 'find').mockImplementation((filter) => ({
+        select: () => filter._id
+            ? [awake, sleeping, alreadyNotified].filter(user => filter._id.$in.some(id => id.equals(user._id)))
+            : { cursor: () => [awake, sleeping, alreadyNotified] }
+    }));
+    jest.spyOn(Notification, 'distinct').mockResolvedValue([alreadyNotified._id]);
+    jest.spyOn(Notification, 'insertMany').mockImplementation(async (docs) => docs.map(doc => new Notification(doc)));
+    jest.spyOn(BroadcastCampaign, 'updateOne').mockImplementation(async (filter, update) => {
+        progress.push(update);
+        return { matchedCount: 1 };
+    });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+    delete process.env.PUSH_PROVIDER;
+    delete process.env.IN_APP_PROVIDER;
+});
+
+describe('sendCampaign', () => {
+    it('delivers through the notification channels and defers users in quiet hours', async () => {
+        const campaign = makeCampaign();
+
+        await sendCampaign(campaign);
+
+        const [docs] = Notification.insertMany.mock.calls[0];
+        expect(docs.map(doc => doc.user)).toEqual([awake._id, sleeping._id]);
+        expect(docs[0]).toMatchObject({ deliveryStatus: 'sent', dedupeKey: `broadcast:${campaign._id}:${awake._id}` });
+        expect(docs[1]).toMatchObject({ deliveryStatus: 'pending', scheduledFor: new Date('2026-10-19T07:00:00Z') });
+
+        expect(getMockOutbox().map(m => [m.channel, m.userId])).toEqual([
+            ['push', awake._id.toString()],
+            ['in_app', awake._id.toString()]
+        ]);
+
+        expect(campaign.stats.toObject()).toEqual({
+            targetedUsers: 2,
+            notificationsCreated: 2,
+            usersReached: 1,
+            deliveryFailures: 0,
+            deferredForQuietHours: 1
+        });
+        expect(progress[progress.length - 1]).toMatchObject({ status: 'sent' });
+    });
+
+    it('pushes to the whole batch at once and records each recipient\'s result', async () => {
+        const pushOnly = makeUser('Lee', { notificationPreferences: { channels: { general: ['push'] } } });
+        const sendMulticast = jest.fn(async ({ users }) => users.map(user => (
+            user === pushOnly ? { status: 'failed', error: 'All 1 devices rejected the notification' } : { status: 'sent', messageId: 'fcm-1' }
+        )));
+        registerChannelProvider('push', 'multicast', { send: jest.fn(), sendMulticast });
+        process.env.PUSH_PROVIDER = 'multicast';
+
+        const audience = [awake, sleeping, pushOnly];
+        User.find.mockImplementation((filter) => ({
+            select: () => filter._id
+                ? audience.filter(user => filter._id.$in.some(id => id.equals(user._id)))
+                : { cursor: () => audience }
+        }));
+        Notification.distinct.mockResolvedValue([]);
+        const campaign = makeCampaign();
+
+        await sendCampaign(campaign);
+
+        expect(sendMulticast).toHaveBeenCalledTimes(1);
+        const [{ users, payload }] = sendMulticast.mock.calls[0];
+        expect(users).toEqual([awake, pushOnly]);
+        expect(payload).toMatchObject({ title: 'Clinic closed', data: { type: 'broadcast', campaignId: campaign._id.toString() } });
+        expect(payload.data).not.toHaveProperty('notificationId');
+
+        const docs = await Notification.insertMany.mock.results[0].value;
+        const byUser = (user) => docs.find(doc => doc.user.equals(user._id));
+        expect(byUser(awake)).toMatchObject({ deliveryStatus: 'delivered', fcmMessageId: 'fcm-1' });
+        expect(byUser(pushOnly)).toMatchObject({ deliveryStatus: 'failed', failureReason: 'push: All 1 devices rejected the notification' });
+        expect(byUser(sleeping).deliveryStatus).toBe('pending');
+
+        expect(campaign.stats.toObject()).toMatchObject({ usersReached: 1, deliveryFailures: 1, deferredForQuietHours: 1 });
+    });
+
+    it('only saves while the campaign is still claimed by this sender', async () => {
+        BroadcastCampaign.updateOne.mockResolvedValue({ matchedCount: 0 });
+        const campaign = makeCampaign();
+
+        await sendCampaign(campaign);
+
+        expect(BroadcastCampaign.updateOne).toHaveBeenCalledWith(
+            expect.objectContaining({ _id: campaign._id, status: 'sending', startedAt: campaign.startedAt }),
+            expect.anything()
+        );
+        expect(logger.warn).toHaveBeenCalled();
+    });
+});
+
+describe('deferred broadcasts and the reminder scheduler', () => {
+    let store;
+
+    // Just enough of MongoDB's query operators for the dispatcher's filters
+    const matchesValue = (value, condition) => {
+        if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+            return String(value) === String(condition);
+        }
+        return Object.entries(condition).every(([op, operand]) => {
+            switch (op) {
+                case '$exists': return (value !== undefined) === operand;
+                case '$nin': return !operand.includes(value);
+                case '$regex': return value !== undefined && new RegExp(operand).test(value);
+                case '$gt': return value > operand;
+                case '$lt': return value < operand;
+                case '$lte': return value <= operand;
+                default: throw new Error(`Unsupported operator ${op}`);
+            }
+        });
+    };
+    const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => matchesValue(doc[field], condition));
+
+    beforeEach(() => {
+        store = [];
+
+        Notification.insertMany.mockImplementation(async (docs) => {
+            const created = docs.map(doc => new Notification(doc));
+            store.push(...created);
+            return created;
+        });
+        jest.spyOn(Notification, 'updateOne').mockResolvedValue({ upsertedCount: 0 });
+        jest.spyOn(Notification, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+        jest.spyOn(Notification, 'deleteMany').mockImplementation(async (filter) => {
+            const before = store.length;
+            store = store.filter(doc => !matches(doc, filter));
+            return { deletedCount: before - store.length };
+        });
+        jest.spyOn(Notification, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+            const doc = store.find(d => matches(d, filter));
+            return doc ? doc.set(update) : null;
+        });
+
+        jest.spyOn(Medication, 'find').mockResolvedValue([]);
+        jest.spyOn(FastingInstruction, 'find').mockResolvedValue([]);
+        jest.spyOn(Appointment, 'find').mockResolvedValue([]);
+    });
+
+    it('keeps a broadcast deferred for quiet hours and sends it when they end', async () => {
+        const staleReminder = new Notification({
+            user: sleeping._id,
+            type: 'medication',
+            title: 'Old reminder',
+            body: 'No longer scheduled',
+            deliveryStatus: 'pending',
+            scheduledFor: new Date('2026-10-19T06:00:00Z'),
+            dedupeKey: `${sleeping._id}:medication:none:reminder:2026-10-19T06:00:00.000Z`
+        });
+        store.push(staleReminder);
+
+        await sendCampaign(makeCampaign());
+        await scheduleRemindersForUser(sleeping);
+
+        const deferred = store.find(doc => doc.deliveryStatus === 'pending');
+        expect(deferred.user).toEqual(sleeping._id);
+        expect(store).not.toContain(staleReminder);
+        clearMockOutbox();
+
+        jest.setSystemTime(new Date('2026-10-19T07:00:30Z'));
+        expect(await dispatchDueNotifications()).toBe(1);
+
+        expect(deferred.deliveryStatus).not.toBe('pending');
+        expect(getMockOutbox().map(m => [m.channel, m.userId])).toEqual([
+            ['push', sleeping._id.toString()],
+            ['in_app', sleeping._id.toString()]
+        ]);
+    });
+});
+
+describe('claimCampaign', () => {
+    it('also claims campaigns stuck in sending', async () => {
+        jest.spyOn(BroadcastCampaign, 'findOneAndUpdate').mockResolvedValue(null);
+
+        await claimCampaign({ scheduledFor: { $lte: new Date() } });
+
+        const [filter] = BroadcastCampaign.findOneAndUpdate.mock.calls[0];
+        expect(filter.$or).toEqual([
+            { status: 'scheduled' },
+            { status: 'sending', heartbeatAt: { $lt: new Date('2026-10-19T02:45:00Z') } }
+        ]);
+    });
+});
+
+describe('POST /api/notifications/broadcast', () => {
+    it('queues an immediate campaign for the background sender', async () => {
+        jest.spyOn(BroadcastCampaign, 'create').mockImplementation(async (fields) => new BroadcastCampaign(fields));
+        jest.spyOn(BroadcastCampaign, 'findOneAndUpdate').mockResolvedValue(null);
+
+        const res = await request(app)
+            .post('/api/notifications/broadcast')
+            .set('Authorization', authHeader(admin))
+            .send({ title: 'Clinic closed', body: 'The clinic is closed on Friday', roles: ['patient'] });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.status).toBe('scheduled');
+        expect(Notification.insertMany).not.toHaveBeenCalled();
+        expect(BroadcastCampaign.findOneAndUpdate).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,174 @@
+// Care-team relationships and the patient data they unlock
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const CareRelationship = require('../models/CareRelationship');
+const errorHandler = require('../middleware/errorHandler');
+const userRoutes = require('../routes/userRoutes');
+const careTeamRoutes = require('../routes/careTeamRoutes');
+const { canAccessPatient } = require('../utils/careTeam');
+const { query, stubDocumentWrites, stubAuth, authHeader, stubFindById } = require('./helpers/mockDb');
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', userRoutes);
+app.use('/api/care-team', careTeamRoutes);
+app.use(errorHandler);
+
+const makeUser = (role, email, fields = {}) => new User({
+    name: `Test ${role}`,
+    email,
+    password: 'password123',
+    role,
+    ...fields
+});
+
+let users;
+let relationship;
+
+beforeEach(() => {
+    users = {
+        patient: makeUser('patient', 'patient@example.com', {
+            patientInfo: { phoneNumber: '+15550100', allergies: ['penicillin'] }
+        }),
+        otherPatient: makeUser('patient', 'other@example.com', { patientInfo: { phoneNumber: '+15550101' } }),
+        doctor: makeUser('doctor', 'doctor@example.com'),
+        unrelatedDoctor: makeUser('doctor', 'unrelated@example.com'),
+        admin: makeUser('admin', 'admin@example.com')
+    };
+
+    // The patient invited the doctor, who has accepted
+    relationship = new CareRelationship({
+        doctor: users.doctor._id,
+        patient: users.patient._id,
+        invitedBy: users.patient._id,
+        status: 'active'
+    });
+
+    stubDocumentWrites();
+    stubAuth(Object.values(users));
+    stubFindById(CareRelationship, [relationship]);
+
+    jest.spyOn(CareRelationship, 'isActiveBetween').mockImplementation(async (doctorId, patientId) => {
+        return relationship.status === 'active'
+            && doctorId.toString() === relationship.doctor.toString()
+            && patientId.toString() === relationship.patient.toString();
+    });
+    jest.spyOn(CareRelationship, 'getPatientIds').mockImplementation(async (doctorId) => {
+        return doctorId.toString() === relationship.doctor.toString() ? [relationship.patient] : [];
+    });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+// canAccessPatient receives req.user, whose id is a string
+const asRequestUser = (user) => ({ id: user._id.toString(), role: user.role });
+
+describe('canAccessPatient', () => {
+    it('allows the patient, admins and care-team doctors', async () => {
+        const patientId = users.patient._id;
+
+        expect(await canAccessPatient(asRequestUser(users.patient), patientId)).toBe(true);
+        expect(await canAccessPatient(asRequestUser(users.admin), patientId)).toBe(true);
+        expect(await canAccessPatient(asRequestUser(users.doctor), patientId)).toBe(true);
+    });
+
+    it('denies doctors outside the care team and other patients', async () => {
+        const patientId = users.patient._id;
+
+        expect(await canAccessPatient(asRequestUser(users.unrelatedDoctor), patientId)).toBe(false);
+        expect(await canAccessPatient(asRequestUser(users.otherPatient), patientId)).toBe(false);
+    });
+
+    it('denies the doctor once the relationship is revoked', async () => {
+        relationship.status = 'revoked';
+
+        expect(await canAccessPatient(asRequestUser(users.doctor), users.patient._id)).toBe(false);
+    });
+});
+
+describe('GET /api/users/:id', () => {
+    const getPatient = (caller) => request(app)
+        .get(`/api/users/${users.patient._id}`)
+        .set('Authorization', authHeader(caller));
+
+    it('shows patientInfo to a care-team doctor', async () => {
+        const res = await getPatient(users.doctor);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.patientInfo.allergies).toEqual(['penicillin']);
+    });
+
+    it('hides patientInfo from a doctor outside the care team', async () => {
+        const res = await getPatient(users.unrelatedDoctor);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).not.toHaveProperty('patientInfo');
+    });
+});
+
+describe('GET /api/users', () => {
+    beforeEach(() => {
+        jest.spyOn(User, 'find').mockImplementation(() => query([users.patient, users.otherPatient, users.doctor]));
+        jest.spyOn(User, 'countDocuments').mockResolvedValue(3);
+    });
+
+    const phoneNumbers = (res) => res.body.data
+        .filter(user => user.role === 'patient')
+        .map(user => user.patientInfo ? user.patientInfo.phoneNumber : null);
+
+    it('lists phone numbers only for the doctor\'s own patients', async () => {
+        const res = await request(app).get('/api/users').set('Authorization', authHeader(users.doctor));
+
+        expect(res.status).toBe(200);
+        expect(phoneNumbers(res)).toEqual(['+15550100', null]);
+    });
+
+    it('lists no patient phone numbers to other patients', async () => {
+        const res = await request(app).get('/api/users').set('Authorization', authHeader(users.otherPatient));
+
+        expect(phoneNumbers(res)).toEqual([null, null]);
+    });
+
+    it('lists every phone number to admins', async () => {
+        const res = await request(app).get('/api/users').set('Authorization', authHeader(users.admin));
+
+        expect(phoneNumbers(res)).toEqual(['+15550100', '+15550101']);
+    });
+});
+
+describe('care team invitations', () => {
+    beforeEach(() => {
+        relationship.status = 'pending';
+    });
+
+    const respond = (caller, action) => request(app)
+        .patch(`/api/care-team/${relationship._id}/${action}`)
+        .set('Authorization', authHeader(caller));
+
+    it('lets the invited doctor accept', async () => {
+        const res = await respond(users.doctor, 'accept');
+
+        expect(res.status).toBe(200);
+        expect(relationship.status).toBe('active');
+    });
+
+    it('does not let the inviting patient accept their own invitation', async () => {
+        const res = await respond(users.patient, 'accept');
+
+        expect(res.status).toBe(403);
+        expect(relationship.status).toBe('pending');
+    });
+
+    it('only lets the two parties revoke', async () => {
+        expect((await respond(users.unrelatedDoctor, 'revoke')).status).toBe(403);
+
+        const res = await respond(users.patient, 'revoke');
+
+        expect(res.status).toBe(200);
+        expect(relationship.status).toBe('revoked');
+    });
+});
@@ -0,0 +1,151 @@
+// Chat attachments: content checks on upload and participant-only download
+
+const { Readable } = require('stream');
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const Attachment = require('../models/Attachment');
+const errorHandler = require('../middleware/errorHandler');
+const chatRoutes = require('../routes/chatRoutes');
+const { registerStorageDriver } = require('../config/storage');
+const { query, stubDocumentWrites, stubAuth, authHeader, stubFindById } = require('./helpers/mockDb');
+
+const app = express();
+app.use(express.json());
+app.use('/api/chat', chatRoutes);
+app.use(errorHandler);
+
+// Files are kept in memory instead of on disk
+const stored = new Map();
+registerStorageDriver('memory', {
+    save: async (key, buffer) => {
+        stored.set(key, buffer);
+        return { key, size: buffer.length };
+    },
+    createReadStream: async (key) => {
+        if (!stored.has(key)) {
+            throw new Error('Not found');
+        }
+        return Readable.from(stored.get(key));
+    },
+    remove: async (key) => {
+        stored.delete(key);
+    }
+});
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('image data')]);
+
+const makeUser = (role, email) => new User({ name: `Test ${role}`, email, password: 'password123', role });
+
+const patient = makeUser('patient', 'patient@example.com');
+const doctor = makeUser('doctor', 'doctor@example.com');
+const outsider = makeUser('patient', 'outsider@example.com');
+
+let conversation;
+let attachments;
+
+beforeEach(() => {
+    process.env.STORAGE_DRIVER = 'memory';
+    stored.clear();
+    attachments = [];
+
+    conversation = new Conversation({ participants: [patient._id, doctor._id] });
+
+    stubDocumentWrites();
+    stubAuth([patient, doctor, outsider]);
+    stubFindById(Conversation, [conversation]);
+
+    jest.spyOn(Attachment, 'create').mockImplementation(async (fields) => {
+        const attachment = new Attachment(fields);
+        attachments.push(attachment);
+        return attachment;
+    });
+    jest.spyOn(Attachment, 'findOne').mockImplementation((filter) => query(attachments.find(a =>
+        a._id.toString() === filter._id.toString() && a.conversation.toString() === filter.conversation.toString()
+    ) || null));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.STORAGE_DRIVER;
+});
+
+const upload = (user, buffer, filename, contentType) => request(app)
+    .post(`/api/chat/conversations/${conversation._id}/attachments`)
+    .set('Authorization', authHeader(user))
+    .attach('file', buffer, { filename, contentType });
+
+const download = (user, attachmentId, conversationId = conversation._id) => request(app)
+    .get(`/api/chat/conversations/${conversationId}/attachments/${attachmentId}`)
+    .set('Authorization', authHeader(user))
+    .buffer(true)
+    .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+    });
+
+describe('POST /api/chat/conversations/:id/attachments', () => {
+    it('stores a file whose content matches its type under a generated name', async () => {
+        const res = await upload(patient, PNG, 'scan.png', 'image/png');
+
+        expect(res.status).toBe(201);
+        expect(res.body.data).toMatchObject({ filename: 'scan.png', mimeType: 'image/png', messageType: 'image' });
+        expect(res.body.data).not.toHaveProperty('storageKey');
+        expect([...stored.keys()]).toEqual([`attachments/${conversation._id}/${res.body.data._id}.png`]);
+    });
+
+    it('rejects a file whose content does not match its declared type', async () => {
+        const res = await upload(patient, Buffer.from('<script>alert(1)</script>'), 'scan.png', 'image/png');
+
+        expect(res.status).toBe(415);
+        expect(res.body.error).toBe('File content does not match its declared type');
+        expect(stored.size).toBe(0);
+    });
+
+    it('rejects a type that is not allowed', async () => {
+        const res = await upload(patient, Buffer.from('hello'), 'notes.html', 'text/html');
+
+        expect(res.status).toBe(415);
+    });
+
+    it('only lets participants upload', async () => {
+        const res = await upload(outsider, PNG, 'scan.png', 'image/png');
+
+        expect(res.status).toBe(403);
+        expect(stored.size).toBe(0);
+    });
+});
+
+describe('GET /api/chat/conversations/:id/attachments/:attachmentId', () => {
+    let attachmentId;
+
+    beforeEach(async () => {
+        attachmentId = (await upload(patient, PNG, 'scan.png', 'image/png')).body.data._id;
+    });
+
+    it('streams the file to the other participant', async () => {
+        const res = await download(doctor, attachmentId);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toBe('image/png');
+        expect(res.headers['cache-control']).toBe('private, no-store');
+        expect(res.body.equals(PNG)).toBe(true);
+    });
+
+    it('refuses users outside the conversation', async () => {
+        const res = await download(outsider, attachmentId);
+
+        expect(res.status).toBe(403);
+    });
+
+    it('does not serve an attachment through another conversation', async () => {
+        const otherConversation = new Conversation({ participants: [outsider._id, doctor._id] });
+        stubFindById(Conversation, [conversation, otherConversation]);
+
+        const res = await download(outsider, attachmentId, otherConversation._id);
+
+        expect(res.status).toBe(404);
+    });
+});
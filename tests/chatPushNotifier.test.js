@@ -0,0 +1,128 @@
+// Grouped chat pushes for offline participants
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const Message = require('../models/Message');
+const { queueChatPush, cancelPendingChatPush } = require('../utils/chatPushNotifier');
+const { query } = require('./helpers/mockDb');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+const sender = { id: new mongoose.Types.ObjectId().toString(), name: 'Dr. Grey' };
+const conversationId = new mongoose.Types.ObjectId();
+
+let recipient;
+
+const makeMessage = (fields = {}) => new Message({
+    conversation: conversationId,
+    sender: sender.id,
+    content: 'Please remember to fast from midnight',
+    ...fields
+});
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+
+    recipient = new User({
+        name: 'Pat',
+        email: 'pat@example.com',
+        password: 'password123',
+        role: 'patient',
+        timezone: 'UTC'
+    });
+
+    jest.spyOn(User, 'findById').mockImplementation(() => query(recipient));
+    jest.spyOn(Notification, 'findOneAndUpdate').mockImplementation(() => query(null));
+    jest.spyOn(Notification, 'create').mockImplementation(async (fields) => new Notification(fields));
+    jest.spyOn(Notification, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(Notification.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+    });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+});
+
+const queue = (message = makeMessage()) => queueChatPush({ recipientId: recipient._id, sender, message });
+
+describe('queueChatPush', () => {
+    it('queues a pending push for the end of the grouping window', async () => {
+        const notification = await queue();
+
+        expect(notification).toMatchObject({
+            type: 'chat',
+            title: '💬 Dr. Grey',
+            body: 'Please remember to fast from midnight',
+            deliveryStatus: 'pending',
+            scheduledFor: new Date(NOW.getTime() + 30 * 1000)
+        });
+        expect(notification.relatedEntity.entityId.toString()).toBe(conversationId.toString());
+    });
+
+    it('adds a message to the pending push for the same conversation', async () => {
+        const pending = new Notification({
+            user: recipient._id,
+            type: 'chat',
+            title: '💬 Dr. Grey',
+            body: 'Hello',
+            deliveryStatus: 'pending',
+            groupedCount: 2
+        });
+        Notification.findOneAndUpdate.mockImplementation(() => query(pending));
+
+        const notification = await queue();
+
+        expect(Notification.findOneAndUpdate).toHaveBeenCalledWith(
+            expect.objectContaining({ user: recipient._id, 'relatedEntity.entityId': conversationId.toString(), deliveryStatus: 'pending' }),
+            expect.objectContaining({ $inc: { groupedCount: 1 } }),
+            { new: true }
+        );
+        expect(notification.title).toBe('💬 Dr. Grey (2 new messages)');
+        expect(notification.body).toBe('Please remember to fast from midnight');
+        expect(Notification.create).not.toHaveBeenCalled();
+    });
+
+    it('holds the push until the recipient\'s quiet hours end', async () => {
+        recipient.notificationPreferences.quietHoursEnabled = true;
+        recipient.notificationPreferences.quietHoursStart = '11:00';
+        recipient.notificationPreferences.quietHoursEnd = '13:00';
+
+        const notification = await queue();
+
+        expect(notification.scheduledFor).toEqual(new Date('2026-10-19T13:00:00Z'));
+    });
+
+    it('skips recipients who turned chat notifications off', async () => {
+        recipient.notificationPreferences.chatMessages = false;
+
+        expect(await queue()).toBeNull();
+        expect(Notification.create).not.toHaveBeenCalled();
+    });
+
+    it('previews attachments and shortens long messages', async () => {
+        const image = await queue(makeMessage({ messageType: 'image', content: 'photo' }));
+        const file = await queue(makeMessage({ messageType: 'file', content: 'file', attachment: { filename: 'labs.pdf' } }));
+        const long = await queue(makeMessage({ content: 'x'.repeat(150) }));
+
+        expect(image.body).toBe('📷 Photo');
+        expect(file.body).toBe('📎 labs.pdf');
+        expect(long.body).toHaveLength(100);
+        expect(long.body.endsWith('…')).toBe(true);
+    });
+});
+
+describe('cancelPendingChatPush', () => {
+    it('drops only the pending pushes for the conversation', async () => {
+        await cancelPendingChatPush(recipient._id, conversationId);
+
+        expect(Notification.deleteMany).toHaveBeenCalledWith({
+            user: recipient._id,
+            type: 'chat',
+            'relatedEntity.entityId': conversationId,
+            deliveryStatus: 'pending'
+        });
+    });
+});
@@ -0,0 +1,31 @@
+// DoseEvent.record upserts one event per dose and clears fields left from an earlier state
+
+const mongoose = require('mongoose');
+const DoseEvent = require('../models/DoseEvent');
+
+const medication = { _id: new mongoose.Types.ObjectId(), patient: new mongoose.Types.ObjectId() };
+const scheduledFor = new Date('2026-03-08T12:00:00Z');
+
+describe('DoseEvent.record', () => {
+    it('clears takenAt and snoozedUntil when a dose is skipped', () => {
+        const update = DoseEvent.record(medication, scheduledFor, { status: 'skipped', skipReason: 'Nauseous' }).getUpdate();
+
+        expect(update.$set).toMatchObject({ status: 'skipped', skipReason: 'Nauseous' });
+        expect(update.$unset).toEqual({ takenAt: 1, snoozedUntil: 1 });
+    });
+
+    it('clears skipReason and snoozedUntil when a dose is taken', () => {
+        const takenAt = new Date('2026-03-08T12:05:00Z');
+        const update = DoseEvent.record(medication, scheduledFor, { status: 'taken', takenAt }).getUpdate();
+
+        expect(update.$set).toMatchObject({ status: 'taken', takenAt });
+        expect(update.$unset).toEqual({ skipReason: 1, snoozedUntil: 1 });
+    });
+
+    it('does not overwrite optional fields that were not given', () => {
+        const update = DoseEvent.record(medication, scheduledFor, { status: 'taken', takenAt: new Date(), notes: undefined }).getUpdate();
+
+        expect(update.$set).not.toHaveProperty('notes');
+        expect(update.$unset).not.toHaveProperty('notes');
+    });
+});
@@ -0,0 +1,95 @@
+// Missed-dose escalation: one escalation per run of missed doses
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const Medication = require('../models/Medication');
+const DoseEvent = require('../models/DoseEvent');
+const CareRelationship = require('../models/CareRelationship');
+const logger = require('../utils/logger');
+const { checkEscalations, ESCALATION_RULES } = require('../utils/escalationMonitor');
+const { query } = require('./helpers/mockDb');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const patient = new User({
+    name: 'Pat',
+    email: 'pat@example.com',
+    password: 'password123',
+    role: 'patient',
+    timezone: 'UTC'
+});
+
+const doctorId = new mongoose.Types.ObjectId();
+
+const medication = new Medication({
+    patient: patient._id,
+    name: 'Metformin',
+    type: 'pill',
+    dosage: '500mg',
+    times: ['08:00'],
+    startDate: new Date('2026-01-01T00:00:00Z')
+});
+
+// Last dose the patient took, long before the current run of missed doses
+const lastTaken = new DoseEvent({
+    medication: medication._id,
+    patient: patient._id,
+    scheduledFor: new Date('2026-01-10T08:00:00Z'),
+    status: 'taken'
+});
+
+let dedupeKeys;
+
+beforeEach(() => {
+    dedupeKeys = [];
+
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+
+    // No fasting reminders to escalate
+    ESCALATION_RULES.fasting_cutoff.enabled = false;
+
+    jest.spyOn(Notification, 'distinct').mockResolvedValue([medication._id]);
+    jest.spyOn(Medication, 'find').mockReturnValue({ cursor: () => [medication] });
+    jest.spyOn(User, 'findById').mockReturnValue(query(patient));
+    jest.spyOn(DoseEvent, 'findInRange').mockReturnValue(query([]));
+    jest.spyOn(DoseEvent, 'findOne').mockReturnValue(query(lastTaken));
+    jest.spyOn(CareRelationship, 'getDoctorIds').mockResolvedValue([doctorId]);
+    jest.spyOn(Notification, 'updateOne').mockImplementation(async (filter) => {
+        dedupeKeys.push(filter.dedupeKey);
+        return { upsertedCount: 1 };
+    });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+});
+
+describe('missed dose escalation', () => {
+    it('keeps the same key for an ongoing run as the lookback window moves', async () => {
+        jest.useFakeTimers({ now: new Date('2026-02-01T12:00:00Z') });
+        await checkEscalations();
+
+        jest.setSystemTime(new Date(Date.now() + 2 * DAY_MS));
+        await checkEscalations();
+
+        const doctorKeys = dedupeKeys.filter(key => key.endsWith(doctorId.toString()));
+        expect(doctorKeys).toHaveLength(2);
+        expect(doctorKeys[0]).toBe(doctorKeys[1]);
+        expect(doctorKeys[0]).toBe(`escalation:missed_doses:${medication._id}:2026-01-10T08:00:00.000Z:${doctorId}`);
+    });
+
+    it('only checks medications with unacknowledged reminders or no reminders', async () => {
+        jest.useFakeTimers({ now: new Date('2026-02-01T12:00:00Z') });
+        await checkEscalations();
+
+        expect(Notification.distinct).toHaveBeenCalledWith('relatedEntity.entityId', expect.objectContaining({
+            type: 'medication',
+            acknowledgedAt: { $exists: false }
+        }));
+        expect(Medication.find).toHaveBeenCalledWith(expect.objectContaining({
+            $or: [{ _id: { $in: [medication._id] } }, { reminders: false }]
+        }));
+    });
+});
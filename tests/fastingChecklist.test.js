@@ -0,0 +1,144 @@
+// Patient acknowledgement and checklist tracking for fasting instructions
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const FastingInstruction = require('../models/FastingInstruction');
+const CareRelationship = require('../models/CareRelationship');
+const errorHandler = require('../middleware/errorHandler');
+const fastingInstructionRoutes = require('../routes/fastingInstructionRoutes');
+const { query, stubDocumentWrites, stubAuth, authHeader, stubFindById } = require('./helpers/mockDb');
+
+const app = express();
+app.use(express.json());
+app.use('/api/fasting-instructions', fastingInstructionRoutes);
+app.use(errorHandler);
+
+const makeUser = (role, email) => new User({ name: `Test ${role}`, email, password: 'password123', role });
+
+const patient = makeUser('patient', 'patient@example.com');
+const otherPatient = makeUser('patient', 'other@example.com');
+const doctor = makeUser('doctor', 'doctor@example.com');
+
+let instruction;
+
+beforeEach(() => {
+    instruction = new FastingInstruction({
+        patient: patient._id,
+        doctor: doctor._id,
+        operationDate: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+        hygieneInstructions: ['Shower with antiseptic soap'],
+        administrativeInstructions: ['Bring your ID']
+    });
+
+    stubDocumentWrites();
+    stubAuth([patient, otherPatient, doctor]);
+    stubFindById(FastingInstruction, [instruction]);
+
+    jest.spyOn(FastingInstruction, 'find').mockImplementation(() => query([instruction]));
+    jest.spyOn(CareRelationship, 'getPatientIds').mockResolvedValue([patient._id]);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const acknowledge = (user) => request(app)
+    .patch(`/api/fasting-instructions/${instruction._id}/acknowledge`)
+    .set('Authorization', authHeader(user));
+
+const tick = (user, body) => request(app)
+    .patch(`/api/fasting-instructions/${instruction._id}/checklist`)
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+describe('PATCH /api/fasting-instructions/:id/acknowledge', () => {
+    it('records the first acknowledgement only', async () => {
+        const res = await acknowledge(patient);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.acknowledged).toBe(true);
+
+        const firstAcknowledgedAt = instruction.acknowledgedAt;
+        await acknowledge(patient);
+
+        expect(instruction.acknowledgedAt).toBe(firstAcknowledgedAt);
+    });
+
+    it('refuses another patient\'s instruction', async () => {
+        const res = await acknowledge(otherPatient);
+
+        expect(res.status).toBe(403);
+        expect(instruction.acknowledgedAt).toBeUndefined();
+    });
+
+    it('is for patients only', async () => {
+        const res = await acknowledge(doctor);
+
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('PATCH /api/fasting-instructions/:id/checklist', () => {
+    it('ticks items off and back on', async () => {
+        let res = await tick(patient, { section: 'hygiene', item: 'Shower with antiseptic soap', completed: true });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ completedCount: 1, totalCount: 2, isFullyComplete: false });
+        expect(res.body.data.checklist.hygiene[0].completed).toBe(true);
+
+        res = await tick(patient, { section: 'hygiene', item: 'Shower with antiseptic soap', completed: false });
+
+        expect(res.body.data.completedCount).toBe(0);
+        expect(instruction.checklist).toHaveLength(0);
+    });
+
+    it('is fully complete once acknowledged and every item is done', async () => {
+        await acknowledge(patient);
+        await tick(patient, { section: 'hygiene', item: 'Shower with antiseptic soap', completed: true });
+
+        const res = await tick(patient, { section: 'administrative', item: 'Bring your ID', completed: true });
+
+        expect(res.body.data).toMatchObject({ completedCount: 2, totalCount: 2, isFullyComplete: true });
+    });
+
+    it('rejects an item that is not on the instruction', async () => {
+        const res = await tick(patient, { section: 'administrative', item: 'Bring snacks', completed: true });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Item is not part of the administrative instructions');
+    });
+
+    it('refuses another patient\'s instruction', async () => {
+        const res = await tick(otherPatient, { section: 'hygiene', item: 'Shower with antiseptic soap', completed: true });
+
+        expect(res.status).toBe(403);
+        expect(instruction.checklist).toHaveLength(0);
+    });
+
+    it('stops counting items the doctor has since removed', async () => {
+        await tick(patient, { section: 'hygiene', item: 'Shower with antiseptic soap', completed: true });
+        instruction.hygieneInstructions = ['Remove nail polish'];
+
+        expect(instruction.getCompletionStatus()).toMatchObject({ completedCount: 0, totalCount: 2 });
+    });
+});
+
+describe('GET /api/fasting-instructions', () => {
+    it('shows the doctor each patient\'s completion status', async () => {
+        instruction.acknowledgedAt = new Date();
+        instruction.setChecklistItem('administrative', 'Bring your ID', true);
+
+        const res = await request(app)
+            .get('/api/fasting-instructions')
+            .set('Authorization', authHeader(doctor));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data[0].completion).toMatchObject({
+            acknowledged: true,
+            completedCount: 1,
+            totalCount: 2,
+            isFullyComplete: false
+        });
+    });
+});
@@ -0,0 +1,269 @@
+// Permission tests for /api/fasting-instructions
+// Every route is called as the patient, their care-team doctor, an admin and a
+// doctor with no care relationship to the patient.
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../models/User');
+const FastingInstruction = require('../models/FastingInstruction');
+const FastingTemplate = require('../models/FastingTemplate');
+const CareRelationship = require('../models/CareRelationship');
+const errorHandler = require('../middleware/errorHandler');
+const fastingInstructionRoutes = require('../routes/fastingInstructionRoutes');
+const { query, stubDocumentWrites, stubAuth, authHeader, stubFindById } = require('./helpers/mockDb');
+
+const app = express();
+app.use(express.json());
+app.use('/api/fasting-instructions', fastingInstructionRoutes);
+app.use(errorHandler);
+
+const BASE = '/api/fasting-instructions';
+const ROLES = ['patient', 'doctor', 'admin', 'unrelatedDoctor'];
+const MISSING_ID = new mongoose.Types.ObjectId().toString();
+
+const makeUser = (role, fields = {}) => new User({
+    name: `Test ${role}`,
+    email: `${role}@example.com`,
+    password: 'password123',
+    role,
+    ...fields
+});
+
+let users;
+let instruction;
+let template;
+
+beforeEach(() => {
+    users = {
+        patient: makeUser('patient'),
+        doctor: makeUser('doctor', { doctorInfo: { specialization: 'surgeon', department: 'Surgery' } }),
+        admin: makeUser('admin'),
+        unrelatedDoctor: makeUser('doctor', { email: 'other-doctor@example.com', doctorInfo: { specialization: 'surgeon' } })
+    };
+
+    instruction = new FastingInstruction({
+        patient: users.patient._id,
+        doctor: users.doctor._id,
+        operationDate: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+        hygieneInstructions: ['Shower the night before']
+    });
+
+    template = new FastingTemplate({
+        name: 'Knee surgery',
+        owner: users.doctor._id,
+        scope: 'personal'
+    });
+
+    stubDocumentWrites();
+    stubAuth(Object.values(users));
+    stubFindById(FastingInstruction, [instruction]);
+    stubFindById(FastingTemplate, [template]);
+
+    const patientId = users.patient._id.toString();
+    const careDoctorId = users.doctor._id.toString();
+
+    jest.spyOn(CareRelationship, 'isActiveBetween').mockImplementation(async (doctorId, id) => {
+        return doctorId.toString() === careDoctorId && id.toString() === patientId;
+    });
+    jest.spyOn(CareRelationship, 'getPatientIds').mockImplementation(async (doctorId) => {
+        return doctorId.toString() === careDoctorId ? [users.patient._id] : [];
+    });
+
+    jest.spyOn(User, 'exists').mockImplementation(async (filter) => {
+        return filter._id.toString() === patientId && filter.role === 'patient' ? { _id: users.patient._id } : null;
+    });
+    jest.spyOn(User, 'findByIdAndUpdate').mockImplementation(() => query(users.doctor));
+
+    jest.spyOn(FastingInstruction, 'find').mockImplementation(() => query([instruction]));
+    jest.spyOn(FastingInstruction, 'create').mockImplementation(async (fields) => new FastingInstruction(fields));
+    jest.spyOn(FastingInstruction, 'findByIdAndUpdate').mockImplementation(() => query(instruction));
+    jest.spyOn(FastingTemplate, 'find').mockImplementation(() => query([template]));
+    jest.spyOn(FastingTemplate, 'create').mockImplementation(async (fields) => new FastingTemplate(fields));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const call = (role, method, path, body) => {
+    const req = request(app)[method](`${BASE}${path}`).set('Authorization', authHeader(users[role]));
+    return body ? req.send(body) : req;
+};
+
+// Expected status per role, in ROLES order
+const expectStatuses = (statuses) => ROLES.map((role, idx) => [role, statuses[idx]]);
+
+// Routes are described lazily because the IDs are created in beforeEach
+const ROUTES = [
+    {
+        name: 'GET /',
+        method: 'get',
+        path: () => '/',
+        expected: [200, 200, 200, 200]
+    },
+    {
+        name: 'POST /',
+        method: 'post',
+        path: () => '/',
+        body: () => ({ patient: users.patient._id.toString(), operationDate: instruction.operationDate.toISOString() }),
+        expected: [403, 201, 201, 403]
+    },
+    {
+        name: 'GET /patient/:patientId',
+        method: 'get',
+        path: () => `/patient/${users.patient._id}`,
+        expected: [200, 200, 200, 403]
+    },
+    {
+        name: 'GET /templates',
+        method: 'get',
+        path: () => '/templates',
+        expected: [403, 200, 200, 200]
+    },
+    {
+        name: 'POST /templates',
+        method: 'post',
+        path: () => '/templates',
+        body: () => ({ name: 'Hip replacement' }),
+        expected: [403, 201, 403, 201]
+    },
+    {
+        name: 'GET /templates/:id',
+        method: 'get',
+        path: () => `/templates/${template._id}`,
+        missing: () => `/templates/${MISSING_ID}`,
+        expected: [403, 200, 200, 404]
+    },
+    {
+        name: 'PUT /templates/:id',
+        method: 'put',
+        path: () => `/templates/${template._id}`,
+        missing: () => `/templates/${MISSING_ID}`,
+        body: () => ({ description: 'Updated' }),
+        expected: [403, 200, 200, 404]
+    },
+    {
+        name: 'DELETE /templates/:id',
+        method: 'delete',
+        path: () => `/templates/${template._id}`,
+        missing: () => `/templates/${MISSING_ID}`,
+        expected: [403, 200, 200, 404]
+    },
+    {
+        name: 'GET /cutoff-defaults',
+        method: 'get',
+        path: () => '/cutoff-defaults',
+        expected: [403, 200, 403, 200]
+    },
+    {
+        name: 'PUT /cutoff-defaults',
+        method: 'put',
+        path: () => '/cutoff-defaults',
+        body: () => ({ fastingCutoffs: [] }),
+        expected: [403, 200, 403, 200]
+    },
+    {
+        name: 'GET /:id',
+        method: 'get',
+        path: () => `/${instruction._id}`,
+        missing: () => `/${MISSING_ID}`,
+        expected: [200, 200, 200, 403]
+    },
+    {
+        name: 'PUT /:id',
+        method: 'put',
+        path: () => `/${instruction._id}`,
+        missing: () => `/${MISSING_ID}`,
+        body: () => ({ operationType: 'Knee arthroscopy' }),
+        expected: [403, 200, 200, 403]
+    },
+    {
+        name: 'DELETE /:id',
+        method: 'delete',
+        path: () => `/${instruction._id}`,
+        missing: () => `/${MISSING_ID}`,
+        expected: [403, 200, 200, 403]
+    },
+    {
+        name: 'PATCH /:id/toggle',
+        method: 'patch',
+        path: () => `/${instruction._id}/toggle`,
+        missing: () => `/${MISSING_ID}/toggle`,
+        expected: [403, 200, 200, 403]
+    },
+    {
+        name: 'PATCH /:id/personal-notes',
+        method: 'patch',
+        path: () => `/${instruction._id}/personal-notes`,
+        missing: () => `/${MISSING_ID}/personal-notes`,
+        body: () => ({ personalNotes: ['Bring glasses'] }),
+        expected: [200, 403, 403, 403]
+    },
+    {
+        name: 'PATCH /:id/acknowledge',
+        method: 'patch',
+        path: () => `/${instruction._id}/acknowledge`,
+        missing: () => `/${MISSING_ID}/acknowledge`,
+        expected: [200, 403, 403, 403]
+    },
+    {
+        name: 'PATCH /:id/checklist',
+        method: 'patch',
+        path: () => `/${instruction._id}/checklist`,
+        missing: () => `/${MISSING_ID}/checklist`,
+        body: () => ({ section: 'hygiene', item: 'Shower the night before', completed: true }),
+        expected: [200, 403, 403, 403]
+    },
+    {
+        name: 'GET /:id/status',
+        method: 'get',
+        path: () => `/${instruction._id}/status`,
+        missing: () => `/${MISSING_ID}/status`,
+        expected: [200, 200, 200, 403]
+    }
+];
+
+describe('fasting instruction route permissions', () => {
+    describe.each(ROUTES)('$name', (route) => {
+        it.each(expectStatuses(route.expected))('responds to %s with %i', async (role, status) => {
+            const res = await call(role, route.method, route.path(), route.body && route.body());
+
+            expect(res.status).toBe(status);
+            expect(res.body.success).toBe(status < 400);
+        });
+
+        if (route.missing) {
+            // The first role allowed through the role middleware sees the 404
+            const role = ROLES.find((r, idx) => route.expected[idx] < 400);
+
+            it(`responds to ${role} with 404 for an unknown ID`, async () => {
+                const res = await call(role, route.method, route.missing(), route.body && route.body());
+
+                expect(res.status).toBe(404);
+                expect(res.body.success).toBe(false);
+            });
+        }
+    });
+
+    it('rejects requests without a token', async () => {
+        const res = await request(app).get(BASE);
+
+        expect(res.status).toBe(401);
+    });
+
+    it('only lists instructions for care-team patients to an unrelated doctor', async () => {
+        await call('unrelatedDoctor', 'get', '/');
+
+        expect(FastingInstruction.find).toHaveBeenCalledWith(expect.objectContaining({ patient: { $in: [] } }));
+    });
+
+    it('rejects an instruction for a user who is not a patient', async () => {
+        const res = await call('doctor', 'post', '/', {
+            patient: users.admin._id.toString(),
+            operationDate: instruction.operationDate.toISOString()
+        });
+
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,104 @@
+// Per-category fasting cut-offs
+
+const mongoose = require('mongoose');
+const FastingInstruction = require('../models/FastingInstruction');
+const {
+    DEFAULT_FASTING_CUTOFFS,
+    getDefaultCutoffs,
+    getInstructionCutoffs,
+    validateCutoffs,
+    getFastingStatus
+} = require('../utils/fastingRules');
+const { calculateFastingReminders } = require('../utils/notificationScheduler');
+
+const OPERATION = new Date('2026-10-20T08:00:00Z');
+
+const makeInstruction = (fastingCutoffs) => new FastingInstruction({
+    patient: new mongoose.Types.ObjectId(),
+    doctor: new mongoose.Types.ObjectId(),
+    operationDate: OPERATION,
+    fastingCutoffs
+});
+
+describe('getDefaultCutoffs', () => {
+    it('uses the doctor\'s own defaults, filling in labels', () => {
+        const cutoffs = getDefaultCutoffs({ fastingCutoffDefaults: [{ category: 'solids', hoursBefore: 8 }] });
+
+        expect(cutoffs).toEqual([{ category: 'solids', label: 'Solid food', hoursBefore: 8 }]);
+    });
+
+    it('falls back to the ASA-style defaults', () => {
+        expect(getDefaultCutoffs({})).toEqual(DEFAULT_FASTING_CUTOFFS);
+        expect(getDefaultCutoffs(undefined)).toEqual(DEFAULT_FASTING_CUTOFFS);
+    });
+});
+
+describe('getInstructionCutoffs', () => {
+    it('treats an instruction without cut-offs as using the defaults', () => {
+        expect(getInstructionCutoffs(makeInstruction([]))).toEqual(DEFAULT_FASTING_CUTOFFS);
+    });
+});
+
+describe('validateCutoffs', () => {
+    it('accepts known categories within 0-24 hours', () => {
+        expect(validateCutoffs([{ category: 'solids', hoursBefore: 6 }, { category: 'clear_liquids', hoursBefore: 0 }])).toBeNull();
+    });
+
+    it('rejects unknown categories, hours out of range and duplicates', () => {
+        expect(validateCutoffs([{ category: 'coffee', hoursBefore: 2 }])).toMatch(/category must be one of/);
+        expect(validateCutoffs([{ category: 'solids', hoursBefore: 25 }])).toMatch(/between 0 and 24/);
+        expect(validateCutoffs([{ category: 'solids', hoursBefore: '6' }])).toMatch(/between 0 and 24/);
+        expect(validateCutoffs([{ category: 'milk', hoursBefore: 6 }, { category: 'milk', hoursBefore: 4 }]))
+            .toBe('Duplicate fasting cut-off for milk');
+        expect(validateCutoffs({ category: 'solids' })).toBe('Fasting cut-offs must be provided as an array');
+    });
+});
+
+describe('getFastingStatus', () => {
+    const instruction = makeInstruction([
+        { category: 'solids', hoursBefore: 6 },
+        { category: 'clear_liquids', hoursBefore: 2 }
+    ]);
+
+    it('lists what is still allowed and the next cut-off', () => {
+        const status = getFastingStatus(instruction, new Date('2026-10-20T03:00:00Z'));
+
+        expect(status.isFullyFasting).toBe(false);
+        expect(status.nextCutoff).toEqual({
+            category: 'clear_liquids',
+            label: 'Clear liquids',
+            cutoffTime: new Date('2026-10-20T06:00:00Z')
+        });
+        expect(status.categories.map(c => [c.category, c.allowed, c.minutesRemaining])).toEqual([
+            ['solids', false, 0],
+            ['clear_liquids', true, 180]
+        ]);
+    });
+
+    it('reports full fasting after the last cut-off', () => {
+        const status = getFastingStatus(instruction, new Date('2026-10-20T07:00:00Z'));
+
+        expect(status.isFullyFasting).toBe(true);
+        expect(status.nextCutoff).toBeNull();
+    });
+});
+
+describe('fasting cut-off reminders', () => {
+    it('sends one reminder per category at its cut-off', () => {
+        const instruction = makeInstruction([
+            { category: 'solids', hoursBefore: 6 },
+            { category: 'clear_liquids', hoursBefore: 2 }
+        ]);
+
+        const reminders = calculateFastingReminders(instruction, {}, 'UTC', {
+            from: new Date('2026-10-20T00:00:00Z'),
+            to: new Date('2026-10-20T08:00:00Z')
+        }).filter(r => r.data.action);
+
+        expect(reminders.map(r => [r.data.action, r.scheduledFor.toISOString()])).toEqual([
+            ['stop_solids', '2026-10-20T02:00:00.000Z'],
+            ['stop_clear_liquids', '2026-10-20T06:00:00.000Z']
+        ]);
+        expect(reminders[0].title).toBe('🚫 Time to Stop: Solid food');
+    });
+});
@@ -0,0 +1,171 @@
+// Fasting instruction templates: sharing, versioning and use in new instructions
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const FastingInstruction = require('../models/FastingInstruction');
+const FastingTemplate = require('../models/FastingTemplate');
+const CareRelationship = require('../models/CareRelationship');
+const errorHandler = require('../middleware/errorHandler');
+const fastingInstructionRoutes = require('../routes/fastingInstructionRoutes');
+const { query, stubDocumentWrites, stubAuth, authHeader, stubFindById } = require('./helpers/mockDb');
+
+const app = express();
+app.use(express.json());
+app.use('/api/fasting-instructions', fastingInstructionRoutes);
+app.use(errorHandler);
+
+const makeUser = (role, email, fields = {}) => new User({ name: `Test ${role}`, email, password: 'password123', role, ...fields });
+
+const owner = makeUser('doctor', 'owner@example.com', {
+    doctorInfo: { department: 'Surgery', fastingCutoffDefaults: [{ category: 'solids', hoursBefore: 8 }] }
+});
+const colleague = makeUser('doctor', 'colleague@example.com', { doctorInfo: { department: 'Surgery' } });
+const outsider = makeUser('doctor', 'outsider@example.com', { doctorInfo: { department: 'Cardiology' } });
+const noDepartment = makeUser('doctor', 'nodept@example.com');
+const admin = makeUser('admin', 'admin@example.com');
+const patient = makeUser('patient', 'patient@example.com');
+
+const makeTemplate = (fields = {}) => new FastingTemplate({
+    name: 'Knee surgery',
+    owner: owner._id,
+    department: 'Surgery',
+    scope: 'department',
+    fastingCutoffs: [{ category: 'solids', hoursBefore: 6 }, { category: 'clear_liquids', hoursBefore: 2 }],
+    hygieneInstructions: ['Shower with antiseptic soap'],
+    administrativeInstructions: ['Bring your ID'],
+    ...fields
+});
+
+let template;
+
+beforeEach(() => {
+    template = makeTemplate();
+
+    stubDocumentWrites();
+    stubAuth([owner, colleague, outsider, noDepartment, admin, patient]);
+    stubFindById(FastingTemplate, [template]);
+
+    jest.spyOn(FastingTemplate, 'findOne').mockImplementation(() => query(template.isActive ? template : null));
+    jest.spyOn(FastingTemplate, 'create').mockImplementation(async (fields) => new FastingTemplate(fields));
+    jest.spyOn(FastingInstruction, 'create').mockImplementation(async (fields) => new FastingInstruction(fields));
+    jest.spyOn(User, 'exists').mockResolvedValue({ _id: patient._id });
+    jest.spyOn(CareRelationship, 'isActiveBetween').mockResolvedValue(true);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('template visibility', () => {
+    it('shares department templates with doctors of the same department only', () => {
+        expect(template.isVisibleTo(owner)).toBe(true);
+        expect(template.isVisibleTo(colleague)).toBe(true);
+        expect(template.isVisibleTo(admin)).toBe(true);
+        expect(template.isVisibleTo(outsider)).toBe(false);
+        expect(template.isVisibleTo(noDepartment)).toBe(false);
+    });
+
+    it('keeps personal templates to their owner', () => {
+        const personal = makeTemplate({ scope: 'personal' });
+
+        expect(personal.isVisibleTo(owner)).toBe(true);
+        expect(personal.isVisibleTo(colleague)).toBe(false);
+    });
+
+    it('lists own templates and department templates', () => {
+        expect(FastingTemplate.visibleFilter(colleague)).toEqual({
+            $or: [{ owner: colleague._id }, { scope: 'department', department: 'Surgery' }]
+        });
+        expect(FastingTemplate.visibleFilter(noDepartment)).toEqual({ $or: [{ owner: noDepartment._id }] });
+        expect(FastingTemplate.visibleFilter(admin)).toEqual({});
+    });
+});
+
+describe('template routes', () => {
+    const update = (user, body) => request(app)
+        .put(`/api/fasting-instructions/templates/${template._id}`)
+        .set('Authorization', authHeader(user))
+        .send(body);
+
+    it('creates a new version when the owner updates a template', async () => {
+        template.owner = owner;
+
+        const res = await update(owner, { hygieneInstructions: ['Remove nail polish'] });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.version).toBe(2);
+        expect(res.body.data.hygieneInstructions).toEqual(['Remove nail polish']);
+    });
+
+    it('lets department colleagues use but not edit a template', async () => {
+        template.owner = owner;
+
+        const res = await update(colleague, { name: 'Hip surgery' });
+
+        expect(res.status).toBe(403);
+        expect(template.name).toBe('Knee surgery');
+    });
+
+    it('hides the template from other departments', async () => {
+        template.owner = owner;
+
+        const res = await update(outsider, { name: 'Hip surgery' });
+
+        expect(res.status).toBe(404);
+    });
+
+    it('needs a department before sharing department-wide', async () => {
+        const res = await request(app)
+            .post('/api/fasting-instructions/templates')
+            .set('Authorization', authHeader(noDepartment))
+            .send({ name: 'Cataract', scope: 'department' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Set a department on your profile before sharing templates department-wide');
+    });
+});
+
+describe('creating an instruction from a template', () => {
+    const create = (user, body) => request(app)
+        .post('/api/fasting-instructions')
+        .set('Authorization', authHeader(user))
+        .send({ patient: patient._id.toString(), operationDate: '2026-11-02T08:00:00.000Z', ...body });
+
+    it('copies the fields the request leaves out and records the template version', async () => {
+        const res = await create(colleague, {
+            templateId: template._id.toString(),
+            hygieneInstructions: ['No jewellery']
+        });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.hygieneInstructions).toEqual(['No jewellery']);
+        expect(res.body.data.administrativeInstructions).toEqual(['Bring your ID']);
+        expect(res.body.data.fastingCutoffs.map(c => c.category)).toEqual(['solids', 'clear_liquids']);
+        expect(res.body.data.template).toBe(template._id.toString());
+        expect(res.body.data.templateVersion).toBe(1);
+    });
+
+    it('falls back to the doctor\'s default cut-offs when the template has none', async () => {
+        template = makeTemplate({ fastingCutoffs: [] });
+
+        const res = await create(owner, { templateId: template._id.toString() });
+
+        expect(res.body.data.fastingCutoffs).toEqual([{ category: 'solids', label: 'Solid food', hoursBefore: 8 }]);
+    });
+
+    it('refuses a template from another department', async () => {
+        const res = await create(outsider, { templateId: template._id.toString() });
+
+        expect(res.status).toBe(404);
+        expect(FastingInstruction.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses an archived template', async () => {
+        template.isActive = false;
+
+        const res = await create(owner, { templateId: template._id.toString() });
+
+        expect(res.status).toBe(404);
+    });
+});
@@ -0,0 +1,125 @@
+// Dead FCM token pruning, on send and in the periodic cleanup
+
+const User = require('../models/User');
+const TokenPruneEvent = require('../models/TokenPruneEvent');
+const firebaseAdmin = require('../config/firebaseAdmin');
+const logger = require('../utils/logger');
+const { getPruneReason, pruneFailedTokens, cleanupStaleTokens } = require('../utils/fcmTokenPruner');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+let user;
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+
+    user = new User({
+        name: 'Pat',
+        email: 'pat@example.com',
+        password: 'password123',
+        role: 'patient',
+        fcmTokens: [
+            { token: 'token-alive-00000001', platform: 'ios', addedAt: new Date(NOW - 2 * DAY_MS) },
+            { token: 'token-gone-000000002', platform: 'android', addedAt: new Date(NOW - 40 * DAY_MS) },
+            { token: 'token-bad-0000000003', platform: 'web', addedAt: new Date(NOW - 50 * DAY_MS) }
+        ]
+    });
+
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(User, 'find').mockReturnValue({ select: () => [user] });
+    jest.spyOn(User, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(TokenPruneEvent, 'insertMany').mockImplementation(async (events) => events);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+});
+
+describe('getPruneReason', () => {
+    it('only prunes for errors meaning the token is gone for good', () => {
+        expect(getPruneReason({ code: 'messaging/registration-token-not-registered' })).toBe('unregistered');
+        expect(getPruneReason({ code: 'messaging/invalid-registration-token' })).toBe('invalid');
+        expect(getPruneReason({ code: 'messaging/internal-error' })).toBeNull();
+        expect(getPruneReason(undefined)).toBeNull();
+    });
+});
+
+describe('pruneFailedTokens', () => {
+    it('removes tokens FCM reported as dead and records each removal', async () => {
+        const tokens = user.fcmTokens.map(t => t.token);
+        const responses = [
+            { success: true },
+            { success: false, error: { code: 'messaging/registration-token-not-registered' } },
+            { success: false, error: { code: 'messaging/server-unavailable' } }
+        ];
+
+        const pruned = await pruneFailedTokens(tokens, responses);
+
+        expect(pruned).toBe(1);
+        expect(User.updateMany).toHaveBeenCalledWith(
+            { 'fcmTokens.token': { $in: ['token-gone-000000002'] } },
+            { $pull: { fcmTokens: { token: { $in: ['token-gone-000000002'] } } } }
+        );
+        expect(TokenPruneEvent.insertMany).toHaveBeenCalledWith([{
+            user: user._id,
+            tokenSuffix: '00000002',
+            platform: 'android',
+            reason: 'unregistered',
+            source: 'send',
+            tokenAgeDays: 40
+        }]);
+    });
+
+    it('does nothing when every failure may be temporary', async () => {
+        const pruned = await pruneFailedTokens(['token-alive-00000001'], [
+            { success: false, error: { code: 'messaging/server-unavailable' } }
+        ]);
+
+        expect(pruned).toBe(0);
+        expect(User.updateMany).not.toHaveBeenCalled();
+    });
+});
+
+describe('cleanupStaleTokens', () => {
+    beforeEach(() => {
+        // The cleanup walks users with a cursor; pruning loads them as a list
+        const users = Object.assign([user], { cursor: () => [user] });
+        jest.spyOn(User, 'find').mockReturnValue({ select: () => users });
+        jest.spyOn(firebaseAdmin, 'isFirebaseInitialized').mockReturnValue(true);
+    });
+
+    it('dry-runs stale tokens, prunes invalid ones and marks valid ones as checked', async () => {
+        jest.spyOn(firebaseAdmin, 'validateToken').mockImplementation(async (token) => token !== 'token-bad-0000000003');
+
+        const result = await cleanupStaleTokens();
+
+        expect(result).toEqual({ checked: 2, pruned: 1 });
+        expect(firebaseAdmin.validateToken).not.toHaveBeenCalledWith('token-alive-00000001');
+        expect(User.updateOne).toHaveBeenCalledWith(
+            { _id: user._id, 'fcmTokens.token': 'token-gone-000000002' },
+            { $set: { 'fcmTokens.$.lastValidatedAt': NOW } }
+        );
+        expect(TokenPruneEvent.insertMany).toHaveBeenCalledWith([
+            expect.objectContaining({ tokenSuffix: '00000003', reason: 'invalid', source: 'cleanup' })
+        ]);
+    });
+
+    it('keeps a token whose validation failed for another reason', async () => {
+        jest.spyOn(logger, 'warn').mockImplementation(() => {});
+        jest.spyOn(firebaseAdmin, 'validateToken').mockRejectedValue(new Error('Network error'));
+
+        const result = await cleanupStaleTokens();
+
+        expect(result).toEqual({ checked: 2, pruned: 0 });
+        expect(User.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('skips the cleanup while push is disabled', async () => {
+        firebaseAdmin.isFirebaseInitialized.mockReturnValue(false);
+
+        expect(await cleanupStaleTokens()).toEqual({ checked: 0, pruned: 0 });
+    });
+});
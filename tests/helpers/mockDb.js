@@ -0,0 +1,82 @@
+// Test helpers for exercising routes without a database
+// Model statics are replaced with jest spies that resolve to in-memory documents,
+// and document writes (save, deleteOne, populate) resolve without touching MongoDB.
+
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+/**
+ * Chainable stand-in for a Mongoose query
+ * @param {*} result - Value the query resolves to
+ * @returns {object} - Thenable with populate, select, sort, limit and skip
+ */
+const query = (result) => {
+    const chain = {
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+
+    ['populate', 'select', 'sort', 'limit', 'skip', 'lean'].forEach(method => {
+        chain[method] = () => chain;
+    });
+
+    return chain;
+};
+
+/**
+ * Make document writes resolve in memory
+ */
+const stubDocumentWrites = () => {
+    ['save', 'deleteOne', 'populate'].forEach(method => {
+        jest.spyOn(mongoose.Model.prototype, method).mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+    });
+};
+
+/**
+ * Stub authentication so a signed token resolves to one of the given users
+ * @param {Array} users - User documents
+ */
+const stubAuth = (users) => {
+    jest.spyOn(Session, 'findValidById').mockImplementation((sessionId) => {
+        const user = users.find(u => u._id.toString() === sessionId);
+        return query(user ? { user: user._id } : null);
+    });
+
+    jest.spyOn(User, 'findById').mockImplementation((id) => {
+        return query(users.find(u => u._id.toString() === id.toString()) || null);
+    });
+};
+
+/**
+ * Authorization header for a user (the user's ID doubles as the session ID)
+ * @param {object} user - User document
+ * @returns {string} - Bearer token
+ */
+const authHeader = (user) => {
+    const token = jwt.sign({ id: user._id.toString(), sid: user._id.toString() }, process.env.JWT_SECRET);
+    return `Bearer ${token}`;
+};
+
+/**
+ * Stub Model.findById to look documents up in a list
+ * @param {object} Model - Mongoose model
+ * @param {Array} docs - Documents that exist
+ */
+const stubFindById = (Model, docs) => {
+    jest.spyOn(Model, 'findById').mockImplementation((id) => {
+        return query(docs.find(d => d._id.toString() === id.toString()) || null);
+    });
+};
+
+module.exports = {
+    query,
+    stubDocumentWrites,
+    stubAuth,
+    authHeader,
+    stubFindById
+};
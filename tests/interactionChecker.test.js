@@ -0,0 +1,198 @@
+// Drug-drug and drug-allergy interaction checks against the local dataset
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Medication = require('../models/Medication');
+const Notification = require('../models/Notification');
+const CareRelationship = require('../models/CareRelationship');
+const errorHandler = require('../middleware/errorHandler');
+const medicationRoutes = require('../routes/medicationRoutes');
+const logger = require('../utils/logger');
+const { resolveTerms, loadDataset, checkMedication, getDatasetVersion } = require('../utils/interactionChecker');
+const { query, stubDocumentWrites, stubAuth, authHeader, stubFindById } = require('./helpers/mockDb');
+
+const app = express();
+app.use(express.json());
+app.use('/api/medications', medicationRoutes);
+app.use(errorHandler);
+
+const makeUser = (role, email, fields = {}) => new User({ name: `Test ${role}`, email, password: 'password123', role, ...fields });
+
+const patient = makeUser('patient', 'patient@example.com', { patientInfo: { allergies: ['Penicillins'] } });
+const doctor = makeUser('doctor', 'doctor@example.com');
+const colleague = makeUser('doctor', 'colleague@example.com');
+
+const makeMedication = (name, fields = {}) => new Medication({
+    patient: patient._id,
+    name,
+    type: 'pill',
+    dosage: '1 tablet',
+    times: ['08:00'],
+    ...fields
+});
+
+beforeEach(() => {
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('resolveTerms', () => {
+    it('maps brand names and plurals to drugs and their classes', () => {
+        const dataset = loadDataset();
+
+        expect(resolveTerms('Advil 200mg', dataset).has('ibuprofen')).toBe(true);
+        expect(resolveTerms('Advil 200mg', dataset).has('nsaid')).toBe(true);
+        expect(resolveTerms('Penicillins', dataset).has('penicillin')).toBe(true);
+    });
+});
+
+describe('checkMedication', () => {
+    it('warns about drug-drug interactions by class', () => {
+        const warfarin = makeMedication('Coumadin');
+        const advil = makeMedication('Advil');
+
+        const warnings = checkMedication(warfarin, [warfarin, advil]);
+
+        expect(warnings).toEqual([{
+            key: `drug:${advil._id}:anticoagulant+nsaid`,
+            type: 'drug',
+            severity: 'high',
+            description: 'Increased risk of serious bleeding',
+            interactingMedication: { _id: advil._id, name: 'Advil' }
+        }]);
+    });
+
+    it('keeps the most severe warning when several rules match the same pair', () => {
+        const simvastatin = makeMedication('Zocor');
+        const clarithromycin = makeMedication('Biaxin');
+
+        const warnings = checkMedication(simvastatin, [clarithromycin]);
+
+        expect(warnings.map(w => w.severity)).toEqual(['high', 'moderate']);
+        expect(warnings[0].description).toBe('Raised statin levels with risk of rhabdomyolysis');
+    });
+
+    it('warns about an allergy to the drug itself and about cross-reactivity', () => {
+        const augmentin = checkMedication(makeMedication('Augmentin'), [], ['Amoxicillin']);
+        const keflex = checkMedication(makeMedication('Keflex'), [], ['Penicillins']);
+
+        expect(augmentin[0]).toMatchObject({ key: 'allergy:amoxicillin', severity: 'high', allergy: 'Amoxicillin' });
+        expect(keflex).toEqual([expect.objectContaining({
+            type: 'allergy',
+            severity: 'moderate',
+            description: 'Possible cross-reactivity between penicillins and cephalosporins'
+        })]);
+    });
+
+    it('returns nothing for unrelated medications', () => {
+        expect(checkMedication(makeMedication('Tylenol'), [makeMedication('Lipitor')], ['Sulfa'])).toEqual([]);
+    });
+});
+
+describe('dataset updates', () => {
+    let datasetPath;
+
+    beforeEach(() => {
+        datasetPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'interactions-')), 'dataset.json');
+        process.env.INTERACTION_DATASET_PATH = datasetPath;
+    });
+
+    afterEach(() => {
+        delete process.env.INTERACTION_DATASET_PATH;
+        fs.rmSync(path.dirname(datasetPath), { recursive: true, force: true });
+    });
+
+    it('picks up a changed dataset and keeps the previous one if an update is broken', () => {
+        fs.writeFileSync(datasetPath, JSON.stringify({ version: 'v1', interactions: [] }));
+        expect(getDatasetVersion()).toBe('v1');
+
+        fs.writeFileSync(datasetPath, JSON.stringify({ version: 'v2', interactions: [] }));
+        fs.utimesSync(datasetPath, new Date(), new Date(Date.now() + 1000));
+        expect(getDatasetVersion()).toBe('v2');
+
+        jest.spyOn(logger, 'error').mockImplementation(() => {});
+        fs.writeFileSync(datasetPath, '{ "version": ');
+        fs.utimesSync(datasetPath, new Date(), new Date(Date.now() + 2000));
+        expect(getDatasetVersion()).toBe('v2');
+        expect(logger.error).toHaveBeenCalled();
+    });
+});
+
+describe('medication routes', () => {
+    let advil;
+
+    beforeEach(() => {
+        advil = makeMedication('Advil');
+
+        stubDocumentWrites();
+        stubAuth([patient, doctor, colleague]);
+        stubFindById(Medication, [advil]);
+
+        jest.spyOn(User, 'exists').mockResolvedValue({ _id: patient._id });
+        jest.spyOn(Medication, 'create').mockImplementation(async (fields) => makeMedication(fields.name, fields));
+        jest.spyOn(Medication, 'find').mockImplementation((filter) => query(
+            [advil].filter(m => m._id.toString() !== String(filter._id && filter._id.$ne))
+        ));
+        jest.spyOn(CareRelationship, 'isActiveBetween').mockResolvedValue(true);
+        jest.spyOn(CareRelationship, 'getDoctorIds').mockResolvedValue([doctor._id, colleague._id]);
+        jest.spyOn(Notification, 'updateOne').mockResolvedValue({ upsertedCount: 1 });
+    });
+
+    it('returns warnings when prescribing and alerts the rest of the care team', async () => {
+        const res = await request(app)
+            .post('/api/medications')
+            .set('Authorization', authHeader(doctor))
+            .send({ patientId: patient._id.toString(), name: 'Warfarin', type: 'pill', dosage: '5mg', times: ['18:00'] });
+
+        expect(res.status).toBe(201);
+        expect(res.body.warnings).toEqual([expect.objectContaining({
+            type: 'drug',
+            severity: 'high',
+            overridden: false
+        })]);
+        expect(Notification.updateOne).toHaveBeenCalledTimes(1);
+        expect(Notification.updateOne.mock.calls[0][0].dedupeKey)
+            .toBe(`interaction:${colleague._id}:${res.body.data._id}:${res.body.warnings[0].key}`);
+    });
+
+    it('records an override and reports the warning as overridden', async () => {
+        // Amoxicillin against the patient's penicillin allergy
+        advil.name = 'Amoxicillin';
+
+        const res = await request(app)
+            .post(`/api/medications/${advil._id}/interaction-overrides`)
+            .set('Authorization', authHeader(doctor))
+            .send({ warningKey: 'allergy:penicillin:penicillin', justification: 'Tolerated a graded challenge' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.warnings.find(w => w.key === 'allergy:penicillin:penicillin').overridden).toBe(true);
+        expect(advil.interactionOverrides[0]).toMatchObject({ warningKey: 'allergy:penicillin:penicillin', justification: 'Tolerated a graded challenge' });
+    });
+
+    it('refuses an override for a warning that does not apply', async () => {
+        const res = await request(app)
+            .post(`/api/medications/${advil._id}/interaction-overrides`)
+            .set('Authorization', authHeader(doctor))
+            .send({ warningKey: 'allergy:amoxicillin', justification: 'Tolerated a graded challenge' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('No current interaction warning matches this warningKey');
+    });
+
+    it('only lets doctors record overrides', async () => {
+        const res = await request(app)
+            .post(`/api/medications/${advil._id}/interaction-overrides`)
+            .set('Authorization', authHeader(patient))
+            .send({ warningKey: 'allergy:amoxicillin', justification: 'I feel fine' });
+
+        expect(res.status).toBe(403);
+        expect(advil.interactionOverrides).toHaveLength(0);
+    });
+});
@@ -0,0 +1,66 @@
+// Medication dosage audit trail and reactivation
+
+const mongoose = require('mongoose');
+const Medication = require('../models/Medication');
+
+const doctorId = new mongoose.Types.ObjectId();
+
+const makeMedication = (fields = {}) => new Medication({
+    patient: new mongoose.Types.ObjectId(),
+    prescribedBy: doctorId,
+    name: 'Prednisone',
+    type: 'pill',
+    dosage: '40mg',
+    times: ['08:00'],
+    ...fields
+});
+
+describe('changeDosage', () => {
+    it('records a dosage change', () => {
+        const medication = makeMedication();
+
+        expect(medication.changeDosage({ dosage: '20mg' }, doctorId, 'Improving')).toBe(true);
+
+        expect(medication.dosage).toBe('20mg');
+        expect(medication.dosageHistory).toHaveLength(1);
+        expect(medication.dosageHistory[0]).toMatchObject({ previousDosage: '40mg', dosage: '20mg', reason: 'Improving' });
+    });
+
+    it('records a tapering schedule change', () => {
+        const medication = makeMedication({ taperingSteps: [{ durationDays: 5, dosage: '40mg' }] });
+        const taperingSteps = [{ durationDays: 5, dosage: '40mg' }, { durationDays: 5, dosage: '20mg' }];
+
+        expect(medication.changeDosage({ taperingSteps }, doctorId)).toBe(true);
+
+        const entry = medication.dosageHistory[0];
+        expect(entry.previousTaperingSteps.map(step => step.dosage)).toEqual(['40mg']);
+        expect(entry.taperingSteps.map(step => step.dosage)).toEqual(['40mg', '20mg']);
+        expect(medication.taperingSteps).toHaveLength(2);
+    });
+
+    it('ignores an unchanged dosage and tapering schedule', () => {
+        const medication = makeMedication({ taperingSteps: [{ durationDays: 5, dosage: '40mg', times: ['08:00'] }] });
+
+        const changed = medication.changeDosage({
+            dosage: '40mg',
+            taperingSteps: [{ durationDays: 5, dosage: '40mg', times: ['08:00'] }]
+        }, doctorId);
+
+        expect(changed).toBe(false);
+        expect(medication.dosageHistory).toHaveLength(0);
+    });
+});
+
+describe('reactivate', () => {
+    it('clears an earlier discontinuation', () => {
+        const medication = makeMedication();
+        medication.discontinue(doctorId, 'Side effects');
+
+        medication.reactivate();
+
+        expect(medication.isActive).toBe(true);
+        expect(medication.discontinuedAt).toBeUndefined();
+        expect(medication.discontinuedBy).toBeUndefined();
+        expect(medication.discontinuationReason).toBeUndefined();
+    });
+});
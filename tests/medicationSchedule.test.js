@@ -0,0 +1,143 @@
+// Medication recurrences, tapering steps and start/end dates in the patient's timezone
+
+const mongoose = require('mongoose');
+const Medication = require('../models/Medication');
+const { validateSchedule, getDosesInRange, findScheduledDose } = require('../utils/medicationSchedule');
+
+const NEW_YORK = 'America/New_York';
+const TOKYO = 'Asia/Tokyo';
+
+const makeMedication = (fields = {}) => new Medication({
+    patient: new mongoose.Types.ObjectId(),
+    name: 'Prednisone',
+    type: 'pill',
+    dosage: '10mg',
+    times: ['08:00'],
+    startDate: new Date('2026-10-05'),
+    ...fields
+});
+
+const iso = (doses) => doses.map(d => d.scheduledFor.toISOString());
+
+const OCTOBER = [new Date('2026-10-01T00:00:00Z'), new Date('2026-11-01T00:00:00Z')];
+
+describe('validateSchedule', () => {
+    it('rejects incomplete recurrences and tapering steps', () => {
+        expect(validateSchedule({ recurrence: { pattern: 'weekly', daysOfWeek: [] } })).toMatch(/daysOfWeek/);
+        expect(validateSchedule({ recurrence: { pattern: 'weekly', daysOfWeek: [1, 1] } })).toBe('daysOfWeek cannot contain duplicates');
+        expect(validateSchedule({ recurrence: { pattern: 'interval' } })).toBe('Interval schedules need intervalDays of at least 1');
+        expect(validateSchedule({ recurrence: { pattern: 'cycle', daysOn: 21 } })).toBe('Cycle schedules need daysOn and daysOff of at least 1');
+        expect(validateSchedule({ taperingSteps: [{ durationDays: 3 }] })).toBe('Each tapering step needs a dosage');
+        expect(validateSchedule({ frequency: 'as_needed', recurrence: { pattern: 'interval', intervalDays: 2 } }))
+            .toBe('As-needed medications cannot have a recurrence or tapering schedule');
+    });
+
+    it('accepts a complete schedule', () => {
+        expect(validateSchedule({ recurrence: { pattern: 'cycle', daysOn: 21, daysOff: 7 } })).toBeNull();
+    });
+});
+
+describe('recurrences', () => {
+    it('gives doses on the chosen weekdays only', () => {
+        // Monday, Wednesday and Friday
+        const medication = makeMedication({ recurrence: { pattern: 'weekly', daysOfWeek: [1, 3, 5] }, endDate: new Date('2026-10-11') });
+
+        expect(iso(getDosesInRange(medication, ...OCTOBER, 'UTC'))).toEqual([
+            '2026-10-05T08:00:00.000Z',
+            '2026-10-07T08:00:00.000Z',
+            '2026-10-09T08:00:00.000Z'
+        ]);
+    });
+
+    it('counts intervals from the start date', () => {
+        const medication = makeMedication({ recurrence: { pattern: 'interval', intervalDays: 3 }, endDate: new Date('2026-10-12') });
+
+        expect(iso(getDosesInRange(medication, ...OCTOBER, 'UTC'))).toEqual([
+            '2026-10-05T08:00:00.000Z',
+            '2026-10-08T08:00:00.000Z',
+            '2026-10-11T08:00:00.000Z'
+        ]);
+    });
+
+    it('alternates days on and days off in a cycle', () => {
+        const medication = makeMedication({ recurrence: { pattern: 'cycle', daysOn: 2, daysOff: 3 }, endDate: new Date('2026-10-14') });
+
+        expect(iso(getDosesInRange(medication, ...OCTOBER, 'UTC'))).toEqual([
+            '2026-10-05T08:00:00.000Z',
+            '2026-10-06T08:00:00.000Z',
+            '2026-10-10T08:00:00.000Z',
+            '2026-10-11T08:00:00.000Z'
+        ]);
+    });
+
+    it('follows tapering steps with their own dosage and times, then stops', () => {
+        const medication = makeMedication({
+            taperingSteps: [
+                { durationDays: 2, dosage: '40mg', times: ['08:00', '20:00'] },
+                { durationDays: 1, dosage: '20mg' }
+            ]
+        });
+
+        const doses = getDosesInRange(medication, ...OCTOBER, 'UTC');
+
+        expect(doses.map(d => [d.scheduledFor.toISOString(), d.dosage, d.taperingStep])).toEqual([
+            ['2026-10-05T08:00:00.000Z', '40mg', 0],
+            ['2026-10-05T20:00:00.000Z', '40mg', 0],
+            ['2026-10-06T08:00:00.000Z', '40mg', 0],
+            ['2026-10-06T20:00:00.000Z', '40mg', 0],
+            ['2026-10-07T08:00:00.000Z', '20mg', 1]
+        ]);
+    });
+
+    it('has no schedule for as-needed medications', () => {
+        expect(getDosesInRange(makeMedication({ frequency: 'as_needed' }), ...OCTOBER, 'UTC')).toEqual([]);
+    });
+});
+
+describe('start and end dates', () => {
+    const reviewerCase = (timezone, time) => makeMedication({
+        times: [time],
+        recurrence: { pattern: 'interval', intervalDays: 2 },
+        startDate: new Date('2026-10-20'),
+        endDate: new Date('2026-10-22')
+    });
+
+    it('reads date-only start and end as local days behind UTC (New York)', () => {
+        const doses = getDosesInRange(reviewerCase(NEW_YORK, '21:00'), ...OCTOBER, NEW_YORK);
+
+        // 21:00 EDT on the 20th and the 22nd
+        expect(iso(doses)).toEqual(['2026-10-21T01:00:00.000Z', '2026-10-23T01:00:00.000Z']);
+    });
+
+    it('reads date-only start and end as local days ahead of UTC (Tokyo)', () => {
+        const doses = getDosesInRange(reviewerCase(TOKYO, '08:00'), ...OCTOBER, TOKYO);
+
+        // 08:00 JST on the 20th and the 22nd
+        expect(iso(doses)).toEqual(['2026-10-19T23:00:00.000Z', '2026-10-21T23:00:00.000Z']);
+    });
+
+    it('includes a dose late on the end day', () => {
+        const medication = makeMedication({ times: ['23:30'], startDate: new Date('2026-10-22'), endDate: new Date('2026-10-22') });
+
+        expect(iso(getDosesInRange(medication, ...OCTOBER, NEW_YORK))).toEqual(['2026-10-23T03:30:00.000Z']);
+    });
+
+    it('starts a medication added part-way through a day at the time it was added', () => {
+        const medication = makeMedication({ times: ['08:00', '20:00'], startDate: new Date('2026-10-20T16:00:00Z') });
+
+        // Noon in New York: the 08:00 dose had already passed
+        const doses = getDosesInRange(medication, OCTOBER[0], new Date('2026-10-21T23:59:00Z'), NEW_YORK);
+
+        expect(iso(doses)).toEqual([
+            '2026-10-21T00:00:00.000Z',
+            '2026-10-21T12:00:00.000Z'
+        ]);
+    });
+
+    it('finds the scheduled dose on the first local day', () => {
+        const medication = reviewerCase(TOKYO, '08:00');
+
+        expect(findScheduledDose(medication, new Date('2026-10-19T23:00:00Z'), TOKYO)).toMatchObject({ scheduledTime: '08:00' });
+        expect(findScheduledDose(medication, new Date('2026-10-20T23:00:00Z'), TOKYO)).toBeNull();
+    });
+});
@@ -0,0 +1,150 @@
+// Message edit and delete: sender-only, within the edit window
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const errorHandler = require('../middleware/errorHandler');
+const chatRoutes = require('../routes/chatRoutes');
+const { query, stubDocumentWrites, stubAuth, authHeader, stubFindById } = require('./helpers/mockDb');
+
+const app = express();
+app.use(express.json());
+app.use('/api/chat', chatRoutes);
+app.use(errorHandler);
+
+const MINUTE_MS = 60 * 1000;
+
+const makeUser = (role, email) => new User({ name: `Test ${role}`, email, password: 'password123', role });
+
+const patient = makeUser('patient', 'patient@example.com');
+const doctor = makeUser('doctor', 'doctor@example.com');
+
+let conversation;
+let earlier;
+let message;
+
+const makeMessage = (content, minutesAgo) => new Message({
+    conversation: conversation._id,
+    sender: patient._id,
+    content,
+    createdAt: new Date(Date.now() - minutesAgo * MINUTE_MS)
+});
+
+beforeEach(() => {
+    conversation = new Conversation({ participants: [patient._id, doctor._id] });
+    earlier = makeMessage('Good morning', 30);
+    message = makeMessage('See you at 10', 5);
+    conversation.lastMessage = message._id;
+
+    stubDocumentWrites();
+    stubAuth([patient, doctor]);
+    stubFindById(Message, [earlier, message]);
+
+    // Apply conditional updates to the in-memory message
+    jest.spyOn(Message, 'findOneAndUpdate').mockImplementation((filter, update) => {
+        const matches = filter._id.toString() === message._id.toString()
+            && !message.isDeleted
+            && (filter.content === undefined || filter.content === message.content);
+
+        if (matches) {
+            if (update.$push) {
+                message.editHistory.push(update.$push.editHistory);
+            }
+            message.set(update.$set || update);
+        }
+
+        return query(matches ? message : null);
+    });
+    jest.spyOn(Message, 'findOne').mockImplementation(() => query(earlier));
+    jest.spyOn(Conversation, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const edit = (user, content) => request(app)
+    .patch(`/api/chat/conversations/${conversation._id}/messages/${message._id}`)
+    .set('Authorization', authHeader(user))
+    .send({ content });
+
+const remove = (user) => request(app)
+    .delete(`/api/chat/conversations/${conversation._id}/messages/${message._id}`)
+    .set('Authorization', authHeader(user));
+
+describe('PATCH /api/chat/conversations/:id/messages/:messageId', () => {
+    it('edits the message and keeps the previous content', async () => {
+        const res = await edit(patient, 'See you at 11');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ content: 'See you at 11', isEdited: true });
+        expect(res.body.data.editHistory.map(entry => entry.content)).toEqual(['See you at 10']);
+    });
+
+    it('refuses an edit after the edit window', async () => {
+        message.createdAt = new Date(Date.now() - 16 * MINUTE_MS);
+
+        const res = await edit(patient, 'See you at 11');
+
+        expect(res.status).toBe(403);
+        expect(res.body.error).toBe('Messages can only be modified within 15 minutes of sending');
+        expect(message.content).toBe('See you at 10');
+    });
+
+    it('refuses an edit by the other participant', async () => {
+        const res = await edit(doctor, 'See you at 11');
+
+        expect(res.status).toBe(403);
+    });
+
+    it('refuses a message from another conversation', async () => {
+        message.conversation = new Conversation({ participants: [patient._id] })._id;
+
+        const res = await edit(patient, 'See you at 11');
+
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('DELETE /api/chat/conversations/:id/messages/:messageId', () => {
+    it('soft-deletes the message and moves the conversation preview to the previous message', async () => {
+        const res = await remove(patient);
+
+        expect(res.status).toBe(200);
+        expect(message.isDeleted).toBe(true);
+        expect(Conversation.updateOne).toHaveBeenCalledWith(
+            { _id: conversation._id, lastMessage: message._id },
+            { lastMessage: earlier._id }
+        );
+    });
+
+    it('clears the preview when no message is left', async () => {
+        Message.findOne.mockImplementation(() => query(null));
+
+        await remove(patient);
+
+        expect(Conversation.updateOne).toHaveBeenCalledWith(
+            { _id: conversation._id, lastMessage: message._id },
+            { $unset: { lastMessage: 1 } }
+        );
+    });
+
+    it('refuses to delete after the edit window', async () => {
+        message.createdAt = new Date(Date.now() - 16 * MINUTE_MS);
+
+        const res = await remove(patient);
+
+        expect(res.status).toBe(403);
+        expect(message.isDeleted).toBe(false);
+    });
+
+    it('treats an already deleted message as missing', async () => {
+        await remove(patient);
+
+        const res = await remove(patient);
+
+        expect(res.status).toBe(404);
+    });
+});
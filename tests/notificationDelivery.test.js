@@ -0,0 +1,179 @@
+// Per-type delivery channels and the test notification endpoint
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const firebaseAdmin = require('../config/firebaseAdmin');
+const errorHandler = require('../middleware/errorHandler');
+const notificationRoutes = require('../routes/notificationRoutes');
+const {
+    registerChannelProvider,
+    sendToChannelMulticast,
+    getMockOutbox,
+    clearMockOutbox
+} = require('../config/notificationChannels');
+const { DEFAULT_CHANNELS, getUserChannels, deliverNotification } = require('../utils/notificationDelivery');
+const { stubDocumentWrites, stubAuth, authHeader } = require('./helpers/mockDb');
+
+const app = express();
+app.use(express.json());
+app.use('/api/notifications', notificationRoutes);
+app.use(errorHandler);
+
+registerChannelProvider('push', 'failing', {
+    send: async () => ({ status: 'failed', error: 'Provider unavailable' })
+});
+
+let user;
+
+beforeEach(() => {
+    process.env.PUSH_PROVIDER = 'mock';
+    process.env.IN_APP_PROVIDER = 'mock';
+    clearMockOutbox();
+
+    user = new User({
+        name: 'Pat',
+        email: 'pat@example.com',
+        password: 'password123',
+        role: 'patient'
+    });
+
+    stubDocumentWrites();
+    stubAuth([user]);
+
+    jest.spyOn(Notification, 'create').mockImplementation(async (fields) => new Notification(fields));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.PUSH_PROVIDER;
+    delete process.env.IN_APP_PROVIDER;
+});
+
+describe('getUserChannels', () => {
+    it('uses the default channels when the user has not chosen any', () => {
+        expect(getUserChannels(user, 'chat')).toEqual(DEFAULT_CHANNELS);
+    });
+
+    it('keeps an empty choice as an opt-out', () => {
+        user.notificationPreferences.channels.chat = [];
+
+        expect(getUserChannels(user, 'chat')).toEqual([]);
+    });
+});
+
+describe('deliverNotification', () => {
+    it('sends nothing for a type the user opted out of', async () => {
+        user.notificationPreferences.channels.chat = [];
+        const notification = new Notification({ user: user._id, type: 'chat', title: 'Hi', body: 'Hello' });
+
+        await deliverNotification(notification);
+
+        expect(notification.deliveryStatus).toBe('failed');
+        expect(notification.failureReason).toBe('No delivery channels selected');
+        expect(getMockOutbox()).toHaveLength(0);
+    });
+});
+
+describe('sendToChannelMulticast', () => {
+    const makeRecipient = (name, tokens) => new User({
+        name,
+        email: `${name.toLowerCase()}@example.com`,
+        password: 'password123',
+        role: 'patient',
+        fcmTokens: tokens.map(token => ({ token, platform: 'android' }))
+    });
+
+    beforeEach(() => {
+        delete process.env.PUSH_PROVIDER;
+        jest.spyOn(firebaseAdmin, 'isFirebaseInitialized').mockReturnValue(true);
+    });
+
+    it('pushes to every recipient\'s devices in one multicast and maps the results back', async () => {
+        const recipients = [
+            makeRecipient('Ana', ['ana-phone', 'ana-tablet']),
+            makeRecipient('Ben', ['ben-phone']),
+            makeRecipient('Cal', [])
+        ];
+        jest.spyOn(firebaseAdmin, 'sendMulticastNotification').mockResolvedValue({
+            successCount: 1,
+            failureCount: 2,
+            responses: [
+                { success: false, error: { code: 'messaging/registration-token-not-registered' } },
+                { success: true, messageId: 'fcm-1' },
+                { success: false, error: { code: 'messaging/internal-error' } }
+            ]
+        });
+        const payload = { title: 'Clinic closed', body: 'The clinic is closed on Friday', data: { type: 'broadcast' } };
+
+        const results = await sendToChannelMulticast('push', recipients.map(recipient => ({ user: recipient })), payload);
+
+        expect(firebaseAdmin.sendMulticastNotification).toHaveBeenCalledTimes(1);
+        expect(firebaseAdmin.sendMulticastNotification).toHaveBeenCalledWith(
+            ['ana-phone', 'ana-tablet', 'ben-phone'], 'Clinic closed', 'The clinic is closed on Friday', { type: 'broadcast' }
+        );
+        expect(results).toEqual([
+            { status: 'sent', messageId: 'fcm-1' },
+            { status: 'failed', error: 'All 1 devices rejected the notification' },
+            { status: 'skipped', error: 'No FCM tokens registered for this user' }
+        ]);
+    });
+
+    it('fails every recipient of a multicast that could not be sent', async () => {
+        jest.spyOn(firebaseAdmin, 'sendMulticastNotification').mockRejectedValue(new Error('FCM unavailable'));
+
+        const results = await sendToChannelMulticast('push', [{ user: makeRecipient('Ana', ['ana-phone']) }], {});
+
+        expect(results).toEqual([{ status: 'failed', error: 'FCM unavailable' }]);
+    });
+
+    it('sends to each recipient in turn on channels without multicast', async () => {
+        const notification = new Notification({ user: user._id, type: 'general', title: 'Hi', body: 'Hello' });
+
+        const results = await sendToChannelMulticast('in_app', [{ user, notification, payload: {} }], {});
+
+        expect(results).toEqual([{ status: 'sent', messageId: 'mock-in_app-1' }]);
+    });
+});
+
+describe('PUT /api/notifications/preferences', () => {
+    it('stores an empty channel list and resets a type with null', async () => {
+        user.notificationPreferences.channels.medication = ['email'];
+
+        const res = await request(app)
+            .put('/api/notifications/preferences')
+            .set('Authorization', authHeader(user))
+            .send({ channels: { chat: [], medication: null } });
+
+        expect(res.status).toBe(200);
+        expect(getUserChannels(user, 'chat')).toEqual([]);
+        expect(getUserChannels(user, 'medication')).toEqual(DEFAULT_CHANNELS);
+    });
+});
+
+describe('POST /api/notifications/test', () => {
+    const sendTest = (body) => request(app)
+        .post('/api/notifications/test')
+        .set('Authorization', authHeader(user))
+        .send(body);
+
+    it('succeeds when a channel delivered the notification', async () => {
+        const res = await sendTest({ channels: ['push'] });
+
+        expect(res.status).toBe(200);
+        expect(res.body.success).toBe(true);
+        expect(res.body.data.deliveryStatus).toBe('delivered');
+    });
+
+    it('returns an error when every channel failed', async () => {
+        process.env.PUSH_PROVIDER = 'failing';
+
+        const res = await sendTest({ channels: ['push'] });
+
+        expect(res.status).toBe(502);
+        expect(res.body.success).toBe(false);
+        expect(res.body.error).toContain('push: Provider unavailable');
+        expect(res.body.data.deliveries).toEqual([expect.objectContaining({ channel: 'push', status: 'failed' })]);
+    });
+});
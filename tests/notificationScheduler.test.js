@@ -0,0 +1,139 @@
+// Reminder and quiet-hour calculations around daylight-saving transitions
+// America/New_York: clocks go 02:00 -> 03:00 on 2026-03-08 and 02:00 -> 01:00 on 2026-11-01
+// Europe/Paris: clocks go 02:00 -> 03:00 on 2026-03-29
+
+const mongoose = require('mongoose');
+const Medication = require('../models/Medication');
+const { calculateMedicationReminders, isInQuietHours, getQuietHoursEnd } = require('../utils/notificationScheduler');
+
+const NEW_YORK = 'America/New_York';
+const PARIS = 'Europe/Paris';
+
+const makeMedication = (times, startDate) => new Medication({
+    patient: new mongoose.Types.ObjectId(),
+    name: 'Metformin',
+    type: 'pill',
+    dosage: '500mg',
+    frequency: 'once_daily',
+    times,
+    startDate: new Date(startDate)
+});
+
+const iso = (reminders, field = 'scheduledFor') => reminders.map(r => r[field].toISOString());
+
+const quietHours = { quietHoursEnabled: true, quietHoursStart: '22:00', quietHoursEnd: '08:00' };
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('medication reminders across a spring-forward transition', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-03-01T00:00:00Z') });
+    });
+
+    it('moves a dose inside the gap to just after it (New York)', () => {
+        const medication = makeMedication(['02:30'], '2026-03-01T00:00:00Z');
+        const window = { from: new Date('2026-03-08T00:00:00Z'), to: new Date('2026-03-08T12:00:00Z') };
+
+        const reminders = calculateMedicationReminders(medication, { reminderMinutesBefore: 15 }, NEW_YORK, window);
+
+        // 02:30 does not exist that night: the dose is at 03:30 EDT
+        expect(iso(reminders, 'medicationTime')).toEqual(['2026-03-08T07:30:00.000Z']);
+        expect(iso(reminders)).toEqual(['2026-03-08T07:15:00.000Z']);
+        expect(reminders[0].data.doseTime).toBe('2026-03-08T07:30:00.000Z');
+    });
+
+    it('moves a dose inside the gap to just after it (Paris)', () => {
+        const medication = makeMedication(['02:30'], '2026-03-20T00:00:00Z');
+        const window = { from: new Date('2026-03-28T12:00:00Z'), to: new Date('2026-03-29T12:00:00Z') };
+
+        const reminders = calculateMedicationReminders(medication, { reminderMinutesBefore: 15 }, PARIS, window);
+
+        expect(iso(reminders, 'medicationTime')).toEqual(['2026-03-29T01:30:00.000Z']);
+    });
+
+    it('keeps the local dose time on the days either side of the transition', () => {
+        const medication = makeMedication(['08:00'], '2026-03-01T00:00:00Z');
+        const window = { from: new Date('2026-03-07T00:00:00Z'), to: new Date('2026-03-09T23:59:00Z') };
+
+        const reminders = calculateMedicationReminders(medication, { reminderMinutesBefore: 15 }, NEW_YORK, window);
+
+        expect(iso(reminders, 'medicationTime')).toEqual([
+            '2026-03-07T13:00:00.000Z',
+            '2026-03-08T12:00:00.000Z',
+            '2026-03-09T12:00:00.000Z'
+        ]);
+    });
+});
+
+describe('medication reminders across a fall-back transition', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-10-20T00:00:00Z') });
+    });
+
+    it('sends a dose inside the repeated hour once, at its first occurrence', () => {
+        const medication = makeMedication(['01:30'], '2026-10-20T00:00:00Z');
+        const window = { from: new Date('2026-11-01T00:00:00Z'), to: new Date('2026-11-01T12:00:00Z') };
+
+        const reminders = calculateMedicationReminders(medication, { reminderMinutesBefore: 15 }, NEW_YORK, window);
+
+        expect(iso(reminders, 'medicationTime')).toEqual(['2026-11-01T05:30:00.000Z']);
+    });
+
+    it('keeps the local dose time on the days either side of the transition', () => {
+        const medication = makeMedication(['08:00'], '2026-10-20T00:00:00Z');
+        const window = { from: new Date('2026-10-31T00:00:00Z'), to: new Date('2026-11-01T23:59:00Z') };
+
+        const reminders = calculateMedicationReminders(medication, { reminderMinutesBefore: 15 }, NEW_YORK, window);
+
+        expect(iso(reminders, 'medicationTime')).toEqual([
+            '2026-10-31T12:00:00.000Z',
+            '2026-11-01T13:00:00.000Z'
+        ]);
+    });
+});
+
+describe('quiet hours spanning a transition', () => {
+    it('covers the whole 25-hour fall-back night, including both repeated hours', () => {
+        // 22:00 EDT on Oct 31 to 08:00 EST on Nov 1 is 11 hours
+        expect(isInQuietHours(new Date('2026-11-01T01:59:00Z'), quietHours, NEW_YORK)).toBe(false);
+        expect(isInQuietHours(new Date('2026-11-01T02:00:00Z'), quietHours, NEW_YORK)).toBe(true);
+        expect(isInQuietHours(new Date('2026-11-01T05:30:00Z'), quietHours, NEW_YORK)).toBe(true);
+        expect(isInQuietHours(new Date('2026-11-01T06:30:00Z'), quietHours, NEW_YORK)).toBe(true);
+        expect(isInQuietHours(new Date('2026-11-01T12:59:00Z'), quietHours, NEW_YORK)).toBe(true);
+        expect(isInQuietHours(new Date('2026-11-01T13:00:00Z'), quietHours, NEW_YORK)).toBe(false);
+    });
+
+    it('ends fall-back quiet hours at 08:00 standard time', () => {
+        const end = getQuietHoursEnd(new Date('2026-11-01T03:00:00Z'), quietHours, NEW_YORK);
+
+        expect(end.toISOString()).toBe('2026-11-01T13:00:00.000Z');
+    });
+
+    it('covers the whole 23-hour spring-forward night', () => {
+        // 22:00 EST on Mar 7 to 08:00 EDT on Mar 8 is 9 hours
+        expect(isInQuietHours(new Date('2026-03-08T02:59:00Z'), quietHours, NEW_YORK)).toBe(false);
+        expect(isInQuietHours(new Date('2026-03-08T03:00:00Z'), quietHours, NEW_YORK)).toBe(true);
+        expect(isInQuietHours(new Date('2026-03-08T11:59:00Z'), quietHours, NEW_YORK)).toBe(true);
+        expect(isInQuietHours(new Date('2026-03-08T12:00:00Z'), quietHours, NEW_YORK)).toBe(false);
+    });
+
+    it('ends spring-forward quiet hours at 08:00 daylight time', () => {
+        const end = getQuietHoursEnd(new Date('2026-03-08T04:00:00Z'), quietHours, NEW_YORK);
+
+        expect(end.toISOString()).toBe('2026-03-08T12:00:00.000Z');
+    });
+
+    it('drops reminders that fall inside quiet hours on a transition night', () => {
+        jest.useFakeTimers({ now: new Date('2026-03-20T00:00:00Z') });
+
+        const medication = makeMedication(['02:30', '09:00'], '2026-03-20T00:00:00Z');
+        const window = { from: new Date('2026-03-28T12:00:00Z'), to: new Date('2026-03-29T12:00:00Z') };
+
+        const reminders = calculateMedicationReminders(medication, { ...quietHours, reminderMinutesBefore: 15 }, PARIS, window);
+
+        // The 03:30 dose (moved out of the gap) is in quiet hours, the 09:00 CEST dose is not
+        expect(iso(reminders, 'medicationTime')).toEqual(['2026-03-29T07:00:00.000Z']);
+    });
+});
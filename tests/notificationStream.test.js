@@ -0,0 +1,117 @@
+// Live notification stream: queued notifications are streamed when sent, not when queued
+
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { setSocketServer } = require('../utils/notificationStream');
+
+// Socket.IO server stand-in that records emitted events
+const emitted = [];
+const io = {
+    to: (room) => ({
+        emit: (event, payload) => emitted.push({ room, event, payload })
+    })
+};
+
+const userId = new mongoose.Types.ObjectId();
+const otherUserId = new mongoose.Types.ObjectId();
+
+const fields = (overrides = {}) => ({
+    user: userId,
+    type: 'medication',
+    title: 'Time for your medication',
+    body: 'Metformin 500mg',
+    ...overrides
+});
+
+beforeAll(() => {
+    setSocketServer(io);
+});
+
+afterAll(() => {
+    setSocketServer(null);
+});
+
+beforeEach(() => {
+    emitted.length = 0;
+
+    // Writes go to the driver collection; answer them in memory
+    jest.spyOn(Notification.collection, 'insertOne').mockResolvedValue({ acknowledged: true });
+    jest.spyOn(Notification.collection, 'insertMany').mockImplementation(async (docs) => ({
+        acknowledged: true,
+        insertedCount: docs.length
+    }));
+    jest.spyOn(Notification, 'countDocuments').mockResolvedValue(3);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('notification_created', () => {
+    it('is streamed when a sent notification is created', async () => {
+        await Notification.create(fields({ deliveryStatus: 'sent', sentAt: new Date() }));
+
+        expect(emitted).toHaveLength(1);
+        expect(emitted[0]).toMatchObject({ room: `user:${userId}`, event: 'notification_created', payload: { unreadCount: 3 } });
+    });
+
+    it('is not streamed when a notification is queued', async () => {
+        await Notification.create(fields({ deliveryStatus: 'pending', scheduledFor: new Date() }));
+
+        expect(emitted).toHaveLength(0);
+    });
+
+    it('is streamed when the dispatcher moves a queued notification to sent', async () => {
+        const queued = new Notification(fields({ deliveryStatus: 'pending', scheduledFor: new Date() }));
+        jest.spyOn(Notification.collection, 'findOneAndUpdate').mockResolvedValue({
+            ...queued.toObject(),
+            deliveryStatus: 'sent',
+            sentAt: new Date()
+        });
+
+        await Notification.findOneAndUpdate(
+            { deliveryStatus: 'pending', scheduledFor: { $lte: new Date() } },
+            { deliveryStatus: 'sent', sentAt: new Date() },
+            { new: true, sort: { scheduledFor: 1 } }
+        );
+
+        expect(emitted).toHaveLength(1);
+        expect(emitted[0].event).toBe('notification_created');
+        expect(emitted[0].payload.notification._id.toString()).toBe(queued._id.toString());
+    });
+
+    it('is not streamed when a queued notification is updated but stays queued', async () => {
+        const queued = new Notification(fields({ type: 'chat', deliveryStatus: 'pending', scheduledFor: new Date() }));
+        jest.spyOn(Notification.collection, 'findOneAndUpdate').mockResolvedValue({ ...queued.toObject(), groupedCount: 2 });
+
+        await Notification.findOneAndUpdate(
+            { user: userId, type: 'chat', deliveryStatus: 'pending' },
+            { $inc: { groupedCount: 1 } },
+            { new: true }
+        );
+
+        expect(emitted).toHaveLength(0);
+    });
+
+    it('counts unread notifications once per user for a bulk insert', async () => {
+        jest.spyOn(Notification, 'aggregate').mockResolvedValue([
+            { _id: userId, count: 2 },
+            { _id: otherUserId, count: 5 }
+        ]);
+
+        await Notification.insertMany([
+            fields({ deliveryStatus: 'sent', sentAt: new Date() }),
+            fields({ deliveryStatus: 'sent', sentAt: new Date() }),
+            fields({ user: otherUserId, deliveryStatus: 'sent', sentAt: new Date() }),
+            fields({ user: otherUserId, deliveryStatus: 'pending', scheduledFor: new Date() })
+        ]);
+
+        expect(Notification.aggregate).toHaveBeenCalledTimes(1);
+        expect(Notification.countDocuments).not.toHaveBeenCalled();
+        expect(emitted.map(e => [e.room, e.payload.unreadCount])).toEqual([
+            [`user:${userId}`, 2],
+            [`user:${userId}`, 2],
+            [`user:${otherUserId}`, 5]
+        ]);
+    });
+});
@@ -0,0 +1,186 @@
+// Acknowledging and snoozing reminders
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const Medication = require('../models/Medication');
+const DoseEvent = require('../models/DoseEvent');
+const errorHandler = require('../middleware/errorHandler');
+const notificationRoutes = require('../routes/notificationRoutes');
+const { stubDocumentWrites, stubAuth, authHeader, stubFindById } = require('./helpers/mockDb');
+
+const app = express();
+app.use(express.json());
+app.use('/api/notifications', notificationRoutes);
+app.use(errorHandler);
+
+const NOW = new Date('2026-10-19T08:00:00Z');
+const MINUTE_MS = 60 * 1000;
+
+const makeUser = (name) => new User({ name, email: `${name.toLowerCase()}@example.com`, password: 'password123', role: 'patient', timezone: 'UTC' });
+
+const patient = makeUser('Pat');
+const other = makeUser('Kim');
+
+let medication;
+let reminder;
+let snoozedCopies;
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+
+    medication = new Medication({
+        patient: patient._id,
+        name: 'Metformin',
+        type: 'pill',
+        dosage: '500mg',
+        times: ['08:15'],
+        startDate: new Date('2026-10-01')
+    });
+
+    reminder = new Notification({
+        user: patient._id,
+        type: 'medication',
+        relatedEntity: { entityType: 'Medication', entityId: medication._id },
+        title: '💊 Medication Reminder',
+        body: 'Time to take Metformin (500mg)',
+        data: { type: 'medication', doseTime: '2026-10-19T08:15:00.000Z', scheduledTime: '08:15', dosage: '500mg' },
+        deliveryStatus: 'sent',
+        sentAt: NOW
+    });
+    snoozedCopies = [];
+
+    stubDocumentWrites();
+    stubAuth([patient, other]);
+    stubFindById(Notification, [reminder]);
+    stubFindById(Medication, [medication]);
+
+    // Upsert snoozed copies by dedupeKey
+    jest.spyOn(Notification, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        let copy = snoozedCopies.find(c => c.dedupeKey === filter.dedupeKey);
+
+        if (!copy) {
+            copy = new Notification({ ...update.$setOnInsert, dedupeKey: filter.dedupeKey });
+            snoozedCopies.push(copy);
+        }
+
+        copy.set(update.$set);
+        Object.keys(update.$unset).forEach(path => copy.set(path, undefined));
+        return copy;
+    });
+    jest.spyOn(Notification, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(DoseEvent, 'record').mockImplementation(async (med, scheduledFor, fields) => ({ scheduledFor, ...fields }));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+});
+
+const acknowledge = (user = patient) => request(app)
+    .post(`/api/notifications/${reminder._id}/acknowledge`)
+    .set('Authorization', authHeader(user));
+
+const snooze = (minutes, user = patient) => request(app)
+    .post(`/api/notifications/${reminder._id}/snooze`)
+    .set('Authorization', authHeader(user))
+    .send({ minutes });
+
+describe('POST /api/notifications/:id/acknowledge', () => {
+    it('records the dose as taken and drops a pending snoozed copy', async () => {
+        const res = await acknowledge();
+
+        expect(res.status).toBe(200);
+        expect(reminder.acknowledgedAt).toEqual(NOW);
+        expect(reminder.isRead).toBe(true);
+        expect(res.body.dose).toMatchObject({ status: 'taken', scheduledTime: '08:15', dosage: '500mg' });
+        expect(DoseEvent.record.mock.calls[0][1]).toEqual(new Date('2026-10-19T08:15:00Z'));
+        expect(Notification.deleteMany).toHaveBeenCalledWith({ snoozedFrom: reminder._id, deliveryStatus: 'pending' });
+    });
+
+    it('refuses a second acknowledgement', async () => {
+        await acknowledge();
+
+        const res = await acknowledge();
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Reminder has already been acknowledged');
+        expect(DoseEvent.record).toHaveBeenCalledTimes(1);
+    });
+
+    it('only acknowledges reminders', async () => {
+        reminder.type = 'general';
+        reminder.data.set('type', 'broadcast');
+
+        const res = await acknowledge();
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Only reminders can be acknowledged');
+    });
+
+    it('refuses another user\'s reminder', async () => {
+        const res = await acknowledge(other);
+
+        expect(res.status).toBe(403);
+        expect(reminder.acknowledgedAt).toBeUndefined();
+    });
+});
+
+describe('POST /api/notifications/:id/snooze', () => {
+    it('schedules a pending copy of the reminder', async () => {
+        const res = await snooze(10);
+
+        expect(res.status).toBe(201);
+        expect(snoozedCopies).toHaveLength(1);
+        expect(snoozedCopies[0]).toMatchObject({
+            dedupeKey: `snooze:${reminder._id}`,
+            deliveryStatus: 'pending',
+            scheduledFor: new Date(NOW.getTime() + 10 * MINUTE_MS),
+            title: '💊 Medication Reminder'
+        });
+        expect(snoozedCopies[0].snoozedFrom).toEqual(reminder._id);
+        expect(snoozedCopies[0].data.get('doseTime')).toBe('2026-10-19T08:15:00.000Z');
+        expect(reminder.snoozedUntil).toEqual(new Date(NOW.getTime() + 10 * MINUTE_MS));
+        expect(reminder.isRead).toBe(true);
+    });
+
+    it('moves the existing copy when snoozed again', async () => {
+        await snooze(10);
+        jest.setSystemTime(new Date(NOW.getTime() + 2 * MINUTE_MS));
+
+        const res = await snooze(30);
+
+        expect(res.status).toBe(201);
+        expect(snoozedCopies).toHaveLength(1);
+        expect(snoozedCopies[0].scheduledFor).toEqual(new Date(NOW.getTime() + 32 * MINUTE_MS));
+        expect(reminder.snoozedUntil).toEqual(new Date(NOW.getTime() + 32 * MINUTE_MS));
+    });
+
+    it('re-queues a copy that was already sent', async () => {
+        await snooze(10);
+        snoozedCopies[0].set({ deliveryStatus: 'sent', sentAt: new Date(), isRead: true, readAt: new Date() });
+
+        await snooze(10);
+
+        expect(snoozedCopies).toHaveLength(1);
+        expect(snoozedCopies[0]).toMatchObject({ deliveryStatus: 'pending', isRead: false });
+        expect(snoozedCopies[0].sentAt).toBeUndefined();
+    });
+
+    it('refuses reminders that were acknowledged or not sent yet', async () => {
+        reminder.deliveryStatus = 'pending';
+        expect((await snooze(10)).body.error).toBe('Reminder has not been sent yet');
+
+        reminder.acknowledgedAt = NOW;
+        expect((await snooze(10)).body.error).toBe('Reminder has already been acknowledged');
+
+        expect(snoozedCopies).toHaveLength(0);
+    });
+
+    it('rejects a snooze longer than four hours', async () => {
+        const res = await snooze(241);
+
+        expect(res.status).toBe(400);
+    });
+});
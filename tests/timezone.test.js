@@ -0,0 +1,75 @@
+// Wall-clock conversions around daylight-saving transitions
+// America/New_York: clocks go 02:00 -> 03:00 on 2026-03-08 and 02:00 -> 01:00 on 2026-11-01
+// Europe/Paris: clocks go 02:00 -> 03:00 on 2026-03-29 and 03:00 -> 02:00 on 2026-10-25
+
+const {
+    zonedTimeToDate,
+    atZonedTime,
+    getTimezoneOffset,
+    getZonedMinutes,
+    startOfZonedDay,
+    formatZonedTime
+} = require('../utils/timezone');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('zonedTimeToDate', () => {
+    it('moves a time inside the spring-forward gap past the gap (New York)', () => {
+        const date = zonedTimeToDate({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, 'America/New_York');
+
+        expect(date.toISOString()).toBe('2026-03-08T07:30:00.000Z');
+        expect(formatZonedTime(date, 'America/New_York')).toBe('03:30');
+    });
+
+    it('moves a time inside the spring-forward gap past the gap (Paris)', () => {
+        const date = zonedTimeToDate({ year: 2026, month: 3, day: 29, hour: 2, minute: 30 }, 'Europe/Paris');
+
+        expect(date.toISOString()).toBe('2026-03-29T01:30:00.000Z');
+        expect(formatZonedTime(date, 'Europe/Paris')).toBe('03:30');
+    });
+
+    it('resolves a time inside the fall-back overlap to its first occurrence (New York)', () => {
+        const date = zonedTimeToDate({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, 'America/New_York');
+
+        // 01:30 EDT; the second 01:30 (EST) is an hour later
+        expect(date.toISOString()).toBe('2026-11-01T05:30:00.000Z');
+        expect(formatZonedTime(new Date(date.getTime() + HOUR_MS), 'America/New_York')).toBe('01:30');
+    });
+
+    it('resolves a time inside the fall-back overlap to its first occurrence (Paris)', () => {
+        const date = zonedTimeToDate({ year: 2026, month: 10, day: 25, hour: 2, minute: 30 }, 'Europe/Paris');
+
+        expect(date.toISOString()).toBe('2026-10-25T00:30:00.000Z');
+    });
+
+    it('keeps the same wall-clock time on both sides of a transition', () => {
+        const before = atZonedTime({ year: 2026, month: 3, day: 7 }, '08:00', 'America/New_York');
+        const after = atZonedTime({ year: 2026, month: 3, day: 8 }, '08:00', 'America/New_York');
+
+        expect(before.toISOString()).toBe('2026-03-07T13:00:00.000Z');
+        expect(after.toISOString()).toBe('2026-03-08T12:00:00.000Z');
+        // The spring-forward day is 23 hours long
+        expect(after - before).toBe(23 * HOUR_MS);
+    });
+});
+
+describe('offsets and day boundaries', () => {
+    it('reports the offset on each side of a transition', () => {
+        expect(getTimezoneOffset(new Date('2026-11-01T05:30:00Z'), 'America/New_York')).toBe(-4 * HOUR_MS);
+        expect(getTimezoneOffset(new Date('2026-11-01T06:30:00Z'), 'America/New_York')).toBe(-5 * HOUR_MS);
+        expect(getTimezoneOffset(new Date('2026-03-29T00:30:00Z'), 'Europe/Paris')).toBe(HOUR_MS);
+        expect(getTimezoneOffset(new Date('2026-03-29T01:30:00Z'), 'Europe/Paris')).toBe(2 * HOUR_MS);
+    });
+
+    it('reads both occurrences of a repeated hour as the same wall-clock minutes', () => {
+        expect(getZonedMinutes(new Date('2026-11-01T05:30:00Z'), 'America/New_York')).toBe(90);
+        expect(getZonedMinutes(new Date('2026-11-01T06:30:00Z'), 'America/New_York')).toBe(90);
+    });
+
+    it('finds local midnight on a transition day', () => {
+        expect(startOfZonedDay(new Date('2026-11-01T18:00:00Z'), 'America/New_York').toISOString())
+            .toBe('2026-11-01T04:00:00.000Z');
+        expect(startOfZonedDay(new Date('2026-03-29T18:00:00Z'), 'Europe/Paris').toISOString())
+            .toBe('2026-03-28T23:00:00.000Z');
+    });
+});
@@ -0,0 +1,101 @@
+// Upcoming reminders over a multi-day window, paginated
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Medication = require('../models/Medication');
+const FastingInstruction = require('../models/FastingInstruction');
+const Appointment = require('../models/Appointment');
+const errorHandler = require('../middleware/errorHandler');
+const notificationRoutes = require('../routes/notificationRoutes');
+const { parseReminderWindow } = require('../utils/notificationScheduler');
+const { stubAuth, authHeader } = require('./helpers/mockDb');
+
+const app = express();
+app.use(express.json());
+app.use('/api/notifications', notificationRoutes);
+app.use(errorHandler);
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Late in the evening, after the last dose of the day
+const NOW = new Date('2026-10-19T22:30:00Z');
+
+const patient = new User({ name: 'Pat', email: 'pat@example.com', password: 'password123', role: 'patient', timezone: 'UTC' });
+
+const medication = new Medication({
+    patient: patient._id,
+    name: 'Metformin',
+    type: 'pill',
+    dosage: '500mg',
+    times: ['08:00', '20:00'],
+    startDate: new Date('2026-10-01')
+});
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+
+    stubAuth([patient]);
+    jest.spyOn(Medication, 'find').mockResolvedValue([medication]);
+    jest.spyOn(FastingInstruction, 'find').mockResolvedValue([]);
+    jest.spyOn(Appointment, 'find').mockResolvedValue([]);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+});
+
+describe('parseReminderWindow', () => {
+    it('defaults to the next 24 hours', () => {
+        expect(parseReminderWindow({})).toEqual({ from: NOW, to: new Date(NOW.getTime() + DAY_MS) });
+    });
+
+    it('never starts in the past', () => {
+        const window = parseReminderWindow({ from: '2026-10-01T00:00:00Z', to: '2026-10-25T00:00:00Z' });
+
+        expect(window.from).toEqual(NOW);
+    });
+
+    it('rejects invalid, reversed and oversized windows', () => {
+        expect(parseReminderWindow({ from: 'tomorrow' }).error).toBe('Invalid date range. Use ISO 8601 dates for from and to');
+        expect(parseReminderWindow({ to: '2026-10-19T00:00:00Z' }).error).toBe('The to date must be in the future and after the from date');
+        expect(parseReminderWindow({ to: '2026-12-01T00:00:00Z' }).error).toBe('The reminder window cannot exceed 31 days');
+    });
+});
+
+describe('GET /api/notifications/upcoming', () => {
+    const upcoming = (params) => request(app)
+        .get('/api/notifications/upcoming')
+        .query(params)
+        .set('Authorization', authHeader(patient));
+
+    it('includes tomorrow\'s reminders late in the evening', async () => {
+        const res = await upcoming({});
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.map(r => r.scheduledFor)).toEqual([
+            '2026-10-20T07:45:00.000Z',
+            '2026-10-20T19:45:00.000Z'
+        ]);
+    });
+
+    it('returns a week-ahead agenda one page at a time', async () => {
+        const params = { to: '2026-10-26T22:30:00Z', limit: 5 };
+
+        const first = await upcoming(params);
+        const last = await upcoming({ ...params, page: 3 });
+
+        expect(first.body).toMatchObject({ count: 5, total: 14, page: 1, pages: 3 });
+        expect(first.body.data[0].scheduledFor).toBe('2026-10-20T07:45:00.000Z');
+        expect(last.body).toMatchObject({ count: 4, page: 3 });
+        expect(last.body.data.map(r => r.scheduledFor).pop()).toBe('2026-10-26T19:45:00.000Z');
+    });
+
+    it('rejects an invalid window', async () => {
+        const res = await upcoming({ from: '2026-10-25T00:00:00Z', to: '2026-10-22T00:00:00Z' });
+
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,136 @@
+// Adherence Calculator Utility
+// Works out expected doses for a medication and compares them to recorded dose events
+// Dose times are wall-clock times in the patient's timezone
+
+const { resolveTimezone, startOfZonedDay } = require('./timezone');
+const { getDosesInRange, getScheduleBounds } = require('./medicationSchedule');
+
+/**
+ * Parse a from/to date range from query parameters
+ * Defaults to the last 7 days. The end of the range is capped at now so that
+ * future doses are not counted as missed.
+ * @param {object} query - Request query ({ from, to })
+ * @param {string} timezone - Patient's IANA timezone (for the default range start)
+ * @returns {object} - { from, to } as Dates, or { error } if invalid
+ */
+const parseDateRange = (query = {}, timezone) => {
+    const now = new Date();
+
+    let to = query.to ? new Date(query.to) : now;
+    let from;
+
+    if (query.from) {
+        from = new Date(query.from);
+    }
+
+    if ((from && isNaN(from.getTime())) || isNaN(to.getTime())) {
+        return { error: 'Invalid date range. Use ISO 8601 dates for from and to' };
+    }
+
+    if (!from) {
+        const tz = resolveTimezone(timezone);
+        from = startOfZonedDay(new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000), tz);
+    }
+
+    if (from > to) {
+        return { error: 'The from date must be before the to date' };
+    }
+
+    if (to > now) {
+        to = now;
+    }
+
+    return { from, to };
+};
+
+/**
+ * When a medication stopped being expected: the earlier of its end date and its
+ * discontinuation. A paused medication has no discontinuation time, so its last
+ * update is used instead.
+ * @param {object} medication - Medication document
+ * @param {string} timezone - Patient's IANA timezone (a date-only end date covers that whole local day)
+ * @returns {Date|null} - End of the medication, or null if it is still ongoing
+ */
+const getMedicationEnd = (medication, timezone) => {
+    const stoppedAt = medication.discontinuedAt || (medication.isActive === false ? medication.updatedAt : null);
+    const ends = [getScheduleBounds(medication, timezone).end, stoppedAt].filter(Boolean);
+
+    return ends.length > 0 ? new Date(Math.min(...ends.map(end => end.getTime()))) : null;
+};
+
+/**
+ * Calculate every scheduled dose of a medication within a date range
+ * Follows the medication's recurrence and tapering steps (see medicationSchedule)
+ * and stops when the medication was discontinued or paused
+ * @param {object} medication - Medication document
+ * @param {Date} from - Start of range
+ * @param {Date} to - End of range
+ * @param {string} timezone - Patient's IANA timezone
+ * @returns {Array} - Array of { scheduledFor, scheduledTime, dosage, taperingStep }
+ */
+const getExpectedDoses = (medication, from, to, timezone) => {
+    const end = getMedicationEnd(medication, timezone);
+
+    if (end && end < to) {
+        to = end;
+    }
+
+    if (from > to) {
+        return [];
+    }
+
+    return getDosesInRange(medication, from, to, timezone);
+};
+
+/**
+ * Percentage of expected doses that were taken, rounded to one decimal
+ * @param {number} taken - Doses taken
+ * @param {number} expected - Doses expected
+ * @returns {number|null} - Percentage, or null if no doses were expected
+ */
+const toAdherencePercentage = (taken, expected) => {
+    if (expected === 0) {
+        return null;
+    }
+    return Math.round((Math.min(taken, expected) / expected) * 1000) / 10;
+};
+
+/**
+ * Summarize adherence for a medication
+ * @param {object} medication - Medication document
+ * @param {Array} events - DoseEvent documents for the medication in range
+ * @param {Date} from - Start of range
+ * @param {Date} to - End of range
+ * @param {string} timezone - Patient's IANA timezone
+ * @returns {object} - Adherence summary
+ */
+const calculateAdherence = (medication, events, from, to, timezone) => {
+    const expected = getExpectedDoses(medication, from, to, timezone).length;
+
+    const counts = { taken: 0, skipped: 0, snoozed: 0 };
+    events.forEach(event => {
+        counts[event.status]++;
+    });
+
+    // Snoozed doses that were never resolved count as missed
+    const missed = Math.max(expected - counts.taken - counts.skipped, 0);
+
+    return {
+        medicationId: medication._id,
+        medicationName: medication.name,
+        expected,
+        taken: counts.taken,
+        skipped: counts.skipped,
+        snoozed: counts.snoozed,
+        missed,
+        adherencePercentage: toAdherencePercentage(counts.taken, expected)
+    };
+};
+
+module.exports = {
+    parseDateRange,
+    getMedicationEnd,
+    getExpectedDoses,
+    toAdherencePercentage,
+    calculateAdherence
+};
@@ -0,0 +1,98 @@
+// Appointment Slot Utility
+// Builds bookable slots from a doctor's availableHours (in the doctor's timezone)
+
+const { resolveTimezone, zonedTimeToDate, getZonedDate, getZonedMinutes } = require('./timezone');
+
+const DEFAULT_SLOT_MINUTES = parseInt(process.env.APPOINTMENT_SLOT_MINUTES) || 30;
+
+/**
+ * Convert "HH:mm" to minutes since midnight
+ * @param {string} timeStr - Time string
+ * @returns {number|null} - Minutes since midnight, or null if invalid
+ */
+const toMinutes = (timeStr) => {
+    if (!timeStr || !/^([01]\d|2[0-3]):[0-5]\d$/.test(timeStr)) {
+        return null;
+    }
+    const [hours, minutes] = timeStr.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Get the slot length configured for a doctor
+ * @param {object} doctorInfo - User.doctorInfo
+ * @returns {number} - Slot length in minutes
+ */
+const getSlotMinutes = (doctorInfo = {}) => {
+    return doctorInfo.slotDurationMinutes || DEFAULT_SLOT_MINUTES;
+};
+
+/**
+ * Generate all slots for a doctor on a given day
+ * @param {object} doctorInfo - User.doctorInfo
+ * @param {object} date - Calendar date { year, month, day } in the doctor's timezone
+ * @param {string} timezone - Doctor's IANA timezone
+ * @returns {Array} - Array of { startTime, endTime }
+ */
+const generateDaySlots = (doctorInfo = {}, date, timezone) => {
+    const tz = resolveTimezone(timezone);
+    const slots = [];
+    const hours = doctorInfo.availableHours || {};
+    const start = toMinutes(hours.start);
+    const end = toMinutes(hours.end);
+
+    if (start === null || end === null || start >= end) {
+        return slots;
+    }
+
+    const slotMinutes = getSlotMinutes(doctorInfo);
+
+    for (let minute = start; minute + slotMinutes <= end; minute += slotMinutes) {
+        const startTime = zonedTimeToDate({
+            ...date,
+            hour: Math.floor(minute / 60),
+            minute: minute % 60
+        }, tz);
+        const endTime = new Date(startTime.getTime() + slotMinutes * 60 * 1000);
+        slots.push({ startTime, endTime });
+    }
+
+    return slots;
+};
+
+/**
+ * Check that a time range lies within a doctor's available hours
+ * @param {object} doctorInfo - User.doctorInfo
+ * @param {Date} startTime - Start of range
+ * @param {Date} endTime - End of range
+ * @param {string} timezone - Doctor's IANA timezone
+ * @returns {boolean} - True if the whole range is within available hours
+ */
+const isWithinAvailableHours = (doctorInfo = {}, startTime, endTime, timezone) => {
+    const tz = resolveTimezone(timezone);
+    const hours = doctorInfo.availableHours || {};
+    const start = toMinutes(hours.start);
+    const end = toMinutes(hours.end);
+
+    if (start === null || end === null) {
+        return false;
+    }
+
+    // Appointments cannot span midnight
+    const startDate = getZonedDate(startTime, tz);
+    const endDate = getZonedDate(new Date(endTime.getTime() - 1), tz);
+    if (startDate.year !== endDate.year || startDate.month !== endDate.month || startDate.day !== endDate.day) {
+        return false;
+    }
+
+    const rangeStart = getZonedMinutes(startTime, tz);
+    const rangeEnd = rangeStart + Math.round((endTime - startTime) / (60 * 1000));
+
+    return rangeStart >= start && rangeEnd <= end;
+};
+
+module.exports = {
+    getSlotMinutes,
+    generateDaySlots,
+    isWithinAvailableHours
+};
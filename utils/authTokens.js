@@ -0,0 +1,139 @@
+// Auth Token Utility
+// Issues short-lived access tokens and rotating refresh tokens backed by Session documents
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+/**
+ * Hash a token for storage (SHA-256)
+ * @param {string} token - Raw token
+ * @returns {string} - Hex digest
+ */
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Generate a random opaque token
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} - Hex encoded token
+ */
+const generateRandomToken = (bytes = 48) => {
+    return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Sign an access token bound to a session
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {string} - JWT access token
+ */
+const generateAccessToken = (userId, sessionId) => {
+    return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_EXPIRE
+    });
+};
+
+/**
+ * Build the token payload returned to clients
+ * @param {object} session - Session document
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {object} - { token, refreshToken, refreshTokenExpiresAt }
+ */
+const buildTokenResponse = (session, refreshToken) => {
+    return {
+        token: generateAccessToken(session.user.toString(), session._id.toString()),
+        refreshToken,
+        refreshTokenExpiresAt: session.expiresAt
+    };
+};
+
+/**
+ * Create a new session for a user and issue its tokens
+ * @param {object} user - User document
+ * @param {object} req - Express request (device info is read from body and headers)
+ * @returns {Promise<object>} - { session, token, refreshToken, refreshTokenExpiresAt }
+ */
+const createSession = async (user, req) => {
+    const refreshToken = generateRandomToken();
+    const { deviceId, deviceName, platform } = req.body || {};
+
+    const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        deviceId,
+        deviceName,
+        platform,
+        userAgent: req.headers['user-agent'],
+        ipAddress: req.ip,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    return {
+        session,
+        ...buildTokenResponse(session, refreshToken)
+    };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * Presenting an already rotated refresh token revokes the whole session,
+ * since it means the token was copied.
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Promise<object|null>} - New tokens, or null if the token is invalid
+ */
+const rotateRefreshToken = async (refreshToken) => {
+    const tokenHash = hashToken(refreshToken);
+
+    const session = await Session.findOne({
+        $or: [{ refreshTokenHash: tokenHash }, { previousRefreshTokenHash: tokenHash }]
+    }).select('+refreshTokenHash +previousRefreshTokenHash');
+
+    if (!session || !session.isValid()) {
+        return null;
+    }
+
+    if (session.refreshTokenHash !== tokenHash) {
+        await session.revoke('token_reuse');
+        return null;
+    }
+
+    const newRefreshToken = generateRandomToken();
+    session.previousRefreshTokenHash = session.refreshTokenHash;
+    session.refreshTokenHash = hashToken(newRefreshToken);
+    session.lastUsedAt = new Date();
+    await session.save();
+
+    return {
+        session,
+        ...buildTokenResponse(session, newRefreshToken)
+    };
+};
+
+/**
+ * Disconnect the sockets opened with the given sessions
+ * @param {object} io - Socket.IO server (may be undefined)
+ * @param {Array} sessionIds - Session IDs
+ */
+const disconnectSessionSockets = (io, sessionIds) => {
+    if (!io) {
+        return;
+    }
+
+    sessionIds.forEach(sessionId => {
+        io.in(`session:${sessionId}`).disconnectSockets(true);
+    });
+};
+
+module.exports = {
+    hashToken,
+    generateRandomToken,
+    generateAccessToken,
+    createSession,
+    rotateRefreshToken,
+    disconnectSessionSockets
+};
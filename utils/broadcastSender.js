@@ -0,0 +1,263 @@
+// Broadcast Sender
+// Sends admin broadcast campaigns in the background: resolves the audience, creates
+// a Notification for every targeted user in bulk, delivers each batch on the users'
+// chosen channels (push as FCM multicasts) and records delivery stats on the campaign.
+// Users in quiet hours get a queued notification that the notification dispatcher
+// sends when they end.
+
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const FastingInstruction = require('../models/FastingInstruction');
+const BroadcastCampaign = require('../models/BroadcastCampaign');
+const logger = require('./logger');
+const { deliverMulticast } = require('./notificationDelivery');
+const { getQuietHoursEnd } = require('./notificationScheduler');
+
+const CHECK_INTERVAL_MS = parseInt(process.env.BROADCAST_CHECK_INTERVAL_MS) || 60 * 1000;
+// A campaign whose sender made no progress for this long is claimed again
+const STALE_MINUTES = parseInt(process.env.BROADCAST_STALE_MINUTES) || 15;
+
+// Users handled per round of inserts and deliveries (progress is saved after each)
+const USER_BATCH_SIZE = 100;
+
+let checkTimer = null;
+let isChecking = false;
+
+/**
+ * Build the user query for a campaign's audience
+ * @param {object} target - BroadcastCampaign.target
+ * @returns {Promise<object>} - Mongoose filter for active users matching every criterion
+ */
+const buildAudienceQuery = async (target = {}) => {
+    const query = { isActive: true };
+
+    if (target.roles && target.roles.length > 0) {
+        query.role = { $in: target.roles };
+    }
+
+    if (target.departments && target.departments.length > 0) {
+        query['doctorInfo.department'] = { $in: target.departments };
+    }
+
+    if (target.specializations && target.specializations.length > 0) {
+        query['doctorInfo.specialization'] = { $in: target.specializations };
+    }
+
+    const window = target.operationWindow;
+    if (window && window.from && window.to) {
+        const patientIds = await FastingInstruction.distinct('patient', {
+            isActive: true,
+            operationDate: { $gte: window.from, $lte: window.to }
+        });
+        query._id = { $in: patientIds };
+    }
+
+    return query;
+};
+
+/**
+ * Create and deliver the campaign's notifications for a batch of users
+ * Users who already have one (from an earlier attempt at the campaign) are skipped.
+ * @param {object} campaign - BroadcastCampaign document
+ * @param {Array} users - Targeted users
+ */
+const sendToUsers = async (campaign, users) => {
+    const { stats } = campaign;
+
+    const notified = await Notification.distinct('user', {
+        'relatedEntity.entityId': campaign._id,
+        user: { $in: users.map(user => user._id) }
+    });
+    const alreadyNotified = new Set(notified.map(id => id.toString()));
+    const pending = users.filter(user => !alreadyNotified.has(user._id.toString()));
+
+    if (pending.length === 0) {
+        return;
+    }
+
+    const now = new Date();
+
+    const notifications = await Notification.insertMany(pending.map(user => {
+        const quietHoursEnd = getQuietHoursEnd(now, user.notificationPreferences || {}, user.timezone);
+
+        return {
+            user: user._id,
+            type: 'general',
+            relatedEntity: { entityType: 'BroadcastCampaign', entityId: campaign._id },
+            title: campaign.title,
+            body: campaign.body,
+            data: { type: 'broadcast', campaignId: campaign._id.toString() },
+            priority: campaign.priority,
+            dedupeKey: `broadcast:${campaign._id}:${user._id}`,
+            // Left for the dispatcher until the user's quiet hours are over
+            deliveryStatus: quietHoursEnd ? 'pending' : 'sent',
+            sentAt: quietHoursEnd ? undefined : now,
+            scheduledFor: quietHoursEnd || now
+        };
+    }));
+
+    stats.targetedUsers += pending.length;
+    stats.notificationsCreated += notifications.length;
+
+    // Deliver to everyone outside quiet hours together (one push multicast for the batch)
+    const due = notifications.filter(notification => notification.deliveryStatus !== 'pending');
+    stats.deferredForQuietHours += notifications.length - due.length;
+
+    await deliverMulticast(due);
+
+    due.forEach(notification => {
+        if (notification.deliveryStatus === 'delivered') {
+            stats.usersReached++;
+        } else {
+            stats.deliveryFailures++;
+        }
+    });
+};
+
+/**
+ * Save a campaign's progress while it is still claimed by this sender
+ * @param {object} campaign - BroadcastCampaign document
+ * @param {object} fields - Extra fields to save (e.g. the final status)
+ * @returns {Promise<boolean>} - False if another sender has claimed the campaign since
+ */
+const saveProgress = async (campaign, fields = {}) => {
+    campaign.set({ ...fields, heartbeatAt: new Date() });
+
+    const result = await BroadcastCampaign.updateOne(
+        { _id: campaign._id, status: 'sending', startedAt: campaign.startedAt },
+        { ...fields, stats: campaign.stats, heartbeatAt: campaign.heartbeatAt }
+    );
+
+    return result.matchedCount > 0;
+};
+
+/**
+ * Send a campaign to its audience and record the delivery stats
+ * The campaign must already be claimed (status 'sending').
+ * @param {object} campaign - BroadcastCampaign document
+ * @returns {Promise<object>} - Updated campaign
+ */
+const sendCampaign = async (campaign) => {
+    let result;
+
+    try {
+        const query = await buildAudienceQuery(campaign.target);
+        const cursor = User.find(query)
+            .select('notificationPreferences timezone')
+            .cursor({ batchSize: USER_BATCH_SIZE });
+
+        let batch = [];
+        for await (const user of cursor) {
+            batch.push(user);
+
+            if (batch.length === USER_BATCH_SIZE) {
+                await sendToUsers(campaign, batch);
+                batch = [];
+
+                // Save progress so stats are visible while a large campaign is sending,
+                // and stop if the campaign was reclaimed as stale in the meantime
+                if (!(await saveProgress(campaign))) {
+                    logger.warn(`Broadcast ${campaign._id} was claimed by another sender, stopping`);
+                    return campaign;
+                }
+            }
+        }
+
+        if (batch.length > 0) {
+            await sendToUsers(campaign, batch);
+        }
+
+        result = { status: 'sent', completedAt: new Date() };
+        logger.info(`Broadcast ${campaign._id} sent to ${campaign.stats.targetedUsers} users`);
+    } catch (error) {
+        logger.error(`Error sending broadcast ${campaign._id}:`, error.message);
+        result = { status: 'failed', failureReason: error.message, completedAt: new Date() };
+    }
+
+    if (!(await saveProgress(campaign, result))) {
+        logger.warn(`Broadcast ${campaign._id} was claimed by another sender before it finished`);
+    }
+
+    return campaign;
+};
+
+/**
+ * Claim a campaign for sending, so concurrent senders never send it at the same time
+ * A campaign left in 'sending' without progress for STALE_MINUTES (e.g. after a
+ * crash) is claimed again; sending resumes with the users not yet notified.
+ * @param {object} filter - Extra conditions for the campaign
+ * @returns {Promise<object|null>} - Claimed campaign, or null
+ */
+const claimCampaign = (filter) => {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - STALE_MINUTES * 60 * 1000);
+
+    return BroadcastCampaign.findOneAndUpdate(
+        {
+            ...filter,
+            $or: [
+                { status: 'scheduled' },
+                { status: 'sending', heartbeatAt: { $lt: staleBefore } }
+            ]
+        },
+        { status: 'sending', startedAt: now, heartbeatAt: now },
+        { new: true, sort: { scheduledFor: 1 } }
+    );
+};
+
+/**
+ * Send every scheduled campaign that is due
+ * @returns {Promise<number>} - Number of campaigns sent
+ */
+const sendDueCampaigns = async () => {
+    if (isChecking) {
+        return 0;
+    }
+
+    isChecking = true;
+    let sent = 0;
+
+    try {
+        let campaign;
+        while ((campaign = await claimCampaign({ scheduledFor: { $lte: new Date() } }))) {
+            await sendCampaign(campaign);
+            sent++;
+        }
+    } catch (error) {
+        logger.error('Error sending scheduled broadcasts:', error.message);
+    } finally {
+        isChecking = false;
+    }
+
+    return sent;
+};
+
+/**
+ * Start the periodic check for due campaigns
+ */
+const startBroadcastScheduler = () => {
+    if (checkTimer) {
+        return;
+    }
+
+    sendDueCampaigns();
+    checkTimer = setInterval(sendDueCampaigns, CHECK_INTERVAL_MS);
+    logger.info('Broadcast scheduler started');
+};
+
+/**
+ * Stop the periodic check for due campaigns
+ */
+const stopBroadcastScheduler = () => {
+    clearInterval(checkTimer);
+    checkTimer = null;
+};
+
+module.exports = {
+    buildAudienceQuery,
+    claimCampaign,
+    sendCampaign,
+    sendDueCampaigns,
+    startBroadcastScheduler,
+    stopBroadcastScheduler
+};
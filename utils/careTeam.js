@@ -0,0 +1,34 @@
+// Care Team Utility
+// Access checks based on doctor-patient care relationships
+
+const CareRelationship = require('../models/CareRelationship');
+
+/**
+ * Check whether a user may access a patient's medical data
+ * Patients can access their own data, admins can access everyone's,
+ * and doctors need an active care relationship with the patient.
+ * @param {object} user - Authenticated user (req.user)
+ * @param {string} patientId - Patient ID
+ * @returns {Promise<boolean>} - True if access is allowed
+ */
+const canAccessPatient = async (user, patientId) => {
+    if (!patientId) {
+        return false;
+    }
+
+    const patient = patientId._id ? patientId._id.toString() : patientId.toString();
+
+    if (user.role === 'admin' || user.id === patient) {
+        return true;
+    }
+
+    if (user.role === 'doctor') {
+        return CareRelationship.isActiveBetween(user.id, patient);
+    }
+
+    return false;
+};
+
+module.exports = {
+    canAccessPatient
+};
@@ -0,0 +1,115 @@
+// Chat Push Notifier
+// Queues push notifications for chat messages sent to offline participants.
+// Messages arriving in a burst are grouped into one pending notification,
+// which the notification dispatcher delivers once the grouping window has passed.
+
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { getQuietHoursEnd } = require('./notificationScheduler');
+
+const GROUP_WINDOW_SECONDS = parseInt(process.env.CHAT_PUSH_GROUP_SECONDS) || 30;
+const PREVIEW_LENGTH = 100;
+
+/**
+ * Short text shown in the push for a message
+ * @param {object} message - Message document
+ * @returns {string} - Preview text
+ */
+const getMessagePreview = (message) => {
+    if (message.messageType === 'image') {
+        return '📷 Photo';
+    }
+
+    if (message.messageType === 'file') {
+        return `📎 ${message.attachment && message.attachment.filename ? message.attachment.filename : 'File'}`;
+    }
+
+    return message.content.length > PREVIEW_LENGTH
+        ? `${message.content.slice(0, PREVIEW_LENGTH - 1)}…`
+        : message.content;
+};
+
+/**
+ * Queue (or extend) a grouped chat push for an offline recipient
+ * @param {object} params - { recipientId, sender, message }
+ * @returns {Promise<object|null>} - Pending notification, or null if the recipient opted out
+ */
+const queueChatPush = async ({ recipientId, sender, message }) => {
+    const recipient = await User.findById(recipientId).select('notificationPreferences timezone isActive');
+
+    if (!recipient || !recipient.isActive) {
+        return null;
+    }
+
+    const preferences = recipient.notificationPreferences || {};
+    if (preferences.chatMessages === false) {
+        return null;
+    }
+
+    const conversationId = message.conversation.toString();
+    const preview = getMessagePreview(message);
+
+    // Add to a pending notification for this conversation if there is one
+    const grouped = await Notification.findOneAndUpdate(
+        {
+            user: recipientId,
+            type: 'chat',
+            'relatedEntity.entityId': conversationId,
+            deliveryStatus: 'pending'
+        },
+        {
+            $inc: { groupedCount: 1 },
+            $set: { 'data.messageId': message._id.toString() }
+        },
+        { new: true }
+    );
+
+    if (grouped) {
+        grouped.title = `💬 ${sender.name} (${grouped.groupedCount} new messages)`;
+        grouped.body = preview;
+        await grouped.save();
+        return grouped;
+    }
+
+    // Wait for the grouping window, and until quiet hours are over
+    const sendAt = new Date(Date.now() + GROUP_WINDOW_SECONDS * 1000);
+    const scheduledFor = getQuietHoursEnd(sendAt, preferences, recipient.timezone) || sendAt;
+
+    return Notification.create({
+        user: recipientId,
+        type: 'chat',
+        relatedEntity: {
+            entityType: 'Conversation',
+            entityId: conversationId
+        },
+        title: `💬 ${sender.name}`,
+        body: preview,
+        data: {
+            type: 'chat',
+            conversationId,
+            senderId: sender.id,
+            messageId: message._id.toString()
+        },
+        deliveryStatus: 'pending',
+        scheduledFor
+    });
+};
+
+/**
+ * Drop pending chat pushes once the recipient has read the conversation
+ * @param {string} userId - Recipient ID
+ * @param {string} conversationId - Conversation ID
+ */
+const cancelPendingChatPush = (userId, conversationId) => {
+    return Notification.deleteMany({
+        user: userId,
+        type: 'chat',
+        'relatedEntity.entityId': conversationId,
+        deliveryStatus: 'pending'
+    });
+};
+
+module.exports = {
+    queueChatPush,
+    cancelPendingChatPush
+};
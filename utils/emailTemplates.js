@@ -0,0 +1,45 @@
+// Email Templates
+// Builds the subject and body of transactional emails
+
+const getClientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+/**
+ * Email verification message
+ * @param {object} user - User document
+ * @param {string} token - Raw verification token
+ * @param {number} expiresInHours - Token lifetime
+ * @returns {object} - { to, subject, text, html }
+ */
+const verificationEmail = (user, token, expiresInHours) => {
+    const link = `${getClientUrl()}/verify-email?token=${token}`;
+
+    return {
+        to: user.email,
+        subject: 'Verify your Health App email address',
+        text: `Hello ${user.name},\n\nPlease verify your email address by opening the link below:\n${link}\n\nThis link expires in ${expiresInHours} hours.`,
+        html: `<p>Hello ${user.name},</p><p>Please verify your email address by opening the link below:</p><p><a href="${link}">${link}</a></p><p>This link expires in ${expiresInHours} hours.</p>`
+    };
+};
+
+/**
+ * Password reset message
+ * @param {object} user - User document
+ * @param {string} token - Raw reset token
+ * @param {number} expiresInMinutes - Token lifetime
+ * @returns {object} - { to, subject, text, html }
+ */
+const passwordResetEmail = (user, token, expiresInMinutes) => {
+    const link = `${getClientUrl()}/reset-password?token=${token}`;
+
+    return {
+        to: user.email,
+        subject: 'Reset your Health App password',
+        text: `Hello ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n${link}\n\nThis link expires in ${expiresInMinutes} minutes. If you did not request a reset, you can ignore this email.`,
+        html: `<p>Hello ${user.name},</p><p>We received a request to reset your password. Open the link below to choose a new one:</p><p><a href="${link}">${link}</a></p><p>This link expires in ${expiresInMinutes} minutes. If you did not request a reset, you can ignore this email.</p>`
+    };
+};
+
+module.exports = {
+    verificationEmail,
+    passwordResetEmail
+};
@@ -0,0 +1,359 @@
+// Escalation Monitor
+// Background job that escalates critical reminders nobody acted on:
+// unacknowledged fasting cut-off reminders and runs of missed medication doses.
+// Escalations go to the patient's emergency contact (SMS or email) and/or
+// their doctor, and each one is recorded as a high priority notification.
+
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const Medication = require('../models/Medication');
+const DoseEvent = require('../models/DoseEvent');
+const FastingInstruction = require('../models/FastingInstruction');
+const CareRelationship = require('../models/CareRelationship');
+const logger = require('./logger');
+const { sendSms } = require('../config/sms');
+const { sendMail } = require('../config/mailer');
+const { getDosesInRange } = require('./medicationSchedule');
+const { resolveTimezone, formatZonedDateTime } = require('./timezone');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const CHECK_INTERVAL_MS = parseInt(process.env.ESCALATION_CHECK_INTERVAL_MS) || 5 * MINUTE_MS;
+const ESCALATION_TARGETS = ['emergency_contact', 'doctor'];
+
+// Reminders older than this are not escalated (e.g. after a long outage)
+const MAX_AGE_MS = DAY_MS;
+const MISSED_DOSE_LOOKBACK_DAYS = 7;
+const ESCALATION_BATCH_SIZE = 100;
+
+/**
+ * Parse a comma-separated list of escalation targets
+ * @param {string} value - e.g. "emergency_contact,doctor"
+ * @param {Array} defaults - Targets used when value is empty
+ * @returns {Array} - Valid targets
+ */
+const parseTargets = (value, defaults) => {
+    if (!value) {
+        return defaults;
+    }
+    return value.split(',').map(t => t.trim()).filter(t => ESCALATION_TARGETS.includes(t));
+};
+
+// Escalation rules, configured through the environment
+const ESCALATION_RULES = {
+    // A fasting cut-off reminder ("Time to Stop") not acknowledged within the timeout
+    fasting_cutoff: {
+        enabled: process.env.ESCALATION_FASTING_ENABLED !== 'false',
+        timeoutMinutes: parseInt(process.env.ESCALATION_FASTING_TIMEOUT_MINUTES) || 30,
+        notify: parseTargets(process.env.ESCALATION_FASTING_NOTIFY, ['emergency_contact', 'doctor'])
+    },
+    // Several doses of a medication in a row neither taken nor skipped
+    missed_doses: {
+        enabled: process.env.ESCALATION_MISSED_DOSES_ENABLED !== 'false',
+        consecutiveDoses: parseInt(process.env.ESCALATION_MISSED_DOSES) || 3,
+        // How long after its scheduled time a dose counts as missed
+        timeoutMinutes: parseInt(process.env.ESCALATION_MISSED_DOSE_TIMEOUT_MINUTES) || 60,
+        notify: parseTargets(process.env.ESCALATION_MISSED_DOSES_NOTIFY, ['doctor', 'emergency_contact'])
+    }
+};
+
+let checkTimer = null;
+let isChecking = false;
+
+/**
+ * Send a message to a patient's emergency contact (SMS if they have a phone number, otherwise email)
+ * @param {object} contact - patientInfo.emergencyContact
+ * @param {string} subject - Email subject
+ * @param {string} text - Message text
+ * @returns {Promise<object>} - { channel, messageId }
+ */
+const notifyEmergencyContact = async (contact, subject, text) => {
+    if (contact.phoneNumber) {
+        const { messageId } = await sendSms({ to: contact.phoneNumber, text });
+        return { channel: 'sms', messageId };
+    }
+
+    const { messageId } = await sendMail({ to: contact.email, subject, text });
+    return { channel: 'email', messageId };
+};
+
+/**
+ * Notify everyone a rule escalates to, at most once per escalation
+ * @param {object} escalation - { rule, ruleName, key, patient, doctorIds, type, relatedEntity, title, message }
+ * @returns {Promise<number>} - Number of notifications recorded
+ */
+const escalate = async ({ rule, ruleName, key, patient, doctorIds, type, relatedEntity, title, message }) => {
+    const data = {
+        type: 'escalation',
+        rule: ruleName,
+        patientId: patient._id.toString()
+    };
+    let recorded = 0;
+
+    if (rule.notify.includes('doctor')) {
+        for (const doctorId of doctorIds) {
+            const result = await Notification.updateOne(
+                { dedupeKey: `escalation:${key}:${doctorId}` },
+                {
+                    $setOnInsert: {
+                        user: doctorId,
+                        type,
+                        relatedEntity,
+                        title,
+                        body: `${patient.name}: ${message}`.slice(0, 500),
+                        data,
+                        priority: 'high',
+                        deliveryStatus: 'pending',
+                        scheduledFor: new Date()
+                    }
+                },
+                { upsert: true }
+            );
+            recorded += result.upsertedCount;
+        }
+    }
+
+    const contact = patient.patientInfo && patient.patientInfo.emergencyContact;
+
+    if (rule.notify.includes('emergency_contact') && contact && (contact.phoneNumber || contact.email)) {
+        const dedupeKey = `escalation:${key}:emergency_contact`;
+
+        // The patient is told that their contact was alerted; the record is created
+        // before sending so a contact is never messaged twice for the same escalation
+        const result = await Notification.updateOne(
+            { dedupeKey },
+            {
+                $setOnInsert: {
+                    user: patient._id,
+                    type,
+                    relatedEntity,
+                    title: '🚨 Emergency Contact Notified',
+                    body: `We let ${contact.name || 'your emergency contact'} know: ${message}`.slice(0, 500),
+                    data,
+                    priority: 'high',
+                    deliveryStatus: 'pending',
+                    scheduledFor: new Date()
+                }
+            },
+            { upsert: true }
+        );
+
+        if (result.upsertedCount > 0) {
+            recorded++;
+
+            try {
+                const { channel } = await notifyEmergencyContact(
+                    contact,
+                    title,
+                    `${title}\n${patient.name}: ${message}`
+                );
+                await Notification.updateOne({ dedupeKey }, { 'data.contactChannel': channel, 'data.contactStatus': 'sent' });
+            } catch (error) {
+                logger.error(`Failed to notify emergency contact of patient ${patient._id}:`, error.message);
+                await Notification.updateOne({ dedupeKey }, { 'data.contactStatus': 'failed' });
+            }
+        }
+    }
+
+    return recorded;
+};
+
+/**
+ * Escalate fasting cut-off reminders that were not acknowledged in time
+ * @returns {Promise<number>} - Number of notifications recorded
+ */
+const escalateFastingReminders = async () => {
+    const rule = ESCALATION_RULES.fasting_cutoff;
+    const now = Date.now();
+    let recorded = 0;
+
+    const reminders = await Notification.find({
+        type: 'fasting',
+        'data.action': /^stop_/,
+        sentAt: { $gte: new Date(now - MAX_AGE_MS), $lte: new Date(now - rule.timeoutMinutes * MINUTE_MS) },
+        acknowledgedAt: { $exists: false },
+        snoozedUntil: { $exists: false },
+        escalatedAt: { $exists: false }
+    }).limit(ESCALATION_BATCH_SIZE);
+
+    for (const reminder of reminders) {
+        // Claim the reminder so concurrent workers never escalate it twice
+        const claimed = await Notification.findOneAndUpdate(
+            { _id: reminder._id, escalatedAt: { $exists: false } },
+            { escalatedAt: new Date() }
+        );
+
+        if (!claimed) {
+            continue;
+        }
+
+        const instruction = await FastingInstruction.findById(reminder.relatedEntity.entityId);
+        const patient = await User.findById(reminder.user).select('name timezone patientInfo.emergencyContact');
+
+        if (!instruction || !instruction.isActive || !patient) {
+            continue;
+        }
+
+        const operationTime = formatZonedDateTime(instruction.operationDate, resolveTimezone(patient.timezone));
+
+        recorded += await escalate({
+            rule,
+            ruleName: 'fasting_cutoff',
+            key: `fasting_cutoff:${reminder._id}`,
+            patient,
+            doctorIds: [instruction.doctor],
+            type: 'fasting',
+            relatedEntity: { entityType: 'FastingInstruction', entityId: instruction._id },
+            title: '🚨 Fasting Reminder Not Acknowledged',
+            message: `"${reminder.title}" was not acknowledged within ${rule.timeoutMinutes} minutes. ` +
+                `The operation is on ${operationTime}.`
+        });
+    }
+
+    return recorded;
+};
+
+/**
+ * Escalate medications whose last doses were all missed
+ * A run of missed doses is escalated once, however long it grows: the run is
+ * identified by the last dose taken or skipped before it.
+ * @returns {Promise<number>} - Number of notifications recorded
+ */
+const escalateMissedDoses = async () => {
+    const rule = ESCALATION_RULES.missed_doses;
+    const until = new Date(Date.now() - rule.timeoutMinutes * MINUTE_MS);
+    const from = new Date(until.getTime() - MISSED_DOSE_LOOKBACK_DAYS * DAY_MS);
+    let recorded = 0;
+
+    // A missed dose leaves its reminder unacknowledged, so only those medications (and
+    // ones without reminders) are checked rather than every active medication
+    const medicationIds = await Notification.distinct('relatedEntity.entityId', {
+        type: 'medication',
+        'data.type': 'medication',
+        sentAt: { $gte: from, $lte: until },
+        acknowledgedAt: { $exists: false }
+    });
+
+    const cursor = Medication.find({
+        $or: [{ _id: { $in: medicationIds } }, { reminders: false }],
+        isActive: true,
+        frequency: { $ne: 'as_needed' }
+    }).cursor();
+
+    for await (const medication of cursor) {
+        const patient = await User.findById(medication.patient).select('name timezone isActive patientInfo.emergencyContact');
+
+        if (!patient || !patient.isActive) {
+            continue;
+        }
+
+        const doses = getDosesInRange(medication, from, until, patient.timezone);
+
+        if (doses.length < rule.consecutiveDoses) {
+            continue;
+        }
+
+        const events = await DoseEvent.findInRange(
+            { medication: medication._id, status: { $in: ['taken', 'skipped'] } },
+            from,
+            until
+        );
+        const resolved = new Set(events.map(e => e.scheduledFor.getTime()));
+
+        // Walk back from the latest dose until one was taken or skipped
+        const missed = [];
+        for (let i = doses.length - 1; i >= 0 && !resolved.has(doses[i].scheduledFor.getTime()); i--) {
+            missed.unshift(doses[i]);
+        }
+
+        if (missed.length < rule.consecutiveDoses) {
+            continue;
+        }
+
+        // The run may have started before the lookback, so look for its start without a limit
+        const lastResolved = events.length > 0
+            ? events[events.length - 1]
+            : await DoseEvent.findOne({
+                medication: medication._id,
+                status: { $in: ['taken', 'skipped'] },
+                scheduledFor: { $lt: from }
+            }).sort({ scheduledFor: -1 });
+
+        const runStart = lastResolved ? lastResolved.scheduledFor.toISOString() : 'start';
+
+        recorded += await escalate({
+            rule,
+            ruleName: 'missed_doses',
+            key: `missed_doses:${medication._id}:${runStart}`,
+            patient,
+            doctorIds: await CareRelationship.getDoctorIds(medication.patient),
+            type: 'medication',
+            relatedEntity: { entityType: 'Medication', entityId: medication._id },
+            title: '🚨 Missed Medication Doses',
+            message: `${missed.length} doses of ${medication.name} in a row have not been taken.`
+        });
+    }
+
+    return recorded;
+};
+
+/**
+ * Run every enabled escalation rule
+ * @returns {Promise<number>} - Number of notifications recorded
+ */
+const checkEscalations = async () => {
+    if (isChecking) {
+        return 0;
+    }
+
+    isChecking = true;
+    let recorded = 0;
+
+    try {
+        if (ESCALATION_RULES.fasting_cutoff.enabled) {
+            recorded += await escalateFastingReminders();
+        }
+
+        if (ESCALATION_RULES.missed_doses.enabled) {
+            recorded += await escalateMissedDoses();
+        }
+
+        if (recorded > 0) {
+            logger.info(`Recorded ${recorded} escalation notifications`);
+        }
+    } catch (error) {
+        logger.error('Error checking escalations:', error.message);
+    } finally {
+        isChecking = false;
+    }
+
+    return recorded;
+};
+
+/**
+ * Start the periodic escalation check
+ */
+const startEscalationMonitor = () => {
+    if (checkTimer) {
+        return;
+    }
+
+    checkTimer = setInterval(checkEscalations, CHECK_INTERVAL_MS);
+    logger.info('Escalation monitor started');
+};
+
+/**
+ * Stop the periodic escalation check
+ */
+const stopEscalationMonitor = () => {
+    clearInterval(checkTimer);
+    checkTimer = null;
+};
+
+module.exports = {
+    ESCALATION_RULES,
+    checkEscalations,
+    startEscalationMonitor,
+    stopEscalationMonitor
+};
@@ -0,0 +1,133 @@
+// Fasting Rules Utility
+// Pre-operative fasting cut-offs per food/liquid category (ASA-style guidance)
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const FASTING_CATEGORIES = ['solids', 'milk', 'breast_milk', 'clear_liquids'];
+
+// Used when neither the instruction nor the doctor's defaults set cut-offs
+const DEFAULT_FASTING_CUTOFFS = [
+    { category: 'solids', label: 'Solid food', hoursBefore: 6 },
+    { category: 'milk', label: 'Milk and formula', hoursBefore: 6 },
+    { category: 'breast_milk', label: 'Breast milk', hoursBefore: 4 },
+    { category: 'clear_liquids', label: 'Clear liquids', hoursBefore: 2 }
+];
+
+/**
+ * Copy a list of cut-offs into plain objects, filling in missing labels
+ * @param {Array} cutoffs - Cut-offs (documents or plain objects)
+ * @returns {Array} - Array of { category, label, hoursBefore }
+ */
+const toPlainCutoffs = (cutoffs) => {
+    return cutoffs.map(({ category, label, hoursBefore }) => {
+        const fallback = DEFAULT_FASTING_CUTOFFS.find(c => c.category === category);
+        return { category, label: label || (fallback && fallback.label), hoursBefore };
+    });
+};
+
+/**
+ * Cut-offs a doctor applies to new instructions by default
+ * @param {object} doctorInfo - User.doctorInfo (may be empty for admins)
+ * @returns {Array} - Array of { category, label, hoursBefore }
+ */
+const getDefaultCutoffs = (doctorInfo = {}) => {
+    const doctorDefaults = doctorInfo && doctorInfo.fastingCutoffDefaults;
+
+    return toPlainCutoffs(doctorDefaults && doctorDefaults.length > 0 ? doctorDefaults : DEFAULT_FASTING_CUTOFFS);
+};
+
+/**
+ * Cut-offs that apply to an instruction (older instructions fall back to the defaults)
+ * @param {object} fastingInstruction - FastingInstruction document
+ * @returns {Array} - Array of { category, label, hoursBefore }
+ */
+const getInstructionCutoffs = (fastingInstruction) => {
+    const cutoffs = fastingInstruction.fastingCutoffs;
+
+    return toPlainCutoffs(cutoffs && cutoffs.length > 0 ? cutoffs : DEFAULT_FASTING_CUTOFFS);
+};
+
+/**
+ * Check a list of cut-offs for unknown categories, bad hours and duplicates
+ * @param {Array} cutoffs - Cut-offs to check
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateCutoffs = (cutoffs) => {
+    if (!Array.isArray(cutoffs)) {
+        return 'Fasting cut-offs must be provided as an array';
+    }
+
+    const seen = new Set();
+
+    for (const cutoff of cutoffs) {
+        if (!cutoff || !FASTING_CATEGORIES.includes(cutoff.category)) {
+            return `Fasting cut-off category must be one of ${FASTING_CATEGORIES.join(', ')}`;
+        }
+
+        if (typeof cutoff.hoursBefore !== 'number' || cutoff.hoursBefore < 0 || cutoff.hoursBefore > 24) {
+            return 'Fasting cut-off hoursBefore must be a number between 0 and 24';
+        }
+
+        if (seen.has(cutoff.category)) {
+            return `Duplicate fasting cut-off for ${cutoff.category}`;
+        }
+        seen.add(cutoff.category);
+    }
+
+    return null;
+};
+
+/**
+ * Time after which a category may no longer be consumed
+ * Elapsed time, so the window stays the same length across DST changes
+ * @param {Date} operationDate - Operation start
+ * @param {object} cutoff - { hoursBefore }
+ * @returns {Date} - Cut-off time
+ */
+const getCutoffTime = (operationDate, cutoff) => {
+    return new Date(new Date(operationDate).getTime() - cutoff.hoursBefore * HOUR_MS);
+};
+
+/**
+ * Work out what the patient may still eat or drink at a given time
+ * @param {object} fastingInstruction - FastingInstruction document
+ * @param {Date} now - Time to check (defaults to now)
+ * @returns {object} - { operationDate, checkedAt, isFullyFasting, nextCutoff, categories }
+ */
+const getFastingStatus = (fastingInstruction, now = new Date()) => {
+    const operationDate = new Date(fastingInstruction.operationDate);
+
+    const categories = getInstructionCutoffs(fastingInstruction)
+        .map(cutoff => {
+            const cutoffTime = getCutoffTime(operationDate, cutoff);
+            const allowed = now < cutoffTime;
+
+            return {
+                ...cutoff,
+                cutoffTime,
+                allowed,
+                minutesRemaining: allowed ? Math.floor((cutoffTime - now) / (60 * 1000)) : 0
+            };
+        })
+        .sort((a, b) => a.cutoffTime - b.cutoffTime);
+
+    const nextCutoff = categories.find(c => c.allowed) || null;
+
+    return {
+        operationDate,
+        checkedAt: now,
+        isFullyFasting: !nextCutoff,
+        nextCutoff: nextCutoff && { category: nextCutoff.category, label: nextCutoff.label, cutoffTime: nextCutoff.cutoffTime },
+        categories
+    };
+};
+
+module.exports = {
+    FASTING_CATEGORIES,
+    DEFAULT_FASTING_CUTOFFS,
+    getDefaultCutoffs,
+    getInstructionCutoffs,
+    validateCutoffs,
+    getCutoffTime,
+    getFastingStatus
+};
@@ -0,0 +1,188 @@
+// FCM Token Pruner
+// Removes device tokens that FCM reports as unregistered or invalid,
+// and periodically re-validates old tokens with dry-run sends
+
+const User = require('../models/User');
+const TokenPruneEvent = require('../models/TokenPruneEvent');
+const logger = require('./logger');
+
+const STALE_DAYS = parseInt(process.env.FCM_TOKEN_STALE_DAYS) || 30;
+const CLEANUP_INTERVAL_MS = parseInt(process.env.FCM_TOKEN_CLEANUP_INTERVAL_MS) || 24 * 60 * 60 * 1000;
+
+// FCM error codes meaning the token will never work again
+const DEAD_TOKEN_ERRORS = {
+    'messaging/registration-token-not-registered': 'unregistered',
+    'messaging/invalid-registration-token': 'invalid'
+};
+
+let cleanupTimer = null;
+let isCleaning = false;
+
+/**
+ * Map an FCM error to a prune reason
+ * @param {object} error - Error from firebase-admin
+ * @returns {string|null} - Prune reason, or null if the token may still be valid
+ */
+const getPruneReason = (error) => {
+    return (error && DEAD_TOKEN_ERRORS[error.code]) || null;
+};
+
+/**
+ * Remove dead tokens from every user that holds them and record each removal
+ * @param {Array} deadTokens - Array of { token, reason }
+ * @param {string} source - 'send' or 'cleanup'
+ * @returns {Promise<number>} - Number of tokens removed
+ */
+const pruneTokens = async (deadTokens, source) => {
+    if (!deadTokens || deadTokens.length === 0) {
+        return 0;
+    }
+
+    const reasons = new Map(deadTokens.map(t => [t.token, t.reason]));
+    const tokens = Array.from(reasons.keys());
+
+    const users = await User.find({ 'fcmTokens.token': { $in: tokens } }).select('fcmTokens');
+    const events = [];
+
+    users.forEach(user => {
+        user.fcmTokens
+            .filter(t => reasons.has(t.token))
+            .forEach(t => {
+                events.push({
+                    user: user._id,
+                    tokenSuffix: t.token.slice(-8),
+                    platform: t.platform,
+                    reason: reasons.get(t.token),
+                    source,
+                    tokenAgeDays: t.addedAt
+                        ? Math.floor((Date.now() - t.addedAt.getTime()) / (24 * 60 * 60 * 1000))
+                        : undefined
+                });
+            });
+    });
+
+    await User.updateMany(
+        { 'fcmTokens.token': { $in: tokens } },
+        { $pull: { fcmTokens: { token: { $in: tokens } } } }
+    );
+
+    if (events.length > 0) {
+        await TokenPruneEvent.insertMany(events);
+        logger.info(`Pruned ${events.length} dead FCM tokens (${source})`);
+    }
+
+    return events.length;
+};
+
+/**
+ * Prune the tokens that failed in a multicast send
+ * @param {Array} tokens - Tokens the message was sent to
+ * @param {Array} responses - sendEachForMulticast responses (same order as tokens)
+ * @returns {Promise<number>} - Number of tokens removed
+ */
+const pruneFailedTokens = async (tokens, responses) => {
+    const deadTokens = [];
+
+    responses.forEach((resp, idx) => {
+        const reason = !resp.success && getPruneReason(resp.error);
+        if (reason) {
+            deadTokens.push({ token: tokens[idx], reason });
+        }
+    });
+
+    return pruneTokens(deadTokens, 'send');
+};
+
+/**
+ * Dry-run every token that has not been validated for STALE_DAYS
+ * @returns {Promise<object>} - { checked, pruned }
+ */
+const cleanupStaleTokens = async () => {
+    // Required lazily: firebaseAdmin requires this module to prune on send
+    const { validateToken, isFirebaseInitialized } = require('../config/firebaseAdmin');
+
+    if (isCleaning || !isFirebaseInitialized()) {
+        return { checked: 0, pruned: 0 };
+    }
+
+    isCleaning = true;
+    const cutoff = new Date(Date.now() - STALE_DAYS * 24 * 60 * 60 * 1000);
+    let checked = 0;
+    let pruned = 0;
+
+    try {
+        const cursor = User.find({
+            fcmTokens: {
+                $elemMatch: {
+                    $or: [
+                        { lastValidatedAt: { $lt: cutoff } },
+                        { lastValidatedAt: { $exists: false }, addedAt: { $lt: cutoff } }
+                    ]
+                }
+            }
+        }).select('fcmTokens').cursor();
+
+        for await (const user of cursor) {
+            const staleTokens = user.fcmTokens.filter(t => (t.lastValidatedAt || t.addedAt) < cutoff);
+            const deadTokens = [];
+
+            for (const t of staleTokens) {
+                checked++;
+                try {
+                    const isValid = await validateToken(t.token);
+
+                    if (isValid) {
+                        await User.updateOne(
+                            { _id: user._id, 'fcmTokens.token': t.token },
+                            { $set: { 'fcmTokens.$.lastValidatedAt': new Date() } }
+                        );
+                    } else {
+                        deadTokens.push({ token: t.token, reason: 'invalid' });
+                    }
+                } catch (error) {
+                    // Transient failure: keep the token and check again next run
+                    logger.warn(`Could not validate FCM token: ${error.message}`);
+                }
+            }
+
+            pruned += await pruneTokens(deadTokens, 'cleanup');
+        }
+
+        logger.info(`FCM token cleanup: ${checked} checked, ${pruned} pruned`);
+    } catch (error) {
+        logger.error('Error cleaning up FCM tokens:', error.message);
+    } finally {
+        isCleaning = false;
+    }
+
+    return { checked, pruned };
+};
+
+/**
+ * Start the periodic stale token cleanup
+ */
+const startTokenCleanup = () => {
+    if (cleanupTimer) {
+        return;
+    }
+
+    cleanupTimer = setInterval(cleanupStaleTokens, CLEANUP_INTERVAL_MS);
+    logger.info('FCM token cleanup scheduled');
+};
+
+/**
+ * Stop the periodic cleanup
+ */
+const stopTokenCleanup = () => {
+    clearInterval(cleanupTimer);
+    cleanupTimer = null;
+};
+
+module.exports = {
+    getPruneReason,
+    pruneTokens,
+    pruneFailedTokens,
+    cleanupStaleTokens,
+    startTokenCleanup,
+    stopTokenCleanup
+};
@@ -0,0 +1,182 @@
+// Interaction Checker Utility
+// Cross-checks a medication against the patient's other medications and allergies
+// using the bundled interaction dataset (data/drugInteractions.json).
+// The dataset is reloaded whenever the file changes, so it can be updated without a restart.
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const SEVERITY_RANK = { low: 1, moderate: 2, high: 3 };
+
+let cache = null;
+
+/**
+ * Path of the interaction dataset (INTERACTION_DATASET_PATH or the bundled file)
+ * @returns {string} - Absolute path
+ */
+const getDatasetPath = () => {
+    return process.env.INTERACTION_DATASET_PATH
+        ? path.resolve(process.cwd(), process.env.INTERACTION_DATASET_PATH)
+        : path.join(__dirname, '..', 'data', 'drugInteractions.json');
+};
+
+/**
+ * Load the dataset, re-reading it if the file has changed since the last load
+ * A broken update keeps the previously loaded dataset.
+ * @returns {object} - Dataset { version, aliases, classes, interactions, allergies }
+ */
+const loadDataset = () => {
+    const datasetPath = getDatasetPath();
+
+    try {
+        const { mtimeMs } = fs.statSync(datasetPath);
+
+        if (!cache || cache.path !== datasetPath || cache.mtimeMs !== mtimeMs) {
+            const dataset = JSON.parse(fs.readFileSync(datasetPath, 'utf8'));
+            cache = { path: datasetPath, mtimeMs, dataset };
+            logger.info(`Loaded interaction dataset version ${dataset.version}`);
+        }
+    } catch (error) {
+        if (!cache) {
+            throw new Error(`Could not load interaction dataset: ${error.message}`);
+        }
+        logger.error('Could not reload interaction dataset, keeping the previous version:', error.message);
+    }
+
+    return cache.dataset;
+};
+
+/**
+ * Resolve a medication or allergy name to the drug and class terms it matches
+ * e.g. "Advil 200mg" -> ibuprofen, nsaid
+ * @param {string} name - Free-text name
+ * @param {object} dataset - Interaction dataset
+ * @returns {Set} - Matching terms
+ */
+const resolveTerms = (name, dataset) => {
+    const terms = new Set();
+    const tokens = String(name || '').toLowerCase().split(/[^a-z]+/).filter(Boolean);
+
+    tokens.forEach(token => {
+        // Accept plurals such as "penicillins" or "nsaids"
+        [token, token.replace(/s$/, '')].forEach(candidate => {
+            const drug = (dataset.aliases || {})[candidate] || candidate;
+            terms.add(drug);
+
+            Object.entries(dataset.classes || {}).forEach(([className, members]) => {
+                if (members.includes(drug)) {
+                    terms.add(className);
+                }
+            });
+        });
+    });
+
+    return terms;
+};
+
+const matchesAny = (terms, list) => list.some(term => terms.has(term));
+
+/**
+ * All specific drug names known to the dataset
+ * @param {object} dataset - Interaction dataset
+ * @returns {Set} - Drug names
+ */
+const getKnownDrugs = (dataset) => {
+    return new Set([
+        ...Object.values(dataset.aliases || {}),
+        ...Object.values(dataset.classes || {}).flat()
+    ]);
+};
+
+/**
+ * Check a medication against other medications and the patient's allergies
+ * @param {object} medication - Medication being checked
+ * @param {Array} otherMedications - The patient's other active medications
+ * @param {Array} allergies - patientInfo.allergies
+ * @returns {Array} - Warnings sorted by severity (highest first)
+ */
+const checkMedication = (medication, otherMedications = [], allergies = []) => {
+    const dataset = loadDataset();
+    const terms = resolveTerms(medication.name, dataset);
+    const warnings = [];
+
+    otherMedications.forEach(other => {
+        if (other._id.toString() === medication._id.toString()) {
+            return;
+        }
+
+        const otherTerms = resolveTerms(other.name, dataset);
+
+        (dataset.interactions || []).forEach(rule => {
+            const [a, b] = rule.between;
+            const matches = (terms.has(a) && otherTerms.has(b)) || (terms.has(b) && otherTerms.has(a));
+
+            if (matches) {
+                warnings.push({
+                    key: `drug:${other._id}:${[a, b].sort().join('+')}`,
+                    type: 'drug',
+                    severity: rule.severity,
+                    description: rule.description,
+                    interactingMedication: { _id: other._id, name: other.name }
+                });
+            }
+        });
+    });
+
+    const knownDrugs = getKnownDrugs(dataset);
+
+    (allergies || []).forEach(allergy => {
+        const allergyTerms = resolveTerms(allergy, dataset);
+
+        // Allergy to the drug itself (e.g. allergy "amoxicillin", medication "Augmentin")
+        const sameDrug = Array.from(allergyTerms).find(term => knownDrugs.has(term) && terms.has(term));
+        if (sameDrug) {
+            warnings.push({
+                key: `allergy:${sameDrug}`,
+                type: 'allergy',
+                severity: 'high',
+                description: `Patient is allergic to ${sameDrug}`,
+                allergy
+            });
+        }
+
+        (dataset.allergies || []).forEach(rule => {
+            if (allergyTerms.has(rule.allergen) && matchesAny(terms, rule.drugs)) {
+                warnings.push({
+                    key: `allergy:${rule.allergen}:${rule.drugs.join('+')}`,
+                    type: 'allergy',
+                    severity: rule.severity,
+                    description: rule.description,
+                    allergy
+                });
+            }
+        });
+    });
+
+    // Only keep the most severe warning for each key
+    const byKey = new Map();
+    warnings.forEach(warning => {
+        const existing = byKey.get(warning.key);
+        if (!existing || SEVERITY_RANK[warning.severity] > SEVERITY_RANK[existing.severity]) {
+            byKey.set(warning.key, warning);
+        }
+    });
+
+    return Array.from(byKey.values())
+        .sort((x, y) => SEVERITY_RANK[y.severity] - SEVERITY_RANK[x.severity]);
+};
+
+/**
+ * Version of the currently loaded dataset
+ * @returns {string} - Dataset version
+ */
+const getDatasetVersion = () => loadDataset().version;
+
+module.exports = {
+    SEVERITY_RANK,
+    loadDataset,
+    resolveTerms,
+    checkMedication,
+    getDatasetVersion
+};
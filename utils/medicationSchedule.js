@@ -0,0 +1,251 @@
+// Medication Schedule Utility
+// Recurrence rules for medications: every day, specific weekdays, every N days,
+// on/off cycles, and tapering steps with their own dosage (and optionally times).
+// Days are counted from the start date in the patient's timezone.
+
+const { resolveTimezone, getZonedDate, addDays, diffDays, atZonedTime, zonedTimeToDate } = require('./timezone');
+
+const RECURRENCE_PATTERNS = ['daily', 'weekly', 'interval', 'cycle'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MINUTE_MS = 60 * 1000;
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value >= 1;
+
+// Date-only values such as "2026-10-20" are stored as UTC midnight
+const isDateOnly = (date) => date.getUTCHours() === 0 && date.getUTCMinutes() === 0
+    && date.getUTCSeconds() === 0 && date.getUTCMilliseconds() === 0;
+
+/**
+ * Calendar day of a start or end date in the patient's timezone
+ * A date-only value names the day itself; any other value is an instant and
+ * falls on its local day.
+ * @param {Date} date - Medication startDate or endDate
+ * @param {string} timezone - Patient's IANA timezone
+ * @returns {object} - { year, month, day }
+ */
+const getCalendarDay = (date, timezone) => {
+    if (isDateOnly(date)) {
+        return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+    }
+    return getZonedDate(date, timezone);
+};
+
+/**
+ * First and last instants at which a medication's doses are due
+ * A date-only start begins at local midnight and a date-only end includes the whole day.
+ * @param {object} medication - Medication document
+ * @param {string} timezone - Patient's IANA timezone
+ * @returns {object} - { start, end }, with end null when the medication has no end date
+ */
+const getScheduleBounds = (medication, timezone) => {
+    const tz = resolveTimezone(timezone);
+    const { startDate, endDate } = medication;
+
+    let start = null;
+    if (startDate) {
+        start = isDateOnly(startDate) ? zonedTimeToDate(getCalendarDay(startDate, tz), tz) : startDate;
+    }
+
+    let end = null;
+    if (endDate) {
+        end = isDateOnly(endDate)
+            ? new Date(zonedTimeToDate(addDays(getCalendarDay(endDate, tz), 1), tz).getTime() - 1)
+            : endDate;
+    }
+
+    return { start, end };
+};
+
+/**
+ * Check a medication's recurrence and tapering steps for missing or inconsistent values
+ * @param {object} medication - Medication document or request body
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateSchedule = (medication) => {
+    const recurrence = medication.recurrence || {};
+    const pattern = recurrence.pattern || 'daily';
+    const taperingSteps = medication.taperingSteps || [];
+
+    if (!RECURRENCE_PATTERNS.includes(pattern)) {
+        return `Recurrence pattern must be one of ${RECURRENCE_PATTERNS.join(', ')}`;
+    }
+
+    if (medication.frequency === 'as_needed' && (pattern !== 'daily' || taperingSteps.length > 0)) {
+        return 'As-needed medications cannot have a recurrence or tapering schedule';
+    }
+
+    if (pattern === 'weekly') {
+        const days = recurrence.daysOfWeek || [];
+        if (days.length === 0 || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+            return 'Weekly schedules need daysOfWeek between 0 (Sunday) and 6 (Saturday)';
+        }
+        if (new Set(days).size !== days.length) {
+            return 'daysOfWeek cannot contain duplicates';
+        }
+    }
+
+    if (pattern === 'interval' && !isPositiveInteger(recurrence.intervalDays)) {
+        return 'Interval schedules need intervalDays of at least 1';
+    }
+
+    if (pattern === 'cycle' && !(isPositiveInteger(recurrence.daysOn) && isPositiveInteger(recurrence.daysOff))) {
+        return 'Cycle schedules need daysOn and daysOff of at least 1';
+    }
+
+    for (const step of taperingSteps) {
+        if (!step || !isPositiveInteger(step.durationDays)) {
+            return 'Each tapering step needs durationDays of at least 1';
+        }
+
+        if (!step.dosage) {
+            return 'Each tapering step needs a dosage';
+        }
+
+        if (step.times && step.times.length > 0 && step.times.some(t => !TIME_PATTERN.test(t))) {
+            return 'Tapering step times must be in HH:mm format';
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Find the tapering step that applies on a given day of the schedule
+ * @param {object} medication - Medication document
+ * @param {number} dayIndex - Days since the start date (0 = first day)
+ * @returns {object|null} - { step, index }, { step: null } when not tapering, or null after the last step
+ */
+const getTaperingStep = (medication, dayIndex) => {
+    const steps = medication.taperingSteps || [];
+
+    if (steps.length === 0) {
+        return { step: null, index: null };
+    }
+
+    let stepStart = 0;
+    for (let index = 0; index < steps.length; index++) {
+        if (dayIndex < stepStart + steps[index].durationDays) {
+            return { step: steps[index], index };
+        }
+        stepStart += steps[index].durationDays;
+    }
+
+    // The taper has finished
+    return null;
+};
+
+/**
+ * Check whether the recurrence pattern includes a given day
+ * @param {object} recurrence - Medication.recurrence
+ * @param {object} day - { year, month, day }
+ * @param {number} dayIndex - Days since the start date (0 = first day)
+ * @returns {boolean} - True if doses are due on that day
+ */
+const matchesRecurrence = (recurrence = {}, day, dayIndex) => {
+    switch (recurrence.pattern) {
+        case 'weekly': {
+            const weekday = new Date(Date.UTC(day.year, day.month - 1, day.day)).getUTCDay();
+            return (recurrence.daysOfWeek || []).includes(weekday);
+        }
+        case 'interval':
+            return dayIndex % recurrence.intervalDays === 0;
+        case 'cycle':
+            return dayIndex % (recurrence.daysOn + recurrence.daysOff) < recurrence.daysOn;
+        default:
+            return true;
+    }
+};
+
+/**
+ * Doses of a medication due on a given calendar day (ignores start and end times)
+ * @param {object} medication - Medication document
+ * @param {object} day - { year, month, day } in the patient's timezone
+ * @param {string} timezone - Patient's IANA timezone
+ * @returns {Array} - Array of { scheduledFor, scheduledTime, dosage, taperingStep }
+ */
+const getDosesForDay = (medication, day, timezone) => {
+    const tz = resolveTimezone(timezone);
+
+    // As-needed medications have no fixed schedule
+    if (medication.frequency === 'as_needed') {
+        return [];
+    }
+
+    const firstDay = getCalendarDay(medication.startDate || medication.createdAt || new Date(), tz);
+    const dayIndex = diffDays(firstDay, day);
+
+    if (dayIndex < 0 || !matchesRecurrence(medication.recurrence, day, dayIndex)) {
+        return [];
+    }
+
+    const tapering = getTaperingStep(medication, dayIndex);
+    if (!tapering) {
+        return [];
+    }
+
+    const { step, index } = tapering;
+    const times = step && step.times && step.times.length > 0 ? step.times : medication.times;
+
+    return times.map(timeStr => ({
+        scheduledFor: atZonedTime(day, timeStr, tz),
+        scheduledTime: timeStr,
+        dosage: step ? step.dosage : medication.dosage,
+        taperingStep: index
+    }));
+};
+
+/**
+ * Every dose of a medication within a time range, honouring startDate and endDate
+ * @param {object} medication - Medication document
+ * @param {Date} from - Start of range
+ * @param {Date} to - End of range
+ * @param {string} timezone - Patient's IANA timezone
+ * @returns {Array} - Array of { scheduledFor, scheduledTime, dosage, taperingStep }
+ */
+const getDosesInRange = (medication, from, to, timezone) => {
+    const tz = resolveTimezone(timezone);
+    const doses = [];
+
+    const { start, end } = getScheduleBounds(medication, tz);
+    const rangeStart = start && start > from ? start : from;
+    const rangeEnd = end && end < to ? end : to;
+
+    let day = getZonedDate(rangeStart, tz);
+    const lastDay = getZonedDate(rangeEnd, tz);
+
+    while (diffDays(day, lastDay) >= 0) {
+        getDosesForDay(medication, day, tz).forEach(dose => {
+            if (dose.scheduledFor >= rangeStart && dose.scheduledFor <= rangeEnd) {
+                doses.push(dose);
+            }
+        });
+
+        day = addDays(day, 1);
+    }
+
+    return doses;
+};
+
+/**
+ * Find the scheduled dose at a given time (to the minute)
+ * @param {object} medication - Medication document
+ * @param {Date} time - Dose time
+ * @param {string} timezone - Patient's IANA timezone
+ * @returns {object|null} - Dose, or null if none is scheduled at that time
+ */
+const findScheduledDose = (medication, time, timezone) => {
+    const minuteStart = new Date(Math.floor(time.getTime() / MINUTE_MS) * MINUTE_MS);
+    const minuteEnd = new Date(minuteStart.getTime() + MINUTE_MS - 1);
+
+    return getDosesInRange(medication, minuteStart, minuteEnd, timezone)[0] || null;
+};
+
+module.exports = {
+    RECURRENCE_PATTERNS,
+    validateSchedule,
+    getScheduleBounds,
+    getDosesForDay,
+    getDosesInRange,
+    findScheduledDose
+};
@@ -0,0 +1,140 @@
+// Message Actions
+// Edit and delete logic shared by the REST API and socket handlers
+
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+
+const EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15;
+
+/**
+ * Load a message and check that the user may modify it
+ * @param {string} messageId - Message ID
+ * @param {string} userId - User attempting the change
+ * @param {string} conversationId - Conversation the message must belong to
+ * @returns {Promise<object>} - { message } or { status, error }
+ */
+const loadModifiableMessage = async (messageId, userId, conversationId) => {
+    const message = await Message.findById(messageId);
+
+    if (!message || message.isDeleted || message.conversation.toString() !== String(conversationId)) {
+        return { status: 404, error: 'Message not found' };
+    }
+
+    if (message.sender.toString() !== userId.toString()) {
+        return { status: 403, error: 'You can only modify your own messages' };
+    }
+
+    if (message.messageType === 'system') {
+        return { status: 400, error: 'System messages cannot be modified' };
+    }
+
+    if (!message.isModifiableBy(userId, EDIT_WINDOW_MINUTES)) {
+        return { status: 403, error: `Messages can only be modified within ${EDIT_WINDOW_MINUTES} minutes of sending` };
+    }
+
+    return { message };
+};
+
+/**
+ * Edit a message's content, keeping the previous version in its edit history
+ * @param {object} params - { conversationId, messageId, userId, content }
+ * @returns {Promise<object>} - { message } or { status, error }
+ */
+const editMessage = async ({ conversationId, messageId, userId, content }) => {
+    if (typeof content !== 'string' || !content.trim()) {
+        return { status: 400, error: 'Message content is required' };
+    }
+
+    const result = await loadModifiableMessage(messageId, userId, conversationId);
+    if (result.error) {
+        return result;
+    }
+
+    const { message } = result;
+    const editedAt = new Date();
+
+    // Conditional update so concurrent edits cannot overwrite each other's history,
+    // and so the conversation's lastMessage hook on save is not triggered
+    const updated = await Message.findOneAndUpdate(
+        { _id: message._id, content: message.content, isDeleted: false },
+        {
+            $set: { content: content.trim(), isEdited: true, editedAt },
+            $push: { editHistory: { content: message.content, editedAt } }
+        },
+        { new: true, runValidators: true }
+    ).populate('sender', 'name email role profileImage');
+
+    if (!updated) {
+        return { status: 409, error: 'Message was changed by another request. Please retry.' };
+    }
+
+    return { message: updated };
+};
+
+/**
+ * Soft-delete a message
+ * @param {object} params - { conversationId, messageId, userId }
+ * @returns {Promise<object>} - { message } or { status, error }
+ */
+const deleteMessage = async ({ conversationId, messageId, userId }) => {
+    const result = await loadModifiableMessage(messageId, userId, conversationId);
+    if (result.error) {
+        return result;
+    }
+
+    const updated = await Message.findOneAndUpdate(
+        { _id: result.message._id, isDeleted: false },
+        { isDeleted: true, deletedAt: new Date() },
+        { new: true }
+    );
+
+    if (!updated) {
+        return { status: 404, error: 'Message not found' };
+    }
+
+    await replaceLastMessage(updated);
+
+    return { message: updated };
+};
+
+/**
+ * Point a conversation's lastMessage at its latest remaining message
+ * when the message it showed has been deleted
+ * @param {object} deleted - Deleted message document
+ */
+const replaceLastMessage = async (deleted) => {
+    const previous = await Message.findOne({
+        conversation: deleted.conversation,
+        isDeleted: false
+    }).sort({ createdAt: -1 }).select('_id');
+
+    await Conversation.updateOne(
+        { _id: deleted.conversation, lastMessage: deleted._id },
+        previous ? { lastMessage: previous._id } : { $unset: { lastMessage: 1 } }
+    );
+};
+
+/**
+ * Broadcast a message change to the conversation room
+ * @param {object} io - Socket.IO server (may be undefined)
+ * @param {string} event - message_updated or message_deleted
+ * @param {object} message - Updated message document
+ */
+const broadcastMessageChange = (io, event, message) => {
+    if (!io) {
+        return;
+    }
+
+    const conversationId = message.conversation.toString();
+    const payload = event === 'message_deleted'
+        ? { messageId: message._id, conversationId, deletedAt: message.deletedAt }
+        : { message, conversationId };
+
+    io.to(`conversation:${conversationId}`).emit(event, payload);
+};
+
+module.exports = {
+    editMessage,
+    deleteMessage,
+    broadcastMessageChange
+};
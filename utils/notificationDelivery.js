@@ -0,0 +1,181 @@
+// Notification Delivery
+// Sends a notification over the channels the user chose for its type
+// (notificationPreferences.channels) and records each channel's result
+
+const User = require('../models/User');
+const { sendToChannel, sendToChannelMulticast } = require('../config/notificationChannels');
+
+// Used for notification types the user has not chosen channels for
+const DEFAULT_CHANNELS = ['push', 'in_app'];
+
+// User fields the channels need
+const DELIVERY_USER_FIELDS = 'email fcmTokens isActive notificationPreferences patientInfo.phoneNumber';
+
+/**
+ * Channels a user wants a notification type delivered on
+ * An empty list means the user opted out of the type on every channel.
+ * @param {object} user - User document
+ * @param {string} type - Notification type
+ * @returns {Array} - Channel names
+ */
+const getUserChannels = (user, type) => {
+    const channels = user.notificationPreferences && user.notificationPreferences.channels;
+    const chosen = channels && channels[type];
+
+    return chosen ? chosen : DEFAULT_CHANNELS;
+};
+
+/**
+ * Build the message sent to every channel
+ * @param {object} notification - Notification document
+ * @returns {object} - { notificationId, type, title, body, priority, data }
+ */
+const buildPayload = (notification) => {
+    const notificationId = notification._id.toString();
+    const data = {
+        ...Object.fromEntries(notification.data || []),
+        notificationId
+    };
+
+    // Action IDs for notification buttons (POST /api/notifications/:id/<action>)
+    const actions = notification.getActions();
+    if (actions.length > 0) {
+        data.actions = actions.join(',');
+    }
+
+    return {
+        notificationId,
+        type: notification.type,
+        title: notification.title,
+        body: notification.body,
+        priority: notification.priority,
+        data
+    };
+};
+
+/**
+ * Record the result of every channel on a notification
+ * The notification counts as delivered if at least one channel sent it.
+ * @param {object} notification - Notification document
+ * @param {Array} deliveries - Array of { channel, status, messageId, error, attemptedAt }
+ * @returns {Promise<object>} - Updated notification
+ */
+const recordDeliveries = (notification, deliveries) => {
+    notification.deliveries = deliveries;
+
+    if (deliveries.some(d => d.status === 'sent')) {
+        const push = deliveries.find(d => d.channel === 'push' && d.status === 'sent');
+        return notification.markAsDelivered(push && push.messageId);
+    }
+
+    const reason = deliveries.length > 0
+        ? deliveries.map(d => `${d.channel}: ${d.error || d.status}`).join('; ')
+        : 'No delivery channels selected';
+
+    return notification.markAsFailed(reason);
+};
+
+/**
+ * Build the delivery record for one channel's result
+ * @param {string} channel - Channel name
+ * @param {object} result - { status, messageId, error } from the channel
+ * @returns {object} - Entry for Notification.deliveries
+ */
+const toDelivery = (channel, result) => ({
+    channel,
+    status: result.status,
+    messageId: result.messageId,
+    error: result.error,
+    attemptedAt: new Date()
+});
+
+/**
+ * Deliver a notification and record the result of every channel on it
+ * @param {object} notification - Notification document
+ * @param {Array} channels - Channels to use (defaults to the user's choice for the type)
+ * @returns {Promise<object>} - Updated notification
+ */
+const deliverNotification = async (notification, channels) => {
+    const user = await User.findById(notification.user).select(DELIVERY_USER_FIELDS);
+
+    if (!user || !user.isActive) {
+        return notification.markAsFailed('User not found or inactive');
+    }
+
+    const payload = buildPayload(notification);
+    const deliveries = [];
+
+    for (const channel of channels || getUserChannels(user, notification.type)) {
+        const result = await sendToChannel(channel, { user, notification, payload });
+        deliveries.push(toDelivery(channel, result));
+    }
+
+    return recordDeliveries(notification, deliveries);
+};
+
+/**
+ * Deliver notifications carrying the same message to many users (e.g. a broadcast)
+ * Each channel sends to all of its recipients together, so push goes out as FCM
+ * multicasts rather than one request per user. Clients identify a multicast message
+ * by its data (e.g. campaignId).
+ * @param {Array} notifications - Notification documents with the same title, body and data
+ * @returns {Promise<Array>} - Updated notifications
+ */
+const deliverMulticast = async (notifications) => {
+    if (notifications.length === 0) {
+        return notifications;
+    }
+
+    const users = await User.find({ _id: { $in: notifications.map(n => n.user) } }).select(DELIVERY_USER_FIELDS);
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    // The multicast message is the same for every recipient, so it has no notificationId
+    const payload = buildPayload(notifications[0]);
+    delete payload.notificationId;
+    delete payload.data.notificationId;
+
+    const byChannel = new Map();
+    const deliveries = new Map(notifications.map(n => [n, []]));
+
+    notifications.forEach(notification => {
+        const user = usersById.get(notification.user.toString());
+
+        if (!user || !user.isActive) {
+            return;
+        }
+
+        getUserChannels(user, notification.type).forEach(channel => {
+            if (!byChannel.has(channel)) {
+                byChannel.set(channel, []);
+            }
+            byChannel.get(channel).push({ user, notification, payload: buildPayload(notification) });
+        });
+    });
+
+    for (const [channel, messages] of byChannel) {
+        const results = await sendToChannelMulticast(channel, messages, payload);
+
+        messages.forEach((message, index) => {
+            deliveries.get(message.notification).push(toDelivery(channel, results[index]));
+        });
+    }
+
+    for (const notification of notifications) {
+        const user = usersById.get(notification.user.toString());
+
+        if (!user || !user.isActive) {
+            await notification.markAsFailed('User not found or inactive');
+        } else {
+            await recordDeliveries(notification, deliveries.get(notification));
+        }
+    }
+
+    return notifications;
+};
+
+module.exports = {
+    DEFAULT_CHANNELS,
+    getUserChannels,
+    deliverNotification,
+    deliverMulticast
+};
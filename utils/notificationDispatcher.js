@@ -0,0 +1,235 @@
+// Notification Dispatcher
+// Background job loop that persists upcoming reminders as pending notifications
+// and delivers them over the user's channels when they become due
+
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const logger = require('./logger');
+const { getAllUpcomingReminders, formatNotificationData } = require('./notificationScheduler');
+const { deliverNotification } = require('./notificationDelivery');
+
+const SCHEDULE_INTERVAL_MS = parseInt(process.env.REMINDER_SCHEDULE_INTERVAL_MS) || 15 * 60 * 1000;
+const DISPATCH_INTERVAL_MS = parseInt(process.env.NOTIFICATION_DISPATCH_INTERVAL_MS) || 30 * 1000;
+const MAX_DELAY_MINUTES = parseInt(process.env.NOTIFICATION_MAX_DELAY_MINUTES) || 60;
+const HORIZON_HOURS = parseInt(process.env.REMINDER_HORIZON_HOURS) || 24;
+const DISPATCH_BATCH_SIZE = 100;
+
+let scheduleTimer = null;
+let dispatchTimer = null;
+let isScheduling = false;
+let isDispatching = false;
+
+/**
+ * Map a calculated reminder to the entity it refers to
+ * @param {object} reminder - Reminder from notificationScheduler
+ * @returns {object} - relatedEntity value for the Notification model
+ */
+const getRelatedEntity = (reminder) => {
+    const { data = {} } = reminder;
+
+    if (data.medicationId) {
+        return { entityType: 'Medication', entityId: data.medicationId };
+    }
+
+    if (data.fastingInstructionId) {
+        return { entityType: 'FastingInstruction', entityId: data.fastingInstructionId };
+    }
+
+    if (data.appointmentId) {
+        return { entityType: 'Appointment', entityId: data.appointmentId };
+    }
+
+    return { entityType: 'None' };
+};
+
+/**
+ * Build a stable key identifying a reminder occurrence
+ * @param {string} userId - User ID
+ * @param {object} reminder - Reminder from notificationScheduler
+ * @returns {string} - Deduplication key
+ */
+const buildDedupeKey = (userId, reminder) => {
+    const { entityId } = getRelatedEntity(reminder);
+
+    return [
+        userId,
+        reminder.data.type,
+        entityId || 'none',
+        reminder.data.action || 'reminder',
+        new Date(reminder.scheduledFor).toISOString()
+    ].join(':');
+};
+
+/**
+ * Persist reminders due within the next REMINDER_HORIZON_HOURS for a single user
+ * as pending notifications. Pending reminders that are no longer calculated
+ * (medication deactivated, times or preferences changed) are removed.
+ * @param {object} user - User document
+ * @returns {Promise<number>} - Number of newly queued notifications
+ */
+const scheduleRemindersForUser = async (user) => {
+    const userId = user._id.toString();
+    const horizon = new Date(Date.now() + HORIZON_HOURS * 60 * 60 * 1000);
+    const reminders = await getAllUpcomingReminders(userId, user.notificationPreferences || {}, user.timezone, { to: horizon });
+    const dedupeKeys = [];
+    let queued = 0;
+
+    for (const reminder of reminders) {
+        const dedupeKey = buildDedupeKey(userId, reminder);
+        dedupeKeys.push(dedupeKey);
+
+        const result = await Notification.updateOne(
+            { dedupeKey },
+            {
+                $setOnInsert: {
+                    user: userId,
+                    type: reminder.data.type,
+                    relatedEntity: getRelatedEntity(reminder),
+                    title: reminder.title,
+                    body: reminder.body,
+                    data: formatNotificationData(reminder.data.type, null, reminder.data),
+                    deliveryStatus: 'pending',
+                    scheduledFor: reminder.scheduledFor,
+                    dedupeKey
+                }
+            },
+            { upsert: true }
+        );
+
+        queued += result.upsertedCount;
+    }
+
+    // Reminder keys start with the user ID; other pending notifications with a key
+    // (deferred broadcasts, snoozed reminders) are not the scheduler's to remove
+    await Notification.deleteMany({
+        user: userId,
+        deliveryStatus: 'pending',
+        scheduledFor: { $gt: new Date() },
+        dedupeKey: { $regex: `^${userId}:`, $nin: dedupeKeys }
+    });
+
+    return queued;
+};
+
+/**
+ * Calculate reminders for every active user and queue them
+ * @returns {Promise<number>} - Number of newly queued notifications
+ */
+const scheduleUpcomingReminders = async () => {
+    if (isScheduling) {
+        return 0;
+    }
+
+    isScheduling = true;
+    let queued = 0;
+
+    try {
+        const cursor = User.find({ isActive: true })
+            .select('notificationPreferences timezone')
+            .cursor();
+
+        for await (const user of cursor) {
+            try {
+                queued += await scheduleRemindersForUser(user);
+            } catch (error) {
+                logger.error(`Failed to schedule reminders for user ${user._id}:`, error.message);
+            }
+        }
+
+        if (queued > 0) {
+            logger.info(`Queued ${queued} reminder notifications`);
+        }
+    } catch (error) {
+        logger.error('Error scheduling reminders:', error.message);
+    } finally {
+        isScheduling = false;
+    }
+
+    return queued;
+};
+
+/**
+ * Send all pending notifications that are due
+ * Each notification is atomically moved from pending to sent before delivery,
+ * so concurrent workers or a restart never deliver the same one twice.
+ * @returns {Promise<number>} - Number of notifications processed
+ */
+const dispatchDueNotifications = async () => {
+    if (isDispatching) {
+        return 0;
+    }
+
+    isDispatching = true;
+    let processed = 0;
+
+    try {
+        const now = new Date();
+        const expiredBefore = new Date(now.getTime() - MAX_DELAY_MINUTES * 60 * 1000);
+
+        // Reminders that became due while the server was down are no longer useful
+        await Notification.updateMany(
+            { deliveryStatus: 'pending', scheduledFor: { $lt: expiredBefore } },
+            { deliveryStatus: 'failed', failureReason: 'Expired before delivery' }
+        );
+
+        while (processed < DISPATCH_BATCH_SIZE) {
+            const notification = await Notification.findOneAndUpdate(
+                { deliveryStatus: 'pending', scheduledFor: { $lte: now } },
+                { deliveryStatus: 'sent', sentAt: new Date() },
+                { new: true, sort: { scheduledFor: 1 } }
+            );
+
+            if (!notification) {
+                break;
+            }
+
+            await deliverNotification(notification);
+            processed++;
+        }
+
+        if (processed > 0) {
+            logger.info(`Dispatched ${processed} due notifications`);
+        }
+    } catch (error) {
+        logger.error('Error dispatching notifications:', error.message);
+    } finally {
+        isDispatching = false;
+    }
+
+    return processed;
+};
+
+/**
+ * Start the background scheduling and dispatch loops
+ */
+const startNotificationDispatcher = () => {
+    if (scheduleTimer || dispatchTimer) {
+        return;
+    }
+
+    scheduleUpcomingReminders();
+    dispatchDueNotifications();
+
+    scheduleTimer = setInterval(scheduleUpcomingReminders, SCHEDULE_INTERVAL_MS);
+    dispatchTimer = setInterval(dispatchDueNotifications, DISPATCH_INTERVAL_MS);
+
+    logger.info('Notification dispatcher started');
+};
+
+/**
+ * Stop the background loops
+ */
+const stopNotificationDispatcher = () => {
+    clearInterval(scheduleTimer);
+    clearInterval(dispatchTimer);
+    scheduleTimer = null;
+    dispatchTimer = null;
+};
+
+module.exports = {
+    startNotificationDispatcher,
+    stopNotificationDispatcher,
+    scheduleUpcomingReminders,
+    scheduleRemindersForUser,
+    dispatchDueNotifications
+};
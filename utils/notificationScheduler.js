@@ -1,64 +1,115 @@
 // Notification Scheduler Utility
-// Calculates notification times for medications and fasting instructions
+// Calculates notification times for medications, fasting instructions and appointments
 
 const Medication = require('../models/Medication');
 const FastingInstruction = require('../models/FastingInstruction');
+const Appointment = require('../models/Appointment');
+const {
+    resolveTimezone,
+    getZonedDate,
+    addDays,
+    atZonedTime,
+    getZonedMinutes,
+    formatZonedTime
+} = require('./timezone');
+const { getInstructionCutoffs, getCutoffTime } = require('./fastingRules');
+const { getDosesInRange } = require('./medicationSchedule');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Reminders are generated for the next 24 hours unless a window is given
+const DEFAULT_WINDOW_HOURS = 24;
+const MAX_WINDOW_DAYS = parseInt(process.env.REMINDER_MAX_WINDOW_DAYS) || 31;
 
 /**
+ * Resolve the window reminders are generated for
+ * Past reminders are never generated, so the window starts no earlier than now.
+ * @param {object} window - { from, to } (defaults to the next 24 hours)
+ * @returns {object} - { from, to } as Dates
+ */
+const resolveWindow = ({ from, to } = {}) => {
+    const now = new Date();
+    const start = from && new Date(from) > now ? new Date(from) : now;
+    const end = to ? new Date(to) : new Date(start.getTime() + DEFAULT_WINDOW_HOURS * HOUR_MS);
+
+    return { from: start, to: end };
+};
+
+const isInWindow = (time, window) => time >= window.from && time <= window.to;
+
+/**
+ * Parse a reminder window from query parameters
+ * @param {object} query - Request query ({ from, to })
+ * @returns {object} - { from, to } as Dates, or { error } if invalid
+ */
+const parseReminderWindow = (query = {}) => {
+    const from = query.from ? new Date(query.from) : undefined;
+    const to = query.to ? new Date(query.to) : undefined;
+
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+        return { error: 'Invalid date range. Use ISO 8601 dates for from and to' };
+    }
+
+    const window = resolveWindow({ from, to });
 
+    if (window.from > window.to) {
+        return { error: 'The to date must be in the future and after the from date' };
+    }
+
+    if (window.to - window.from > MAX_WINDOW_DAYS * DAY_MS) {
+        return { error: `The reminder window cannot exceed ${MAX_WINDOW_DAYS} days` };
+    }
+
+    return window;
+};
+
+/**
+ * Calculate medication reminders within a window
  * @param {object} medication - Medication document
  * @param {object} preferences - User notification preferences
+ * @param {string} timezone - User's IANA timezone
+ * @param {object} window - { from, to } (defaults to the next 24 hours)
  * @returns {Array} - Array of reminder objects with time and message
  */
-const calculateMedicationReminders = (medication, preferences = {}) => {
+const calculateMedicationReminders = (medication, preferences = {}, timezone, window) => {
+    const tz = resolveTimezone(timezone);
     const reminders = [];
-    const now = new Date();
-    const reminderMinutes = preferences.reminderMinutesBefore || 15;
+    const { from, to } = resolveWindow(window);
+    const reminderMs = (preferences.reminderMinutesBefore || 15) * MINUTE_MS;
 
     // Check if medication is active and reminders are enabled
     if (!medication.isActive || !medication.reminders) {
         return reminders;
     }
 
-    // Check if medication has expired
-    if (medication.endDate && new Date(medication.endDate) < now) {
-        return reminders;
-    }
-
-    // Get today's date
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    // Doses whose reminder falls in the window
+    // (follows weekdays, intervals, cycles, tapering and the start and end dates)
+    const doses = getDosesInRange(medication, new Date(from.getTime() + reminderMs), new Date(to.getTime() + reminderMs), tz);
 
-    // Calculate reminders for each scheduled time
-    medication.times.forEach(timeStr => {
-        const [hours, minutes] = timeStr.split(':').map(Number);
-
-        // Create reminder time for today
-        const medicationTime = new Date(today);
-        medicationTime.setHours(hours, minutes, 0, 0);
+    doses.forEach(dose => {
+        const medicationTime = dose.scheduledFor;
 
         // Create reminder time (X minutes before medication time)
-        const reminderTime = new Date(medicationTime);
-        reminderTime.setMinutes(reminderTime.getMinutes() - reminderMinutes);
-
-        // Only include future reminders
-        if (reminderTime > now) {
-            // Check quiet hours
-            if (!isInQuietHours(reminderTime, preferences)) {
-                reminders.push({
-                    scheduledFor: reminderTime,
-                    medicationTime: medicationTime,
-                    title: `💊 Medication Reminder`,
-                    body: `Time to take ${medication.name} (${medication.dosage})`,
-                    data: {
-                        type: 'medication',
-                        medicationId: medication._id.toString(),
-                        medicationName: medication.name,
-                        dosage: medication.dosage,
-                        scheduledTime: timeStr
-                    }
-                });
-            }
+        const reminderTime = new Date(medicationTime.getTime() - reminderMs);
+
+        // Check quiet hours
+        if (!isInQuietHours(reminderTime, preferences, tz)) {
+            reminders.push({
+                scheduledFor: reminderTime,
+                medicationTime: medicationTime,
+                title: `💊 Medication Reminder`,
+                body: `Time to take ${medication.name} (${dose.dosage})`,
+                data: {
+                    type: 'medication',
+                    medicationId: medication._id.toString(),
+                    medicationName: medication.name,
+                    dosage: dose.dosage,
+                    scheduledTime: dose.scheduledTime,
+                    doseTime: medicationTime.toISOString()
+                }
+            });
         }
     });
 
@@ -66,14 +117,17 @@ const calculateMedicationReminders = (medication, preferences = {}) => {
 };
 
 /**
- * Calculate fasting instruction reminders
+ * Calculate fasting instruction reminders within a window
  * @param {object} fastingInstruction - FastingInstruction document
  * @param {object} preferences - User notification preferences
+ * @param {string} timezone - User's IANA timezone
+ * @param {object} window - { from, to } (defaults to the next 24 hours)
  * @returns {Array} - Array of reminder objects
  */
-const calculateFastingReminders = (fastingInstruction, preferences = {}) => {
+const calculateFastingReminders = (fastingInstruction, preferences = {}, timezone, window) => {
+    const tz = resolveTimezone(timezone);
     const reminders = [];
-    const now = new Date();
+    const range = resolveWindow(window);
 
     // Check if instruction is active
     if (!fastingInstruction.isActive) {
@@ -83,12 +137,12 @@ const calculateFastingReminders = (fastingInstruction, preferences = {}) => {
     const operationDate = new Date(fastingInstruction.operationDate);
 
     // Only send reminders for upcoming operations
-    if (operationDate < now) {
+    if (operationDate < range.from) {
         return reminders;
     }
 
-    // Calculate days until operation
-    const daysUntil = fastingInstruction.getDaysUntilOperation();
+    // Calendar day of the operation in the user's timezone
+    const operationDay = getZonedDate(operationDate, tz);
 
     // Reminder schedule based on days until operation
     const reminderSchedule = [
@@ -99,44 +153,106 @@ const calculateFastingReminders = (fastingInstruction, preferences = {}) => {
     ];
 
     reminderSchedule.forEach(schedule => {
-        if (daysUntil === schedule.days) {
-            const reminderTime = new Date();
-            reminderTime.setHours(9, 0, 0, 0); // Send at 9 AM
-
-            if (reminderTime > now && !isInQuietHours(reminderTime, preferences)) {
-                reminders.push({
-                    scheduledFor: reminderTime,
-                    title: schedule.title,
-                    body: schedule.body,
-                    data: {
-                        type: 'fasting',
-                        fastingInstructionId: fastingInstruction._id.toString(),
-                        operationDate: operationDate.toISOString(),
-                        daysUntil: daysUntil.toString()
-                    }
-                });
-            }
+        // Sent at 9 AM local time, N days before the operation
+        const reminderTime = atZonedTime(addDays(operationDay, -schedule.days), '09:00', tz);
+
+        if (isInWindow(reminderTime, range) && reminderTime < operationDate &&
+            !isInQuietHours(reminderTime, preferences, tz)) {
+            reminders.push({
+                scheduledFor: reminderTime,
+                title: schedule.title,
+                body: schedule.body,
+                data: {
+                    type: 'fasting',
+                    fastingInstructionId: fastingInstruction._id.toString(),
+                    operationDate: operationDate.toISOString(),
+                    daysUntil: schedule.days.toString()
+                }
+            });
         }
     });
 
-    // Add specific fasting reminders (e.g., 8 hours before operation)
-    const fastingStartTime = new Date(operationDate);
-    fastingStartTime.setHours(fastingStartTime.getHours() - 8); // 8 hours before
-
-    if (fastingStartTime > now && !isInQuietHours(fastingStartTime, preferences)) {
-        reminders.push({
-            scheduledFor: fastingStartTime,
-            title: '🚫 Start Fasting Now',
-            body: 'You should begin fasting now for your operation. No food or drink.',
-            data: {
-                type: 'fasting',
-                fastingInstructionId: fastingInstruction._id.toString(),
-                operationDate: operationDate.toISOString(),
-                action: 'start_fasting'
-            }
-        });
+    // One reminder per cut-off (e.g. stop solids 6 hours before, clear liquids 2 hours before)
+    getInstructionCutoffs(fastingInstruction).forEach(cutoff => {
+        const cutoffTime = getCutoffTime(operationDate, cutoff);
+
+        if (isInWindow(cutoffTime, range) && !isInQuietHours(cutoffTime, preferences, tz)) {
+            const { label } = cutoff;
+
+            reminders.push({
+                scheduledFor: cutoffTime,
+                title: `🚫 Time to Stop: ${label}`,
+                body: `No more ${label.toLowerCase()} before your operation (${cutoff.hoursBefore} hours to go).`,
+                data: {
+                    type: 'fasting',
+                    fastingInstructionId: fastingInstruction._id.toString(),
+                    operationDate: operationDate.toISOString(),
+                    action: `stop_${cutoff.category}`,
+                    category: cutoff.category
+                }
+            });
+        }
+    });
+
+    return reminders;
+};
+
+/**
+ * Calculate appointment reminders within a window
+ * @param {object} appointment - Appointment document
+ * @param {object} preferences - User notification preferences
+ * @param {string} userId - User the reminders are for (patient or doctor)
+ * @param {string} timezone - User's IANA timezone
+ * @param {object} window - { from, to } (defaults to the next 24 hours)
+ * @returns {Array} - Array of reminder objects
+ */
+const calculateAppointmentReminders = (appointment, preferences = {}, userId, timezone, window) => {
+    const tz = resolveTimezone(timezone);
+    const reminders = [];
+    const range = resolveWindow(window);
+    const startTime = new Date(appointment.startTime);
+
+    if (appointment.status !== 'scheduled' || startTime < range.from) {
+        return reminders;
     }
 
+    const isDoctor = appointment.doctor.toString() === (userId && userId.toString());
+    const withWhom = isDoctor ? 'a patient' : 'your doctor';
+    const reminderMinutes = preferences.reminderMinutesBefore || 15;
+
+    const reminderSchedule = [
+        {
+            minutesBefore: 24 * 60,
+            action: 'day_before',
+            title: '📅 Appointment Tomorrow',
+            body: `You have an appointment with ${withWhom} tomorrow at ${formatZonedTime(startTime, tz)}`
+        },
+        {
+            minutesBefore: reminderMinutes,
+            action: 'starting_soon',
+            title: '⏰ Appointment Soon',
+            body: `Your appointment with ${withWhom} starts in ${reminderMinutes} minutes`
+        }
+    ];
+
+    reminderSchedule.forEach(schedule => {
+        const reminderTime = new Date(startTime.getTime() - schedule.minutesBefore * 60 * 1000);
+
+        if (isInWindow(reminderTime, range) && !isInQuietHours(reminderTime, preferences, tz)) {
+            reminders.push({
+                scheduledFor: reminderTime,
+                title: schedule.title,
+                body: schedule.body,
+                data: {
+                    type: 'appointment',
+                    appointmentId: appointment._id.toString(),
+                    startTime: startTime.toISOString(),
+                    action: schedule.action
+                }
+            });
+        }
+    });
+
     return reminders;
 };
 
@@ -144,16 +260,15 @@ const calculateFastingReminders = (fastingInstruction, preferences = {}) => {
  * Check if a time falls within user's quiet hours
  * @param {Date} time - Time to check
  * @param {object} preferences - User notification preferences
+ * @param {string} timezone - User's IANA timezone
  * @returns {boolean} - True if in quiet hours
  */
-const isInQuietHours = (time, preferences) => {
+const isInQuietHours = (time, preferences, timezone) => {
     if (!preferences.quietHoursEnabled) {
         return false;
     }
 
-    const hours = time.getHours();
-    const minutes = time.getMinutes();
-    const timeInMinutes = hours * 60 + minutes;
+    const timeInMinutes = getZonedMinutes(time, resolveTimezone(timezone));
 
     const [startHour, startMin] = (preferences.quietHoursStart || '22:00').split(':').map(Number);
     const [endHour, endMin] = (preferences.quietHoursEnd || '08:00').split(':').map(Number);
@@ -170,13 +285,41 @@ const isInQuietHours = (time, preferences) => {
 };
 
 /**
- * Get all upcoming reminders for a user
+ * Get the time at which the quiet hours containing a given time end
+ * @param {Date} time - Time to check
+ * @param {object} preferences - User notification preferences
+ * @param {string} timezone - User's IANA timezone
+ * @returns {Date|null} - End of quiet hours, or null if not in quiet hours
+ */
+const getQuietHoursEnd = (time, preferences, timezone) => {
+    const tz = resolveTimezone(timezone);
+
+    if (!isInQuietHours(time, preferences, tz)) {
+        return null;
+    }
+
+    const endStr = preferences.quietHoursEnd || '08:00';
+    let end = atZonedTime(getZonedDate(time, tz), endStr, tz);
+
+    // Overnight quiet hours end the next morning
+    if (end <= time) {
+        end = atZonedTime(addDays(getZonedDate(time, tz), 1), endStr, tz);
+    }
+
+    return end;
+};
+
+/**
+ * Get all upcoming reminders for a user within a window
  * @param {string} userId - User ID
  * @param {object} preferences - User notification preferences
- * @returns {Promise<Array>} - Array of all upcoming reminders
+ * @param {string} timezone - User's IANA timezone
+ * @param {object} window - { from, to } (defaults to the next 24 hours)
+ * @returns {Promise<Array>} - Array of all upcoming reminders, sorted by time
  */
-const getAllUpcomingReminders = async (userId, preferences = {}) => {
+const getAllUpcomingReminders = async (userId, preferences = {}, timezone, window) => {
     const allReminders = [];
+    const range = resolveWindow(window);
 
     try {
         // Get active medications
@@ -188,7 +331,7 @@ const getAllUpcomingReminders = async (userId, preferences = {}) => {
             });
 
             medications.forEach(medication => {
-                const medReminders = calculateMedicationReminders(medication, preferences);
+                const medReminders = calculateMedicationReminders(medication, preferences, timezone, range);
                 allReminders.push(...medReminders);
             });
         }
@@ -198,15 +341,30 @@ const getAllUpcomingReminders = async (userId, preferences = {}) => {
             const fastingInstructions = await FastingInstruction.find({
                 patient: userId,
                 isActive: true,
-                operationDate: { $gte: new Date() }
+                operationDate: { $gte: range.from }
             });
 
             fastingInstructions.forEach(instruction => {
-                const fastingReminders = calculateFastingReminders(instruction, preferences);
+                const fastingReminders = calculateFastingReminders(instruction, preferences, timezone, range);
                 allReminders.push(...fastingReminders);
             });
         }
 
+        // Get scheduled appointments (as patient or doctor)
+        if (preferences.appointmentReminders !== false) {
+            const appointments = await Appointment.find({
+                $or: [{ patient: userId }, { doctor: userId }],
+                status: 'scheduled',
+                // Day-before reminders fall in the window for appointments up to a day after it
+                startTime: { $gte: range.from, $lte: new Date(range.to.getTime() + DAY_MS) }
+            });
+
+            appointments.forEach(appointment => {
+                const appointmentReminders = calculateAppointmentReminders(appointment, preferences, userId, timezone, range);
+                allReminders.push(...appointmentReminders);
+            });
+        }
+
         // Sort by scheduled time
         allReminders.sort((a, b) => a.scheduledFor - b.scheduledFor);
 
@@ -220,7 +378,7 @@ const getAllUpcomingReminders = async (userId, preferences = {}) => {
 /**
  * Format notification data for FCM
  * @param {string} type - Notification type
- * @param {object} item - Medication or FastingInstruction
+ * @param {object} item - Medication, FastingInstruction or Appointment
  * @param {object} additionalData - Additional data to include
  * @returns {object} - Formatted notification object
  */
@@ -243,7 +401,10 @@ const formatNotificationData = (type, item, additionalData = {}) => {
 module.exports = {
     calculateMedicationReminders,
     calculateFastingReminders,
+    calculateAppointmentReminders,
     getAllUpcomingReminders,
+    parseReminderWindow,
     isInQuietHours,
+    getQuietHoursEnd,
     formatNotificationData
 };
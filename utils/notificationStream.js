@@ -0,0 +1,63 @@
+// Notification Stream
+// Pushes notification changes to the user's `user:<id>` Socket.IO room, so every
+// connected device sees new notifications, read state and the unread count live.
+// Events: notification_created, notification_read, notifications_read_all
+// (each carries the current unreadCount).
+
+const logger = require('./logger');
+
+// Socket.IO server (set at startup)
+let socketServer = null;
+
+/**
+ * Set the Socket.IO server notifications are streamed over
+ * @param {object} io - Socket.IO server
+ */
+const setSocketServer = (io) => {
+    socketServer = io;
+};
+
+/**
+ * Check whether notifications can be streamed
+ * @returns {boolean} - True once the socket server is set
+ */
+const isStreaming = () => !!socketServer;
+
+/**
+ * Check whether a user has at least one connected socket
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - True if connected
+ */
+const isUserConnected = async (userId) => {
+    if (!socketServer) {
+        return false;
+    }
+
+    const sockets = await socketServer.in(`user:${userId}`).fetchSockets();
+    return sockets.length > 0;
+};
+
+/**
+ * Emit an event to all of a user's devices
+ * @param {string} userId - User ID
+ * @param {string} event - Event name
+ * @param {object} payload - Event payload
+ */
+const emitToUser = (userId, event, payload) => {
+    if (!socketServer) {
+        return;
+    }
+
+    try {
+        socketServer.to(`user:${userId}`).emit(event, payload);
+    } catch (error) {
+        logger.error(`Failed to emit ${event} to user ${userId}:`, error.message);
+    }
+};
+
+module.exports = {
+    setSocketServer,
+    isStreaming,
+    isUserConnected,
+    emitToUser
+};
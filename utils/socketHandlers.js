@@ -1,7 +1,11 @@
 // Socket.IO event handlers for real-time chat
 
+const mongoose = require('mongoose');
 const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
+const Attachment = require('../models/Attachment');
+const { editMessage, deleteMessage, broadcastMessageChange } = require('./messageActions');
+const { queueChatPush, cancelPendingChatPush } = require('./chatPushNotifier');
 
 // Store online users
 const onlineUsers = new Map();
@@ -23,6 +27,9 @@ const setupSocketHandlers = (io) => {
         // Join user's personal room
         socket.join(`user:${userId}`);
 
+        // Join session room (used to disconnect the socket when the session is revoked)
+        socket.join(`session:${socket.user.sessionId}`);
+
         // Join user's conversation rooms
         joinUserConversations(socket, userId);
 
@@ -58,7 +65,8 @@ const setupSocketHandlers = (io) => {
         // Handle sending a message
         socket.on('send_message', async (data) => {
             try {
-                const { conversationId, content, messageType = 'text' } = data;
+                const { conversationId, content, attachmentId } = data;
+                let { messageType = 'text' } = data;
 
                 // Verify conversation exists and user is participant
                 const conversation = await Conversation.findById(conversationId);
@@ -76,12 +84,45 @@ const setupSocketHandlers = (io) => {
                     return;
                 }
 
+                // Link an uploaded attachment to the new message
+                const messageId = new mongoose.Types.ObjectId();
+                let attachment;
+
+                if (attachmentId) {
+                    attachment = await Attachment.claimForMessage({
+                        attachmentId,
+                        conversationId,
+                        uploaderId: userId,
+                        messageId
+                    });
+
+                    if (!attachment) {
+                        socket.emit('error', { message: 'Attachment not found or already sent' });
+                        return;
+                    }
+
+                    messageType = attachment.messageType;
+                } else if (messageType === 'image' || messageType === 'file') {
+                    socket.emit('error', { message: 'Image and file messages require an attachmentId' });
+                    return;
+                }
+
                 // Create message
                 const message = await Message.create({
+                    _id: messageId,
                     conversation: conversationId,
                     sender: userId,
-                    content,
-                    messageType
+                    content: content || (attachment && attachment.filename),
+                    messageType,
+                    ...(attachment && {
+                        attachment: {
+                            attachmentId: attachment._id,
+                            url: attachment.url,
+                            filename: attachment.filename,
+                            fileType: attachment.mimeType,
+                            fileSize: attachment.size
+                        }
+                    })
                 });
 
                 // Populate sender info
@@ -108,7 +149,7 @@ const setupSocketHandlers = (io) => {
                     message
                 });
 
-                // Mark as delivered to online recipients
+                // Mark as delivered to online recipients, push to offline ones
                 for (const participantId of otherParticipants) {
                     const participantSocketId = onlineUsers.get(participantId.toString());
                     if (participantSocketId) {
@@ -117,6 +158,9 @@ const setupSocketHandlers = (io) => {
                             messageId: message._id,
                             conversationId
                         });
+                    } else {
+                        queueChatPush({ recipientId: participantId, sender: socket.user, message })
+                            .catch(error => console.error('Error queueing chat push:', error));
                     }
                 }
 
@@ -126,6 +170,44 @@ const setupSocketHandlers = (io) => {
             }
         });
 
+        // Handle editing a message
+        socket.on('edit_message', async (data) => {
+            try {
+                const { conversationId, messageId, content } = data;
+
+                const result = await editMessage({ conversationId, messageId, userId, content });
+
+                if (result.error) {
+                    socket.emit('error', { message: result.error });
+                    return;
+                }
+
+                broadcastMessageChange(io, 'message_updated', result.message);
+            } catch (error) {
+                console.error('Error editing message:', error);
+                socket.emit('error', { message: 'Failed to edit message' });
+            }
+        });
+
+        // Handle deleting a message
+        socket.on('delete_message', async (data) => {
+            try {
+                const { conversationId, messageId } = data;
+
+                const result = await deleteMessage({ conversationId, messageId, userId });
+
+                if (result.error) {
+                    socket.emit('error', { message: result.error });
+                    return;
+                }
+
+                broadcastMessageChange(io, 'message_deleted', result.message);
+            } catch (error) {
+                console.error('Error deleting message:', error);
+                socket.emit('error', { message: 'Failed to delete message' });
+            }
+        });
+
         // Handle message read event
         socket.on('message_read', async (data) => {
             try {
@@ -139,6 +221,9 @@ const setupSocketHandlers = (io) => {
                 // Mark message as read
                 await message.markAsRead(userId);
 
+                // No need to push what has already been read
+                await cancelPendingChatPush(userId, message.conversation);
+
                 // Notify sender
                 const senderSocketId = onlineUsers.get(message.sender.toString());
                 if (senderSocketId) {
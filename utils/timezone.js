@@ -0,0 +1,231 @@
+// Timezone Utility
+// Wall-clock date math in IANA timezones using Intl (handles daylight-saving transitions)
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const formatters = new Map();
+
+/**
+ * Check if a string is a valid IANA timezone
+ * @param {string} timezone - Timezone name (e.g. "Europe/Paris")
+ * @returns {boolean} - True if valid
+ */
+const isValidTimezone = (timezone) => {
+    if (!timezone || typeof timezone !== 'string') {
+        return false;
+    }
+
+    try {
+        Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Timezone used when a user has none set (DEFAULT_TIMEZONE or the server's zone)
+ * @returns {string} - Timezone name
+ */
+const getDefaultTimezone = () => {
+    return process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+};
+
+/**
+ * Resolve a user's timezone, falling back to the default
+ * @param {string} timezone - Timezone name (may be empty or invalid)
+ * @returns {string} - Valid timezone name
+ */
+const resolveTimezone = (timezone) => {
+    return isValidTimezone(timezone) ? timezone : getDefaultTimezone();
+};
+
+const getFormatter = (timezone) => {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            weekday: 'short'
+        }));
+    }
+    return formatters.get(timezone);
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - Timezone name
+ * @returns {object} - { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+const getZonedParts = (date, timezone) => {
+    const parts = {};
+
+    getFormatter(timezone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+        if (type === 'weekday') {
+            parts.weekday = WEEKDAYS[value];
+        } else if (type !== 'literal') {
+            parts[type] = parseInt(value, 10);
+        }
+    });
+
+    return parts;
+};
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {Date|number} date - Instant
+ * @param {string} timezone - Timezone name
+ * @returns {number} - Offset in milliseconds (positive east of UTC)
+ */
+const getTimezoneOffset = (date, timezone) => {
+    const time = new Date(date).getTime();
+    const p = getZonedParts(time, timezone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(time / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock time in a timezone to an instant
+ * Times that occur twice (clocks going back) resolve to the first occurrence.
+ * Times skipped by clocks going forward resolve to the same distance after the gap
+ * (e.g. 02:30 on a spring-forward night becomes 03:30).
+ * @param {object} wallTime - { year, month (1-12), day, hour, minute }
+ * @param {string} timezone - Timezone name
+ * @returns {Date} - Instant
+ */
+const zonedTimeToDate = ({ year, month, day, hour = 0, minute = 0 }, timezone) => {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+    const offsetBefore = getTimezoneOffset(asUtc - DAY_MS, timezone);
+    const offsetAfter = getTimezoneOffset(asUtc + DAY_MS, timezone);
+
+    const candidates = [asUtc - offsetBefore, asUtc - offsetAfter]
+        .filter(time => {
+            const p = getZonedParts(time, timezone);
+            return p.year === year && p.month === month && p.day === day && p.hour === hour && p.minute === minute;
+        })
+        .sort((a, b) => a - b);
+
+    if (candidates.length > 0) {
+        return new Date(candidates[0]);
+    }
+
+    // Wall time falls in a DST gap
+    return new Date(asUtc - offsetBefore);
+};
+
+/**
+ * Get the calendar date of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - Timezone name
+ * @returns {object} - { year, month, day }
+ */
+const getZonedDate = (date, timezone) => {
+    const { year, month, day } = getZonedParts(date, timezone);
+    return { year, month, day };
+};
+
+/**
+ * Add calendar days to a date (no timezone involved)
+ * @param {object} zonedDate - { year, month, day }
+ * @param {number} days - Days to add (may be negative)
+ * @returns {object} - { year, month, day }
+ */
+const addDays = ({ year, month, day }, days) => {
+    const d = new Date(Date.UTC(year, month - 1, day + days));
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+};
+
+/**
+ * Whole calendar days between two dates
+ * @param {object} from - { year, month, day }
+ * @param {object} to - { year, month, day }
+ * @returns {number} - Days from "from" to "to"
+ */
+const diffDays = (from, to) => {
+    return Math.round((Date.UTC(to.year, to.month - 1, to.day) - Date.UTC(from.year, from.month - 1, from.day)) / DAY_MS);
+};
+
+/**
+ * Instant of an "HH:mm" wall-clock time on a calendar date in a timezone
+ * @param {object} zonedDate - { year, month, day }
+ * @param {string} timeStr - Time in HH:mm format
+ * @param {string} timezone - Timezone name
+ * @returns {Date} - Instant
+ */
+const atZonedTime = (zonedDate, timeStr, timezone) => {
+    const [hour, minute] = timeStr.split(':').map(Number);
+    return zonedTimeToDate({ ...zonedDate, hour, minute }, timezone);
+};
+
+/**
+ * Start of the calendar day containing an instant, in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - Timezone name
+ * @returns {Date} - Instant of local midnight
+ */
+const startOfZonedDay = (date, timezone) => {
+    return zonedTimeToDate(getZonedDate(date, timezone), timezone);
+};
+
+/**
+ * Minutes since local midnight of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - Timezone name
+ * @returns {number} - Minutes since midnight
+ */
+const getZonedMinutes = (date, timezone) => {
+    const { hour, minute } = getZonedParts(date, timezone);
+    return hour * 60 + minute;
+};
+
+/**
+ * Format an instant's wall-clock time as HH:mm in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - Timezone name
+ * @returns {string} - Time in HH:mm format
+ */
+const formatZonedTime = (date, timezone) => {
+    const { hour, minute } = getZonedParts(date, timezone);
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+/**
+ * Format an instant for display in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - Timezone name
+ * @returns {string} - Localized date and time
+ */
+const formatZonedDateTime = (date, timezone) => {
+    return new Date(date).toLocaleString('en-US', {
+        timeZone: timezone,
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    });
+};
+
+module.exports = {
+    isValidTimezone,
+    getDefaultTimezone,
+    resolveTimezone,
+    getZonedParts,
+    getTimezoneOffset,
+    zonedTimeToDate,
+    getZonedDate,
+    addDays,
+    diffDays,
+    atZonedTime,
+    startOfZonedDay,
+    getZonedMinutes,
+    formatZonedTime,
+    formatZonedDateTime
+};
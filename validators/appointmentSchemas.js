@@ -0,0 +1,35 @@
+// Request schemas for appointment routes
+
+const bookAppointment = {
+    body: {
+        doctorId: { type: 'objectId', required: true },
+        startTime: { type: 'date', required: true },
+        reason: { type: 'string', maxLength: 500 }
+    },
+    protected: ['patient', 'doctor', 'status', 'endTime']
+};
+
+const rescheduleAppointment = {
+    body: {
+        startTime: { type: 'date', required: true }
+    }
+};
+
+const cancelAppointment = {
+    body: {
+        reason: { type: 'string', maxLength: 500 }
+    }
+};
+
+const updateAppointmentStatus = {
+    body: {
+        status: { type: 'string', required: true, enum: ['completed', 'no_show'] }
+    }
+};
+
+module.exports = {
+    bookAppointment,
+    rescheduleAppointment,
+    cancelAppointment,
+    updateAppointmentStatus
+};
@@ -0,0 +1,138 @@
+// Request schemas for auth routes
+
+const patientInfo = {
+    type: 'object',
+    fields: {
+        dateOfBirth: { type: 'date' },
+        phoneNumber: { type: 'string', maxLength: 30 },
+        address: { type: 'string', maxLength: 300 },
+        medicalHistory: { type: 'array', items: { type: 'string', maxLength: 500 } },
+        allergies: { type: 'array', items: { type: 'string', maxLength: 200 } },
+        currentMedications: { type: 'array', items: { type: 'string', maxLength: 200 } },
+        emergencyContact: {
+            type: 'object',
+            fields: {
+                name: { type: 'string', maxLength: 100 },
+                relationship: { type: 'string', maxLength: 50 },
+                phoneNumber: { type: 'string', maxLength: 30 },
+                email: { type: 'email' }
+            }
+        }
+    }
+};
+
+const doctorInfo = {
+    type: 'object',
+    fields: {
+        specialization: { type: 'string', enum: ['anesthesiologist', 'surgeon', 'general_practitioner', 'other'] },
+        licenseNumber: { type: 'string', maxLength: 50 },
+        department: { type: 'string', maxLength: 100 },
+        yearsOfExperience: { type: 'integer', min: 0, max: 80 },
+        availableHours: {
+            type: 'object',
+            fields: {
+                start: { type: 'time' },
+                end: { type: 'time' }
+            }
+        },
+        slotDurationMinutes: { type: 'integer', min: 5, max: 240 }
+    }
+};
+
+const adminInfo = {
+    type: 'object',
+    fields: {
+        accessLevel: { type: 'string', enum: ['super_admin', 'moderator', 'support'] },
+        permissions: { type: 'array', items: { type: 'string', maxLength: 100 } }
+    }
+};
+
+// Account fields that are managed by the server, never by the client
+const ACCOUNT_FIELDS = ['isActive', 'isVerified', 'fcmTokens', 'lastLogin', 'notificationPreferences'];
+
+// Label the session a request creates (see utils/authTokens.js createSession)
+const deviceFields = {
+    deviceId: { type: 'string', maxLength: 200 },
+    deviceName: { type: 'string', maxLength: 100 },
+    platform: { type: 'string', enum: ['ios', 'android', 'web'] }
+};
+
+// Admin accounts are never self-registered
+const register = {
+    body: {
+        name: { type: 'string', required: true, maxLength: 50 },
+        email: { type: 'email', required: true },
+        password: { type: 'string', required: true, minLength: 6 },
+        role: { type: 'string', enum: ['patient', 'doctor'] },
+        timezone: { type: 'timezone' },
+        patientInfo,
+        doctorInfo,
+        ...deviceFields
+    },
+    protected: ACCOUNT_FIELDS
+};
+
+const login = {
+    body: {
+        email: { type: 'string', required: true },
+        password: { type: 'string', required: true },
+        ...deviceFields
+    }
+};
+
+const refreshSession = {
+    body: {
+        refreshToken: { type: 'string', required: true }
+    }
+};
+
+const verifyEmail = {
+    body: {
+        token: { type: 'string', required: true }
+    }
+};
+
+const forgotPassword = {
+    body: {
+        email: { type: 'string', required: true }
+    }
+};
+
+const resetPassword = {
+    body: {
+        token: { type: 'string', required: true },
+        password: { type: 'string', required: true, minLength: 6 }
+    }
+};
+
+const updateProfile = {
+    body: {
+        name: { type: 'string', maxLength: 50 },
+        email: { type: 'email' },
+        profileImage: { type: 'string', maxLength: 500 },
+        timezone: { type: 'timezone' },
+        patientInfo,
+        doctorInfo,
+        adminInfo
+    },
+    protected: ['role', 'password', ...ACCOUNT_FIELDS]
+};
+
+const updatePassword = {
+    body: {
+        currentPassword: { type: 'string', required: true },
+        newPassword: { type: 'string', required: true, minLength: 6 },
+        ...deviceFields
+    }
+};
+
+module.exports = {
+    register,
+    login,
+    refreshSession,
+    verifyEmail,
+    forgotPassword,
+    resetPassword,
+    updateProfile,
+    updatePassword
+};
@@ -0,0 +1,15 @@
+// Request schemas for care team routes
+
+const inviteToCareTeam = {
+    body: {
+        userId: { type: 'objectId' },
+        doctorId: { type: 'objectId' },
+        patientId: { type: 'objectId' },
+        note: { type: 'string', maxLength: 500 }
+    },
+    protected: ['status', 'invitedBy']
+};
+
+module.exports = {
+    inviteToCareTeam
+};
@@ -0,0 +1,18 @@
+// Request schemas for chat routes
+
+const createConversation = {
+    body: {
+        participantId: { type: 'objectId', required: true }
+    }
+};
+
+const updateMessage = {
+    body: {
+        content: { type: 'string', required: true, maxLength: 5000 }
+    }
+};
+
+module.exports = {
+    createConversation,
+    updateMessage
+};
@@ -0,0 +1,110 @@
+// Request schemas for fasting instruction and template routes
+
+const { FASTING_CATEGORIES } = require('../utils/fastingRules');
+
+const instructionList = (maxLength = 500) => ({
+    type: 'array',
+    maxItems: 50,
+    items: { type: 'string', maxLength }
+});
+
+const fastingCutoffs = {
+    type: 'array',
+    maxItems: FASTING_CATEGORIES.length,
+    items: {
+        type: 'object',
+        fields: {
+            category: { type: 'string', required: true, enum: FASTING_CATEGORIES },
+            label: { type: 'string', maxLength: 100 },
+            hoursBefore: { type: 'number', required: true, min: 0, max: 24 }
+        }
+    }
+};
+
+// Content shared by instructions and templates
+const contentFields = {
+    fastingCutoffs,
+    extraFastingRules: instructionList(),
+    hygieneInstructions: instructionList(),
+    administrativeInstructions: instructionList(),
+    medicalExceptions: instructionList()
+};
+
+// Set by the server or by the patient's own endpoints
+const INSTRUCTION_PROTECTED = ['doctor', 'template', 'templateVersion', 'acknowledgedAt', 'checklist'];
+
+const addFastingInstruction = {
+    body: {
+        patient: { type: 'objectId', required: true },
+        templateId: { type: 'objectId' },
+        operationDate: { type: 'date', required: true },
+        operationType: { type: 'string', maxLength: 200 },
+        ...contentFields,
+        personalNotes: instructionList(),
+        doctorNotes: { type: 'string', maxLength: 1000 }
+    },
+    protected: [...INSTRUCTION_PROTECTED, 'isActive']
+};
+
+const updateFastingInstruction = {
+    body: {
+        operationDate: { type: 'date' },
+        operationType: { type: 'string', maxLength: 200 },
+        ...contentFields,
+        doctorNotes: { type: 'string', maxLength: 1000 },
+        isActive: { type: 'boolean' }
+    },
+    protected: [...INSTRUCTION_PROTECTED, 'patient', 'personalNotes']
+};
+
+const updatePersonalNotes = {
+    body: {
+        personalNotes: { ...instructionList(), required: true }
+    }
+};
+
+const updateChecklistItem = {
+    body: {
+        section: { type: 'string', required: true, enum: ['hygiene', 'administrative'] },
+        item: { type: 'string', required: true },
+        completed: { type: 'boolean', required: true }
+    }
+};
+
+const updateCutoffDefaults = {
+    body: {
+        fastingCutoffs: { ...fastingCutoffs, required: true }
+    }
+};
+
+const TEMPLATE_PROTECTED = ['owner', 'department', 'version', 'isActive'];
+
+const templateFields = {
+    name: { type: 'string', maxLength: 100 },
+    description: { type: 'string', maxLength: 500 },
+    scope: { type: 'string', enum: ['personal', 'department'] },
+    ...contentFields
+};
+
+const createTemplate = {
+    body: {
+        ...templateFields,
+        name: { ...templateFields.name, required: true }
+    },
+    protected: TEMPLATE_PROTECTED
+};
+
+const updateTemplate = {
+    body: templateFields,
+    protected: TEMPLATE_PROTECTED
+};
+
+module.exports = {
+    addFastingInstruction,
+    updateFastingInstruction,
+    updatePersonalNotes,
+    updateChecklistItem,
+    updateCutoffDefaults,
+    createTemplate,
+    updateTemplate
+};
@@ -0,0 +1,108 @@
+// Request schemas for medication and dose routes
+
+const { RECURRENCE_PATTERNS } = require('../utils/medicationSchedule');
+
+const MEDICATION_TYPES = ['pill', 'injection', 'solution', 'drops', 'inhaler', 'powder', 'other'];
+const FREQUENCIES = ['once_daily', 'twice_daily', 'three_times_daily', 'four_times_daily', 'as_needed', 'custom'];
+
+const medicationFields = {
+    name: { type: 'string', maxLength: 100 },
+    type: { type: 'string', enum: MEDICATION_TYPES },
+    dosage: { type: 'string', maxLength: 50 },
+    frequency: { type: 'string', enum: FREQUENCIES },
+    times: { type: 'array', minItems: 1, maxItems: 24, items: { type: 'time' } },
+    // Pattern-specific fields are checked against the pattern by the controller
+    recurrence: {
+        type: 'object',
+        fields: {
+            pattern: { type: 'string', enum: RECURRENCE_PATTERNS },
+            daysOfWeek: { type: 'array', maxItems: 7, items: { type: 'integer', min: 0, max: 6 } },
+            intervalDays: { type: 'integer', min: 1, max: 365 },
+            daysOn: { type: 'integer', min: 1, max: 365 },
+            daysOff: { type: 'integer', min: 1, max: 365 }
+        }
+    },
+    taperingSteps: {
+        type: 'array',
+        maxItems: 52,
+        items: {
+            type: 'object',
+            fields: {
+                durationDays: { type: 'integer', required: true, min: 1, max: 365 },
+                dosage: { type: 'string', required: true, maxLength: 50 },
+                times: { type: 'array', maxItems: 24, items: { type: 'time' } }
+            }
+        }
+    },
+    instructions: { type: 'string', maxLength: 500 },
+    startDate: { type: 'date' },
+    endDate: { type: 'date', nullable: true },
+    reminders: { type: 'boolean' },
+    notes: { type: 'string', maxLength: 1000 }
+};
+
+// Server-managed prescription and audit fields
+const PRESCRIPTION_FIELDS = [
+    'prescribedBy',
+    'prescribedAt',
+    'discontinuedAt',
+    'discontinuedBy',
+    'discontinuationReason',
+    'dosageHistory',
+    'interactionOverrides'
+];
+
+const addMedication = {
+    body: {
+        // Doctors prescribe to a patient on their care team
+        patientId: { type: 'objectId' },
+        ...medicationFields,
+        name: { ...medicationFields.name, required: true },
+        type: { ...medicationFields.type, required: true },
+        dosage: { ...medicationFields.dosage, required: true },
+        times: { ...medicationFields.times, required: true }
+    },
+    protected: ['patient', 'isActive', ...PRESCRIPTION_FIELDS]
+};
+
+const updateMedication = {
+    body: {
+        ...medicationFields,
+        isActive: { type: 'boolean' },
+        dosageChangeReason: { type: 'string', maxLength: 500 }
+    },
+    protected: ['patient', ...PRESCRIPTION_FIELDS]
+};
+
+const discontinueMedication = {
+    body: {
+        reason: { type: 'string', required: true, maxLength: 500 }
+    }
+};
+
+const overrideInteraction = {
+    body: {
+        warningKey: { type: 'string', required: true, maxLength: 200 },
+        justification: { type: 'string', required: true, maxLength: 500 }
+    }
+};
+
+const recordDose = {
+    body: {
+        scheduledFor: { type: 'date', required: true },
+        status: { type: 'string', required: true, enum: ['taken', 'skipped', 'snoozed'] },
+        reason: { type: 'string', maxLength: 500 },
+        snoozeMinutes: { type: 'integer', min: 1, max: 240 },
+        takenAt: { type: 'date' },
+        notes: { type: 'string', maxLength: 500 }
+    },
+    protected: ['patient', 'medication']
+};
+
+module.exports = {
+    addMedication,
+    updateMedication,
+    discontinueMedication,
+    overrideInteraction,
+    recordDose
+};
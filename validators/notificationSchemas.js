@@ -0,0 +1,97 @@
+// Request schemas for notification routes
+
+const { NOTIFICATION_CHANNELS } = require('../config/notificationChannels');
+
+const registerFCMToken = {
+    body: {
+        token: { type: 'string', required: true, maxLength: 4096 },
+        deviceId: { type: 'string', maxLength: 200 },
+        platform: { type: 'string', enum: ['ios', 'android', 'web'] }
+    }
+};
+
+const removeFCMToken = {
+    body: {
+        token: { type: 'string', required: true, maxLength: 4096 }
+    }
+};
+
+const channelList = { type: 'array', maxItems: NOTIFICATION_CHANNELS.length, items: { type: 'string', enum: NOTIFICATION_CHANNELS } };
+
+// An empty list opts out of a type, null resets it to the default channels
+const channelPreference = { ...channelList, nullable: true };
+
+const updateNotificationPreferences = {
+    body: {
+        medicationReminders: { type: 'boolean' },
+        fastingReminders: { type: 'boolean' },
+        appointmentReminders: { type: 'boolean' },
+        chatMessages: { type: 'boolean' },
+        reminderMinutesBefore: { type: 'integer', min: 0, max: 120 },
+        quietHoursEnabled: { type: 'boolean' },
+        quietHoursStart: { type: 'time' },
+        quietHoursEnd: { type: 'time' },
+        // Delivery channels per notification type
+        channels: {
+            type: 'object',
+            fields: {
+                medication: channelPreference,
+                fasting: channelPreference,
+                appointment: channelPreference,
+                chat: channelPreference,
+                general: channelPreference
+            }
+        }
+    }
+};
+
+const sendTestNotification = {
+    body: {
+        title: { type: 'string', maxLength: 100 },
+        body: { type: 'string', maxLength: 500 },
+        // Defaults to the channels chosen for general notifications
+        channels: { ...channelList, minItems: 1 }
+    }
+};
+
+const snoozeNotification = {
+    body: {
+        minutes: { type: 'integer', min: 1, max: 240 }
+    }
+};
+
+const createBroadcast = {
+    body: {
+        title: { type: 'string', required: true, maxLength: 100 },
+        body: { type: 'string', required: true, maxLength: 500 },
+        priority: { type: 'string', enum: ['low', 'normal', 'high'] },
+        // Audience: active users matching every criterion given (at least one is required)
+        roles: { type: 'array', minItems: 1, maxItems: 3, items: { type: 'string', enum: ['patient', 'doctor', 'admin'] } },
+        departments: { type: 'array', minItems: 1, maxItems: 50, items: { type: 'string', maxLength: 100 } },
+        specializations: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 4,
+            items: { type: 'string', enum: ['anesthesiologist', 'surgeon', 'general_practitioner', 'other'] }
+        },
+        // Patients with an operation in this window
+        operationWindow: {
+            type: 'object',
+            fields: {
+                from: { type: 'date', required: true },
+                to: { type: 'date', required: true }
+            }
+        },
+        // Sent immediately when omitted or in the past
+        scheduledFor: { type: 'date' }
+    }
+};
+
+module.exports = {
+    registerFCMToken,
+    removeFCMToken,
+    updateNotificationPreferences,
+    sendTestNotification,
+    snoozeNotification,
+    createBroadcast
+};